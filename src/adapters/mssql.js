@@ -4,7 +4,16 @@ import { isValidSessionContext } from '../core/sessionContext.js';
 import { allowlist } from '../security/allowlist.js';
 import { queryGuard } from '../security/queryGuard.js';
 import { validateQueryWithTables } from '../security/queryValidator.js';
+import { getOrderByPolicy } from '../security/orderByPolicy.js';
 import { enforceQueryPermissions } from '../security/permissions.js';
+import { planResultMasking, applyResultMasking } from '../security/masking.js';
+import { tenantIsolation } from '../security/tenantIsolation.js';
+import { functionPolicy } from '../security/functionPolicy.js';
+import { keysetPagination } from '../security/keysetPagination.js';
+import { bindQueryParams } from '../security/queryParams.js';
+import { costGate } from '../security/costGate.js';
+import { enforceQueryLimit } from '../security/queryLimit.js';
+import { normalizePlan } from '../security/queryPlan.js';
 import { logQueryEvent, computeQueryFingerprint } from '../security/auditLogger.js';
 
 export class MSSQLAdapter extends BaseAdapter {
@@ -258,8 +267,8 @@ export class MSSQLAdapter extends BaseAdapter {
         throw new Error(`Table "${schema}.${table}" not found or has no columns`);
       }
 
-      // Apply column limit
-      let columns = queryGuard.limitColumns(result.recordset);
+      // Hide columns the column rules do not allow, then apply column limit
+      let columns = queryGuard.limitColumns(allowlist.filterColumns(schema, table, result.recordset, { dialect: 'mssql' }));
 
       this.logOperation('describeTable', params, startTime, columns);
 
@@ -274,9 +283,11 @@ export class MSSQLAdapter extends BaseAdapter {
    * Execute a read-only SELECT query with security enforcement
    * @param {Object} params - Query parameters
    * @param {string} params.query - SQL query string
-   * @param {Array} [params.params] - Query parameters
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
    * @param {number} [params.limit] - Maximum rows to return (default: 100, max: 1000)
    * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {string} [params.continuation] - Continuation token of the previous page (keyset pagination)
    * @param {SessionContext} sessionContext - Bound session context (identity + tenant)
    * @returns {Promise<Object>} Query results with metadata
    */
@@ -296,37 +307,19 @@ export class MSSQLAdapter extends BaseAdapter {
     }
 
     try {
-      const { query, params: queryParams = [], limit = 100, timeout = 30000 } = params;
+      const { query, params: queryParams = [], limit = 100, timeout = 30000, continuation = null, paramTypes = null } = params;
 
       if (!query || typeof query !== 'string') {
         throw this._createError('INVALID_INPUT', 'Query must be a non-empty string');
       }
 
-      // Compute fingerprint once (no raw SQL crosses audit boundary after this)
-      const queryFingerprint = computeQueryFingerprint(query);
-
-      // Step 1: Validate query structure (regex-based security validation)
-      const validation = validateQueryWithTables(query);
-      
-      if (!validation.valid) {
-        // Audit log: validation rejected (AFTER validation, fail-closed)
-        logQueryEvent('mssql', queryFingerprint, 'rejected');
-        throw this._createError('QUERY_REJECTED', validation.reason);
-      }
-
-      const tables = validation.tables;
-
-      // Step 2: Enforce permissions (allowlist check)
-      try {
-        enforceQueryPermissions(query);
-      } catch (permissionError) {
-        // Audit log: permission rejected (AFTER permission check, fail-closed)
-        logQueryEvent('mssql', queryFingerprint, 'rejected');
-        throw permissionError;
-      }
-
-      // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
-      logQueryEvent('mssql', queryFingerprint, 'validated');
+      // Steps 1-2: Validate, enforce permissions, plan masking, resume the page, isolate tenant rows
+      const { queryFingerprint, tables, maskingPlan, keyset, bound, isolated } = this._prepareQuery(
+        query,
+        queryParams,
+        sessionContext,
+        { continuation, paramTypes }
+      );
       validationPassed = true; // Mark validation as complete
 
       // Step 3: Validate and normalize limits/timeouts
@@ -334,26 +327,33 @@ export class MSSQLAdapter extends BaseAdapter {
       const normalizedTimeout = this._normalizeTimeout(timeout);
 
       // Step 4: Execute via safe read method (SNAPSHOT transaction, enforced TOP, timeout)
-      const result = await this._executeSafeRead(query, queryParams, {
+      const result = await this._executeSafeRead(isolated.query, isolated.params, {
         maxLimit: normalizedLimit,
         timeout: normalizedTimeout,
       });
 
       const executionTime = Date.now() - startTime;
 
+      // SECURITY: Mask sensitive values before rows leave the adapter
+      const masked = applyResultMasking(result.rows, maskingPlan);
+
+      // Continuation token for the next page (sort key of the last unmasked row)
+      const nextPage = keysetPagination.issue(keyset, result, { ...bound, queryFingerprint, sessionContext });
+
       // Audit log: execution succeeded (AFTER execution, fail-closed)
-      logQueryEvent('mssql', queryFingerprint, 'success', executionTime);
+      logQueryEvent('mssql', queryFingerprint, 'success', executionTime, { maskingRules: masked.appliedRules });
 
       // Step 5: Log operation (no query text or params in logs)
       this.logOperation('executeQuery', { tableCount: tables.length, limit: normalizedLimit }, startTime, result);
 
       return {
-        rows: result.rows,
+        rows: masked.rows,
         rowCount: result.rowCount,
         fields: result.fields.map((f) => ({ name: f.name, type: f.type })),
         executionTime: result.executionTime,
         truncated: result.truncated,
         appliedLimit: result.appliedLimit,
+        continuation: nextPage,
       };
     } catch (error) {
       // Map to standardized error codes
@@ -372,6 +372,160 @@ export class MSSQLAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Explain a read-only SELECT query with the same security enforcement as executeQuery
+   * @param {Object} params - Query parameters
+   * @param {string} params.query - SQL query string
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
+   * @param {number} [params.limit] - Limit applied to the explained statement (default: 100, max: 1000)
+   * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {boolean} [params.analyze] - Execute the statement and report actual rows and timing
+   * @param {SessionContext} sessionContext - Bound session context (identity + tenant)
+   * @returns {Promise<Object>} Normalized plan (see normalizePlan) with analyzed and appliedLimit
+   */
+  async explainQuery(params, sessionContext) {
+    const startTime = Date.now();
+    let validationPassed = false; // Track whether validation succeeded
+
+    // SECURITY: Defensive assertion - session context MUST be bound
+    if (!sessionContext || !sessionContext.isBound) {
+      throw new Error('SECURITY VIOLATION: Query explain attempted without bound session context');
+    }
+
+    // SECURITY: Verify session context is genuine
+    if (!isValidSessionContext(sessionContext)) {
+      throw new Error('SECURITY VIOLATION: Invalid session context instance');
+    }
+
+    try {
+      const { query, params: queryParams = [], limit = 100, timeout = 30000, analyze = false, paramTypes = null } = params;
+
+      if (!query || typeof query !== 'string') {
+        throw this._createError('INVALID_INPUT', 'Query must be a non-empty string');
+      }
+
+      // Steps 1-2: Same validation, permissions and rewrites as executeQuery
+      const { queryFingerprint, isolated } = this._prepareQuery(query, queryParams, sessionContext, { paramTypes });
+      validationPassed = true;
+
+      const normalizedLimit = this._normalizeLimit(limit);
+      const normalizedTimeout = this._normalizeTimeout(timeout);
+      const analyzed = analyze === true;
+
+      // Step 3: Plan the statement query_read would run (ANALYZE: execute and roll back)
+      const explained = await this._executeSafeExplain(isolated.query, isolated.params, {
+        maxLimit: normalizedLimit,
+        timeout: normalizedTimeout,
+        analyze: analyzed,
+      });
+
+      const result = normalizePlan(explained.plan, explained.query, { dialect: 'mssql' });
+
+      // Audit log: explain succeeded (AFTER execution, fail-closed)
+      logQueryEvent('mssql', queryFingerprint, 'success', Date.now() - startTime);
+
+      this.logOperation('explainQuery', { analyze: analyzed, limit: normalizedLimit }, startTime, result);
+
+      return {
+        ...result,
+        analyzed,
+        appliedLimit: explained.appliedLimit,
+      };
+    } catch (error) {
+      const mappedError = this._mapExecutionError(error);
+
+      // Audit log: explain failed (ONLY if validation passed)
+      if (validationPassed && mappedError.code !== 'AUDIT_FAILURE') {
+        logQueryEvent('mssql', computeQueryFingerprint(params.query), 'execution_error', Date.now() - startTime);
+      }
+
+      this.logError('explainQuery', { hasQuery: !!params.query }, mappedError);
+      throw mappedError;
+    }
+  }
+
+  /**
+   * Validate, authorize and rewrite a query (shared by executeQuery and explainQuery)
+   *
+   * Audit-logs the outcome: 'rejected' on any failure, 'validated' on success.
+   *
+   * @private
+   * @param {string} query - SQL query string
+   * @param {Array|Object} queryParams - Query parameters (positional or named)
+   * @param {SessionContext} sessionContext - Bound session context
+   * @param {Object} [options]
+   * @param {string|null} [options.continuation] - Continuation token (query resumes after its row)
+   * @param {Array|Object|null} [options.paramTypes] - Declared parameter types
+   * @returns {{ queryFingerprint: string, tables: string[], maskingPlan: Object|null, keyset: Object, bound: Object, isolated: Object }}
+   */
+  _prepareQuery(query, queryParams, sessionContext, options = {}) {
+    // Compute fingerprint once (no raw SQL crosses audit boundary after this)
+    const queryFingerprint = computeQueryFingerprint(query);
+
+    // Configured once at server start (a malformed policy file stops startup, not the query)
+    const orderByPolicy = getOrderByPolicy();
+
+    // Step 0: Bind parameters (translate :name placeholders, match placeholders to values, apply declared types)
+    let bound;
+    try {
+      bound = bindQueryParams(query, queryParams, { dialect: 'mssql', types: options.paramTypes });
+    } catch (paramError) {
+      // Audit log: parameters rejected (BEFORE validation, fail-closed)
+      logQueryEvent('mssql', queryFingerprint, 'rejected');
+      throw paramError;
+    }
+
+    // Step 1: Validate query structure (AST-based security validation)
+    const validation = validateQueryWithTables(bound.query, {
+      dialect: 'mssql',
+      tenant: sessionContext.tenant,
+      orderByPolicy,
+    });
+    
+    if (!validation.valid) {
+      // Audit log: validation rejected (AFTER validation, fail-closed)
+      logQueryEvent('mssql', queryFingerprint, 'rejected');
+      throw this._createError('QUERY_REJECTED', validation.reason, { rule: validation.rule });
+    }
+
+    const tables = validation.tables;
+
+    // Step 2: Enforce the function policy and permissions (allowlist check), plan result masking,
+    // resume after the continuation token's row and filter tenant-scoped tables to the session tenant
+    let maskingPlan;
+    let keyset;
+    let isolated;
+    try {
+      functionPolicy.enforce(bound.query, { dialect: 'mssql' });
+      enforceQueryPermissions(bound.query, { dialect: 'mssql', tenant: sessionContext.tenant });
+      maskingPlan = planResultMasking(bound.query, { dialect: 'mssql', tenant: sessionContext.tenant });
+      keyset = keysetPagination.plan(bound.query, {
+        dialect: 'mssql',
+        maskingPlan,
+        orderByPolicy,
+      });
+      const page = options.continuation
+        ? keysetPagination.resume(options.continuation, keyset, {
+          ...bound,
+          queryFingerprint,
+          sessionContext,
+          dialect: 'mssql',
+        })
+        : bound;
+      isolated = tenantIsolation.apply(page.query, page.params, sessionContext.tenant, { dialect: 'mssql' });
+    } catch (permissionError) {
+      // Audit log: permission rejected (AFTER permission check, fail-closed)
+      logQueryEvent('mssql', queryFingerprint, 'rejected');
+      throw permissionError;
+    }
+
+    // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
+    logQueryEvent('mssql', queryFingerprint, 'validated');
+
+    return { queryFingerprint, tables, maskingPlan, keyset, bound, isolated };
+  }
+
   /**
    * Execute a read-only query with safety enforcements
    * 
@@ -380,6 +534,7 @@ export class MSSQLAdapter extends BaseAdapter {
    * - Query timeout at request level
    * - Server-side TOP enforcement (never trust client)
    * - Max rows enforcement (post-execution truncation)
+   * - Cost gate (SHOWPLAN_XML before execution, if limits are configured)
    * 
    * MSSQL READ-ONLY IMPLEMENTATION NOTE:
    * MSSQL does not support true READ ONLY transactions like PostgreSQL.
@@ -420,10 +575,11 @@ export class MSSQLAdapter extends BaseAdapter {
       request.timeout = timeout;
       
       // Bind parameters
-      if (params && Array.isArray(params)) {
-        params.forEach((param, index) => {
-          request.input(`param${index}`, param);
-        });
+      this._bindParams(request, params);
+
+      // Cost gate: plan the exact statement before running it
+      if (costGate.enabled) {
+        costGate.enforce(await this._showPlan(transaction, limitedQuery, params), limitedQuery, { dialect: 'mssql' });
       }
       
       // Execute the query
@@ -472,6 +628,124 @@ export class MSSQLAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Explain a read-only query under the same safety enforcements as _executeSafeRead
+   *
+   * Without ANALYZE the statement is only compiled (SHOWPLAN_XML). With ANALYZE
+   * it is executed (after the cost gate) with STATISTICS XML, the transaction is
+   * rolled back and only the actual plan is returned.
+   *
+   * @private
+   * @param {string} query - SQL SELECT query
+   * @param {Array} params - Query parameters
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Query timeout in milliseconds
+   * @param {number} options.maxLimit - TOP applied to the explained statement
+   * @param {boolean} options.analyze - Execute the statement and include actual rows/timing
+   * @returns {Promise<{plan, query, appliedLimit}>} Showplan XML and the explained statement
+   */
+  async _executeSafeExplain(query, params = [], options = {}) {
+    const { timeout = 10000, maxLimit = 100, analyze = false } = options;
+
+    const enforcedLimit = Math.min(Math.max(1, maxLimit), 1000);
+    const limitedQuery = this._enforceLimitClause(query, enforcedLimit);
+
+    const transaction = this.pool.transaction();
+
+    try {
+      await transaction.begin(this.mssql.ISOLATION_LEVEL.SNAPSHOT);
+
+      let plan;
+      if (analyze) {
+        // ANALYZE executes the statement: it must pass the cost gate like any read
+        if (costGate.enabled) {
+          costGate.enforce(await this._showPlan(transaction, limitedQuery, params), limitedQuery, { dialect: 'mssql' });
+        }
+        plan = await this._actualPlan(transaction, limitedQuery, params, timeout);
+      } else {
+        plan = await this._showPlan(transaction, limitedQuery, params);
+      }
+
+      await transaction.rollback();
+
+      return { plan, query: limitedQuery, appliedLimit: enforcedLimit };
+    } catch (error) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        logger.error({ error: rollbackError.message }, 'Transaction rollback failed');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Bind positional parameters to a request (@param0, @param1, ...)
+   * @private
+   */
+  _bindParams(request, params) {
+    if (params && Array.isArray(params)) {
+      params.forEach((param, index) => {
+        request.input(`param${index}`, param);
+      });
+    }
+    return request;
+  }
+
+  /**
+   * Estimated execution plan of a statement (the statement is compiled, not run)
+   *
+   * SHOWPLAN_XML is a connection setting, so it is switched on and off on the
+   * transaction's connection and always switched off before returning.
+   *
+   * @private
+   * @param {Transaction} transaction - Open transaction (pins the connection)
+   * @param {string} query - Statement to plan
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<string>} Showplan XML
+   */
+  async _showPlan(transaction, query, params) {
+    await transaction.request().batch('SET SHOWPLAN_XML ON');
+
+    try {
+      const result = await this._bindParams(transaction.request(), params).query(query);
+      const row = result.recordset?.[0];
+      return row ? Object.values(row)[0] : null;
+    } finally {
+      await transaction.request().batch('SET SHOWPLAN_XML OFF');
+    }
+  }
+
+  /**
+   * Actual execution plan of a statement (the statement is run, its rows discarded)
+   *
+   * STATISTICS XML returns the plan as an extra result set after the rows.
+   * Like SHOWPLAN_XML it is a connection setting and is always switched off.
+   *
+   * @private
+   * @param {Transaction} transaction - Open transaction (pins the connection)
+   * @param {string} query - Statement to run
+   * @param {Array} params - Statement parameters
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<string>} Showplan XML with runtime counters
+   */
+  async _actualPlan(transaction, query, params, timeout) {
+    await transaction.request().batch('SET STATISTICS XML ON');
+
+    try {
+      const request = this._bindParams(transaction.request(), params);
+      request.timeout = timeout;
+
+      const result = await request.query(query);
+      const recordsets = result.recordsets || [];
+      const row = recordsets[recordsets.length - 1]?.[0];
+      return row ? Object.values(row)[0] : null;
+    } finally {
+      await transaction.request().batch('SET STATISTICS XML OFF');
+    }
+  }
+
   /**
    * Enforce TOP clause on a query
    * - If query has no TOP: inject TOP after SELECT
@@ -483,33 +757,8 @@ export class MSSQLAdapter extends BaseAdapter {
    * @returns {string} Query with enforced TOP
    */
   _enforceLimitClause(query, maxLimit) {
-    // Check if query already has TOP clause
-    const topRegex = /^SELECT\s+(?:DISTINCT\s+)?TOP\s+\(?(\d+)\)?/i;
-    const topMatch = query.match(topRegex);
-    
-    if (topMatch) {
-      // Query has TOP - clamp to server max
-      const existingLimit = parseInt(topMatch[1], 10);
-      
-      if (!Number.isFinite(existingLimit) || existingLimit <= 0) {
-        throw new Error('Invalid TOP clause value');
-      }
-      
-      const clampedLimit = Math.min(existingLimit, maxLimit);
-      
-      // Replace existing TOP with clamped value
-      return query.replace(/^SELECT\s+(DISTINCT\s+)?TOP\s+\(?\d+\)?/i, (_, distinctPart) => {
-        const distinctSegment = distinctPart ? 'DISTINCT ' : '';
-        return `SELECT ${distinctSegment}TOP ${clampedLimit}`;
-      });
-    } else {
-      // Query has no TOP - inject after SELECT
-      if (/^SELECT\s+DISTINCT\s+/i.test(query)) {
-        return query.replace(/^SELECT\s+DISTINCT\s+/i, `SELECT DISTINCT TOP ${maxLimit} `);
-      } else {
-        return query.replace(/^SELECT\s+/i, `SELECT TOP ${maxLimit} `);
-      }
-    }
+    // Outermost TOP located on the AST (a TOP inside a CTE or subquery does not count)
+    return enforceQueryLimit(query, maxLimit, { dialect: 'mssql' });
   }
 
   /**
@@ -542,7 +791,7 @@ export class MSSQLAdapter extends BaseAdapter {
    */
   _mapExecutionError(error) {
     // If error already has a code from security layers, preserve it
-    if (error.code && ['QUERY_REJECTED', 'PERMISSION_DENIED', 'UNAUTHORIZED_TABLE', 'INVALID_INPUT', 'AUDIT_FAILURE'].includes(error.code)) {
+    if (error.code && ['QUERY_REJECTED', 'PERMISSION_DENIED', 'UNAUTHORIZED_TABLE', 'UNAUTHORIZED_COLUMN', 'QUERY_TOO_EXPENSIVE', 'INVALID_INPUT', 'INVALID_CONTINUATION', 'AUDIT_FAILURE'].includes(error.code)) {
       return error;
     }
     
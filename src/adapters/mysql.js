@@ -3,7 +3,16 @@ import { allowlist } from '../security/allowlist.js';
 import { queryGuard } from '../security/queryGuard.js';
 import { logger } from '../utils/logger.js';
 import { validateQueryWithTables } from '../security/queryValidator.js';
+import { getOrderByPolicy } from '../security/orderByPolicy.js';
 import { enforceQueryPermissions } from '../security/permissions.js';
+import { planResultMasking, applyResultMasking } from '../security/masking.js';
+import { tenantIsolation } from '../security/tenantIsolation.js';
+import { functionPolicy } from '../security/functionPolicy.js';
+import { keysetPagination } from '../security/keysetPagination.js';
+import { bindQueryParams } from '../security/queryParams.js';
+import { costGate } from '../security/costGate.js';
+import { enforceQueryLimit } from '../security/queryLimit.js';
+import { normalizePlan } from '../security/queryPlan.js';
 import { logQueryEvent, computeQueryFingerprint } from '../security/auditLogger.js';
 import { isValidSessionContext } from '../core/sessionContext.js';
 
@@ -274,8 +283,8 @@ export class MySQLAdapter extends BaseAdapter {
         throw new Error(`Table "${schema}.${table}" not found or has no columns`);
       }
 
-      // Apply column limit
-      let columns = queryGuard.limitColumns(rows);
+      // Hide columns the column rules do not allow, then apply column limit
+      let columns = queryGuard.limitColumns(allowlist.filterColumns(schema, table, rows, { dialect: 'mysql' }));
 
       this.logOperation('describeTable', params, startTime, columns);
 
@@ -290,9 +299,11 @@ export class MySQLAdapter extends BaseAdapter {
    * Execute a read-only SELECT query with security enforcement
    * @param {Object} params - Query parameters
    * @param {string} params.query - SQL query string
-   * @param {Array} [params.params] - Query parameters
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
    * @param {number} [params.limit] - Maximum rows to return (default: 100, max: 1000)
    * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {string} [params.continuation] - Continuation token of the previous page (keyset pagination)
    * @returns {Promise<Object>} Query results with metadata
    */
   async executeQuery(params, sessionContext) {
@@ -316,6 +327,8 @@ export class MySQLAdapter extends BaseAdapter {
         params: queryParams = [],
         limit = 100,
         timeout = 30000,
+        continuation = null,
+        paramTypes = null,
       } = params;
 
       if (!query || typeof query !== 'string') {
@@ -325,31 +338,13 @@ export class MySQLAdapter extends BaseAdapter {
         );
       }
 
-      // Compute fingerprint once (no raw SQL crosses audit boundary after this)
-      const queryFingerprint = computeQueryFingerprint(query);
-
-      // Step 1: Validate query structure (regex-based security validation)
-      const validation = validateQueryWithTables(query);
-      
-      if (!validation.valid) {
-        // Audit log: validation rejected (AFTER validation, fail-closed)
-        logQueryEvent('mysql', queryFingerprint, 'rejected');
-        throw this._createError('QUERY_REJECTED', validation.reason);
-      }
-
-      const tables = validation.tables;
-
-      // Step 2: Enforce permissions (allowlist check)
-      try {
-        enforceQueryPermissions(query);
-      } catch (permissionError) {
-        // Audit log: permission rejected (AFTER permission check, fail-closed)
-        logQueryEvent('mysql', queryFingerprint, 'rejected');
-        throw permissionError;
-      }
-
-      // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
-      logQueryEvent('mysql', queryFingerprint, 'validated');
+      // Steps 1-2: Validate, enforce permissions, plan masking, resume the page, isolate tenant rows
+      const { queryFingerprint, tables, maskingPlan, keyset, bound, isolated } = this._prepareQuery(
+        query,
+        queryParams,
+        sessionContext,
+        { continuation, paramTypes }
+      );
       validationPassed = true; // Mark validation as complete
 
       // Step 3: Validate and normalize limits/timeouts
@@ -357,15 +352,21 @@ export class MySQLAdapter extends BaseAdapter {
       const normalizedTimeout = this._normalizeTimeout(timeout);
 
       // Step 4: Execute via safe read method
-      const result = await this._executeSafeRead(query, queryParams, {
+      const result = await this._executeSafeRead(isolated.query, isolated.params, {
         maxLimit: normalizedLimit,
         timeout: normalizedTimeout,
       });
 
       const executionTime = Date.now() - startTime;
 
+      // SECURITY: Mask sensitive values before rows leave the adapter
+      const masked = applyResultMasking(result.rows, maskingPlan);
+
+      // Continuation token for the next page (sort key of the last unmasked row)
+      const nextPage = keysetPagination.issue(keyset, result, { ...bound, queryFingerprint, sessionContext });
+
       // Audit log: execution succeeded (AFTER execution, fail-closed)
-      logQueryEvent('mysql', queryFingerprint, 'success', executionTime);
+      logQueryEvent('mysql', queryFingerprint, 'success', executionTime, { maskingRules: masked.appliedRules });
 
       // Step 5: Log operation (no query text or params in logs)
       this.logOperation(
@@ -376,7 +377,7 @@ export class MySQLAdapter extends BaseAdapter {
       );
 
       return {
-        rows: result.rows,
+        rows: masked.rows,
         rowCount: result.rowCount,
         fields: result.fields.map((f) => ({
           name: f.name,
@@ -385,6 +386,7 @@ export class MySQLAdapter extends BaseAdapter {
         executionTime: result.executionTime,
         truncated: result.truncated,
         appliedLimit: result.appliedLimit,
+        continuation: nextPage,
       };
     } catch (error) {
       // Map to standardized error codes
@@ -403,6 +405,160 @@ export class MySQLAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Explain a read-only SELECT query with the same security enforcement as executeQuery
+   * @param {Object} params - Query parameters
+   * @param {string} params.query - SQL query string
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
+   * @param {number} [params.limit] - Limit applied to the explained statement (default: 100, max: 1000)
+   * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {boolean} [params.analyze] - Execute the statement and report actual rows and timing
+   * @param {SessionContext} sessionContext - Bound session context (identity + tenant)
+   * @returns {Promise<Object>} Normalized plan (see normalizePlan) with analyzed and appliedLimit
+   */
+  async explainQuery(params, sessionContext) {
+    const startTime = Date.now();
+    let validationPassed = false; // Track whether validation succeeded
+
+    // SECURITY: Defensive assertion - session context MUST be bound
+    if (!sessionContext || !sessionContext.isBound) {
+      throw new Error('SECURITY VIOLATION: Query explain attempted without bound session context');
+    }
+
+    // SECURITY: Verify session context is genuine
+    if (!isValidSessionContext(sessionContext)) {
+      throw new Error('SECURITY VIOLATION: Invalid session context instance');
+    }
+
+    try {
+      const { query, params: queryParams = [], limit = 100, timeout = 30000, analyze = false, paramTypes = null } = params;
+
+      if (!query || typeof query !== 'string') {
+        throw this._createError('INVALID_INPUT', 'Query must be a non-empty string');
+      }
+
+      // Steps 1-2: Same validation, permissions and rewrites as executeQuery
+      const { queryFingerprint, isolated } = this._prepareQuery(query, queryParams, sessionContext, { paramTypes });
+      validationPassed = true;
+
+      const normalizedLimit = this._normalizeLimit(limit);
+      const normalizedTimeout = this._normalizeTimeout(timeout);
+      const analyzed = analyze === true;
+
+      // Step 3: Plan the statement query_read would run (ANALYZE: execute, rows discarded)
+      const explained = await this._executeSafeExplain(isolated.query, isolated.params, {
+        maxLimit: normalizedLimit,
+        timeout: normalizedTimeout,
+        analyze: analyzed,
+      });
+
+      const result = normalizePlan(explained.plan, explained.query, { dialect: 'mysql' });
+
+      // Audit log: explain succeeded (AFTER execution, fail-closed)
+      logQueryEvent('mysql', queryFingerprint, 'success', Date.now() - startTime);
+
+      this.logOperation('explainQuery', { analyze: analyzed, limit: normalizedLimit }, startTime, result);
+
+      return {
+        ...result,
+        analyzed,
+        appliedLimit: explained.appliedLimit,
+      };
+    } catch (error) {
+      const mappedError = this._mapExecutionError(error);
+
+      // Audit log: explain failed (ONLY if validation passed)
+      if (validationPassed && mappedError.code !== 'AUDIT_FAILURE') {
+        logQueryEvent('mysql', computeQueryFingerprint(params.query), 'execution_error', Date.now() - startTime);
+      }
+
+      this.logError('explainQuery', { hasQuery: !!params.query }, mappedError);
+      throw mappedError;
+    }
+  }
+
+  /**
+   * Validate, authorize and rewrite a query (shared by executeQuery and explainQuery)
+   *
+   * Audit-logs the outcome: 'rejected' on any failure, 'validated' on success.
+   *
+   * @private
+   * @param {string} query - SQL query string
+   * @param {Array|Object} queryParams - Query parameters (positional or named)
+   * @param {SessionContext} sessionContext - Bound session context
+   * @param {Object} [options]
+   * @param {string|null} [options.continuation] - Continuation token (query resumes after its row)
+   * @param {Array|Object|null} [options.paramTypes] - Declared parameter types
+   * @returns {{ queryFingerprint: string, tables: string[], maskingPlan: Object|null, keyset: Object, bound: Object, isolated: Object }}
+   */
+  _prepareQuery(query, queryParams, sessionContext, options = {}) {
+    // Compute fingerprint once (no raw SQL crosses audit boundary after this)
+    const queryFingerprint = computeQueryFingerprint(query);
+
+    // Configured once at server start (a malformed policy file stops startup, not the query)
+    const orderByPolicy = getOrderByPolicy();
+
+    // Step 0: Bind parameters (translate :name placeholders, match placeholders to values, apply declared types)
+    let bound;
+    try {
+      bound = bindQueryParams(query, queryParams, { dialect: 'mysql', types: options.paramTypes });
+    } catch (paramError) {
+      // Audit log: parameters rejected (BEFORE validation, fail-closed)
+      logQueryEvent('mysql', queryFingerprint, 'rejected');
+      throw paramError;
+    }
+
+    // Step 1: Validate query structure (AST-based security validation)
+    const validation = validateQueryWithTables(bound.query, {
+      dialect: 'mysql',
+      tenant: sessionContext.tenant,
+      orderByPolicy,
+    });
+    
+    if (!validation.valid) {
+      // Audit log: validation rejected (AFTER validation, fail-closed)
+      logQueryEvent('mysql', queryFingerprint, 'rejected');
+      throw this._createError('QUERY_REJECTED', validation.reason, { rule: validation.rule });
+    }
+
+    const tables = validation.tables;
+
+    // Step 2: Enforce the function policy and permissions (allowlist check), plan result masking,
+    // resume after the continuation token's row and filter tenant-scoped tables to the session tenant
+    let maskingPlan;
+    let keyset;
+    let isolated;
+    try {
+      functionPolicy.enforce(bound.query, { dialect: 'mysql' });
+      enforceQueryPermissions(bound.query, { dialect: 'mysql', tenant: sessionContext.tenant });
+      maskingPlan = planResultMasking(bound.query, { dialect: 'mysql', tenant: sessionContext.tenant });
+      keyset = keysetPagination.plan(bound.query, {
+        dialect: 'mysql',
+        maskingPlan,
+        orderByPolicy,
+      });
+      const page = options.continuation
+        ? keysetPagination.resume(options.continuation, keyset, {
+          ...bound,
+          queryFingerprint,
+          sessionContext,
+          dialect: 'mysql',
+        })
+        : bound;
+      isolated = tenantIsolation.apply(page.query, page.params, sessionContext.tenant, { dialect: 'mysql' });
+    } catch (permissionError) {
+      // Audit log: permission rejected (AFTER permission check, fail-closed)
+      logQueryEvent('mysql', queryFingerprint, 'rejected');
+      throw permissionError;
+    }
+
+    // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
+    logQueryEvent('mysql', queryFingerprint, 'validated');
+
+    return { queryFingerprint, tables, maskingPlan, keyset, bound, isolated };
+  }
+
   /**
    * Execute a read-only query with safety enforcements
    * 
@@ -411,6 +567,7 @@ export class MySQLAdapter extends BaseAdapter {
    * - Query timeout at session level
    * - Server-side LIMIT (never trust client)
    * - Max rows enforcement (post-execution truncation)
+   * - Cost gate (EXPLAIN before execution, if limits are configured)
    * 
    * @private
    * @param {string} query - SQL SELECT query
@@ -440,6 +597,12 @@ export class MySQLAdapter extends BaseAdapter {
       const timeoutSeconds = Math.ceil(timeout / 1000);
       await connection.query(`SET SESSION max_execution_time = ${timeoutSeconds * 1000}`);
 
+      // Cost gate: plan the exact statement before running it
+      if (costGate.enabled) {
+        const [explained] = await connection.query(`EXPLAIN FORMAT=JSON ${limitedQuery}`, params);
+        costGate.enforce(explained[0]?.EXPLAIN, limitedQuery, { dialect: 'mysql' });
+      }
+
       // Execute the query
       const [rows, fields] = await connection.query(limitedQuery, params);
 
@@ -506,6 +669,60 @@ export class MySQLAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Explain a read-only query under the same safety enforcements as _executeSafeRead
+   *
+   * Without ANALYZE the statement is only planned (EXPLAIN FORMAT=JSON). With
+   * ANALYZE it is executed (after the cost gate) and only the plan tree is returned.
+   *
+   * @private
+   * @param {string} query - SQL SELECT query
+   * @param {Array} params - Query parameters
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Query timeout in milliseconds
+   * @param {number} options.maxLimit - LIMIT applied to the explained statement
+   * @param {boolean} options.analyze - Execute the statement and include actual rows/timing
+   * @returns {Promise<{plan, query, appliedLimit}>} Raw "EXPLAIN" value and the explained statement
+   */
+  async _executeSafeExplain(query, params = [], options = {}) {
+    const { timeout = 10000, maxLimit = 100, analyze = false } = options;
+
+    const enforcedLimit = Math.min(Math.max(1, maxLimit), 1000);
+    const limitedQuery = this._enforceLimitClause(query, enforcedLimit);
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.query('SET SESSION TRANSACTION READ ONLY');
+
+      const timeoutSeconds = Math.ceil(timeout / 1000);
+      await connection.query(`SET SESSION max_execution_time = ${timeoutSeconds * 1000}`);
+
+      // ANALYZE executes the statement: it must pass the cost gate like any read
+      if (analyze && costGate.enabled) {
+        const [estimated] = await connection.query(`EXPLAIN FORMAT=JSON ${limitedQuery}`, params);
+        costGate.enforce(estimated[0]?.EXPLAIN, limitedQuery, { dialect: 'mysql' });
+      }
+
+      const [rows] = await connection.query(`${analyze ? 'EXPLAIN ANALYZE' : 'EXPLAIN FORMAT=JSON'} ${limitedQuery}`, params);
+
+      return { plan: rows[0]?.EXPLAIN, query: limitedQuery, appliedLimit: enforcedLimit };
+    } catch (error) {
+      logger.error({ error: error.message, timeout, analyze }, 'Safe explain failed');
+      throw error;
+    } finally {
+      // Reset session settings and release connection
+      try {
+        await connection.query('SET SESSION TRANSACTION READ WRITE');
+        await connection.query('SET SESSION max_execution_time = DEFAULT');
+      } catch (resetError) {
+        logger.error({ error: resetError.message }, 'Failed to reset session settings');
+      }
+
+      connection.release();
+    }
+  }
+
   /**
    * Enforce LIMIT clause on a query
    * - If query has no LIMIT: append LIMIT
@@ -517,22 +734,8 @@ export class MySQLAdapter extends BaseAdapter {
    * @returns {string} Query with enforced LIMIT
    */
   _enforceLimitClause(query, maxLimit) {
-    // Check if query already has LIMIT clause (case-insensitive)
-    const limitRegex = /\bLIMIT\s+(\d+)\b/i;
-    const match = limitRegex.exec(query);
-
-    if (match) {
-      // Query has LIMIT - clamp to server max
-      const clientLimit = parseInt(match[1], 10);
-      const clampedLimit = Math.min(clientLimit, maxLimit);
-
-      // Replace existing LIMIT with clamped value
-      return query.replace(limitRegex, `LIMIT ${clampedLimit}`);
-    } else {
-      // Query has no LIMIT - append server max
-      const trimmed = query.trimEnd();
-      return `${trimmed} LIMIT ${maxLimit}`;
-    }
+    // Outermost LIMIT located on the AST (a LIMIT inside a CTE or subquery does not count)
+    return enforceQueryLimit(query, maxLimit, { dialect: 'mysql' });
   }
 
   /**
@@ -567,7 +770,7 @@ export class MySQLAdapter extends BaseAdapter {
     // If error already has a code from security layers, preserve it
     if (
       error.code &&
-      ['QUERY_REJECTED', 'PERMISSION_DENIED', 'INVALID_INPUT', 'AUDIT_FAILURE'].includes(
+      ['QUERY_REJECTED', 'PERMISSION_DENIED', 'UNAUTHORIZED_TABLE', 'UNAUTHORIZED_COLUMN', 'QUERY_TOO_EXPENSIVE', 'INVALID_INPUT', 'INVALID_CONTINUATION', 'AUDIT_FAILURE'].includes(
         error.code
       )
     ) {
@@ -4,7 +4,14 @@ import { allowlist } from '../security/allowlist.js';
 import { queryGuard } from '../security/queryGuard.js';
 import { logger } from '../utils/logger.js';
 import { validateQueryWithTables } from '../security/queryValidator.js';
+import { getOrderByPolicy } from '../security/orderByPolicy.js';
 import { enforceQueryPermissions } from '../security/permissions.js';
+import { planResultMasking, applyResultMasking } from '../security/masking.js';
+import { tenantIsolation } from '../security/tenantIsolation.js';
+import { functionPolicy } from '../security/functionPolicy.js';
+import { keysetPagination } from '../security/keysetPagination.js';
+import { bindQueryParams } from '../security/queryParams.js';
+import { normalizePlan } from '../security/queryPlan.js';
 import { logQueryEvent, computeQueryFingerprint } from '../security/auditLogger.js';
 import { isValidSessionContext } from '../core/sessionContext.js';
 
@@ -212,8 +219,8 @@ export class PostgresAdapter extends BaseAdapter {
         throw new Error(`Table "${schema}.${table}" not found or has no columns`);
       }
 
-      // Apply column limit
-      let columns = queryGuard.limitColumns(result.rows);
+      // Hide columns the column rules do not allow, then apply column limit
+      let columns = queryGuard.limitColumns(allowlist.filterColumns(schema, table, result.rows, { dialect: 'postgres' }));
 
       this.logOperation('describeTable', params, startTime, columns);
 
@@ -228,9 +235,11 @@ export class PostgresAdapter extends BaseAdapter {
    * Execute a read-only SELECT query with security enforcement
    * @param {Object} params - Query parameters
    * @param {string} params.query - SQL query string
-   * @param {Array} [params.params] - Query parameters
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
    * @param {number} [params.limit] - Maximum rows to return (default: 100, max: 1000)
    * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {string} [params.continuation] - Continuation token of the previous page (keyset pagination)
    * @param {SessionContext} sessionContext - Bound session context (identity + tenant)
    * @returns {Promise<Object>} Query results with metadata
    */
@@ -250,37 +259,19 @@ export class PostgresAdapter extends BaseAdapter {
     }
 
     try {
-      const { query, params: queryParams = [], limit = 100, timeout = 30000 } = params;
+      const { query, params: queryParams = [], limit = 100, timeout = 30000, continuation = null, paramTypes = null } = params;
 
       if (!query || typeof query !== 'string') {
         throw this._createError('INVALID_INPUT', 'Query must be a non-empty string');
       }
 
-      // Compute fingerprint once (no raw SQL crosses audit boundary after this)
-      const queryFingerprint = computeQueryFingerprint(query);
-
-      // Step 1: Validate query structure (regex-based security validation)
-      const validation = validateQueryWithTables(query);
-      
-      if (!validation.valid) {
-        // Audit log: validation rejected (AFTER validation, fail-closed)
-        logQueryEvent('postgres', queryFingerprint, 'rejected');
-        throw this._createError('QUERY_REJECTED', validation.reason);
-      }
-
-      const tables = validation.tables;
-
-      // Step 2: Enforce permissions (allowlist check)
-      try {
-        enforceQueryPermissions(query);
-      } catch (permissionError) {
-        // Audit log: permission rejected (AFTER permission check, fail-closed)
-        logQueryEvent('postgres', queryFingerprint, 'rejected');
-        throw permissionError;
-      }
-
-      // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
-      logQueryEvent('postgres', queryFingerprint, 'validated');
+      // Steps 1-2: Validate, enforce permissions, plan masking, resume the page, isolate tenant rows
+      const { queryFingerprint, tables, maskingPlan, keyset, bound, isolated } = this._prepareQuery(
+        query,
+        queryParams,
+        sessionContext,
+        { continuation, paramTypes }
+      );
       validationPassed = true; // Mark validation as complete
 
       // Step 3: Validate and normalize limits/timeouts
@@ -288,26 +279,34 @@ export class PostgresAdapter extends BaseAdapter {
       const normalizedTimeout = this._normalizeTimeout(timeout);
 
       // Step 4: Execute via safe read method (READ ONLY transaction, enforced LIMIT, timeout)
-      const result = await pgPool.executeSafeRead(query, queryParams, {
-        maxLimit: normalizedLimit,
+      const result = await pgPool.executeSafeRead(isolated.query, isolated.params, {
+        maxRows: normalizedLimit,
         timeout: normalizedTimeout,
+        session: sessionContext,
       });
 
       const executionTime = Date.now() - startTime;
 
+      // SECURITY: Mask sensitive values before rows leave the adapter
+      const masked = applyResultMasking(result.rows, maskingPlan);
+
+      // Continuation token for the next page (sort key of the last unmasked row)
+      const nextPage = keysetPagination.issue(keyset, result, { ...bound, queryFingerprint, sessionContext });
+
       // Audit log: execution succeeded (AFTER execution, fail-closed)
-      logQueryEvent('postgres', queryFingerprint, 'success', executionTime);
+      logQueryEvent('postgres', queryFingerprint, 'success', executionTime, { maskingRules: masked.appliedRules });
 
       // Step 5: Log operation (no query text or params in logs)
       this.logOperation('executeQuery', { tableCount: tables.length, limit: normalizedLimit }, startTime, result);
 
       return {
-        rows: result.rows,
+        rows: masked.rows,
         rowCount: result.rowCount,
         fields: result.fields.map((f) => ({ name: f.name, dataTypeID: f.dataTypeID })),
         executionTime: result.executionTime,
         truncated: result.truncated,
         appliedLimit: result.appliedLimit,
+        continuation: nextPage,
       };
     } catch (error) {
       // Map to standardized error codes
@@ -326,6 +325,161 @@ export class PostgresAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Explain a read-only SELECT query with the same security enforcement as executeQuery
+   * @param {Object} params - Query parameters
+   * @param {string} params.query - SQL query string
+   * @param {Array|Object} [params.params] - Query parameters (positional, or by name for :name placeholders)
+   * @param {Array|Object} [params.paramTypes] - Declared parameter types (int, text, date, uuid, decimal)
+   * @param {number} [params.limit] - Limit applied to the explained statement (default: 100, max: 1000)
+   * @param {number} [params.timeout] - Query timeout in milliseconds (default: 30000, max: 60000)
+   * @param {boolean} [params.analyze] - Execute the statement and report actual rows and timing
+   * @param {SessionContext} sessionContext - Bound session context (identity + tenant)
+   * @returns {Promise<Object>} Normalized plan (see normalizePlan) with analyzed and appliedLimit
+   */
+  async explainQuery(params, sessionContext) {
+    const startTime = Date.now();
+    let validationPassed = false; // Track whether validation succeeded
+
+    // SECURITY: Defensive assertion - session context MUST be bound
+    if (!sessionContext || !sessionContext.isBound) {
+      throw new Error('SECURITY VIOLATION: Query explain attempted without bound session context');
+    }
+
+    // SECURITY: Verify session context is genuine
+    if (!isValidSessionContext(sessionContext)) {
+      throw new Error('SECURITY VIOLATION: Invalid session context instance');
+    }
+
+    try {
+      const { query, params: queryParams = [], limit = 100, timeout = 30000, analyze = false, paramTypes = null } = params;
+
+      if (!query || typeof query !== 'string') {
+        throw this._createError('INVALID_INPUT', 'Query must be a non-empty string');
+      }
+
+      // Steps 1-2: Same validation, permissions and rewrites as executeQuery
+      const { queryFingerprint, isolated } = this._prepareQuery(query, queryParams, sessionContext, { paramTypes });
+      validationPassed = true;
+
+      const normalizedLimit = this._normalizeLimit(limit);
+      const normalizedTimeout = this._normalizeTimeout(timeout);
+      const analyzed = analyze === true;
+
+      // Step 3: Plan the statement query_read would run (ANALYZE: execute and roll back)
+      const explained = await pgPool.explainSafeRead(isolated.query, isolated.params, {
+        maxRows: normalizedLimit,
+        timeout: normalizedTimeout,
+        session: sessionContext,
+        analyze: analyzed,
+      });
+
+      const result = normalizePlan(explained.plan, explained.query, { dialect: 'postgres' });
+
+      // Audit log: explain succeeded (AFTER execution, fail-closed)
+      logQueryEvent('postgres', queryFingerprint, 'success', Date.now() - startTime);
+
+      this.logOperation('explainQuery', { analyze: analyzed, limit: normalizedLimit }, startTime, result);
+
+      return {
+        ...result,
+        analyzed,
+        appliedLimit: explained.appliedLimit,
+      };
+    } catch (error) {
+      const mappedError = this._mapExecutionError(error);
+
+      // Audit log: explain failed (ONLY if validation passed)
+      if (validationPassed && mappedError.code !== 'AUDIT_FAILURE') {
+        logQueryEvent('postgres', computeQueryFingerprint(params.query), 'execution_error', Date.now() - startTime);
+      }
+
+      this.logError('explainQuery', { hasQuery: !!params.query }, mappedError);
+      throw mappedError;
+    }
+  }
+
+  /**
+   * Validate, authorize and rewrite a query (shared by executeQuery and explainQuery)
+   *
+   * Audit-logs the outcome: 'rejected' on any failure, 'validated' on success.
+   *
+   * @private
+   * @param {string} query - SQL query string
+   * @param {Array|Object} queryParams - Query parameters (positional or named)
+   * @param {SessionContext} sessionContext - Bound session context
+   * @param {Object} [options]
+   * @param {string|null} [options.continuation] - Continuation token (query resumes after its row)
+   * @param {Array|Object|null} [options.paramTypes] - Declared parameter types
+   * @returns {{ queryFingerprint: string, tables: string[], maskingPlan: Object|null, keyset: Object, bound: Object, isolated: Object }}
+   */
+  _prepareQuery(query, queryParams, sessionContext, options = {}) {
+    // Compute fingerprint once (no raw SQL crosses audit boundary after this)
+    const queryFingerprint = computeQueryFingerprint(query);
+
+    // Configured once at server start (a malformed policy file stops startup, not the query)
+    const orderByPolicy = getOrderByPolicy();
+
+    // Step 0: Bind parameters (translate :name placeholders, match placeholders to values, apply declared types)
+    let bound;
+    try {
+      bound = bindQueryParams(query, queryParams, { dialect: 'postgres', types: options.paramTypes });
+    } catch (paramError) {
+      // Audit log: parameters rejected (BEFORE validation, fail-closed)
+      logQueryEvent('postgres', queryFingerprint, 'rejected');
+      throw paramError;
+    }
+
+    // Step 1: Validate query structure (AST-based security validation)
+    const validation = validateQueryWithTables(bound.query, {
+      dialect: 'postgres',
+      tenant: sessionContext.tenant,
+      orderByPolicy,
+    });
+    
+    if (!validation.valid) {
+      // Audit log: validation rejected (AFTER validation, fail-closed)
+      logQueryEvent('postgres', queryFingerprint, 'rejected');
+      throw this._createError('QUERY_REJECTED', validation.reason, { rule: validation.rule });
+    }
+
+    const tables = validation.tables;
+
+    // Step 2: Enforce the function policy and permissions (allowlist check), plan result masking,
+    // resume after the continuation token's row and filter tenant-scoped tables to the session tenant
+    let maskingPlan;
+    let keyset;
+    let isolated;
+    try {
+      functionPolicy.enforce(bound.query, { dialect: 'postgres' });
+      enforceQueryPermissions(bound.query, { dialect: 'postgres', tenant: sessionContext.tenant });
+      maskingPlan = planResultMasking(bound.query, { dialect: 'postgres', tenant: sessionContext.tenant });
+      keyset = keysetPagination.plan(bound.query, {
+        dialect: 'postgres',
+        maskingPlan,
+        orderByPolicy,
+      });
+      const page = options.continuation
+        ? keysetPagination.resume(options.continuation, keyset, {
+          ...bound,
+          queryFingerprint,
+          sessionContext,
+          dialect: 'postgres',
+        })
+        : bound;
+      isolated = tenantIsolation.apply(page.query, page.params, sessionContext.tenant, { dialect: 'postgres' });
+    } catch (permissionError) {
+      // Audit log: permission rejected (AFTER permission check, fail-closed)
+      logQueryEvent('postgres', queryFingerprint, 'rejected');
+      throw permissionError;
+    }
+
+    // Audit log: validation succeeded (AFTER validation + permissions, fail-closed)
+    logQueryEvent('postgres', queryFingerprint, 'validated');
+
+    return { queryFingerprint, tables, maskingPlan, keyset, bound, isolated };
+  }
+
   /**
    * Normalize and validate limit parameter
    * @private
@@ -356,7 +510,7 @@ export class PostgresAdapter extends BaseAdapter {
    */
   _mapExecutionError(error) {
     // If error already has a code from security layers, preserve it
-    if (error.code && ['QUERY_REJECTED', 'PERMISSION_DENIED', 'INVALID_INPUT', 'AUDIT_FAILURE'].includes(error.code)) {
+    if (error.code && ['QUERY_REJECTED', 'PERMISSION_DENIED', 'UNAUTHORIZED_TABLE', 'UNAUTHORIZED_COLUMN', 'QUERY_TOO_EXPENSIVE', 'INVALID_INPUT', 'INVALID_CONTINUATION', 'AUDIT_FAILURE'].includes(error.code)) {
       return error;
     }
 
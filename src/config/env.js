@@ -44,9 +44,33 @@ export function loadConfig() {
       readOnly: process.env.READ_ONLY,
       allowlistSchemas: process.env.ALLOWLIST_SCHEMAS || '',
       allowlistTables: process.env.ALLOWLIST_TABLES || '',
+      allowlistColumns: process.env.ALLOWLIST_COLUMNS || '',
+      denylistColumns: process.env.DENYLIST_COLUMNS || '',
+      tenantColumns: process.env.TENANT_COLUMNS || '',
+      maxEstimatedRows: process.env.MAX_ESTIMATED_ROWS,
+      maxEstimatedCost: process.env.MAX_ESTIMATED_COST,
+      denyFullScanTables: process.env.DENY_FULL_SCAN_TABLES || '',
+      functionPolicyMode: process.env.FUNCTION_POLICY_MODE,
+      denyFunctions: process.env.DENY_FUNCTIONS || '',
+      allowFunctions: process.env.ALLOW_FUNCTIONS || '',
       maxTables: process.env.MAX_TABLES,
       maxColumns: process.env.MAX_COLUMNS,
     },
+    transport: {
+      mode: process.env.MCP_TRANSPORT,
+      host: process.env.MCP_HTTP_HOST,
+      port: process.env.MCP_HTTP_PORT,
+      path: process.env.MCP_HTTP_PATH,
+      ssePath: process.env.MCP_HTTP_SSE_PATH,
+      messagesPath: process.env.MCP_HTTP_MESSAGES_PATH,
+      enableSse: process.env.MCP_HTTP_SSE,
+      tlsCertFile: process.env.MCP_HTTP_TLS_CERT,
+      tlsKeyFile: process.env.MCP_HTTP_TLS_KEY,
+      tlsCaFile: process.env.MCP_HTTP_TLS_CA,
+      allowedHosts: process.env.MCP_HTTP_ALLOWED_HOSTS || '',
+      drainTimeoutMs: process.env.MCP_HTTP_DRAIN_TIMEOUT_MS,
+      maxBodyBytes: process.env.MCP_HTTP_MAX_BODY_BYTES,
+    },
     logging: {
       level: process.env.LOG_LEVEL,
       pretty: process.env.LOG_PRETTY,
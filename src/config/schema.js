@@ -54,10 +54,57 @@ export const configSchema = z.object({
       .string()
       .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
       .pipe(z.array(z.string()).default([])),
+    allowlistColumns: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
+    denylistColumns: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
+    tenantColumns: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
+    maxEstimatedRows: z.coerce.number().positive().optional(),
+    maxEstimatedCost: z.coerce.number().positive().optional(),
+    denyFullScanTables: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
+    functionPolicyMode: z.enum(['denylist', 'allowlist']).default('denylist'),
+    denyFunctions: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
+    allowFunctions: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()) : []))
+      .pipe(z.array(z.string()).default([])),
     maxTables: z.coerce.number().int().min(1).max(1000).default(100),
     maxColumns: z.coerce.number().int().min(1).max(500).default(200),
   }),
 
+  // Transport Configuration (stdio by default; http serves Streamable HTTP + SSE fallback)
+  transport: z.object({
+    mode: z.enum(['stdio', 'http']).default('stdio'),
+    host: z.string().min(1).default('127.0.0.1'),
+    port: z.coerce.number().int().min(0).max(65535).default(3000),
+    path: z.string().startsWith('/').default('/mcp'),
+    ssePath: z.string().startsWith('/').default('/sse'),
+    messagesPath: z.string().startsWith('/').default('/messages'),
+    enableSse: z.string().default('true').transform((val) => val === 'true'),
+    tlsCertFile: z.string().min(1).optional(),
+    tlsKeyFile: z.string().min(1).optional(),
+    tlsCaFile: z.string().min(1).optional(),
+    allowedHosts: z
+      .string()
+      .transform((val) => (val ? val.split(',').map((s) => s.trim()).filter((s) => s.length > 0) : []))
+      .pipe(z.array(z.string()).default([])),
+    drainTimeoutMs: z.coerce.number().int().min(0).max(300000).default(10000),
+    maxBodyBytes: z.coerce.number().int().min(1024).max(10485760).default(1048576),
+  }),
+
   // Logging Configuration
   logging: z.object({
     level: z.enum(['fatal', 'error', 'warn', 'info', 'debug', 'trace']).default('info'),
@@ -0,0 +1,61 @@
+import { isValidSessionContext } from './sessionContext.js';
+import { AuthzReason, evaluateCapability } from '../security/capabilities.js';
+import { auditLog } from '../utils/logger.js';
+
+/**
+ * Authorize a non-tool protocol action (tool listing, resource list/read)
+ *
+ * Tool calls are authorized by executeToolBoundary. Every other MCP handler that
+ * exposes data (e.g. resources/list, resources/read) MUST call this before doing
+ * any work, with the matching CapabilityAction.
+ *
+ * Fail-closed: invalid session, unknown action, missing grant = deny.
+ *
+ * @param {Object} request - Authorization request
+ * @param {SessionContext} request.sessionContext - Bound session context
+ * @param {string} request.action - Action from CapabilityAction enum
+ * @param {string} request.target - Target (tool name, resource URI)
+ * @param {Object} [request.meta] - { nowMs }
+ * @returns {Object} { allowed: boolean, reason: string, grant: Object|null }
+ */
+export function authorizeAction({ sessionContext, action, target, meta }) {
+  const startTime = meta?.nowMs || Date.now();
+
+  // INVARIANT: Only genuine, bound session contexts can be authorized
+  if (!sessionContext || !sessionContext.isBound || !isValidSessionContext(sessionContext)) {
+    return {
+      allowed: false,
+      reason: AuthzReason.DENIED_INVALID_CONTEXT,
+      grant: null,
+    };
+  }
+
+  const authzResult = evaluateCapability(
+    sessionContext.capabilities,
+    action,
+    target,
+    {
+      identity: sessionContext.identity,
+      tenant: sessionContext.tenant,
+      sessionId: sessionContext.sessionId,
+      nowMs: startTime,
+    }
+  );
+
+  auditLog({
+    action: 'authz',
+    identity: sessionContext.identity,
+    tenant: sessionContext.tenant,
+    decision: authzResult.allowed ? 'ALLOW' : 'DENY',
+    reason: authzResult.reason,
+    constraint: authzResult.constraint,
+    capSetId: sessionContext.capabilities?.capSetId,
+    duration: Date.now() - startTime,
+    outcome: authzResult.allowed ? 'success' : 'denied',
+    details: { capability: action, target },
+  });
+
+  return authzResult;
+}
+
+export default authorizeAction;
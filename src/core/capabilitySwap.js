@@ -0,0 +1,50 @@
+/**
+ * Capability Swap Channel (internal)
+ *
+ * Hands the session capability swap from sessionContext.js to the capability
+ * reloader without exporting it from any public module. This file is not in
+ * the package's `exports`, and nothing re-exports it, so library consumers
+ * holding a session have no way to replace its capabilities. The audited entry
+ * points are CapabilityReloader.replaceAll()/revokeAll().
+ *
+ * Security Invariants:
+ * 1. The swap is installed once, by sessionContext.js at module load
+ * 2. Swapping before installation fails closed
+ */
+
+let installedSwap = null;
+
+/**
+ * Install the swap implementation (called once by sessionContext.js)
+ *
+ * @param {Function} swap - (context, capabilities, options) => void
+ * @throws {Error} If a swap is already installed
+ */
+export function installCapabilitySwap(swap) {
+  // INVARIANT: Attach-once (a second installer could bypass the audited swap)
+  if (installedSwap) {
+    throw new Error('SECURITY VIOLATION: Capability swap is already installed');
+  }
+
+  if (typeof swap !== 'function') {
+    throw new Error('Capability swap must be a function');
+  }
+
+  installedSwap = swap;
+}
+
+/**
+ * Atomically replace (or revoke) the capabilities of a live session
+ *
+ * @param {SessionContext} context - Bound session with capabilities attached
+ * @param {CapabilitySet|null} capabilities - New capability set, or null to revoke
+ * @param {Object} [options] - { source, reason } for the audit log
+ * @throws {Error} If no swap is installed, or the swap rejects the arguments
+ */
+export function swapSessionCapabilities(context, capabilities, options = {}) {
+  if (!installedSwap) {
+    throw new Error('SECURITY VIOLATION: Capability swap is not installed');
+  }
+
+  installedSwap(context, capabilities, options);
+}
@@ -1,5 +1,5 @@
 import { isValidSessionContext } from './sessionContext.js';
-import { CapabilityAction, evaluateCapability } from '../security/capabilities.js';
+import { CapabilityAction, evaluateCapability, evaluateGrantConstraints } from '../security/capabilities.js';
 import { auditLog } from '../utils/logger.js';
 
 /**
@@ -68,14 +68,19 @@ export async function executeToolBoundary(request) {
   }
 
   // 4. Authorization
+  // SECURITY: Snapshot capabilities once; a concurrent hot-reload/revocation applies
+  // to the next call, while this call completes under the set it was authorized with
+  const capabilities = sessionContext.capabilities;
+
   const authzResult = evaluateCapability(
-    sessionContext.capabilities,
+    capabilities,
     CapabilityAction.TOOL_INVOKE,
     toolName,
     {
       identity: sessionContext.identity,
       tenant: sessionContext.tenant,
       sessionId: sessionContext.sessionId,
+      nowMs: startTime,
     }
   );
 
@@ -86,7 +91,7 @@ export async function executeToolBoundary(request) {
     tenant: sessionContext.tenant,
     decision: authzResult.allowed ? 'ALLOW' : 'DENY',
     reason: authzResult.reason,
-    capSetId: sessionContext.capabilities?.capSetId,
+    capSetId: capabilities?.capSetId,
     duration: Date.now() - startTime,
     outcome: authzResult.allowed ? 'success' : 'denied',
   });
@@ -97,7 +102,11 @@ export async function executeToolBoundary(request) {
       error: {
         code: 'UNAUTHORIZED',
         message: 'Insufficient permissions to invoke this tool',
-        details: { tool: toolName }
+        details: {
+          tool: toolName,
+          reason: authzResult.reason,
+          constraint: authzResult.constraint,
+        }
       }
     };
   }
@@ -112,7 +121,7 @@ export async function executeToolBoundary(request) {
       tenant: sessionContext.tenant,
       identity: sessionContext.identity,
       sessionId: sessionContext.sessionId,
-      capSetId: sessionContext.capabilities?.capSetId,
+      capSetId: capabilities?.capSetId,
       action: CapabilityAction.TOOL_INVOKE,
       target: toolName,
     });
@@ -180,7 +189,51 @@ export async function executeToolBoundary(request) {
     };
   }
 
-  // 7. Execution
+  // 7. Grant constraints (evaluated against validated input; fail-closed if tool cannot report scope)
+  if (authzResult.grant?.constraints) {
+    let scope = null;
+    try {
+      scope = typeof tool.scope === 'function' ? tool.scope(validationResult.data, adapters?.activeAdapter) : null;
+    } catch {
+      scope = null;
+    }
+
+    const constraintResult = evaluateGrantConstraints(authzResult.grant, scope, { dialect: adapters?.activeAdapter?.name });
+
+    auditLog({
+      action: 'authz',
+      tool: toolName,
+      identity: sessionContext.identity,
+      tenant: sessionContext.tenant,
+      decision: constraintResult.allowed ? 'ALLOW' : 'DENY',
+      reason: constraintResult.reason,
+      constraint: constraintResult.constraint,
+      capSetId: capabilities?.capSetId,
+      duration: Date.now() - startTime,
+      outcome: constraintResult.allowed ? 'success' : 'denied',
+    });
+
+    if (!constraintResult.allowed) {
+      if (sessionContext.hasQuotaEngine && quotaSemaphoreKey) {
+        sessionContext.quotaEngine.release(quotaSemaphoreKey);
+      }
+
+      return {
+        ok: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Request violates capability constraints',
+          details: {
+            tool: toolName,
+            reason: constraintResult.reason,
+            constraint: constraintResult.constraint,
+          }
+        }
+      };
+    }
+  }
+
+  // 8. Execution
   try {
     const adapter = adapters.getAdapter();
     
@@ -0,0 +1,472 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+import {
+  extractRequestCredentials,
+  fingerprintCredentials,
+  credentialsMatch,
+} from './sessionResolver.js';
+
+/**
+ * HTTP Transport Host
+ *
+ * Hosts MCP sessions over the network so several agents can share one server process.
+ *
+ * Protocols:
+ * - Streamable HTTP (current MCP spec) on `path` (POST/GET/DELETE)
+ * - Legacy HTTP+SSE fallback on `ssePath` (GET stream) + `messagesPath` (POST)
+ *
+ * Security Invariants:
+ * 1. Every MCP session gets its own protocol server; handlers still route through executeToolBoundary
+ * 2. Unknown or missing session IDs are rejected (no implicit session creation)
+ * 3. Request bodies are size-bounded before parsing (fail-closed on oversize/malformed JSON)
+ * 4. While draining, no new sessions or requests are accepted
+ * 5. Each session is bound to a SessionContext resolved from the credentials that opened it;
+ *    later requests on that session must present the same credentials
+ */
+
+const JSONRPC_PARSE_ERROR = -32700;
+const JSONRPC_INVALID_REQUEST = -32600;
+const JSONRPC_SERVER_ERROR = -32000;
+
+export class HttpTransportHost {
+  /**
+   * @param {Object} options - Host options
+   * @param {Object} options.config - Validated transport configuration (config.transport)
+   * @param {Function} options.resolveSession - Async (credentials) => bound SessionContext (throws to deny)
+   * @param {Function} options.createServer - Factory (sessionContext) => new, handler-registered MCP Server
+   * @param {Function} [options.waitForIdle] - Async callback resolving when in-flight tool calls finish
+   */
+  constructor({ config, resolveSession, createServer, waitForIdle }) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('HttpTransportHost: config is required');
+    }
+
+    if (typeof resolveSession !== 'function') {
+      throw new Error('HttpTransportHost: resolveSession is required');
+    }
+
+    if (typeof createServer !== 'function') {
+      throw new Error('HttpTransportHost: createServer factory is required');
+    }
+
+    this.config = config;
+    this.resolveSession = resolveSession;
+    this.createServer = createServer;
+    this.waitForIdle = waitForIdle || (async () => {});
+
+    this.httpServer = null;
+    this.draining = false;
+
+    // sessionId -> { transport, server, kind, credentialFingerprint, sessionContext }
+    this.sessions = new Map();
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start listening on the configured address
+   * @returns {Promise<{host: string, port: number}>} Bound address
+   */
+  async start() {
+    if (this.httpServer) {
+      throw new Error('HttpTransportHost: already started');
+    }
+
+    const listener = (req, res) => {
+      this._handle(req, res).catch((error) => {
+        logger.error({ error: error.message }, 'HTTP transport: request handling failed');
+        if (!res.headersSent) {
+          this._sendJsonRpcError(res, 500, JSONRPC_SERVER_ERROR, 'Internal server error');
+        }
+      });
+    };
+
+    const tls = this._loadTlsOptions();
+    this.httpServer = tls ? https.createServer(tls, listener) : http.createServer(listener);
+
+    // Track sockets so draining can terminate idle keep-alive connections
+    this.httpServer.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.config.port, this.config.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.httpServer.address();
+
+    logger.info({
+      host: address.address,
+      port: address.port,
+      tls: !!tls,
+      path: this.config.path,
+      sse: this.config.enableSse,
+    }, 'HTTP transport listening');
+
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Gracefully drain: refuse new work, let in-flight calls finish, then close everything
+   *
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (!this.httpServer || this.draining) {
+      return;
+    }
+
+    this.draining = true;
+    logger.info({ sessions: this.sessions.size }, 'HTTP transport draining');
+
+    // Stop accepting new connections (existing ones stay open until closed below)
+    const closed = new Promise((resolve) => this.httpServer.close(() => resolve()));
+
+    // Wait for in-flight tool calls, bounded by drain timeout
+    let timer = null;
+    const timedOut = await Promise.race([
+      this.waitForIdle().then(() => false),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), this.config.drainTimeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      logger.warn({ drainTimeoutMs: this.config.drainTimeoutMs }, 'HTTP transport drain timeout reached (forcing close)');
+    }
+
+    // Close every MCP session (transport + protocol server)
+    for (const [sessionId, session] of this.sessions.entries()) {
+      try {
+        await session.server.close();
+      } catch (error) {
+        logger.warn({ sessionId, error: error.message }, 'HTTP transport: session close failed');
+      }
+    }
+    this.sessions.clear();
+
+    // Terminate remaining sockets (long-lived SSE streams, idle keep-alives)
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    await closed;
+    this.httpServer = null;
+
+    logger.info('HTTP transport drained');
+  }
+
+  /**
+   * Route an incoming HTTP request
+   * @private
+   */
+  async _handle(req, res) {
+    if (this.draining) {
+      res.setHeader('Connection', 'close');
+      this._sendJsonRpcError(res, 503, JSONRPC_SERVER_ERROR, 'Server is draining');
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === this.config.path) {
+      await this._handleStreamable(req, res);
+      return;
+    }
+
+    if (this.config.enableSse && url.pathname === this.config.ssePath && req.method === 'GET') {
+      await this._handleSseStream(req, res);
+      return;
+    }
+
+    if (this.config.enableSse && url.pathname === this.config.messagesPath && req.method === 'POST') {
+      await this._handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      return;
+    }
+
+    this._sendJsonRpcError(res, 404, JSONRPC_INVALID_REQUEST, 'Not found');
+  }
+
+  /**
+   * Streamable HTTP endpoint (POST messages, GET notification stream, DELETE session)
+   * @private
+   */
+  async _handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+      res.setHeader('Allow', 'POST, GET, DELETE');
+      this._sendJsonRpcError(res, 405, JSONRPC_INVALID_REQUEST, 'Method not allowed');
+      return;
+    }
+
+    let body;
+    if (req.method === 'POST') {
+      body = await this._readJsonBody(req, res);
+      if (body === undefined) {
+        return; // Error response already sent
+      }
+    }
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+
+      // INVARIANT: Unknown session IDs never create or resume a session
+      if (!session || session.kind !== 'streamable') {
+        this._sendJsonRpcError(res, 404, JSONRPC_INVALID_REQUEST, 'Unknown session');
+        return;
+      }
+
+      if (!this._sameCredentials(req, session)) {
+        this._sendJsonRpcError(res, 403, JSONRPC_INVALID_REQUEST, 'Credentials do not match session');
+        return;
+      }
+
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    // INVARIANT: New sessions may only be created by an initialize request
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      this._sendJsonRpcError(res, 400, JSONRPC_INVALID_REQUEST, 'Missing session ID (initialize first)');
+      return;
+    }
+
+    const binding = await this._resolveBinding(req, res);
+    if (!binding) {
+      return; // 401 already sent
+    }
+
+    const server = this.createServer(binding.sessionContext);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        this.sessions.set(newSessionId, { transport, server, kind: 'streamable', ...binding });
+        logger.info({ sessionId: newSessionId, transport: 'streamable-http' }, 'HTTP transport: session opened');
+      },
+      ...this._dnsRebindingOptions(),
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        logger.info({ sessionId: transport.sessionId, transport: 'streamable-http' }, 'HTTP transport: session closed');
+      }
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // A failed initialize never registers a session, so nothing else would close this server
+      if (!transport.sessionId || !this.sessions.has(transport.sessionId)) {
+        server.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Legacy SSE stream endpoint (fallback for older clients)
+   * @private
+   */
+  async _handleSseStream(req, res) {
+    if (this._dnsRebindingRejected(req)) {
+      this._sendJsonRpcError(res, 403, JSONRPC_INVALID_REQUEST, 'Host not allowed');
+      return;
+    }
+
+    const binding = await this._resolveBinding(req, res);
+    if (!binding) {
+      return; // 401 already sent
+    }
+
+    const server = this.createServer(binding.sessionContext);
+    const transport = new SSEServerTransport(this.config.messagesPath, res);
+
+    this.sessions.set(transport.sessionId, { transport, server, kind: 'sse', ...binding });
+    logger.info({ sessionId: transport.sessionId, transport: 'sse' }, 'HTTP transport: session opened');
+
+    transport.onclose = () => {
+      if (this.sessions.delete(transport.sessionId)) {
+        logger.info({ sessionId: transport.sessionId, transport: 'sse' }, 'HTTP transport: session closed');
+      }
+    };
+
+    res.on('close', () => {
+      server.close().catch(() => {});
+    });
+
+    // connect() starts the transport, which writes the SSE headers and endpoint event
+    await server.connect(transport);
+  }
+
+  /**
+   * Legacy SSE message endpoint
+   * @private
+   */
+  async _handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+
+    // INVARIANT: Messages for unknown sessions are rejected
+    if (!session || session.kind !== 'sse') {
+      this._sendJsonRpcError(res, 404, JSONRPC_INVALID_REQUEST, 'Unknown session');
+      return;
+    }
+
+    if (!this._sameCredentials(req, session)) {
+      this._sendJsonRpcError(res, 403, JSONRPC_INVALID_REQUEST, 'Credentials do not match session');
+      return;
+    }
+
+    const body = await this._readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Resolve the session binding for a new connection
+   * @private
+   * @returns {Promise<{sessionContext: SessionContext, credentialFingerprint: string}|null>} Binding, or null if denied
+   */
+  async _resolveBinding(req, res) {
+    const credentials = extractRequestCredentials(req);
+
+    try {
+      const sessionContext = await this.resolveSession(credentials);
+      return {
+        sessionContext,
+        credentialFingerprint: fingerprintCredentials(credentials),
+      };
+    } catch (error) {
+      // INVARIANT: Resolution failure = no session, no protocol server (fail-closed)
+      logger.warn({ error: error.message, remoteAddress: credentials.remoteAddress }, 'HTTP transport: session resolution denied');
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this._sendJsonRpcError(res, 401, JSONRPC_INVALID_REQUEST, 'Unauthorized');
+      return null;
+    }
+  }
+
+  /**
+   * Check that a request presents the credentials its session was opened with
+   * @private
+   */
+  _sameCredentials(req, session) {
+    return credentialsMatch(extractRequestCredentials(req), session.credentialFingerprint);
+  }
+
+  /**
+   * Read and parse a size-bounded JSON body
+   * @private
+   * @returns {Promise<*>} Parsed body, or undefined if an error response was sent
+   */
+  async _readJsonBody(req, res) {
+    const maxBytes = this.config.maxBodyBytes;
+    const chunks = [];
+    let size = 0;
+
+    try {
+      for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          this._sendJsonRpcError(res, 413, JSONRPC_INVALID_REQUEST, 'Request body too large');
+          req.destroy();
+          return undefined;
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      this._sendJsonRpcError(res, 400, JSONRPC_PARSE_ERROR, 'Failed to read request body');
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this._sendJsonRpcError(res, 400, JSONRPC_PARSE_ERROR, 'Parse error');
+      return undefined;
+    }
+  }
+
+  /**
+   * Load TLS material (both cert and key are required when either is set)
+   * @private
+   */
+  _loadTlsOptions() {
+    const { tlsCertFile, tlsKeyFile, tlsCaFile } = this.config;
+
+    if (!tlsCertFile && !tlsKeyFile) {
+      return null;
+    }
+
+    // INVARIANT: Partial TLS configuration is a misconfiguration (fail-closed, never downgrade to plaintext)
+    if (!tlsCertFile || !tlsKeyFile) {
+      throw new Error('HTTP transport TLS misconfigured: both MCP_HTTP_TLS_CERT and MCP_HTTP_TLS_KEY are required');
+    }
+
+    return {
+      cert: fs.readFileSync(tlsCertFile),
+      key: fs.readFileSync(tlsKeyFile),
+      ...(tlsCaFile && { ca: fs.readFileSync(tlsCaFile) }),
+      minVersion: 'TLSv1.2',
+    };
+  }
+
+  /**
+   * DNS rebinding protection options for the Streamable HTTP transport
+   * @private
+   */
+  _dnsRebindingOptions() {
+    const allowedHosts = this.config.allowedHosts || [];
+
+    if (allowedHosts.length === 0) {
+      return {};
+    }
+
+    return {
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+    };
+  }
+
+  /**
+   * Host header check for the legacy SSE endpoint
+   * @private
+   */
+  _dnsRebindingRejected(req) {
+    const allowedHosts = this.config.allowedHosts || [];
+    return allowedHosts.length > 0 && !allowedHosts.includes(req.headers.host);
+  }
+
+  /**
+   * Send a JSON-RPC error with an HTTP status
+   * @private
+   */
+  _sendJsonRpcError(res, status, code, message) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null,
+    }));
+  }
+}
+
+export default HttpTransportHost;
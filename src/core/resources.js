@@ -0,0 +1,358 @@
+import { authorizeAction } from './authorizeAction.js';
+import { CapabilityAction, evaluateCapability, evaluateGrantConstraints } from '../security/capabilities.js';
+import { allowlist } from '../security/allowlist.js';
+import { auditLog, logger } from '../utils/logger.js';
+
+/**
+ * MCP Resources: allowlisted schemas and tables as browsable resources
+ *
+ * URIs:
+ *   db://<adapter>/<schema>           -> tables in the schema
+ *   db://<adapter>/<schema>/<table>   -> table definition (columns)
+ *
+ * Security Invariants:
+ * 1. Only allowlisted schemas/tables are listed or readable
+ * 2. resources/list requires `resource.list` on db://<adapter> (authorized through
+ *    authorizeAction(), audited, quota-limited) before the adapter is queried, and
+ *    shows a resource only if the session holds both `resource.list` and
+ *    `resource.read` for its URI
+ * 3. resources/read is authorized through authorizeAction() (audited) and
+ *    honours grant constraints; quota applies as for tool calls
+ * 4. Unknown, malformed or foreign-adapter URIs are "not found" (no probing)
+ */
+
+export const RESOURCE_URI_SCHEME = 'db';
+
+const RESOURCE_MIME_TYPE = 'application/json';
+
+/**
+ * Build a resource URI
+ * @param {string} adapterName - Active adapter name
+ * @param {string} schema - Schema name
+ * @param {string} [table] - Table name (omit for a schema resource)
+ * @returns {string} Resource URI
+ */
+export function buildResourceUri(adapterName, schema, table) {
+  const segments = [adapterName, schema, ...(table ? [table] : [])].map(encodeURIComponent);
+  return `${RESOURCE_URI_SCHEME}://${segments.join('/')}`;
+}
+
+/**
+ * Parse a resource URI
+ * @param {string} uri - Resource URI
+ * @returns {{ adapter: string, schema: string, table: string|null }|null} Parsed URI, or null if malformed
+ */
+export function parseResourceUri(uri) {
+  const prefix = `${RESOURCE_URI_SCHEME}://`;
+
+  if (typeof uri !== 'string' || !uri.startsWith(prefix)) {
+    return null;
+  }
+
+  const segments = uri.slice(prefix.length).split('/');
+  if (segments.length < 2 || segments.length > 3) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = segments.map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+
+  if (decoded.some((segment) => segment.length === 0)) {
+    return null;
+  }
+
+  return {
+    adapter: decoded[0],
+    schema: decoded[1],
+    table: decoded[2] ?? null,
+  };
+}
+
+/**
+ * Call scope of a resource (for capability grant constraints)
+ * @private
+ */
+function resourceScope({ schema, table }) {
+  return {
+    schemas: [schema],
+    tables: table ? [`${schema}.${table}`] : null,
+  };
+}
+
+/**
+ * Check whether a session may see a resource in resources/list
+ * @private
+ */
+function isListable(sessionContext, context, uri, parsed, dialect) {
+  // SECURITY: resource.list goes through authorizeAction so every listing decision is audited
+  const listResult = authorizeAction({ sessionContext, action: CapabilityAction.RESOURCE_LIST, target: uri });
+  if (!listResult.allowed) {
+    return false;
+  }
+
+  // Read rights only hide the resource here (the read itself is audited by readResource)
+  const readResult = evaluateCapability(sessionContext.capabilities, CapabilityAction.RESOURCE_READ, uri, context);
+  if (!readResult.allowed) {
+    return false;
+  }
+
+  if (readResult.grant?.constraints) {
+    return evaluateGrantConstraints(readResult.grant, resourceScope(parsed), { dialect }).allowed;
+  }
+
+  return true;
+}
+
+/**
+ * List the resources visible to a session
+ *
+ * The session must hold `resource.list` for the adapter root (db://<adapter>)
+ * before the adapter is queried; each resource is then filtered by its own URI.
+ *
+ * @param {Object} params
+ * @param {SessionContext} params.sessionContext - Bound session context
+ * @param {Object} params.adapter - Active database adapter
+ * @param {Object} [params.meta] - { nowMs }
+ * @returns {Promise<Array<{uri: string, name: string, description: string, mimeType: string}>>}
+ * @throws {Error} If the adapter fails (callers must not forward the message)
+ */
+export async function listResources({ sessionContext, adapter, meta }) {
+  const rootUri = `${RESOURCE_URI_SCHEME}://${adapter.name}`;
+
+  // INVARIANT: Authorized (and audited) before any adapter call; invalid sessions are denied here too
+  const authzResult = authorizeAction({
+    sessionContext,
+    action: CapabilityAction.RESOURCE_LIST,
+    target: rootUri,
+    meta: { nowMs: meta?.nowMs || Date.now() },
+  });
+
+  if (!authzResult.allowed) {
+    return [];
+  }
+
+  // Quota (same scope as resources/read)
+  let quotaSemaphoreKey = null;
+
+  if (sessionContext.hasQuotaEngine) {
+    const quotaResult = sessionContext.quotaEngine.checkAndReserve({
+      tenant: sessionContext.tenant,
+      identity: sessionContext.identity,
+      sessionId: sessionContext.sessionId,
+      capSetId: sessionContext.capabilities?.capSetId,
+      action: CapabilityAction.RESOURCE_LIST,
+      target: rootUri,
+    });
+
+    if (!quotaResult.allowed) {
+      logger.warn({ reason: quotaResult.reason }, 'Resource list denied by quota policy');
+      return [];
+    }
+
+    quotaSemaphoreKey = quotaResult.semaphoreKey;
+  }
+
+  try {
+    const context = {
+      identity: sessionContext.identity,
+      tenant: sessionContext.tenant,
+      sessionId: sessionContext.sessionId,
+    };
+
+    const candidates = [];
+
+    for (const schema of allowlist.getConfig().allowedSchemas) {
+      candidates.push({
+        uri: buildResourceUri(adapter.name, schema),
+        name: schema,
+        description: `Tables in schema "${schema}"`,
+        parsed: { schema, table: null },
+      });
+    }
+
+    // Adapters only return allowlisted tables
+    const tables = await adapter.listTables({}, sessionContext);
+    for (const { schema, name } of tables) {
+      candidates.push({
+        uri: buildResourceUri(adapter.name, schema, name),
+        name: `${schema}.${name}`,
+        description: `Definition of table "${schema}.${name}"`,
+        parsed: { schema, table: name },
+      });
+    }
+
+    const resources = candidates
+      .filter(({ uri, parsed }) => isListable(sessionContext, context, uri, parsed, adapter.name))
+      .map(({ uri, name, description }) => ({ uri, name, description, mimeType: RESOURCE_MIME_TYPE }));
+
+    logger.debug({
+      totalResources: candidates.length,
+      authorizedResources: resources.length,
+    }, 'Resource list filtered by capabilities');
+
+    return resources;
+  } finally {
+    if (quotaSemaphoreKey) {
+      sessionContext.quotaEngine.release(quotaSemaphoreKey);
+    }
+  }
+}
+
+/**
+ * Read a resource through the same authorization, constraint and quota gates as tool calls
+ *
+ * @param {Object} params
+ * @param {SessionContext} params.sessionContext - Bound session context
+ * @param {Object} params.adapter - Active database adapter
+ * @param {string} params.uri - Resource URI
+ * @param {Object} [params.meta] - { nowMs }
+ * @returns {Promise<Object>} { ok: true, value: { uri, mimeType, text } } | { ok: false, error: { code, message, details? } }
+ */
+export async function readResource({ sessionContext, adapter, uri, meta }) {
+  const startTime = meta?.nowMs || Date.now();
+
+  // 1. Authorization (session validity is checked by authorizeAction)
+  const authzResult = authorizeAction({
+    sessionContext,
+    action: CapabilityAction.RESOURCE_READ,
+    target: uri,
+    meta: { nowMs: startTime },
+  });
+
+  if (!authzResult.allowed) {
+    return {
+      ok: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Insufficient permissions to read this resource',
+        details: { reason: authzResult.reason, constraint: authzResult.constraint },
+      },
+    };
+  }
+
+  // 2. URI resolution (allowlist checked before any adapter call)
+  const parsed = parseResourceUri(uri);
+  const inAllowlist = parsed && (parsed.table
+    ? allowlist.isTableAllowed(parsed.schema, parsed.table)
+    : allowlist.isSchemaAllowed(parsed.schema));
+
+  if (!parsed || parsed.adapter !== adapter.name || !inAllowlist) {
+    return {
+      ok: false,
+      error: { code: 'RESOURCE_NOT_FOUND', message: 'Resource not found' },
+    };
+  }
+
+  // 3. Grant constraints
+  if (authzResult.grant?.constraints) {
+    const constraintResult = evaluateGrantConstraints(authzResult.grant, resourceScope(parsed), { dialect: adapter.name });
+
+    if (!constraintResult.allowed) {
+      auditLog({
+        action: 'authz',
+        identity: sessionContext.identity,
+        tenant: sessionContext.tenant,
+        decision: 'DENY',
+        reason: constraintResult.reason,
+        constraint: constraintResult.constraint,
+        capSetId: sessionContext.capabilities?.capSetId,
+        duration: Date.now() - startTime,
+        outcome: 'denied',
+        details: { capability: CapabilityAction.RESOURCE_READ, target: uri },
+      });
+
+      return {
+        ok: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Request violates capability constraints',
+          details: { reason: constraintResult.reason, constraint: constraintResult.constraint },
+        },
+      };
+    }
+  }
+
+  // 4. Quota (one scope per adapter, so reading many URIs does not multiply the budget)
+  let quotaSemaphoreKey = null;
+
+  if (sessionContext.hasQuotaEngine) {
+    const quotaResult = sessionContext.quotaEngine.checkAndReserve({
+      tenant: sessionContext.tenant,
+      identity: sessionContext.identity,
+      sessionId: sessionContext.sessionId,
+      capSetId: sessionContext.capabilities?.capSetId,
+      action: CapabilityAction.RESOURCE_READ,
+      target: `${RESOURCE_URI_SCHEME}://${adapter.name}`,
+    });
+
+    if (!quotaResult.allowed) {
+      return {
+        ok: false,
+        error: {
+          code: 'RATE_LIMITED',
+          message: 'Request denied by quota policy',
+          details: { reason: quotaResult.reason },
+        },
+      };
+    }
+
+    quotaSemaphoreKey = quotaResult.semaphoreKey;
+  }
+
+  // 5. Read
+  try {
+    const { schema, table } = parsed;
+    const body = table
+      ? { schema, table, columns: await adapter.describeTable({ schema, table }, sessionContext) }
+      : { schema, tables: (await adapter.listTables({ schema }, sessionContext)).map((t) => t.name) };
+
+    auditLog({
+      action: 'resources/read',
+      adapter: adapter.name,
+      identity: sessionContext.identity,
+      tenant: sessionContext.tenant,
+      input: { uri },
+      duration: Date.now() - startTime,
+      outcome: 'success',
+    });
+
+    return {
+      ok: true,
+      value: { uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(body, null, 2) },
+    };
+  } catch (error) {
+    auditLog({
+      action: 'resources/read',
+      adapter: adapter.name,
+      identity: sessionContext.identity,
+      tenant: sessionContext.tenant,
+      input: { uri },
+      duration: Date.now() - startTime,
+      outcome: 'error',
+      error: error.message,
+    });
+
+    logger.error({ adapter: adapter.name, uri, error: error.message }, 'Resource read failed');
+
+    // SECURITY: Driver messages can name hosts, databases or relations; they stay in the logs
+    return {
+      ok: false,
+      error: { code: 'ADAPTER_FAILURE', message: 'Resource could not be read' },
+    };
+  } finally {
+    if (quotaSemaphoreKey) {
+      sessionContext.quotaEngine.release(quotaSemaphoreKey);
+    }
+  }
+}
+
+export default {
+  buildResourceUri,
+  parseResourceUri,
+  listResources,
+  readResource,
+};
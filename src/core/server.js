@@ -3,6 +3,10 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ErrorCode,
+  McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { getConfig } from '../config/env.js';
@@ -10,10 +14,21 @@ import { logger } from '../utils/logger.js';
 import { adapterRegistry } from '../adapters/adapterRegistry.js';
 import { toolRegistry } from './toolRegistry.js';
 import { createSessionContextFromEnv } from './sessionContext.js';
-import { loadCapabilitiesFromEnv } from '../security/capabilities.js';
+import { configureCapabilityKeyringFromEnv } from '../security/capabilities.js';
+import { configureRolePolicyFromEnv, loadSessionCapabilities } from '../security/roles.js';
+import { loadCapabilityReloaderFromEnv } from '../security/capabilityReload.js';
 import { loadQuotaEngineFromEnv } from '../security/quotas.js';
+import { configureMaskingPolicyFromEnv } from '../security/masking.js';
+import { configureOrderByPolicyFromEnv } from '../security/orderByPolicy.js';
+import { configurePgRoleMappingFromEnv } from '../security/pgRoleMapping.js';
 import * as responseFormatter from './responseFormatter.js';
 import { executeToolBoundary } from './executeToolBoundary.js';
+import { listResources, readResource } from './resources.js';
+import { HttpTransportHost } from './httpTransport.js';
+import { resolveSessionContext, loadSessionResolverFromEnv } from './sessionResolver.js';
+
+// JSON-RPC error code for an unknown resource (MCP specification)
+const RESOURCE_NOT_FOUND_CODE = -32002;
 
 /**
  * MCP Server Core
@@ -23,9 +38,37 @@ class MCPServer {
   constructor() {
     this.server = null;
     this.transport = null;
+    this.httpHost = null;
+    this.config = null;
     this.isRunning = false;
+    // In-flight tool calls and resource reads (awaited when draining network transports)
+    this.inFlightCalls = new Set();
     // SECURITY: Session context bound once at initialization (immutable)
+    // (stdio only; http binds one context per connection via the session resolver)
     this.sessionContext = null;
+    this.sessionResolver = null;
+    this.defaultQuotaEngine = null;
+    // Capability hot-reload (MCP_CAPABILITIES_FILE); null = capabilities fixed at bind
+    this.capabilityReloader = null;
+  }
+
+  /**
+   * Set the per-connection session resolver used by the HTTP transport
+   *
+   * Must be called before start(). Overrides MCP_SESSION_TOKENS_FILE.
+   *
+   * @param {Function} resolver - async (credentials) => ({ identity, tenant, capabilities?, quotaEngine? })
+   */
+  setSessionResolver(resolver) {
+    if (typeof resolver !== 'function') {
+      throw new Error('Session resolver must be a function');
+    }
+
+    if (this.isRunning) {
+      throw new Error('Session resolver cannot be changed after start');
+    }
+
+    this.sessionResolver = resolver;
   }
 
   /**
@@ -37,53 +80,119 @@ class MCPServer {
 
       // Load and validate configuration
       const config = getConfig();
+      this.config = config;
 
-      // SECURITY: Bind session context FIRST (fail-closed if missing)
-      // This MUST happen before any data-plane initialization
+      // SECURITY: Configure capability signature verification before any capabilities load
+      // (when a keyring is configured, unsigned capability sets grant nothing)
       try {
-        this.sessionContext = createSessionContextFromEnv();
-        logger.info({
-          identity: this.sessionContext.identity,
-          tenant: this.sessionContext.tenant,
-          sessionId: this.sessionContext.sessionId,
-        }, 'Session context bound');
+        const keyring = configureCapabilityKeyringFromEnv();
+        logger.info({ signedCapabilities: !!keyring }, 'Capability signing policy configured');
       } catch (error) {
-        logger.fatal({ error: error.message }, 'FATAL: Session context binding failed (terminating)');
-        throw new Error(`Session binding failed: ${error.message}`);
+        logger.fatal({ error: error.message }, 'FATAL: Capability keyring configuration failed (terminating)');
+        throw new Error(`Capability keyring configuration failed: ${error.message}`);
       }
 
-      // BLOCK 2: Attach capabilities AFTER binding, BEFORE tool initialization
+      // SECURITY: Role policy (validated now; fail-closed if malformed or combined with a keyring)
       try {
-        const capabilities = loadCapabilitiesFromEnv();
-        this.sessionContext.attachCapabilities(capabilities);
-        
-        logger.info({
-          sessionId: this.sessionContext.sessionId,
-          hasCapabilities: !!capabilities,
-          capSetId: capabilities?.capSetId,
-          grantCount: capabilities?.grants?.length || 0,
-        }, 'Capabilities attached to session');
+        const rolePolicy = configureRolePolicyFromEnv();
+        logger.info({ rolePolicy: !!rolePolicy }, 'Role policy configured');
       } catch (error) {
-        logger.fatal({ error: error.message }, 'FATAL: Capability attachment failed (terminating)');
-        throw new Error(`Capability attachment failed: ${error.message}`);
+        logger.fatal({ error: error.message }, 'FATAL: Role policy configuration failed (terminating)');
+        throw new Error(`Role policy configuration failed: ${error.message}`);
       }
 
-      // BLOCK 3: Attach quota engine AFTER capabilities, BEFORE tool initialization
+      // SECURITY: Watched capability file (validated now; fail-closed if malformed)
       try {
-        const quotaEngine = loadQuotaEngineFromEnv();
-        this.sessionContext.attachQuotaEngine(quotaEngine);
-        
-        logger.info({
-          sessionId: this.sessionContext.sessionId,
-          hasQuotaEngine: !!quotaEngine,
-        }, 'Quota engine attached to session');
+        this.capabilityReloader = loadCapabilityReloaderFromEnv();
+      } catch (error) {
+        logger.fatal({ error: error.message }, 'FATAL: Capability reloader configuration failed (terminating)');
+        throw new Error(`Capability reloader configuration failed: ${error.message}`);
+      }
+
+      // SECURITY: Result masking policy (validated now; fail-closed if malformed)
+      try {
+        const maskingPolicy = configureMaskingPolicyFromEnv();
+        logger.info({ maskingRules: maskingPolicy ? maskingPolicy.size : 0 }, 'Result masking policy configured');
       } catch (error) {
-        logger.fatal({ error: error.message }, 'FATAL: Quota engine attachment failed (terminating)');
-        throw new Error(`Quota engine attachment failed: ${error.message}`);
+        logger.fatal({ error: error.message }, 'FATAL: Masking policy configuration failed (terminating)');
+        throw new Error(`Masking policy configuration failed: ${error.message}`);
       }
 
-      // INVARIANT: At this point, sessionContext is immutably bound with capabilities and quotas
-      // All subsequent operations inherit this context
+      // SECURITY: ORDER BY policy (validated now; fail-closed if malformed)
+      try {
+        const orderByPolicy = configureOrderByPolicyFromEnv();
+        logger.info({ sortableTables: orderByPolicy ? orderByPolicy.size : 0 }, 'ORDER BY policy configured');
+      } catch (error) {
+        logger.fatal({ error: error.message }, 'FATAL: ORDER BY policy configuration failed (terminating)');
+        throw new Error(`ORDER BY policy configuration failed: ${error.message}`);
+      }
+
+      // SECURITY: PostgreSQL session role mapping (validated now; fail-closed if malformed)
+      try {
+        const pgRoleMapping = configurePgRoleMappingFromEnv();
+        logger.info({ pgRoleMappings: pgRoleMapping ? pgRoleMapping.size : 0 }, 'PostgreSQL role mapping configured');
+      } catch (error) {
+        logger.fatal({ error: error.message }, 'FATAL: PostgreSQL role mapping configuration failed (terminating)');
+        throw new Error(`PostgreSQL role mapping configuration failed: ${error.message}`);
+      }
+
+      if (config.transport.mode === 'http') {
+        // SECURITY: Network transport binds one session per connection (fail-closed if no resolver)
+        this.initializeSessionResolver();
+      } else {
+        // SECURITY: Bind session context FIRST (fail-closed if missing)
+        // This MUST happen before any data-plane initialization
+        try {
+          this.sessionContext = createSessionContextFromEnv();
+          logger.info({
+            identity: this.sessionContext.identity,
+            tenant: this.sessionContext.tenant,
+            sessionId: this.sessionContext.sessionId,
+          }, 'Session context bound');
+        } catch (error) {
+          logger.fatal({ error: error.message }, 'FATAL: Session context binding failed (terminating)');
+          throw new Error(`Session binding failed: ${error.message}`);
+        }
+
+        // BLOCK 2: Attach capabilities AFTER binding, BEFORE tool initialization
+        try {
+          // Watched capability file, role policy (expanded for this identity/tenant) or MCP_CAPABILITIES
+          let capabilities;
+          if (this.capabilityReloader) {
+            capabilities = this.capabilityReloader.attach(this.sessionContext);
+          } else {
+            capabilities = loadSessionCapabilities(this.sessionContext.identity, this.sessionContext.tenant);
+            this.sessionContext.attachCapabilities(capabilities);
+          }
+        
+          logger.info({
+            sessionId: this.sessionContext.sessionId,
+            hasCapabilities: !!capabilities,
+            capSetId: capabilities?.capSetId,
+            grantCount: capabilities?.grants?.length || 0,
+          }, 'Capabilities attached to session');
+        } catch (error) {
+          logger.fatal({ error: error.message }, 'FATAL: Capability attachment failed (terminating)');
+          throw new Error(`Capability attachment failed: ${error.message}`);
+        }
+
+        // BLOCK 3: Attach quota engine AFTER capabilities, BEFORE tool initialization
+        try {
+          const quotaEngine = loadQuotaEngineFromEnv();
+          this.sessionContext.attachQuotaEngine(quotaEngine);
+        
+          logger.info({
+            sessionId: this.sessionContext.sessionId,
+            hasQuotaEngine: !!quotaEngine,
+          }, 'Quota engine attached to session');
+        } catch (error) {
+          logger.fatal({ error: error.message }, 'FATAL: Quota engine attachment failed (terminating)');
+          throw new Error(`Quota engine attachment failed: ${error.message}`);
+        }
+
+        // INVARIANT: At this point, sessionContext is immutably bound with capabilities and quotas
+        // All subsequent operations inherit this context
+      }
 
       // Initialize database adapter (dynamic selection)
       const adapterName = config.adapter;
@@ -106,31 +215,23 @@ class MCPServer {
       logger.info({ adapter: adapterName }, 'Database adapter selected');
       await adapterRegistry.initializeAdapter(adapterName, adapterConfig);
 
-      // Create MCP server instance
-      this.server = new Server(
-        {
-          name: config.app.name,
-          version: config.app.version,
-        },
-        {
-          capabilities: {
-            tools: {},
-          },
-        }
-      );
+      // Create MCP server instance (stdio serves a single protocol server;
+      // http creates one per connected session via createProtocolServer)
+      if (config.transport.mode === 'stdio') {
+        this.server = this.createProtocolServer(this.sessionContext);
 
-      // Register MCP handlers
-      this.registerHandlers();
-
-      // Initialize tool registry
-      await toolRegistry.initialize(this.server, this.sessionContext);
+        // Initialize tool registry
+        await toolRegistry.initialize(this.server, this.sessionContext);
+      } else {
+        toolRegistry.registerBuiltinTools();
+      }
 
       logger.info(
         {
           name: config.app.name,
           version: config.app.version,
-          tools: toolRegistry.listTools().length,
-          session: this.sessionContext.toJSON(),
+          tools: toolRegistry.tools.size,
+          session: this.sessionContext ? this.sessionContext.toJSON() : 'per-connection',
         },
         'MCP server initialized'
       );
@@ -140,77 +241,138 @@ class MCPServer {
     }
   }
 
+  /**
+   * Prepare per-connection session binding for the HTTP transport
+   *
+   * Resolver precedence: setSessionResolver() hook, then MCP_SESSION_TOKENS_FILE.
+   * The quota engine is loaded once and shared, so quota counters are scoped by
+   * each connection's bound tenant/identity rather than reset per connection.
+   */
+  initializeSessionResolver() {
+    try {
+      if (!this.sessionResolver) {
+        this.sessionResolver = loadSessionResolverFromEnv();
+      }
+
+      if (!this.sessionResolver) {
+        throw new Error('HTTP transport requires a session resolver (setSessionResolver() or MCP_SESSION_TOKENS_FILE)');
+      }
+
+      this.defaultQuotaEngine = loadQuotaEngineFromEnv();
+    } catch (error) {
+      logger.fatal({ error: error.message }, 'FATAL: Session resolver initialization failed (terminating)');
+      throw new Error(`Session resolver initialization failed: ${error.message}`);
+    }
+
+    logger.info('Per-connection session resolver configured');
+  }
+
+  /**
+   * Resolve a bound session context for a new HTTP connection
+   * @param {Object} credentials - Request credentials (see extractRequestCredentials)
+   * @returns {Promise<SessionContext>} Bound session context
+   */
+  async resolveConnectionSession(credentials) {
+    return resolveSessionContext(this.sessionResolver, credentials, {
+      defaultQuotaEngine: this.defaultQuotaEngine,
+      capabilityReloader: this.capabilityReloader,
+    });
+  }
+
+  /**
+   * Admin: replace the capabilities of all live sessions
+   *
+   * Sessions whose capabilities came from the session resolver are not affected.
+   * A malformed document revokes all sessions and throws (fail-closed).
+   *
+   * @param {string} document - Capability document (JSON or signed token)
+   */
+  replaceCapabilities(document) {
+    if (!this.capabilityReloader) {
+      throw new Error('Capability reload is not configured (set MCP_CAPABILITIES_FILE)');
+    }
+
+    this.capabilityReloader.replaceAll(document, 'admin');
+  }
+
+  /**
+   * Admin: revoke the capabilities of all live sessions
+   * @param {string} reason - Why capabilities were revoked (for audit)
+   */
+  revokeCapabilities(reason) {
+    if (!this.capabilityReloader) {
+      throw new Error('Capability reload is not configured (set MCP_CAPABILITIES_FILE)');
+    }
+
+    this.capabilityReloader.revokeAll(reason || 'revoked by admin', 'admin');
+  }
+
+  /**
+   * Create an MCP protocol server with all handlers registered
+   * 
+   * Each transport session gets its own instance; all share the same
+   * registries and execution boundary.
+   * 
+   * @param {SessionContext} sessionContext - Session bound to this protocol server
+   * @returns {Server} MCP server instance
+   */
+  createProtocolServer(sessionContext) {
+    const server = new Server(
+      {
+        name: this.config.app.name,
+        version: this.config.app.version,
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+        },
+      }
+    );
+
+    this.registerHandlers(server, sessionContext);
+
+    return server;
+  }
+
   /**
    * Register MCP protocol handlers
+   * @param {Server} server - MCP server instance
+   * @param {SessionContext} sessionContext - Session bound to this protocol server
    */
-  registerHandlers() {
+  registerHandlers(server, sessionContext) {
     // List tools handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const tools = toolRegistry.listTools();
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const tools = toolRegistry.listTools(sessionContext);
       logger.debug({ count: tools.length }, 'List tools request');
       return { tools };
     });
 
     // Call tool handler
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      logger.info({ tool: name, arguments: args }, 'Tool call request');
-
-      // Use internal boundary for execution
-      const result = await executeToolBoundary({
-        toolName: name,
-        input: args || {},
-        sessionContext: this.sessionContext,
-        toolRegistry: toolRegistry,
-        adapters: adapterRegistry,
-        mode: { readOnly: false }, // Default
-        meta: { 
-          requestId: request.params._meta?.requestId,
-          nowMs: Date.now() 
-        }
-      });
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const call = this.handleToolCall(request, sessionContext);
 
-      if (result.ok) {
-        const response = responseFormatter.success({
-          data: result.value,
-          meta: {
-            tool: name,
-            adapter: result.meta?.adapter,
-          },
-        });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response, null, 2),
-            },
-          ],
-        };
-      } else {
-        let code = result.error.code;
-        if (code === 'UNAUTHORIZED') code = 'AUTHORIZATION_DENIED';
-        
-        if (result.error.originalError) {
-             const errorResponse = responseFormatter.fromError(result.error.originalError);
-             return { content: [{ type: 'text', text: JSON.stringify(errorResponse, null, 2) }], isError: true };
-        }
-        
-        const errorResponse = responseFormatter.error({
-            code: code,
-            message: result.error.message,
-            details: result.error.details
-        });
+      // Track in-flight calls so network transports can drain gracefully
+      this.inFlightCalls.add(call);
+      try {
+        return await call;
+      } finally {
+        this.inFlightCalls.delete(call);
+      }
+    });
+
+    // List resources handler (allowlisted schemas/tables, filtered by capabilities)
+    server.setRequestHandler(ListResourcesRequestSchema, async () => this.handleResourceList(sessionContext));
+
+    // Read resource handler
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const read = this.handleResourceRead(request, sessionContext);
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(errorResponse, null, 2),
-            },
-          ],
-          isError: true,
-        };
+      this.inFlightCalls.add(read);
+      try {
+        return await read;
+      } finally {
+        this.inFlightCalls.delete(read);
       }
     });
 
@@ -218,7 +380,145 @@ class MCPServer {
   }
 
   /**
-   * Start the MCP server with stdio transport
+   * Handle a tools/call request through the canonical execution boundary
+   * @param {Object} request - MCP CallTool request
+   * @param {SessionContext} sessionContext - Session the request arrived on
+   * @returns {Promise<Object>} MCP tool result
+   */
+  async handleToolCall(request, sessionContext) {
+    const { name, arguments: args } = request.params;
+
+    logger.info({ tool: name, arguments: args }, 'Tool call request');
+
+    // Use internal boundary for execution
+    const result = await executeToolBoundary({
+      toolName: name,
+      input: args || {},
+      sessionContext,
+      toolRegistry: toolRegistry,
+      adapters: adapterRegistry,
+      mode: { readOnly: false }, // Default
+      meta: { 
+        requestId: request.params._meta?.requestId,
+        nowMs: Date.now() 
+      }
+    });
+
+    if (result.ok) {
+      const response = responseFormatter.success({
+        data: result.value,
+        meta: {
+          tool: name,
+          adapter: result.meta?.adapter,
+        },
+      });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    } else {
+      let code = result.error.code;
+      if (code === 'UNAUTHORIZED') code = 'AUTHORIZATION_DENIED';
+      
+      if (result.error.originalError) {
+           const errorResponse = responseFormatter.fromError(result.error.originalError);
+           return { content: [{ type: 'text', text: JSON.stringify(errorResponse, null, 2) }], isError: true };
+      }
+      
+      const errorResponse = responseFormatter.error({
+          code: code,
+          message: result.error.message,
+          details: result.error.details
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(errorResponse, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * Handle a resources/list request
+   * @param {SessionContext} sessionContext - Session the request arrived on
+   * @returns {Promise<Object>} MCP resource list
+   * @throws {McpError} If the adapter fails (without driver details)
+   */
+  async handleResourceList(sessionContext) {
+    try {
+      const resources = await listResources({
+        sessionContext,
+        adapter: adapterRegistry.getAdapter(),
+        meta: { nowMs: Date.now() },
+      });
+      logger.debug({ count: resources.length }, 'List resources request');
+      return { resources };
+    } catch (error) {
+      logger.error({ error: error.message }, 'Resource list failed');
+
+      // SECURITY: Driver messages can name hosts, databases or relations; they stay in the logs
+      throw new McpError(ErrorCode.InternalError, 'Resources could not be listed', { code: 'ADAPTER_FAILURE' });
+    }
+  }
+
+  /**
+   * Handle a resources/read request (authorized like a tool call)
+   * @param {Object} request - MCP ReadResource request
+   * @param {SessionContext} sessionContext - Session the request arrived on
+   * @returns {Promise<Object>} MCP resource contents
+   * @throws {McpError} If the resource is unknown, denied or cannot be read
+   */
+  async handleResourceRead(request, sessionContext) {
+    const { uri } = request.params;
+
+    logger.info({ uri }, 'Resource read request');
+
+    const result = await readResource({
+      sessionContext,
+      adapter: adapterRegistry.getAdapter(),
+      uri,
+      meta: { nowMs: Date.now() },
+    });
+
+    if (result.ok) {
+      return { contents: [result.value] };
+    }
+
+    if (result.error.code === 'RESOURCE_NOT_FOUND') {
+      throw new McpError(RESOURCE_NOT_FOUND_CODE, result.error.message, { uri });
+    }
+
+    if (result.error.code === 'ADAPTER_FAILURE') {
+      throw new McpError(ErrorCode.InternalError, result.error.message);
+    }
+
+    throw new McpError(ErrorCode.InvalidRequest, result.error.message, {
+      code: result.error.code === 'UNAUTHORIZED' ? 'AUTHORIZATION_DENIED' : result.error.code,
+      ...result.error.details,
+    });
+  }
+
+  /**
+   * Resolve once all in-flight tool calls and resource reads have settled
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    while (this.inFlightCalls.size > 0) {
+      await Promise.allSettled(Array.from(this.inFlightCalls));
+    }
+  }
+
+  /**
+   * Start the MCP server on the configured transport (stdio or http)
    */
   async start() {
     if (this.isRunning) {
@@ -229,6 +529,27 @@ class MCPServer {
     try {
       await this.initialize();
 
+      if (this.capabilityReloader) {
+        this.capabilityReloader.start();
+      }
+
+      if (this.config.transport.mode === 'http') {
+        // Network transport: one protocol server per MCP session
+        this.httpHost = new HttpTransportHost({
+          config: this.config.transport,
+          resolveSession: (credentials) => this.resolveConnectionSession(credentials),
+          createServer: (sessionContext) => this.createProtocolServer(sessionContext),
+          waitForIdle: () => this.waitForIdle(),
+        });
+
+        await this.httpHost.start();
+
+        this.isRunning = true;
+
+        logger.info('MCP server started on HTTP transport');
+        return;
+      }
+
       // Create stdio transport
       this.transport = new StdioServerTransport();
 
@@ -259,6 +580,16 @@ class MCPServer {
     try {
       logger.info('Shutting down MCP server...');
 
+      if (this.capabilityReloader) {
+        this.capabilityReloader.stop();
+      }
+
+      // Drain network transport (refuse new work, finish in-flight calls)
+      if (this.httpHost) {
+        await this.httpHost.drain();
+        this.httpHost = null;
+      }
+
       // Close server
       if (this.server) {
         await this.server.close();
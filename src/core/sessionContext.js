@@ -1,5 +1,7 @@
 import crypto from 'crypto';
-import { logger } from '../utils/logger.js';
+import { logger, auditLog } from '../utils/logger.js';
+import { CapabilitySet } from '../security/capabilities.js';
+import { installCapabilitySwap } from './capabilitySwap.js';
 
 // SECURITY: WeakSet to track valid SessionContext instances
 // This prevents duck-typing attacks where a fake object mimics the interface
@@ -358,6 +360,64 @@ export function createSessionContextFromEnv() {
   return context;
 }
 
+/**
+ * BLOCK 2: Atomically replace (or revoke) the capabilities of a live session
+ * 
+ * Control-plane only: this is the revocation channel used by capability hot-reload
+ * and admin calls. It is deliberately neither a SessionContext method nor exported:
+ * it is handed to the capability reloader through capabilitySwap.js (internal), so
+ * code holding a session reference (tools, adapters, library consumers) has no
+ * replace operation on it.
+ * 
+ * SECURITY:
+ * - The swap is a single reference assignment; callers that already read
+ *   `capabilities` (in-flight calls) finish under the old set
+ * - Only a CapabilitySet or null (revoke) is accepted
+ * - Every swap is audited
+ * 
+ * @param {SessionContext} context - Bound session with capabilities attached
+ * @param {CapabilitySet|null} capabilities - New capability set, or null to revoke
+ * @param {Object} [options]
+ * @param {string} [options.source] - Revocation channel (for audit), e.g. 'file', 'admin'
+ * @param {string} [options.reason] - Why the set changed (for audit)
+ * @throws {Error} If the session is invalid or capabilities are not a CapabilitySet/null
+ */
+function replaceSessionCapabilities(context, capabilities, options = {}) {
+  // INVARIANT: Only genuine, bound sessions with attached capabilities can be swapped
+  if (!isValidSessionContext(context) || !context.isBound) {
+    throw new Error('SECURITY VIOLATION: Invalid session context instance');
+  }
+
+  if (!capabilitiesAttachedMap.get(context)) {
+    throw new Error('SessionContext: Capabilities must be attached before they can be replaced');
+  }
+
+  if (capabilities !== null && !(capabilities instanceof CapabilitySet)) {
+    throw new Error('SessionContext: Replacement capabilities must be a CapabilitySet or null');
+  }
+
+  const previous = capabilitiesMap.get(context) || null;
+  capabilitiesMap.set(context, capabilities);
+
+  auditLog({
+    action: capabilities ? 'capabilities.replace' : 'capabilities.revoke',
+    adapter: 'n/a',
+    identity: context.identity,
+    tenant: context.tenant,
+    capSetId: capabilities?.capSetId,
+    duration: 0,
+    outcome: 'success',
+    details: {
+      sessionId: context.sessionId,
+      previousCapSetId: previous?.capSetId || null,
+      source: options.source || 'unknown',
+      reason: options.reason || null,
+    },
+  });
+}
+
+installCapabilitySwap(replaceSessionCapabilities);
+
 /**
  * Verify if an object is a valid SessionContext instance created by this module
  * 
@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { SessionContext } from './sessionContext.js';
+import { CapabilitySet } from '../security/capabilities.js';
+import { loadSessionCapabilities } from '../security/roles.js';
+import { QuotaEngine } from '../security/quotas.js';
+
+/**
+ * Per-Connection Session Resolution
+ *
+ * Network transports serve many clients from one process, so identity and tenant
+ * cannot come from process environment. Instead, a pluggable resolver maps the
+ * authenticated request credentials of each connection to a binding.
+ *
+ * Security Invariants:
+ * 1. Missing credentials = no session (resolver is never called)
+ * 2. Resolver output is validated; any error or ambiguity = no session (fail-closed)
+ * 3. Each connection gets its own SessionContext (bound once, immutable, branded)
+ * 4. Each connection gets its own CapabilitySet instance; quota scope is derived
+ *    from that connection's bound tenant/identity
+ * 5. Subsequent requests on a session must present the same credentials
+ */
+
+/**
+ * Session resolution error (maps to HTTP 401 at the transport)
+ */
+export class SessionResolutionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionResolutionError';
+    this.code = 'SESSION_RESOLUTION_FAILED';
+  }
+}
+
+/**
+ * Extract credential material from an HTTP request
+ *
+ * SECURITY: Only transport-level credentials are extracted (bearer token, TLS client cert).
+ * Identity and tenant are never read from client-supplied headers or body.
+ *
+ * @param {IncomingMessage} req - Node.js HTTP request
+ * @returns {{ bearerToken: string|null, clientCertificate: Object|null, remoteAddress: string|null }}
+ */
+export function extractRequestCredentials(req) {
+  const authorization = req.headers?.authorization;
+  let bearerToken = null;
+
+  if (typeof authorization === 'string') {
+    const match = /^Bearer\s+([A-Za-z0-9\-._~+/]+=*)$/.exec(authorization.trim());
+    if (match) {
+      bearerToken = match[1];
+    }
+  }
+
+  let clientCertificate = null;
+  if (typeof req.socket?.getPeerCertificate === 'function' && req.socket.authorized) {
+    const cert = req.socket.getPeerCertificate();
+    if (cert && cert.fingerprint256) {
+      clientCertificate = {
+        fingerprint256: cert.fingerprint256,
+        subject: cert.subject || null,
+      };
+    }
+  }
+
+  return {
+    bearerToken,
+    clientCertificate,
+    remoteAddress: req.socket?.remoteAddress || null,
+  };
+}
+
+/**
+ * Compute a non-reversible fingerprint of the credentials presented on a request
+ * Used to pin an MCP session to the credentials that created it.
+ *
+ * @param {Object} credentials - Output of extractRequestCredentials()
+ * @returns {string} SHA-256 hex digest
+ */
+export function fingerprintCredentials(credentials) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+      credentials.bearerToken || '',
+      credentials.clientCertificate?.fingerprint256 || '',
+    ]))
+    .digest('hex');
+}
+
+/**
+ * Check whether credentials match a previously recorded fingerprint (constant time)
+ *
+ * @param {Object} credentials - Output of extractRequestCredentials()
+ * @param {string} expectedFingerprint - Fingerprint recorded at session creation
+ * @returns {boolean} True if credentials match
+ */
+export function credentialsMatch(credentials, expectedFingerprint) {
+  const actual = Buffer.from(fingerprintCredentials(credentials), 'hex');
+  const expected = Buffer.from(expectedFingerprint || '', 'hex');
+
+  if (actual.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Resolve and bind a SessionContext for one connection
+ *
+ * Resolver contract:
+ *   async (credentials) => ({ identity, tenant, capabilities?, quotaEngine? })
+ *
+ * - `capabilities`: CapabilitySet or null for this connection. If omitted, the
+ *   roles assigned to the connection's identity/tenant (MCP_ROLE_POLICY_FILE) or the
+ *   control-plane capability document (MCP_CAPABILITIES) are loaded into a new
+ *   CapabilitySet instance for this connection. With a `capabilityReloader`, the
+ *   reloader's current document is attached instead and the connection is
+ *   tracked for hot-reload/revocation.
+ * - `quotaEngine`: QuotaEngine for this connection. If omitted, `defaultQuotaEngine`
+ *   is used (shared, so quota counters survive reconnects; scope is keyed by the
+ *   connection's bound tenant/identity).
+ *
+ * @param {Function} resolver - Session resolver hook
+ * @param {Object} credentials - Output of extractRequestCredentials()
+ * @param {Object} [options]
+ * @param {QuotaEngine} [options.defaultQuotaEngine] - Engine used when resolver does not supply one
+ * @param {CapabilityReloader} [options.capabilityReloader] - Reloader used when resolver does not supply capabilities
+ * @returns {Promise<SessionContext>} Bound session context with capabilities and quota engine attached
+ * @throws {SessionResolutionError} If credentials are missing or resolution fails (fail-closed)
+ */
+export async function resolveSessionContext(resolver, credentials, options = {}) {
+  if (typeof resolver !== 'function') {
+    throw new SessionResolutionError('No session resolver configured');
+  }
+
+  // INVARIANT: Fail-closed when no credentials are presented
+  if (!credentials || (!credentials.bearerToken && !credentials.clientCertificate)) {
+    logger.warn({ remoteAddress: credentials?.remoteAddress }, 'Session resolution denied: no credentials presented');
+    throw new SessionResolutionError('Authentication required');
+  }
+
+  let binding;
+  try {
+    binding = await resolver(credentials);
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Session resolution denied: resolver error');
+    throw new SessionResolutionError('Authentication failed');
+  }
+
+  // INVARIANT: Resolver must produce an explicit binding (no implicit defaults)
+  if (!binding || typeof binding !== 'object') {
+    logger.warn('Session resolution denied: credentials not recognized');
+    throw new SessionResolutionError('Authentication failed');
+  }
+
+  const { identity, tenant } = binding;
+
+  if (binding.capabilities !== undefined && binding.capabilities !== null && !(binding.capabilities instanceof CapabilitySet)) {
+    throw new SessionResolutionError('Session resolver returned invalid capabilities');
+  }
+
+  if (binding.quotaEngine !== undefined && !(binding.quotaEngine instanceof QuotaEngine)) {
+    throw new SessionResolutionError('Session resolver returned invalid quota engine');
+  }
+
+  // Bind a fresh context for this connection (bind() validates identity/tenant)
+  const context = new SessionContext();
+  try {
+    context.bind(identity, tenant, crypto.randomBytes(16).toString('hex'));
+  } catch (error) {
+    throw new SessionResolutionError(`Session binding failed: ${error.message}`);
+  }
+
+  try {
+    if (binding.capabilities !== undefined) {
+      context.attachCapabilities(binding.capabilities);
+    } else if (options.capabilityReloader) {
+      options.capabilityReloader.attach(context);
+    } else {
+      context.attachCapabilities(loadSessionCapabilities(context.identity, context.tenant));
+    }
+
+    // INVARIANT: Every connection is quota-governed (no engine = no session)
+    const quotaEngine = binding.quotaEngine || options.defaultQuotaEngine;
+    if (!quotaEngine) {
+      throw new Error('No quota engine available for connection');
+    }
+    context.attachQuotaEngine(quotaEngine);
+  } catch (error) {
+    throw new SessionResolutionError(`Session attachment failed: ${error.message}`);
+  }
+
+  logger.info({
+    sessionId: context.sessionId,
+    identity: context.identity,
+    tenant: context.tenant,
+    capSetId: context.capabilities?.capSetId,
+  }, 'Connection session context bound');
+
+  return context;
+}
+
+/**
+ * Create a resolver that maps bearer tokens to identity/tenant bindings
+ *
+ * Tokens are stored as SHA-256 digests (never in clear text) and compared in constant time.
+ *
+ * @param {Array<{sha256: string, identity: string, tenant: string}>} entries - Token bindings
+ * @returns {Function} Session resolver
+ */
+export function createStaticTokenResolver(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Static token resolver requires at least one token binding');
+  }
+
+  const bindings = entries.map((entry) => {
+    if (!entry || !/^[a-f0-9]{64}$/i.test(entry.sha256 || '')) {
+      throw new Error('Token binding must include a sha256 hex digest');
+    }
+    if (!entry.identity || !entry.tenant) {
+      throw new Error('Token binding must include identity and tenant');
+    }
+    return Object.freeze({
+      digest: Buffer.from(entry.sha256.toLowerCase(), 'hex'),
+      identity: entry.identity,
+      tenant: entry.tenant,
+    });
+  });
+
+  return async (credentials) => {
+    if (!credentials.bearerToken) {
+      return null;
+    }
+
+    const digest = crypto.createHash('sha256').update(credentials.bearerToken).digest();
+    const matches = bindings.filter((b) => crypto.timingSafeEqual(b.digest, digest));
+
+    // INVARIANT: Exactly one binding per token (ambiguity = deny)
+    if (matches.length !== 1) {
+      return null;
+    }
+
+    return { identity: matches[0].identity, tenant: matches[0].tenant };
+  };
+}
+
+/**
+ * Load a session resolver from control-plane environment
+ *
+ * MCP_SESSION_TOKENS_FILE: path to a JSON file:
+ * {
+ *   "tokens": [
+ *     { "sha256": "<hex digest of bearer token>", "identity": "agent-1", "tenant": "tenant-a" }
+ *   ]
+ * }
+ *
+ * @returns {Function|null} Session resolver, or null if not configured
+ * @throws {Error} If the file is configured but malformed (fail-closed)
+ */
+export function loadSessionResolverFromEnv() {
+  const tokensFile = process.env.MCP_SESSION_TOKENS_FILE;
+
+  if (!tokensFile) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+    const resolver = createStaticTokenResolver(parsed.tokens);
+
+    logger.info({ tokenCount: parsed.tokens.length }, 'Session token bindings loaded');
+
+    return resolver;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed session token bindings (fail-closed)');
+    throw new Error(`Failed to load session token bindings: ${error.message}`);
+  }
+}
+
+export default {
+  SessionResolutionError,
+  extractRequestCredentials,
+  fingerprintCredentials,
+  credentialsMatch,
+  resolveSessionContext,
+  createStaticTokenResolver,
+  loadSessionResolverFromEnv,
+};
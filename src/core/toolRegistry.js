@@ -3,6 +3,7 @@ import { logger, auditLog } from '../utils/logger.js';
 import { adapterRegistry } from '../adapters/adapterRegistry.js';
 import * as responseFormatter from './responseFormatter.js';
 import { isValidSessionContext } from './sessionContext.js';
+import { authorizeAction } from './authorizeAction.js';
 import { CapabilityAction, evaluateCapability } from '../security/capabilities.js';
 import { QuotaDenialReason } from '../security/quotas.js';
 
@@ -10,6 +11,7 @@ import { QuotaDenialReason } from '../security/quotas.js';
 import { listTablesTool } from '../tools/listTables.js';
 import { describeTableTool } from '../tools/describeTable.js';
 import { queryReadTool } from '../tools/queryRead.js';
+import { explainQueryTool } from '../tools/explainQuery.js';
 
 /**
  * Tool registry for managing and executing MCP tools
@@ -43,10 +45,7 @@ export class ToolRegistry {
     
     this.sessionContext = sessionContext;
 
-    // Register all available tools
-    this.registerTool(listTablesTool);
-    this.registerTool(describeTableTool);
-    this.registerTool(queryReadTool);
+    this.registerBuiltinTools();
 
     logger.info({
       tools: Array.from(this.tools.keys()),
@@ -55,6 +54,19 @@ export class ToolRegistry {
     }, 'Tool registry initialized with session context');
   }
 
+  /**
+   * Register all built-in tools
+   *
+   * Used directly by network transports, where there is no process-wide session:
+   * each connection passes its own session context to listTools() and the boundary.
+   */
+  registerBuiltinTools() {
+    this.registerTool(listTablesTool);
+    this.registerTool(describeTableTool);
+    this.registerTool(queryReadTool);
+    this.registerTool(explainQueryTool);
+  }
+
   /**
    * Register a tool
    * @param {Object} tool - Tool configuration
@@ -62,9 +74,10 @@ export class ToolRegistry {
    * @param {string} tool.description - Tool description
    * @param {Object} tool.inputSchema - Zod schema for input validation
    * @param {Function} tool.handler - Tool handler function
+   * @param {Function} [tool.scope] - Reports what a validated call touches (for grant constraints)
    */
   registerTool(tool) {
-    const { name, description, inputSchema, handler } = tool;
+    const { name, description, inputSchema, handler, scope } = tool;
 
     if (this.tools.has(name)) {
       throw new Error(`Tool "${name}" is already registered`);
@@ -75,6 +88,7 @@ export class ToolRegistry {
       description,
       inputSchema,
       handler,
+      scope,
     });
 
     logger.debug({ tool: name }, 'Tool registered');
@@ -83,11 +97,14 @@ export class ToolRegistry {
   /**
    * List all registered tools in MCP format
    * 
-   * BLOCK 2: Respects capabilities - only lists tools the session is authorized to invoke
+   * BLOCK 2: Respects capabilities - a tool is listed only if the session holds
+   * both `tool.list` and `tool.invoke` for it (no advertising of uninvocable tools).
+   * Each `tool.list` decision is authorized (and audit-logged) by authorizeAction.
    * 
+   * @param {SessionContext} [sessionContext] - Session to filter for (defaults to the registry's bound session)
    * @returns {Array} List of tool definitions
    */
-  listTools() {
+  listTools(sessionContext = this.sessionContext) {
     // Get all tool definitions
     const allTools = Array.from(this.tools.values()).map((tool) => ({
       name: tool.name,
@@ -96,17 +113,26 @@ export class ToolRegistry {
     }));
 
     // BLOCK 2: Filter tools based on capabilities (if attached)
-    if (this.sessionContext && this.sessionContext.hasCapabilities) {
-      const capabilities = this.sessionContext.capabilities;
-      
-      // Only include tools that have explicit grants
+    if (sessionContext && isValidSessionContext(sessionContext) && sessionContext.hasCapabilities) {
+      const capabilities = sessionContext.capabilities;
+      const context = {
+        identity: sessionContext.identity,
+        tenant: sessionContext.tenant,
+        sessionId: sessionContext.sessionId,
+      };
+
+      // Only include tools that have explicit list and invoke grants
       const authorizedTools = allTools.filter((tool) => {
-        const authzResult = evaluateCapability(
-          capabilities,
-          CapabilityAction.TOOL_INVOKE,
-          tool.name
-        );
-        return authzResult.allowed;
+        // SECURITY: tool.list goes through authorizeAction so every listing decision is audited
+        const listResult = authorizeAction({ sessionContext, action: CapabilityAction.TOOL_LIST, target: tool.name });
+        if (!listResult.allowed) {
+          return false;
+        }
+
+        // Invoke rights only hide the tool here (the call itself is audited by executeToolBoundary)
+
+        const invokeResult = evaluateCapability(capabilities, CapabilityAction.TOOL_INVOKE, tool.name, context);
+        return invokeResult.allowed;
       });
 
       logger.debug({
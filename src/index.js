@@ -13,6 +13,12 @@
 // Core execution boundary
 export { executeToolBoundary } from './core/executeToolBoundary.js';
 
+// Authorization for non-tool protocol actions (tool listing, resources)
+export { authorizeAction } from './core/authorizeAction.js';
+
+// MCP resources (allowlisted schemas and tables)
+export { listResources, readResource, buildResourceUri, parseResourceUri } from './core/resources.js';
+
 // Tool registry
 export { ToolRegistry } from './core/toolRegistry.js';
 
@@ -30,8 +36,71 @@ export { MSSQLAdapter } from './adapters/mssql.js';
 // Session context (identity and tenant binding)
 export { SessionContext, isValidSessionContext, createSessionContextFromEnv } from './core/sessionContext.js';
 
+// Per-connection session resolution (network transports)
+export {
+  SessionResolutionError,
+  resolveSessionContext,
+  createStaticTokenResolver,
+  loadSessionResolverFromEnv,
+} from './core/sessionResolver.js';
+
 // Capability-based authorization
-export { CapabilitySet, CapabilityAction, evaluateCapability, AuthzReason } from './security/capabilities.js';
+export {
+  CapabilitySet,
+  CapabilityAction,
+  evaluateCapability,
+  AuthzReason,
+  GrantEffect,
+  GrantConstraint,
+  evaluateGrantConstraints,
+  configureCapabilityKeyring,
+  configureCapabilityKeyringFromEnv,
+  parseCapabilityDocument,
+} from './security/capabilities.js';
+
+// Signed capability tokens (control-plane issued)
+export {
+  CapabilityKeyring,
+  CapabilityTokenAlgorithm,
+  CapabilityTokenError,
+  CapabilityTokenErrorCode,
+  verifyCapabilityToken,
+  signCapabilityToken,
+  loadCapabilityKeyringFromEnv,
+} from './security/capabilityTokens.js';
+
+// Role-based capability templates
+export { RolePolicy, loadRolePolicyFromEnv, configureRolePolicy, configureRolePolicyFromEnv, loadSessionCapabilities } from './security/roles.js';
+
+// Capability hot-reload and revocation
+export { CapabilityReloader, loadCapabilityReloaderFromEnv } from './security/capabilityReload.js';
+
+// Result masking and redaction
+export {
+  MaskingStrategy,
+  MaskingPolicy,
+  configureMaskingPolicy,
+  loadMaskingPolicyFromEnv,
+  planResultMasking,
+  applyResultMasking,
+} from './security/masking.js';
+
+// ORDER BY policy
+export {
+  OrderByPolicy,
+  OrderByModifier,
+  configureOrderByPolicy,
+  loadOrderByPolicyFromEnv,
+} from './security/orderByPolicy.js';
+
+// Keyset pagination (continuation tokens)
+export { keysetPagination, KeysetPagination } from './security/keysetPagination.js';
+
+// Query parameters (named placeholders, declared types)
+export { bindQueryParams, ParamType } from './security/queryParams.js';
+
+// PostgreSQL session roles (native row-level security)
+export { PgRoleMapping, configurePgRoleMapping, loadPgRoleMappingFromEnv, configurePgRoleMappingFromEnv } from './security/pgRoleMapping.js';
 
 // Quota management
 export { 
@@ -50,7 +119,14 @@ export { configSchema, validateConfig } from './config/schema.js';
 // Security primitives (for custom tool implementations)
 export { allowlist } from './security/allowlist.js';
 export { queryGuard } from './security/queryGuard.js';
-export { validateQueryWithTables } from './security/queryValidator.js';
+export { ruleEngine, RuleEngine, RuleSeverity, RuleStage, registerValidationRule, configureTenantRules } from './security/ruleEngine.js';
+export { tenantIsolation, TenantIsolation } from './security/tenantIsolation.js';
+export { costGate, CostGate } from './security/costGate.js';
+export { functionPolicy, FunctionPolicy, FunctionPolicyMode, DEFAULT_DENIED_FUNCTIONS } from './security/functionPolicy.js';
+export { normalizePlan } from './security/queryPlan.js';
+export { validateQueryWithTables, analyzeQuery, traceResultColumns, ValidationRule } from './security/queryValidator.js';
+export { SqlDialect, SqlSyntaxError } from './security/sqlLexer.js';
+export { parseQuery } from './security/sqlParser.js';
 export { enforceQueryPermissions, PermissionError } from './security/permissions.js';
 export { logQueryEvent, computeQueryFingerprint } from './security/auditLogger.js';
 
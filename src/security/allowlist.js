@@ -1,9 +1,79 @@
 import { logger } from '../utils/logger.js';
+import { namesMatch, isCaseInsensitive } from './identifiers.js';
 
 /**
  * Allowlist enforcement for database access control
  * Validates schema and table access against configured allowlists
+ *
+ * Names are compared as the engine resolves them: exactly for PostgreSQL/MySQL
+ * (so "Sales" and sales are different schemas), case-insensitively for SQL Server.
+ *
+ * Column rules ("schema.table.column" entries) narrow an allowed table further:
+ * - DENYLIST_COLUMNS: these columns are never readable
+ * - ALLOWLIST_COLUMNS: if a table has entries, only those columns are readable
  */
+
+/**
+ * Check whether a set contains a name under the dialect's comparison rules
+ * @private
+ */
+function hasName(names, name, dialect) {
+  if (!isCaseInsensitive(dialect)) {
+    return names.has(name);
+  }
+  return Array.from(names).some((candidate) => namesMatch(candidate, name, dialect));
+}
+
+/**
+ * Parse "schema.table.column" entries into a Map of "schema.table" -> Set of columns
+ * @private
+ * @throws {Error} On malformed entries (fail-closed: a typo must not drop a rule)
+ */
+function parseColumnRules(value, variable) {
+  const rules = new Map();
+
+  for (const entry of (value || '').split(',').map((s) => s.trim()).filter((s) => s.length > 0)) {
+    const parts = entry.split('.');
+
+    if (parts.length !== 3 || parts.some((part) => part.length === 0)) {
+      throw new Error(`${variable}: invalid entry "${entry}" (expected schema.table.column)`);
+    }
+
+    const table = `${parts[0]}.${parts[1]}`;
+    if (!rules.has(table)) {
+      rules.set(table, new Set());
+    }
+    rules.get(table).add(parts[2]);
+  }
+
+  return rules;
+}
+
+/**
+ * Find the column rules for a table under the dialect's comparison rules
+ * @private
+ * @returns {Set<string>|null}
+ */
+function findColumnRules(rules, schema, table, dialect) {
+  const key = `${schema}.${table}`;
+
+  for (const [ruleTable, columns] of rules) {
+    if (namesMatch(ruleTable, key, dialect)) {
+      return columns;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Flatten column rules back into "schema.table.column" entries
+ * @private
+ */
+function listColumnRules(rules) {
+  return Array.from(rules).flatMap(([table, columns]) => Array.from(columns).map((column) => `${table}.${column}`));
+}
+
 export class Allowlist {
   constructor() {
     const allowlistSchemas = (process.env.ALLOWLIST_SCHEMAS || '')
@@ -18,12 +88,16 @@ export class Allowlist {
     this.allowedSchemas = new Set(allowlistSchemas);
     this.allowedTables = new Set(allowlistTables);
     this.allowAllTables = this.allowedTables.size === 0; // Empty list means allow all tables
+    this.allowedColumns = parseColumnRules(process.env.ALLOWLIST_COLUMNS, 'ALLOWLIST_COLUMNS');
+    this.deniedColumns = parseColumnRules(process.env.DENYLIST_COLUMNS, 'DENYLIST_COLUMNS');
 
     logger.info(
       {
         allowedSchemas: Array.from(this.allowedSchemas),
         allowedTables: Array.from(this.allowedTables),
         allowAllTables: this.allowAllTables,
+        allowedColumns: listColumnRules(this.allowedColumns),
+        deniedColumns: listColumnRules(this.deniedColumns),
       },
       'Allowlist initialized'
     );
@@ -32,9 +106,11 @@ export class Allowlist {
   /**
    * Check if a schema is allowed
    * @param {string} schema - Schema name to check
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect for name comparison (default: exact)
    * @returns {boolean} True if allowed
    */
-  isSchemaAllowed(schema) {
+  isSchemaAllowed(schema, options = {}) {
     if (!schema) {
       logger.warn('Schema name is empty or undefined');
       return false;
@@ -46,7 +122,7 @@ export class Allowlist {
       return false;
     }
 
-    const allowed = this.allowedSchemas.has(schema);
+    const allowed = hasName(this.allowedSchemas, schema, options.dialect);
 
     if (!allowed) {
       logger.warn({ schema, allowedSchemas: Array.from(this.allowedSchemas) }, 'Schema not in allowlist');
@@ -59,11 +135,13 @@ export class Allowlist {
    * Check if a table is allowed
    * @param {string} schema - Schema name
    * @param {string} table - Table name to check
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect for name comparison (default: exact)
    * @returns {boolean} True if allowed
    */
-  isTableAllowed(schema, table) {
+  isTableAllowed(schema, table, options = {}) {
     // First check schema
-    if (!this.isSchemaAllowed(schema)) {
+    if (!this.isSchemaAllowed(schema, options)) {
       return false;
     }
 
@@ -81,7 +159,8 @@ export class Allowlist {
     const tableName = table;
     const qualifiedTableName = `${schema}.${table}`;
 
-    const allowed = this.allowedTables.has(tableName) || this.allowedTables.has(qualifiedTableName);
+    const allowed = hasName(this.allowedTables, tableName, options.dialect) ||
+      hasName(this.allowedTables, qualifiedTableName, options.dialect);
 
     if (!allowed) {
       logger.warn(
@@ -97,6 +176,51 @@ export class Allowlist {
     return allowed;
   }
 
+  /**
+   * Check if a table has column rules (SELECT * cannot be checked against them)
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect for name comparison (default: exact)
+   * @returns {boolean} True if any column of the table is restricted
+   */
+  hasColumnRestrictions(schema, table, options = {}) {
+    return findColumnRules(this.allowedColumns, schema, table, options.dialect) !== null ||
+      findColumnRules(this.deniedColumns, schema, table, options.dialect) !== null;
+  }
+
+  /**
+   * Check if a column of an allowed table is readable
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {string} column - Column name to check
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect for name comparison (default: exact)
+   * @returns {boolean} True if allowed
+   */
+  isColumnAllowed(schema, table, column, options = {}) {
+    if (!column) {
+      logger.warn('Column name is empty or undefined');
+      return false;
+    }
+
+    // Deny rules win over allow rules
+    const denied = findColumnRules(this.deniedColumns, schema, table, options.dialect);
+    if (denied && hasName(denied, column, options.dialect)) {
+      logger.warn({ schema, table, column }, 'Column in denylist');
+      return false;
+    }
+
+    // Tables without allow rules expose every column that is not denied
+    const allowed = findColumnRules(this.allowedColumns, schema, table, options.dialect);
+    if (allowed && !hasName(allowed, column, options.dialect)) {
+      logger.warn({ schema, table, column }, 'Column not in allowlist');
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Validate and enforce access for a schema
    * @param {string} schema - Schema name
@@ -147,6 +271,23 @@ export class Allowlist {
     return tables.filter((table) => this.isTableAllowed(schema, table));
   }
 
+  /**
+   * Filter column descriptions (objects with a `name`) to only include readable ones
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {Array<{name: string}>} columns - Column descriptions
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect for name comparison (default: exact)
+   * @returns {Array<{name: string}>} Filtered list of readable columns
+   */
+  filterColumns(schema, table, columns, options = {}) {
+    if (!this.hasColumnRestrictions(schema, table, options)) {
+      return columns;
+    }
+
+    return columns.filter((column) => this.isColumnAllowed(schema, table, column.name, options));
+  }
+
   /**
    * Get the configured allowlists for debugging
    * @returns {Object} Allowlist configuration
@@ -156,6 +297,8 @@ export class Allowlist {
       allowedSchemas: Array.from(this.allowedSchemas),
       allowedTables: Array.from(this.allowedTables),
       allowAllTables: this.allowAllTables,
+      allowedColumns: listColumnRules(this.allowedColumns),
+      deniedColumns: listColumnRules(this.deniedColumns),
     };
   }
 }
@@ -9,6 +9,7 @@
  * - resultType (enum: 'validated', 'rejected', 'success', 'execution_error')
  * - queryFingerprint (HMAC-SHA256 hash of normalized query shape)
  * - executionTimeMs (integer, rounded to 10ms, only for success/execution_error)
+ * - maskingRules (string[]: ids of the masking rules applied to the result, only for success)
  * 
  * Security Guarantees:
  * - No raw SQL logging
@@ -90,9 +91,10 @@ export function computeQueryFingerprint(query) {
  * @param {string} resultType - Result type ('validated', 'rejected', 'success', 'execution_error')
  * @param {string} queryFingerprint - HMAC fingerprint of query
  * @param {number} [executionTimeMs] - Execution time in ms (for success/error only)
+ * @param {string[]} [maskingRules] - Ids of applied masking rules (operator-defined labels)
  * @throws {Error} If logging fails (fail-closed)
  */
-function emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs) {
+function emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs, maskingRules) {
   try {
     const event = {
       timestamp: new Date().toISOString(),
@@ -106,6 +108,11 @@ function emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs) {
       event.executionTimeMs = Math.round(executionTimeMs / 10) * 10;
     }
 
+    // Rule ids only: never the masked schema/table/column names
+    if (maskingRules && maskingRules.length > 0) {
+      event.maskingRules = [...maskingRules];
+    }
+
     console.log(JSON.stringify(event));
   } catch (error) {
     throw new Error(`Audit logging failed: ${error.message}`);
@@ -120,8 +127,10 @@ function emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs) {
  * @param {string} queryFingerprint - Pre-computed HMAC fingerprint
  * @param {string} resultType - Result type
  * @param {number} [executionTimeMs] - Execution time (optional)
+ * @param {Object} [details]
+ * @param {string[]} [details.maskingRules] - Ids of masking rules applied to the result
  * @throws {Error} If logging fails (fail-closed)
  */
-export function logQueryEvent(adapter, queryFingerprint, resultType, executionTimeMs) {
-  emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs);
+export function logQueryEvent(adapter, queryFingerprint, resultType, executionTimeMs, details = {}) {
+  emitAuditLog(adapter, resultType, queryFingerprint, executionTimeMs, details.maskingRules);
 }
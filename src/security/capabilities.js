@@ -1,4 +1,10 @@
 import { logger } from '../utils/logger.js';
+import {
+  CapabilityTokenError,
+  verifyCapabilityToken,
+  loadCapabilityKeyringFromEnv,
+} from './capabilityTokens.js';
+import { namesMatch } from './identifiers.js';
 
 /**
  * Capability-Based Authorization System
@@ -9,6 +15,7 @@ import { logger } from '../utils/logger.js';
  * 3. Server-side only: capabilities resolved from control-plane, never from client
  * 4. Fail-closed: ambiguity or error = deny
  * 5. Adapter-agnostic: authorization happens before data-plane validation
+ * 6. Signed only (when a keyring is configured): unverified capability sets grant nothing
  */
 
 /**
@@ -19,6 +26,7 @@ export const CapabilityAction = Object.freeze({
   TOOL_LIST: 'tool.list',
   RESOURCE_READ: 'resource.read',
   RESOURCE_LIST: 'resource.list',
+  QUERY_ANALYZE: 'query.analyze',
 });
 
 /**
@@ -33,8 +41,189 @@ export const AuthzReason = Object.freeze({
   DENIED_EXPIRED: 'DENIED_EXPIRED',
   DENIED_INVALID_CONTEXT: 'DENIED_INVALID_CONTEXT',
   DENIED_AMBIGUITY: 'DENIED_AMBIGUITY',
+  DENIED_INVALID_SIGNATURE: 'DENIED_INVALID_SIGNATURE',
+  DENIED_EXPLICIT: 'DENIED_EXPLICIT',
 });
 
+/**
+ * Grant effects (closed enum)
+ * - allow: grants access (default)
+ * - deny: revokes access; overrides every matching allow regardless of specificity
+ */
+export const GrantEffect = Object.freeze({
+  ALLOW: 'allow',
+  DENY: 'deny',
+});
+
+/**
+ * Grant constraint types (closed enum - unknown constraints are rejected at construction)
+ *
+ * - schemas: Allowed schemas (every schema the call touches must be listed)
+ * - tables: Allowed tables as schema.table (every table the call touches must be listed)
+ * - maxLimit: Maximum row limit the call may request
+ * - maxTimeout: Maximum timeout (ms) the call may request
+ * - allowedHours: { start, end } UTC hours (end exclusive; start > end wraps midnight)
+ * - tenant: Tenant the session must be bound to
+ */
+export const GrantConstraint = Object.freeze({
+  SCHEMAS: 'schemas',
+  TABLES: 'tables',
+  MAX_LIMIT: 'maxLimit',
+  MAX_TIMEOUT: 'maxTimeout',
+  ALLOWED_HOURS: 'allowedHours',
+  TENANT: 'tenant',
+});
+
+// SECURITY: Capability sets whose signature was verified (module-private, unforgeable)
+// CapabilitySet -> { kid, alg, audience }
+const verifiedCapabilitySets = new WeakMap();
+
+// SECURITY: Keyring that signed capability sets must verify against (attach-once)
+let signingKeyring = null;
+
+// Wildcard character for grant target patterns
+const TARGET_WILDCARD = '*';
+
+/**
+ * Compile a grant target into a matcher
+ *
+ * Targets are exact names unless they contain `*`, which matches any run of
+ * characters (including none): `report_*`, `*_daily`, `*`.
+ * Specificity = number of literal characters; exact targets always rank highest.
+ *
+ * @private
+ * @param {string} target - Grant target
+ * @returns {{ exact: boolean, specificity: number, matches: Function }} Matcher
+ */
+function compileTargetMatcher(target) {
+  if (typeof target !== 'string' || target.length === 0) {
+    throw new Error('CapabilitySet: grant target must be a non-empty string');
+  }
+
+  if (!target.includes(TARGET_WILDCARD)) {
+    return { exact: true, specificity: Infinity, matches: (value) => value === target };
+  }
+
+  const source = target
+    .split(TARGET_WILDCARD)
+    .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const pattern = new RegExp(`^${source}$`, 's');
+
+  return {
+    exact: false,
+    specificity: target.length - target.split(TARGET_WILDCARD).length + 1,
+    matches: (value) => typeof value === 'string' && pattern.test(value),
+  };
+}
+
+/**
+ * Validate and freeze grant constraints
+ *
+ * @private
+ * @param {Object|undefined} constraints - Grant constraints
+ * @returns {Object|undefined} Frozen constraints
+ * @throws {Error} If constraints are malformed (fail-closed)
+ */
+function compileConstraints(constraints) {
+  if (constraints === undefined) {
+    return undefined;
+  }
+
+  if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+    throw new Error('CapabilitySet: grant constraints must be an object');
+  }
+
+  const known = Object.values(GrantConstraint);
+  const compiled = {};
+
+  for (const [name, value] of Object.entries(constraints)) {
+    // INVARIANT: Unknown constraints cannot be enforced, so they are rejected
+    if (!known.includes(name)) {
+      throw new Error(`CapabilitySet: unknown grant constraint "${name}"`);
+    }
+
+    if (name === GrantConstraint.SCHEMAS || name === GrantConstraint.TABLES) {
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.length === 0)) {
+        throw new Error(`CapabilitySet: constraint "${name}" must be an array of names`);
+      }
+      if (name === GrantConstraint.TABLES && value.some(v => v.split('.').length !== 2)) {
+        throw new Error('CapabilitySet: constraint "tables" entries must be schema.table');
+      }
+      // Kept as written: names are compared per dialect at evaluation (see evaluateGrantConstraints)
+      compiled[name] = Object.freeze([...value]);
+    } else if (name === GrantConstraint.MAX_LIMIT || name === GrantConstraint.MAX_TIMEOUT) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`CapabilitySet: constraint "${name}" must be a positive integer`);
+      }
+      compiled[name] = value;
+    } else if (name === GrantConstraint.ALLOWED_HOURS) {
+      const isHour = (h) => Number.isInteger(h) && h >= 0 && h <= 23;
+      if (!value || !isHour(value.start) || !isHour(value.end) || value.start === value.end) {
+        throw new Error('CapabilitySet: constraint "allowedHours" must be { start, end } UTC hours (0-23, start !== end)');
+      }
+      compiled[name] = Object.freeze({ start: value.start, end: value.end });
+    } else {
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error('CapabilitySet: constraint "tenant" must be a non-empty string');
+      }
+      compiled[name] = value;
+    }
+  }
+
+  return Object.freeze(compiled);
+}
+
+/**
+ * Check constraints that depend only on session and clock (not on tool input)
+ *
+ * @private
+ * @returns {string|null} Violated constraint name, or null
+ */
+function checkContextConstraints(constraints, context) {
+  if (!constraints) {
+    return null;
+  }
+
+  if (constraints.tenant !== undefined && context.tenant !== constraints.tenant) {
+    return GrantConstraint.TENANT;
+  }
+
+  if (constraints.allowedHours !== undefined) {
+    const hour = new Date(context.nowMs ?? Date.now()).getUTCHours();
+    const { start, end } = constraints.allowedHours;
+    const inWindow = start < end
+      ? hour >= start && hour < end
+      : hour >= start || hour < end;
+
+    if (!inWindow) {
+      return GrantConstraint.ALLOWED_HOURS;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a grant, ignoring its target (for contradiction checks)
+ * @private
+ */
+function grantTerms(grant) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map((k) => [k, canonical(value[k])]));
+    }
+    return value;
+  };
+
+  const terms = { ...grant };
+  delete terms.target;
+  return JSON.stringify(canonical(terms));
+}
+
 /**
  * CapabilitySet: Immutable set of capability grants for a session
  * 
@@ -43,7 +232,7 @@ export const AuthzReason = Object.freeze({
  * - issuedAt: Timestamp when capabilities were issued
  * - expiresAt: Expiration timestamp (capabilities have TTL)
  * - issuer: Control-plane component that issued capabilities
- * - grants: Array of explicit permission grants
+ * - grants: Array of explicit permission grants ({ action, target, effect? }; target may use `*` wildcards)
  */
 export class CapabilitySet {
   constructor(config) {
@@ -73,7 +262,28 @@ export class CapabilitySet {
     this._issuedAt = issuedAt;
     this._expiresAt = expiresAt;
     this._issuer = issuer;
-    this._grants = Object.freeze(grants.map(g => Object.freeze({ ...g })));
+    this._grants = Object.freeze(grants.map(g => {
+      const grant = { ...g, effect: g?.effect ?? GrantEffect.ALLOW };
+
+      // INVARIANT: Unknown effects are rejected (never treated as allow)
+      if (!Object.values(GrantEffect).includes(grant.effect)) {
+        throw new Error(`CapabilitySet: invalid grant effect "${grant.effect}"`);
+      }
+
+      if (g && g.constraints !== undefined) {
+        // Deny grants are unconditional (a constrained deny could be bypassed by input)
+        if (grant.effect === GrantEffect.DENY) {
+          throw new Error('CapabilitySet: deny grants cannot carry constraints');
+        }
+        grant.constraints = compileConstraints(g.constraints);
+      }
+      return Object.freeze(grant);
+    }));
+    // INVARIANT: Invalid targets fail at construction, never at match time
+    this._matchers = Object.freeze(this._grants.map(g => Object.freeze({
+      grant: g,
+      ...compileTargetMatcher(g.target),
+    })));
 
     // Freeze the entire object
     Object.freeze(this);
@@ -107,6 +317,57 @@ export class CapabilitySet {
     return this._grants;
   }
 
+  /**
+   * Get issue timestamp
+   */
+  get issuedAt() {
+    return this._issuedAt;
+  }
+
+  /**
+   * Get expiration timestamp
+   */
+  get expiresAt() {
+    return this._expiresAt;
+  }
+
+  /**
+   * Check if this set was created from a verified signed token
+   */
+  get isVerified() {
+    return verifiedCapabilitySets.has(this);
+  }
+
+  /**
+   * Create a CapabilitySet from a signed capability token
+   *
+   * SECURITY: Signature, issuer, audience and validity window are verified
+   * before the set is constructed; no grant from an unverified token is ever usable.
+   *
+   * Token claims: { capSetId, iss, aud, issuedAt, expiresAt, grants }
+   *
+   * @param {string} token - JWS compact token
+   * @param {CapabilityKeyring} [keyring] - Keyring (defaults to the configured keyring)
+   * @returns {CapabilitySet} Verified capability set
+   * @throws {CapabilityTokenError} If verification fails
+   */
+  static fromSignedToken(token, keyring = signingKeyring) {
+    const { claims, kid, alg } = verifyCapabilityToken(token, keyring);
+
+    const capSet = new CapabilitySet({
+      capSetId: claims.capSetId,
+      issuedAt: claims.issuedAt,
+      expiresAt: claims.expiresAt,
+      issuer: claims.iss,
+      grants: claims.grants,
+    });
+
+    // SECURITY: Record which keyring verified the set (only the configured one counts)
+    verifiedCapabilitySets.set(capSet, Object.freeze({ kid, alg, audience: keyring.audience, keyring }));
+
+    return capSet;
+  }
+
   /**
    * Check if capabilities are expired
    */
@@ -115,20 +376,59 @@ export class CapabilitySet {
   }
 
   /**
-   * Find a matching grant for the given action and target
+   * Resolve the grant that applies to the given action and target
+   * 
+   * Precedence:
+   * 1. Any matching deny grant (regardless of specificity)
+   * 2. Exact target match
+   * 3. Pattern with the most literal characters
+   * 
+   * INVARIANT: If the most specific matching grants disagree (same precedence,
+   * different terms), no grant applies and the result is ambiguous (fail-closed).
    * 
    * @param {string} action - Action from CapabilityAction enum
    * @param {string} target - Target resource/tool name
-   * @returns {Object|null} Matching grant or null
+   * @returns {{ grant: Object|null, ambiguous: boolean, denied: boolean, denyGrant?: Object }} Resolution result
    */
-  findGrant(action, target) {
+  resolveGrant(action, target) {
     // INVARIANT: Expired capabilities cannot grant anything
     if (this.isExpired()) {
-      return null;
+      return { grant: null, ambiguous: false, denied: false };
+    }
+
+    const candidates = this._matchers.filter(m => m.grant.action === action && m.matches(target));
+
+    // INVARIANT: Explicit deny always overrides allows
+    const deny = candidates.find(m => m.grant.effect === GrantEffect.DENY);
+    if (deny) {
+      return { grant: null, ambiguous: false, denied: true, denyGrant: deny.grant };
     }
 
-    // Find exact match (action + target)
-    return this._grants.find(g => g.action === action && g.target === target) || null;
+    if (candidates.length === 0) {
+      return { grant: null, ambiguous: false, denied: false };
+    }
+
+    const best = Math.max(...candidates.map(m => m.specificity));
+    const top = candidates.filter(m => m.specificity === best);
+
+    // Equally specific grants must agree on everything but the target pattern
+    const terms = new Set(top.map(m => grantTerms(m.grant)));
+    if (terms.size > 1) {
+      return { grant: null, ambiguous: true, denied: false };
+    }
+
+    return { grant: top[0].grant, ambiguous: false, denied: false };
+  }
+
+  /**
+   * Find a matching grant for the given action and target
+   * 
+   * @param {string} action - Action from CapabilityAction enum
+   * @param {string} target - Target resource/tool name
+   * @returns {Object|null} Matching allow grant or null (including when denied or ambiguous)
+   */
+  findGrant(action, target) {
+    return this.resolveGrant(action, target).grant;
   }
 
   /**
@@ -140,10 +440,50 @@ export class CapabilitySet {
       issuer: this._issuer,
       grantCount: this._grants.length,
       expiresAt: new Date(this._expiresAt).toISOString(),
+      signedBy: verifiedCapabilitySets.get(this)?.kid || null,
     };
   }
 }
 
+/**
+ * Require signed capabilities, verified against the given keyring
+ *
+ * Once configured, every CapabilitySet not created via fromSignedToken()
+ * with this keyring is denied with DENIED_INVALID_SIGNATURE.
+ *
+ * @param {CapabilityKeyring} keyring - Trusted keys
+ * @throws {Error} If a different keyring is already configured
+ */
+export function configureCapabilityKeyring(keyring) {
+  if (!keyring) {
+    throw new Error('configureCapabilityKeyring: keyring is required');
+  }
+
+  // INVARIANT: Keyring is attach-once (no runtime key substitution)
+  if (signingKeyring && signingKeyring !== keyring) {
+    throw new Error('SECURITY VIOLATION: Capability keyring already configured');
+  }
+
+  signingKeyring = keyring;
+}
+
+/**
+ * Configure the capability keyring from MCP_CAPABILITY_KEYRING (if set)
+ *
+ * @returns {CapabilityKeyring|null} Active keyring, or null if signing is not configured
+ * @throws {Error} If the keyring file is malformed (fail-closed)
+ */
+export function configureCapabilityKeyringFromEnv() {
+  if (!signingKeyring) {
+    const keyring = loadCapabilityKeyringFromEnv();
+    if (keyring) {
+      configureCapabilityKeyring(keyring);
+    }
+  }
+
+  return signingKeyring;
+}
+
 /**
  * Evaluate authorization for a specific action
  * 
@@ -176,6 +516,17 @@ export function evaluateCapability(capabilities, action, target, context = {}) {
     };
   }
 
+  // INVARIANT: With a keyring configured, only sets verified by that keyring grant anything
+  // (a caller-built keyring can verify tokens it signed itself)
+  if (signingKeyring && verifiedCapabilitySets.get(capabilities)?.keyring !== signingKeyring) {
+    logger.warn({ action, target, capSetId: capabilities.capSetId }, 'Authorization: Capabilities not signature-verified (denied)');
+    return {
+      allowed: false,
+      reason: AuthzReason.DENIED_INVALID_SIGNATURE,
+      grant: null,
+    };
+  }
+
   // INVARIANT: Expired capabilities = deny
   if (capabilities.isExpired()) {
     logger.warn({ action, target, capSetId: capabilities.capSetId }, 'Authorization: Capabilities expired (denied)');
@@ -186,8 +537,39 @@ export function evaluateCapability(capabilities, action, target, context = {}) {
     };
   }
 
-  // Find matching grant
-  const grant = capabilities.findGrant(action, target);
+  // Find matching grant (exact match wins, then most specific pattern)
+  const { grant, ambiguous, denied, denyGrant } = capabilities.resolveGrant(action, target);
+
+  // INVARIANT: Explicit deny overrides any matching allow
+  if (denied) {
+    logger.info({
+      action,
+      target,
+      capSetId: capabilities.capSetId,
+      denyTarget: denyGrant.target,
+    }, 'Authorization: Explicit deny grant (denied)');
+
+    return {
+      allowed: false,
+      reason: AuthzReason.DENIED_EXPLICIT,
+      grant: null,
+    };
+  }
+
+  // INVARIANT: Contradictory grants of equal precedence = deny
+  if (ambiguous) {
+    logger.warn({
+      action,
+      target,
+      capSetId: capabilities.capSetId,
+    }, 'Authorization: Conflicting grants (denied)');
+
+    return {
+      allowed: false,
+      reason: AuthzReason.DENIED_AMBIGUITY,
+      grant: null,
+    };
+  }
 
   if (!grant) {
     // No explicit grant = deny (default deny)
@@ -204,6 +586,25 @@ export function evaluateCapability(capabilities, action, target, context = {}) {
     };
   }
 
+  // INVARIANT: Session/clock constraints on the grant must hold
+  // (input-dependent constraints are checked by evaluateGrantConstraints after validation)
+  const violation = checkContextConstraints(grant.constraints, context);
+  if (violation) {
+    logger.warn({
+      action,
+      target,
+      capSetId: capabilities.capSetId,
+      constraint: violation,
+    }, 'Authorization: Grant constraint violated (denied)');
+
+    return {
+      allowed: false,
+      reason: AuthzReason.DENIED_CONSTRAINT_VIOLATION,
+      grant: null,
+      constraint: violation,
+    };
+  }
+
   // Grant found = allow
   logger.debug({
     action,
@@ -218,11 +619,84 @@ export function evaluateCapability(capabilities, action, target, context = {}) {
   };
 }
 
+/**
+ * Evaluate a grant's input-dependent constraints against the validated call scope
+ * 
+ * Tools report what a call touches via an optional `scope(input)` hook:
+ *   { schemas?: string[], tables?: string[] (schema.table), limit?: number, timeout?: number }
+ * 
+ * INVARIANT: A constraint the scope cannot answer (missing facet, no scope hook,
+ * unparseable input) is a violation (fail-closed).
+ * 
+ * Schema and table names are compared the way the engine resolves them
+ * (exact on PostgreSQL and MySQL, case-insensitive on SQL Server), so a grant
+ * for `sales.orders` never covers a distinct quoted `sales."Orders"`.
+ * 
+ * @param {Object} grant - Grant returned by evaluateCapability
+ * @param {Object|null} scope - Call scope reported by the tool
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect of the active adapter (unknown = exact match)
+ * @returns {Object} { allowed: boolean, reason: string, constraint: string|null }
+ */
+export function evaluateGrantConstraints(grant, scope, options = {}) {
+  const constraints = grant?.constraints;
+  const deny = (constraint) => ({
+    allowed: false,
+    reason: AuthzReason.DENIED_CONSTRAINT_VIOLATION,
+    constraint,
+  });
+
+  if (!constraints) {
+    return { allowed: true, reason: AuthzReason.ALLOWED, constraint: null };
+  }
+
+  const facts = scope || {};
+  const names = (values) => (Array.isArray(values) ? values.map(v => String(v)) : null);
+  const granted = (allowed, name) => allowed.some(a => namesMatch(a, name, options.dialect));
+
+  if (constraints.tables !== undefined) {
+    const tables = names(facts.tables);
+    if (!tables || tables.some(t => !granted(constraints.tables, t))) {
+      return deny(GrantConstraint.TABLES);
+    }
+  }
+
+  if (constraints.schemas !== undefined) {
+    // Schemas touched = declared schemas + schemas of every touched table
+    const declared = names(facts.schemas);
+    const fromTables = (names(facts.tables) || []).map(t => t.split('.')[0]);
+    if (!declared && fromTables.length === 0) {
+      return deny(GrantConstraint.SCHEMAS);
+    }
+    if ([...(declared || []), ...fromTables].some(sc => !granted(constraints.schemas, sc))) {
+      return deny(GrantConstraint.SCHEMAS);
+    }
+  }
+
+  if (constraints.maxLimit !== undefined) {
+    if (!Number.isFinite(facts.limit) || facts.limit > constraints.maxLimit) {
+      return deny(GrantConstraint.MAX_LIMIT);
+    }
+  }
+
+  if (constraints.maxTimeout !== undefined) {
+    if (!Number.isFinite(facts.timeout) || facts.timeout > constraints.maxTimeout) {
+      return deny(GrantConstraint.MAX_TIMEOUT);
+    }
+  }
+
+  return { allowed: true, reason: AuthzReason.ALLOWED, constraint: null };
+}
+
 /**
  * Load capabilities from control-plane environment
  * 
  * Control-plane must provide:
- * - MCP_CAPABILITIES: JSON string with capability set
+ * - MCP_CAPABILITIES: JSON string with capability set, or a signed capability
+ *   token (JWS compact) when MCP_CAPABILITY_KEYRING is configured
+ * 
+ * When a keyring is configured, unsigned JSON is rejected. When no keyring is
+ * configured, a signed token is rejected (it cannot be verified).
  * 
  * Format:
  * {
@@ -247,33 +721,84 @@ export function loadCapabilitiesFromEnv() {
   }
 
   try {
-    const config = JSON.parse(capJson);
+    return parseCapabilityDocument(capJson);
+  } catch (error) {
+    // INVARIANT: Malformed or unverifiable capabilities = fail closed
+    const code = error instanceof CapabilityTokenError ? error.code : undefined;
+    logger.fatal({ error: error.message, code }, 'FATAL: Malformed capabilities (fail-closed)');
+    throw new Error(`Failed to load capabilities: ${error.message}`);
+  }
+}
 
-    // Set default timestamps if not provided by control-plane
-    const now = Date.now();
-    const issuedAt = config.issuedAt || now;
-    const expiresAt = config.expiresAt || now + 3600000; // Default 1 hour TTL
+/**
+ * Parse a capability document into a new CapabilitySet
+ * 
+ * Accepts the same formats as MCP_CAPABILITIES (JSON, or a signed token when a
+ * keyring is configured). Each call returns a new instance.
+ * 
+ * @param {string} document - Capability document text
+ * @returns {CapabilitySet} Capability set
+ * @throws {Error} If the document is malformed or cannot be verified
+ */
+export function parseCapabilityDocument(document) {
+  if (typeof document !== 'string' || document.trim().length === 0) {
+    throw new Error('Capability document must be a non-empty string');
+  }
 
-    const capSet = new CapabilitySet({
-      capSetId: config.capSetId,
-      issuedAt,
-      expiresAt,
-      issuer: config.issuer || 'env',
-      grants: config.grants || [],
-    });
+  const keyring = configureCapabilityKeyringFromEnv();
+  const isToken = !document.trim().startsWith('{');
 
-    logger.info({
-      capSetId: capSet.capSetId,
-      issuer: capSet.issuer,
-      grantCount: capSet.grants.length,
-    }, 'Capabilities loaded from control-plane');
+  if (keyring || isToken) {
+    return parseSignedCapabilities(document, keyring);
+  }
 
-    return capSet;
-  } catch (error) {
-    // INVARIANT: Malformed capabilities = fail closed
-    logger.fatal({ error: error.message }, 'FATAL: Malformed capabilities (fail-closed)');
-    throw new Error(`Failed to load capabilities: ${error.message}`);
+  const config = JSON.parse(document);
+
+  // Set default timestamps if not provided by control-plane
+  const now = Date.now();
+  const issuedAt = config.issuedAt || now;
+  const expiresAt = config.expiresAt || now + 3600000; // Default 1 hour TTL
+
+  const capSet = new CapabilitySet({
+    capSetId: config.capSetId,
+    issuedAt,
+    expiresAt,
+    issuer: config.issuer || 'env',
+    grants: config.grants || [],
+  });
+
+  logger.info({
+    capSetId: capSet.capSetId,
+    issuer: capSet.issuer,
+    grantCount: capSet.grants.length,
+  }, 'Capabilities loaded from control-plane');
+
+  return capSet;
+}
+
+/**
+ * Verify and parse a signed capability token
+ * @private
+ */
+function parseSignedCapabilities(capToken, keyring) {
+  if (!keyring) {
+    throw new Error('Signed capabilities provided but MCP_CAPABILITY_KEYRING is not configured');
+  }
+
+  if (capToken.trim().startsWith('{')) {
+    throw new Error('Unsigned capabilities rejected (MCP_CAPABILITY_KEYRING requires a signed token)');
   }
+
+  const capSet = CapabilitySet.fromSignedToken(capToken.trim(), keyring);
+
+  logger.info({
+    capSetId: capSet.capSetId,
+    issuer: capSet.issuer,
+    grantCount: capSet.grants.length,
+    signedBy: capSet.toJSON().signedBy,
+  }, 'Signed capabilities verified and loaded from control-plane');
+
+  return capSet;
 }
 
 /**
@@ -295,6 +820,7 @@ export function createDefaultCapabilities() {
       { action: CapabilityAction.TOOL_INVOKE, target: 'list_tables' },
       { action: CapabilityAction.TOOL_INVOKE, target: 'describe_table' },
       { action: CapabilityAction.TOOL_INVOKE, target: 'query_read' },
+      { action: CapabilityAction.TOOL_INVOKE, target: 'explain_query' },
     ],
   });
 }
@@ -302,8 +828,14 @@ export function createDefaultCapabilities() {
 export default {
   CapabilityAction,
   AuthzReason,
+  GrantEffect,
+  GrantConstraint,
   CapabilitySet,
   evaluateCapability,
+  evaluateGrantConstraints,
+  configureCapabilityKeyring,
+  configureCapabilityKeyringFromEnv,
   loadCapabilitiesFromEnv,
+  parseCapabilityDocument,
   createDefaultCapabilities,
 };
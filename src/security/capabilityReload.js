@@ -0,0 +1,255 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { parseCapabilityDocument } from './capabilities.js';
+// Loading sessionContext.js installs the capability swap
+import '../core/sessionContext.js';
+import { swapSessionCapabilities } from '../core/capabilitySwap.js';
+
+/**
+ * Capability Hot-Reload and Revocation
+ *
+ * Swaps or revokes the capabilities of live sessions without a process restart.
+ * Changes arrive from a watched capability file (MCP_CAPABILITIES_FILE) or from
+ * an admin call (replace/revoke).
+ *
+ * Security Invariants:
+ * 1. Swaps are atomic per session; in-flight calls finish under the old set
+ * 2. Malformed, unverifiable or missing documents revoke (fail-closed, never keep stale grants)
+ * 3. Every session gets its own CapabilitySet instance (never shared)
+ * 4. Every swap and revocation is audit-logged per session
+ */
+
+// Default poll interval for the watched capability file
+const DEFAULT_INTERVAL_MS = 1000;
+
+// Document text that explicitly revokes all capabilities
+const REVOKE_DOCUMENTS = new Set(['', 'null']);
+
+// Tracked-session count below which attach() never prunes
+const MIN_PRUNE_AT = 64;
+
+/**
+ * CapabilityReloader: Holds the current capability document and the sessions it governs
+ */
+export class CapabilityReloader {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Capability document file (JSON or signed token)
+   * @param {number} [options.intervalMs] - Poll interval for file changes
+   * @throws {Error} If the initial document is missing or malformed (fail-closed)
+   */
+  constructor({ filePath, intervalMs = DEFAULT_INTERVAL_MS }) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('CapabilityReloader: filePath is required');
+    }
+
+    if (!Number.isInteger(intervalMs) || intervalMs < 1) {
+      throw new Error('CapabilityReloader: intervalMs must be a positive integer');
+    }
+
+    this._filePath = filePath;
+    this._intervalMs = intervalMs;
+    this._sessions = new Set();
+    // Tracked-session count at which attach() next drops references to collected sessions
+    this._pruneAt = MIN_PRUNE_AT;
+    this._watching = false;
+    this._onChange = () => this.reload();
+
+    // INVARIANT: The initial document is validated before any session attaches
+    const document = fs.readFileSync(filePath, 'utf8').trim();
+    this._document = REVOKE_DOCUMENTS.has(document) ? null : document;
+
+    if (this._document !== null) {
+      parseCapabilityDocument(this._document);
+    }
+  }
+
+  /**
+   * Attach the current capabilities to a newly bound session and track it
+   *
+   * @param {SessionContext} sessionContext - Bound session without capabilities
+   * @returns {CapabilitySet|null} Attached capability set (null = revoked)
+   */
+  attach(sessionContext) {
+    const capabilities = this._document === null ? null : parseCapabilityDocument(this._document);
+
+    sessionContext.attachCapabilities(capabilities);
+
+    // SECURITY: Weak references only; closed sessions are not kept alive by the reloader
+    this._sessions.add(new WeakRef(sessionContext));
+
+    // Prune as the set grows, so a server that never reloads stays bounded by its live sessions
+    if (this._sessions.size >= this._pruneAt) {
+      this._pruneAt = Math.max(MIN_PRUNE_AT, this._liveSessions().length * 2);
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * Start watching the capability file for changes
+   */
+  start() {
+    if (this._watching) {
+      return;
+    }
+
+    // persistent: false so the watcher never keeps the process alive on its own
+    fs.watchFile(this._filePath, { interval: this._intervalMs, persistent: false }, this._onChange);
+    this._watching = true;
+
+    logger.info({ filePath: this._filePath, intervalMs: this._intervalMs }, 'Watching capability file for changes');
+  }
+
+  /**
+   * Stop watching the capability file
+   */
+  stop() {
+    if (!this._watching) {
+      return;
+    }
+
+    fs.unwatchFile(this._filePath, this._onChange);
+    this._watching = false;
+  }
+
+  /**
+   * Re-read the capability file and apply it to all live sessions
+   *
+   * Missing or malformed file = revoke all (fail-closed).
+   */
+  reload() {
+    let document;
+    try {
+      document = fs.readFileSync(this._filePath, 'utf8').trim();
+    } catch (error) {
+      logger.error({ filePath: this._filePath, error: error.message }, 'Capability file unreadable (revoking)');
+      this.revokeAll('capability file unreadable', 'file');
+      return;
+    }
+
+    if (REVOKE_DOCUMENTS.has(document)) {
+      this.revokeAll('capability document empty', 'file');
+      return;
+    }
+
+    if (document === this._document) {
+      return;
+    }
+
+    try {
+      this.replaceAll(document, 'file');
+    } catch {
+      // replaceAll() has already revoked and logged
+    }
+  }
+
+  /**
+   * Replace the capabilities of all live sessions with a new document
+   *
+   * @param {string} document - Capability document (JSON or signed token)
+   * @param {string} [source] - Revocation channel for audit ('file', 'admin')
+   * @throws {Error} If the document is malformed (all sessions are revoked first)
+   */
+  replaceAll(document, source = 'admin') {
+    try {
+      parseCapabilityDocument(document);
+    } catch (error) {
+      // INVARIANT: A bad update must not leave the previous grants in force
+      logger.error({ source, error: error.message }, 'Malformed capability document (revoking)');
+      this.revokeAll(`malformed capability document: ${error.message}`, source);
+      throw new Error(`Capability reload failed: ${error.message}`);
+    }
+
+    this._document = document.trim();
+
+    const sessions = this._liveSessions();
+    for (const session of sessions) {
+      swapSessionCapabilities(session, parseCapabilityDocument(this._document), {
+        source,
+        reason: 'capability document updated',
+      });
+    }
+
+    logger.info({ source, sessions: sessions.length }, 'Capabilities replaced for live sessions');
+  }
+
+  /**
+   * Revoke the capabilities of all live sessions (and of sessions attached later)
+   *
+   * @param {string} reason - Why capabilities were revoked (for audit)
+   * @param {string} [source] - Revocation channel for audit ('file', 'admin')
+   */
+  revokeAll(reason, source = 'admin') {
+    this._document = null;
+
+    const sessions = this._liveSessions();
+    for (const session of sessions) {
+      swapSessionCapabilities(session, null, { source, reason });
+    }
+
+    logger.warn({ source, reason, sessions: sessions.length }, 'Capabilities revoked for live sessions');
+  }
+
+  /**
+   * Collect live sessions, dropping references to collected ones
+   * @private
+   */
+  _liveSessions() {
+    const sessions = [];
+
+    for (const ref of this._sessions) {
+      const session = ref.deref();
+      if (session) {
+        sessions.push(session);
+      } else {
+        this._sessions.delete(ref);
+      }
+    }
+
+    return sessions;
+  }
+}
+
+/**
+ * Load the capability reloader from control-plane environment
+ *
+ * MCP_CAPABILITIES_FILE: path to a capability document (same format as MCP_CAPABILITIES)
+ * MCP_CAPABILITIES_RELOAD_INTERVAL_MS: poll interval (default 1000)
+ *
+ * @returns {CapabilityReloader|null} Reloader, or null if not configured
+ * @throws {Error} If configured ambiguously or the initial document is malformed (fail-closed)
+ */
+export function loadCapabilityReloaderFromEnv() {
+  const filePath = process.env.MCP_CAPABILITIES_FILE;
+
+  if (!filePath) {
+    return null;
+  }
+
+  // INVARIANT: Two capability sources = ambiguous (fail-closed)
+  if (process.env.MCP_CAPABILITIES || process.env.MCP_ROLE_POLICY_FILE) {
+    logger.fatal('FATAL: MCP_CAPABILITIES_FILE is set together with another capability source (ambiguous)');
+    throw new Error('Ambiguous capability source: MCP_CAPABILITIES_FILE cannot be combined with MCP_CAPABILITIES or MCP_ROLE_POLICY_FILE');
+  }
+
+  try {
+    const interval = process.env.MCP_CAPABILITIES_RELOAD_INTERVAL_MS;
+    const reloader = new CapabilityReloader({
+      filePath,
+      intervalMs: interval === undefined ? DEFAULT_INTERVAL_MS : Number(interval),
+    });
+
+    logger.info({ filePath }, 'Capability reloader configured');
+
+    return reloader;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed capability file (fail-closed)');
+    throw new Error(`Failed to load capability file: ${error.message}`);
+  }
+}
+
+export default {
+  CapabilityReloader,
+  loadCapabilityReloaderFromEnv,
+};
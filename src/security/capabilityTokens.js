@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Signed Capability Tokens
+ *
+ * The control plane issues capability documents as JWS compact tokens
+ * (`<header>.<payload>.<signature>`, base64url). This module verifies them
+ * against a local keyring of trusted keys.
+ *
+ * Supported algorithms (closed set):
+ * - HS256: HMAC-SHA256 with a shared secret
+ * - EdDSA: Ed25519 public key
+ * - RS256: RSA PKCS#1 v1.5 SHA-256 public key
+ *
+ * Security Invariants:
+ * 1. Keys are looked up by `kid`; the header `alg` must equal the key's configured alg
+ *    (no `none`, no algorithm confusion between HMAC and public keys)
+ * 2. Each key is bound to exactly one issuer; `iss` must match the verifying key
+ * 3. `aud` must include this server's configured audience
+ * 4. `issuedAt`/`expiresAt` (epoch ms) are required and checked against the clock
+ * 5. Any parse, key, signature or claim failure = token rejected (fail-closed)
+ */
+
+/**
+ * Supported signature algorithms (closed enum)
+ */
+export const CapabilityTokenAlgorithm = Object.freeze({
+  HS256: 'HS256',
+  EDDSA: 'EdDSA',
+  RS256: 'RS256',
+});
+
+/**
+ * Token rejection codes (for audit logging)
+ */
+export const CapabilityTokenErrorCode = Object.freeze({
+  MALFORMED: 'TOKEN_MALFORMED',
+  UNKNOWN_KEY: 'TOKEN_UNKNOWN_KEY',
+  ALGORITHM_MISMATCH: 'TOKEN_ALGORITHM_MISMATCH',
+  INVALID_SIGNATURE: 'TOKEN_INVALID_SIGNATURE',
+  INVALID_ISSUER: 'TOKEN_INVALID_ISSUER',
+  INVALID_AUDIENCE: 'TOKEN_INVALID_AUDIENCE',
+  INVALID_CLAIMS: 'TOKEN_INVALID_CLAIMS',
+  EXPIRED: 'TOKEN_EXPIRED',
+});
+
+// Allowed clock skew for issuedAt (matches CapabilitySet)
+const CLOCK_SKEW_MS = 60000;
+
+/**
+ * Capability token verification error
+ */
+export class CapabilityTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CapabilityTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * CapabilityKeyring: Immutable set of trusted verification keys
+ *
+ * Structure:
+ * - audience: Audience this server accepts (`aud` claim)
+ * - keys: [{ kid, alg, issuer, secret? (base64), publicKey? (PEM) }]
+ */
+export class CapabilityKeyring {
+  constructor({ audience, keys }) {
+    // INVARIANT: Audience is required (tokens for other servers must not verify here)
+    if (!audience || typeof audience !== 'string') {
+      throw new Error('CapabilityKeyring: audience is required');
+    }
+
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error('CapabilityKeyring: at least one key is required');
+    }
+
+    const byKid = new Map();
+
+    for (const entry of keys) {
+      const key = createKeyEntry(entry);
+
+      // INVARIANT: Duplicate kids are ambiguous (fail-closed)
+      if (byKid.has(key.kid)) {
+        throw new Error(`CapabilityKeyring: duplicate kid "${key.kid}"`);
+      }
+
+      byKid.set(key.kid, key);
+    }
+
+    this._audience = audience;
+    this._keys = byKid;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Get accepted audience
+   */
+  get audience() {
+    return this._audience;
+  }
+
+  /**
+   * Get key entry by kid
+   * @param {string} kid - Key identifier
+   * @returns {Object|null} Key entry or null
+   */
+  getKey(kid) {
+    return this._keys.get(kid) || null;
+  }
+
+  /**
+   * Safe serialization (for logging; never includes key material)
+   */
+  toJSON() {
+    return {
+      audience: this._audience,
+      keys: Array.from(this._keys.values()).map(k => ({ kid: k.kid, alg: k.alg, issuer: k.issuer })),
+    };
+  }
+}
+
+/**
+ * Validate and normalize one keyring entry
+ * @private
+ */
+function createKeyEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('CapabilityKeyring: key entry must be an object');
+  }
+
+  const { kid, alg, issuer } = entry;
+
+  if (!kid || typeof kid !== 'string') {
+    throw new Error('CapabilityKeyring: key kid is required');
+  }
+
+  if (!issuer || typeof issuer !== 'string') {
+    throw new Error(`CapabilityKeyring: key "${kid}" must be bound to an issuer`);
+  }
+
+  if (!Object.values(CapabilityTokenAlgorithm).includes(alg)) {
+    throw new Error(`CapabilityKeyring: key "${kid}" has unsupported alg "${alg}"`);
+  }
+
+  let keyObject;
+
+  if (alg === CapabilityTokenAlgorithm.HS256) {
+    if (!entry.secret || typeof entry.secret !== 'string') {
+      throw new Error(`CapabilityKeyring: HS256 key "${kid}" requires a base64 secret`);
+    }
+
+    const secret = Buffer.from(entry.secret, 'base64');
+    // SECURITY: Short HMAC secrets are brute-forceable
+    if (secret.length < 32) {
+      throw new Error(`CapabilityKeyring: HS256 key "${kid}" secret must be at least 32 bytes`);
+    }
+
+    keyObject = crypto.createSecretKey(secret);
+  } else {
+    if (!entry.publicKey || typeof entry.publicKey !== 'string') {
+      throw new Error(`CapabilityKeyring: ${alg} key "${kid}" requires a PEM publicKey`);
+    }
+
+    keyObject = crypto.createPublicKey(entry.publicKey);
+
+    const expectedType = alg === CapabilityTokenAlgorithm.EDDSA ? 'ed25519' : 'rsa';
+    if (keyObject.asymmetricKeyType !== expectedType) {
+      throw new Error(`CapabilityKeyring: key "${kid}" is not an ${expectedType} key`);
+    }
+  }
+
+  return Object.freeze({ kid, alg, issuer, keyObject });
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @private
+ */
+function decodeSegment(segment, label) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('not an object');
+    }
+    return value;
+  } catch {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.MALFORMED, `Capability token ${label} is malformed`);
+  }
+}
+
+/**
+ * Verify a signature with the given key entry
+ * @private
+ */
+function verifySignature(key, signingInput, signature) {
+  const data = Buffer.from(signingInput, 'ascii');
+
+  if (key.alg === CapabilityTokenAlgorithm.HS256) {
+    const expected = crypto.createHmac('sha256', key.keyObject).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (key.alg === CapabilityTokenAlgorithm.EDDSA) {
+    return crypto.verify(null, data, key.keyObject, signature);
+  }
+
+  return crypto.verify('sha256', data, key.keyObject, signature);
+}
+
+/**
+ * Verify a signed capability token and return its claims
+ *
+ * @param {string} token - JWS compact serialization
+ * @param {CapabilityKeyring} keyring - Trusted keys
+ * @param {Object} [options]
+ * @param {number} [options.nowMs] - Clock override (testing)
+ * @returns {{ claims: Object, kid: string, alg: string }} Verified claims
+ * @throws {CapabilityTokenError} On any verification failure
+ */
+export function verifyCapabilityToken(token, keyring, options = {}) {
+  if (!(keyring instanceof CapabilityKeyring)) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.UNKNOWN_KEY, 'No capability keyring configured');
+  }
+
+  if (typeof token !== 'string') {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.MALFORMED, 'Capability token must be a string');
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 3 || parts.some(p => !/^[A-Za-z0-9_-]+$/.test(p))) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.MALFORMED, 'Capability token must be JWS compact serialization');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader, 'header');
+
+  // INVARIANT: Critical extensions are not understood (fail-closed)
+  if (header.crit !== undefined) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.MALFORMED, 'Capability token uses unsupported critical headers');
+  }
+
+  const key = typeof header.kid === 'string' ? keyring.getKey(header.kid) : null;
+  if (!key) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.UNKNOWN_KEY, 'Capability token signed by unknown key');
+  }
+
+  // INVARIANT: Algorithm is pinned by the keyring, never chosen by the token
+  if (header.alg !== key.alg) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.ALGORITHM_MISMATCH, 'Capability token algorithm does not match key');
+  }
+
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  let valid = false;
+  try {
+    valid = verifySignature(key, `${encodedHeader}.${encodedPayload}`, signature);
+  } catch {
+    valid = false;
+  }
+
+  if (!valid) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.INVALID_SIGNATURE, 'Capability token signature is invalid');
+  }
+
+  // Signature verified: claims may now be inspected
+  const claims = decodeSegment(encodedPayload, 'payload');
+
+  if (claims.iss !== key.issuer) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.INVALID_ISSUER, 'Capability token issuer is not trusted for this key');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(keyring.audience)) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.INVALID_AUDIENCE, 'Capability token audience does not match this server');
+  }
+
+  const { issuedAt, expiresAt } = claims;
+  if (!Number.isFinite(issuedAt) || !Number.isFinite(expiresAt) || expiresAt <= issuedAt) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.INVALID_CLAIMS, 'Capability token requires numeric issuedAt < expiresAt');
+  }
+
+  const now = options.nowMs ?? Date.now();
+  if (issuedAt > now + CLOCK_SKEW_MS) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.INVALID_CLAIMS, 'Capability token issuedAt is in the future');
+  }
+
+  if (expiresAt <= now) {
+    throw new CapabilityTokenError(CapabilityTokenErrorCode.EXPIRED, 'Capability token is expired');
+  }
+
+  return { claims, kid: key.kid, alg: key.alg };
+}
+
+/**
+ * Sign a capability document (control-plane tooling and tests)
+ *
+ * @param {Object} claims - Capability claims (capSetId, iss, aud, issuedAt, expiresAt, grants)
+ * @param {Object} signer - { kid, alg, key } where key is a secret (Buffer/base64) for HS256 or a private key (PEM/KeyObject)
+ * @returns {string} JWS compact token
+ */
+export function signCapabilityToken(claims, { kid, alg, key }) {
+  if (!Object.values(CapabilityTokenAlgorithm).includes(alg)) {
+    throw new Error(`Unsupported capability token alg "${alg}"`);
+  }
+
+  const encodedHeader = Buffer.from(JSON.stringify({ alg, kid, typ: 'JWT' })).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`, 'ascii');
+
+  let signature;
+  if (alg === CapabilityTokenAlgorithm.HS256) {
+    const secret = typeof key === 'string' ? Buffer.from(key, 'base64') : key;
+    signature = crypto.createHmac('sha256', secret).update(signingInput).digest();
+  } else if (alg === CapabilityTokenAlgorithm.EDDSA) {
+    signature = crypto.sign(null, signingInput, key);
+  } else {
+    signature = crypto.sign('sha256', signingInput, key);
+  }
+
+  return `${encodedHeader}.${encodedPayload}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Load the capability keyring from control-plane environment
+ *
+ * MCP_CAPABILITY_KEYRING: path to a JSON file:
+ * {
+ *   "audience": "mcp-core-prod",
+ *   "keys": [
+ *     { "kid": "cp-2024", "alg": "EdDSA", "issuer": "control-plane", "publicKey": "-----BEGIN PUBLIC KEY-----..." },
+ *     { "kid": "cp-hmac", "alg": "HS256", "issuer": "launcher", "secret": "<base64>" }
+ *   ]
+ * }
+ *
+ * @returns {CapabilityKeyring|null} Keyring, or null if not configured
+ * @throws {Error} If the keyring is configured but malformed (fail-closed)
+ */
+export function loadCapabilityKeyringFromEnv() {
+  const keyringFile = process.env.MCP_CAPABILITY_KEYRING;
+
+  if (!keyringFile) {
+    return null;
+  }
+
+  try {
+    const keyring = new CapabilityKeyring(JSON.parse(fs.readFileSync(keyringFile, 'utf8')));
+
+    logger.info(keyring.toJSON(), 'Capability keyring loaded');
+
+    return keyring;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed capability keyring (fail-closed)');
+    throw new Error(`Failed to load capability keyring: ${error.message}`);
+  }
+}
+
+export default {
+  CapabilityTokenAlgorithm,
+  CapabilityTokenErrorCode,
+  CapabilityTokenError,
+  CapabilityKeyring,
+  verifyCapabilityToken,
+  signCapabilityToken,
+  loadCapabilityKeyringFromEnv,
+};
@@ -0,0 +1,308 @@
+import { logger } from '../utils/logger.js';
+import { resolveDialect, SqlDialect } from './sqlLexer.js';
+import { namesMatch } from './identifiers.js';
+import { mysqlPlanSources, xmlAttributes, unbracket } from './queryPlan.js';
+
+/**
+ * EXPLAIN-based Cost Gate
+ *
+ * Before a validated query runs, the adapter asks the database for its plan
+ * (inside the same read-only transaction, on the exact statement that will run):
+ *
+ *   PostgreSQL: EXPLAIN (FORMAT JSON, VERBOSE) <query>
+ *   MySQL:      EXPLAIN FORMAT=JSON <query>
+ *   SQL Server: SET SHOWPLAN_XML ON; <query>; SET SHOWPLAN_XML OFF
+ *
+ * The plan is reduced to an estimate and checked against the configured limits:
+ *
+ * - MAX_ESTIMATED_ROWS:    largest row estimate of any plan node
+ * - MAX_ESTIMATED_COST:    total plan cost (in the database's own cost units)
+ * - DENY_FULL_SCAN_TABLES: "schema.table" entries that must never be fully scanned
+ *
+ * Security Invariants:
+ * 1. Over-limit queries are rejected with QUERY_TOO_EXPENSIVE before they run
+ * 2. A plan that cannot be read rejects the query (fail-closed)
+ * 3. Malformed limits are rejected at load
+ * 4. No limit configured = no EXPLAIN (gate disabled)
+ */
+
+/**
+ * Create a structured cost rejection (preserved as QUERY_TOO_EXPENSIVE by every adapter)
+ * @private
+ */
+function tooExpensive(message, details) {
+  const error = new Error(message);
+  error.code = 'QUERY_TOO_EXPENSIVE';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Create a query rejection (preserved as QUERY_REJECTED by every adapter)
+ * @private
+ */
+function rejection(message) {
+  const error = new Error(message);
+  error.code = 'QUERY_REJECTED';
+  return error;
+}
+
+/**
+ * Parse an optional positive limit
+ * @private
+ */
+function parseLimit(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`${name}: must be a positive number`);
+  }
+  return parsed;
+}
+
+/**
+ * Numeric plan attribute (missing or malformed = 0)
+ * @private
+ */
+function toNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Estimate from a PostgreSQL EXPLAIN (FORMAT JSON, VERBOSE) result
+ * @private
+ */
+function estimatePostgres(plan) {
+  const document = typeof plan === 'string' ? JSON.parse(plan) : plan;
+  const root = Array.isArray(document) ? document[0]?.Plan : null;
+
+  if (!root || typeof root !== 'object') {
+    throw new Error('missing Plan');
+  }
+
+  const estimate = { rows: 0, cost: toNumber(root['Total Cost']), fullScans: [] };
+
+  const visit = (node) => {
+    estimate.rows = Math.max(estimate.rows, toNumber(node['Plan Rows']));
+
+    if (node['Node Type'] === 'Seq Scan' && node['Relation Name']) {
+      estimate.fullScans.push(node.Schema ? `${node.Schema}.${node['Relation Name']}` : node['Relation Name']);
+    }
+
+    for (const child of node.Plans || []) {
+      visit(child);
+    }
+  };
+
+  visit(root);
+  return estimate;
+}
+
+/**
+ * Estimate from a MySQL EXPLAIN FORMAT=JSON result
+ *
+ * MySQL names tables by alias only, so aliases are resolved against the query.
+ *
+ * @private
+ */
+function estimateMysql(plan, query) {
+  const document = typeof plan === 'string' ? JSON.parse(plan) : plan;
+
+  if (!document || typeof document.query_block !== 'object') {
+    throw new Error('missing query_block');
+  }
+
+  // alias (or table name) -> base tables it may refer to
+  const sources = mysqlPlanSources(query);
+
+  const estimate = { rows: 0, cost: 0, fullScans: [] };
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    if (value.cost_info && value.cost_info.query_cost !== undefined) {
+      estimate.cost = Math.max(estimate.cost, toNumber(value.cost_info.query_cost));
+    }
+
+    if (typeof value.table_name === 'string') {
+      estimate.rows = Math.max(estimate.rows, toNumber(value.rows_examined_per_scan));
+
+      // SECURITY: An alias used more than once resolves to every table it names
+      if (value.access_type === 'ALL') {
+        estimate.fullScans.push(...(sources.get(value.table_name.toLowerCase()) || [value.table_name]));
+      }
+    }
+
+    Object.values(value).forEach(visit);
+  };
+
+  visit(document);
+  return estimate;
+}
+
+/**
+ * Estimate from a SQL Server SHOWPLAN_XML document
+ * @private
+ */
+function estimateMssql(plan) {
+  if (typeof plan !== 'string' || !plan.includes('<ShowPlanXML')) {
+    throw new Error('missing ShowPlanXML');
+  }
+
+  const estimate = { rows: 0, cost: 0, fullScans: [] };
+  let operator = null;
+
+  // Start tags in document order; an <Object> belongs to the operator opened before it
+  for (const [, tag, source] of plan.matchAll(/<(StmtSimple|RelOp|Object)\b([^>]*)>/g)) {
+    const attributes = xmlAttributes(source);
+
+    if (tag === 'StmtSimple') {
+      estimate.cost = Math.max(estimate.cost, toNumber(attributes.StatementSubTreeCost));
+      estimate.rows = Math.max(estimate.rows, toNumber(attributes.StatementEstRows));
+    } else if (tag === 'RelOp') {
+      operator = attributes.PhysicalOp;
+      estimate.rows = Math.max(estimate.rows, toNumber(attributes.EstimateRows), toNumber(attributes.EstimatedRowsRead));
+    } else if ((operator === 'Table Scan' || operator === 'Clustered Index Scan') && attributes.Table) {
+      estimate.fullScans.push(attributes.Schema
+        ? `${unbracket(attributes.Schema)}.${unbracket(attributes.Table)}`
+        : unbracket(attributes.Table));
+      operator = null;
+    }
+  }
+
+  return estimate;
+}
+
+/**
+ * Cost limits checked against query plans
+ */
+export class CostGate {
+  /**
+   * @param {Object} [limits]
+   * @param {number|string} [limits.maxEstimatedRows] - Largest allowed row estimate
+   * @param {number|string} [limits.maxEstimatedCost] - Largest allowed plan cost
+   * @param {string} [limits.denyFullScanTables] - Comma-separated "schema.table" entries
+   * @throws {Error} On malformed limits (fail-closed)
+   */
+  constructor({ maxEstimatedRows, maxEstimatedCost, denyFullScanTables = '' } = {}) {
+    this.maxEstimatedRows = parseLimit(maxEstimatedRows, 'MAX_ESTIMATED_ROWS');
+    this.maxEstimatedCost = parseLimit(maxEstimatedCost, 'MAX_ESTIMATED_COST');
+    this.denyFullScanTables = denyFullScanTables.split(',').map((s) => s.trim()).filter((s) => s.length > 0);
+
+    for (const entry of this.denyFullScanTables) {
+      const parts = entry.split('.');
+      if (parts.length !== 2 || parts.some((part) => part.length === 0)) {
+        throw new Error(`DENY_FULL_SCAN_TABLES: invalid entry "${entry}" (expected schema.table)`);
+      }
+    }
+
+    logger.info({
+      maxEstimatedRows: this.maxEstimatedRows,
+      maxEstimatedCost: this.maxEstimatedCost,
+      denyFullScanTables: this.denyFullScanTables,
+    }, 'Cost gate initialized');
+  }
+
+  /**
+   * Check if any limit is configured (adapters skip EXPLAIN otherwise)
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.maxEstimatedRows !== null || this.maxEstimatedCost !== null || this.denyFullScanTables.length > 0;
+  }
+
+  /**
+   * Reduce a plan to an estimate
+   *
+   * @param {*} plan - Raw plan: PostgreSQL "QUERY PLAN" value, MySQL "EXPLAIN" value,
+   *   or SQL Server showplan XML
+   * @param {string} query - The statement that was explained
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @returns {{ rows: number, cost: number, fullScans: string[] }}
+   * @throws {Error} QUERY_REJECTED if the plan cannot be read (fail-closed)
+   */
+  estimate(plan, query, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+
+    try {
+      switch (dialect) {
+        case SqlDialect.MYSQL:
+          return estimateMysql(plan, query);
+        case SqlDialect.MSSQL:
+          return estimateMssql(plan);
+        default:
+          return estimatePostgres(plan);
+      }
+    } catch (error) {
+      logger.error({ error: error.message, dialect }, 'Query plan could not be read');
+      throw rejection('Query plan could not be evaluated (fail-closed)');
+    }
+  }
+
+  /**
+   * Check a plan against the configured limits
+   *
+   * @param {*} plan - Raw plan (see estimate)
+   * @param {string} query - The statement that was explained
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @returns {{ rows: number, cost: number, fullScans: string[] }} The accepted estimate
+   * @throws {Error} QUERY_TOO_EXPENSIVE if a limit is exceeded
+   */
+  enforce(plan, query, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+    const estimate = this.estimate(plan, query, { dialect });
+
+    const deniedScans = Array.from(new Set(estimate.fullScans.filter((table) =>
+      this.denyFullScanTables.some((denied) => namesMatch(denied, table, dialect)))));
+
+    const details = {
+      estimatedRows: estimate.rows,
+      estimatedCost: estimate.cost,
+      maxEstimatedRows: this.maxEstimatedRows,
+      maxEstimatedCost: this.maxEstimatedCost,
+      deniedFullScans: deniedScans,
+    };
+
+    if (deniedScans.length > 0) {
+      throw tooExpensive(`Query is too expensive: full scan of "${deniedScans[0]}" is not allowed`, details);
+    }
+
+    if (this.maxEstimatedRows !== null && estimate.rows > this.maxEstimatedRows) {
+      throw tooExpensive(
+        `Query is too expensive: estimated ${estimate.rows} rows exceeds the limit of ${this.maxEstimatedRows}`,
+        details
+      );
+    }
+
+    if (this.maxEstimatedCost !== null && estimate.cost > this.maxEstimatedCost) {
+      throw tooExpensive(
+        `Query is too expensive: estimated cost ${estimate.cost} exceeds the limit of ${this.maxEstimatedCost}`,
+        details
+      );
+    }
+
+    return estimate;
+  }
+}
+
+// Export singleton instance
+export const costGate = new CostGate({
+  maxEstimatedRows: process.env.MAX_ESTIMATED_ROWS,
+  maxEstimatedCost: process.env.MAX_ESTIMATED_COST,
+  denyFullScanTables: process.env.DENY_FULL_SCAN_TABLES || '',
+});
+
+export default costGate;
@@ -0,0 +1,216 @@
+import { logger } from '../utils/logger.js';
+import { parseQuery, walk } from './sqlParser.js';
+import { resolveDialect, SqlDialect } from './sqlLexer.js';
+import { foldIdentifier } from './identifiers.js';
+
+/**
+ * SQL Function Policy
+ *
+ * The SELECT-only grammar does not stop a query from calling functions that
+ * sleep, take locks, read server files, open connections to other servers or
+ * run SQL text the validator never saw (pg_sleep, LOAD_FILE, dblink, OPENROWSET,
+ * query_to_xml, ...). Every function call in a validated query, at any depth,
+ * is checked against a per-dialect policy:
+ *
+ * - denylist mode (default): the dialect's DEFAULT_DENIED_FUNCTIONS plus
+ *   DENY_FUNCTIONS are rejected, everything else is allowed
+ * - allowlist mode (FUNCTION_POLICY_MODE=allowlist): only ALLOW_FUNCTIONS may be
+ *   called; the denylist still applies
+ *
+ * Entries are function names, optionally schema-qualified ("dbo.fn_run") and
+ * optionally with `*` matching any run of characters ("xp_*").
+ *
+ * Security Invariants:
+ * 1. A denied function is never callable, even if allowlisted (deny wins)
+ * 2. Denylist entries match whatever the call is qualified or quoted with
+ * 3. In allowlist mode, a schema-qualified call must be listed with its schema
+ * 4. Malformed configuration is rejected at load (fail-closed)
+ */
+
+export const FunctionPolicyMode = Object.freeze({
+  DENYLIST: 'denylist',
+  ALLOWLIST: 'allowlist',
+});
+
+/**
+ * Functions denied by default, per dialect
+ */
+export const DEFAULT_DENIED_FUNCTIONS = Object.freeze({
+  [SqlDialect.POSTGRES]: Object.freeze([
+    // Delays and locks
+    'pg_sleep*', 'pg_advisory_*', 'pg_try_advisory_*',
+    // Server file system
+    'pg_read_*', 'pg_ls_*', 'pg_stat_file', 'pg_file_*', 'lo_*', 'loread', 'lowrite',
+    // Other servers
+    'dblink*',
+    // SQL text executed outside validation
+    'query_to_xml*', 'cursor_to_xml*', 'table_to_xml*', 'schema_to_xml*', 'database_to_xml*',
+    // Session and server state
+    'set_config', 'nextval', 'setval', 'pg_notify', 'pg_logical_emit_message',
+    'pg_cancel_backend', 'pg_terminate_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+    'pg_switch_wal', 'pg_create_restore_point', 'pg_stat_reset*', 'pg_stat_statements_reset',
+  ]),
+  [SqlDialect.MYSQL]: Object.freeze([
+    // Delays and locks
+    'sleep', 'benchmark', 'get_lock', 'release_lock', 'release_all_locks', 'is_free_lock',
+    'is_used_lock', 'master_pos_wait', 'source_pos_wait', 'wait_for_executed_gtid_set',
+    'wait_until_sql_thread_after_gtids',
+    // Server file system
+    'load_file',
+    // Command execution (lib_mysqludf_sys)
+    'sys_exec', 'sys_eval',
+  ]),
+  [SqlDialect.MSSQL]: Object.freeze([
+    // Other servers and files
+    'openrowset', 'opendatasource', 'openquery',
+    'fn_xe_file_target_read_file', 'fn_get_audit_file', 'fn_trace_gettable',
+    'fn_dblog', 'fn_dump_dblog',
+    // Extended and system procedures (xp_cmdshell, sp_executesql, ...)
+    'xp_*', 'sp_*',
+  ]),
+});
+
+// Function name, optionally schema-qualified, with `*` wildcards
+const ENTRY_PATTERN = /^[A-Za-z_*][A-Za-z0-9_$*]*(\.[A-Za-z_*][A-Za-z0-9_$*]*)?$/;
+
+/**
+ * Create a query rejection (preserved as QUERY_REJECTED by every adapter)
+ * @private
+ */
+function rejection(message, details) {
+  const error = new Error(message);
+  error.code = 'QUERY_REJECTED';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Parse a comma-separated list of function entries
+ * @private
+ */
+function parseEntries(value, name) {
+  const entries = (value || '').split(',').map((s) => s.trim()).filter((s) => s.length > 0);
+
+  for (const entry of entries) {
+    if (!ENTRY_PATTERN.test(entry)) {
+      throw new Error(`${name}: invalid entry "${entry}" (expected function or schema.function)`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Compile an entry to a matcher
+ * @private
+ * @param {string} entry - Configured entry
+ * @param {boolean} caseSensitive - Compare the name exactly
+ * @returns {{ qualified: boolean, regex: RegExp }}
+ */
+function compileEntry(entry, caseSensitive) {
+  const source = entry.split('*').map((part) => part.replace(/[.$]/g, '\\$&')).join('.*');
+  return { qualified: entry.includes('.'), regex: new RegExp(`^${source}$`, caseSensitive ? '' : 'i') };
+}
+
+/**
+ * Per-dialect function policy
+ */
+export class FunctionPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.mode] - FunctionPolicyMode (default: denylist)
+   * @param {string} [config.denyFunctions] - Comma-separated entries denied on top of the defaults
+   * @param {string} [config.allowFunctions] - Comma-separated entries callable in allowlist mode
+   * @throws {Error} On an unknown mode or malformed entries (fail-closed)
+   */
+  constructor({ mode, denyFunctions = '', allowFunctions = '' } = {}) {
+    this.mode = mode || FunctionPolicyMode.DENYLIST;
+
+    if (!Object.values(FunctionPolicyMode).includes(this.mode)) {
+      throw new Error(`FUNCTION_POLICY_MODE: unknown mode "${this.mode}" (expected denylist or allowlist)`);
+    }
+
+    this.denyFunctions = parseEntries(denyFunctions, 'DENY_FUNCTIONS');
+    this.allowFunctions = parseEntries(allowFunctions, 'ALLOW_FUNCTIONS');
+
+    if (this.allowFunctions.length > 0 && this.mode !== FunctionPolicyMode.ALLOWLIST) {
+      throw new Error('ALLOW_FUNCTIONS: requires FUNCTION_POLICY_MODE=allowlist');
+    }
+
+    logger.info({
+      mode: this.mode,
+      denyFunctions: this.denyFunctions,
+      allowFunctions: this.allowFunctions,
+    }, 'Function policy initialized');
+  }
+
+  /**
+   * Entries denied for a dialect (defaults + DENY_FUNCTIONS)
+   * @param {string} [dialect] - SqlDialect (default: postgres)
+   * @returns {string[]}
+   */
+  deniedFunctions(dialect) {
+    return [...DEFAULT_DENIED_FUNCTIONS[resolveDialect(dialect)], ...this.denyFunctions];
+  }
+
+  /**
+   * Check every function call of a validated query against the policy
+   *
+   * @param {string} query - Validated SELECT query
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @returns {string[]} Names of the functions called (as resolved)
+   * @throws {Error} QUERY_REJECTED naming the first function the policy refuses
+   */
+  enforce(query, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+
+    // SECURITY: Denylist matching ignores quoting and case (a near-miss is denied)
+    const denied = this.deniedFunctions(dialect).map((entry) => compileEntry(entry, false));
+
+    // PostgreSQL resolves function names like identifiers; MySQL and SQL Server ignore case
+    const allowed = this.allowFunctions.map((entry) => compileEntry(entry, dialect === SqlDialect.POSTGRES));
+
+    const called = [];
+    walk(parseQuery(query, { dialect }), (node) => {
+      if (node.type === 'function') {
+        called.push(node.name);
+      }
+    });
+
+    for (const parts of called) {
+      const written = parts.map((part) => part.value).join('.');
+      const resolved = parts.map((part) => foldIdentifier(part, dialect));
+      const bare = resolved[resolved.length - 1];
+
+      if (denied.some(({ qualified, regex }) => regex.test(qualified ? resolved.join('.') : bare))) {
+        throw rejection(`Function "${written}" is not allowed (denied for ${dialect})`, {
+          rule: 'function-policy',
+          function: written,
+          mode: FunctionPolicyMode.DENYLIST,
+        });
+      }
+
+      // SECURITY: An unqualified allowlist entry does not admit a schema-qualified call
+      if (this.mode === FunctionPolicyMode.ALLOWLIST &&
+        !allowed.some(({ qualified, regex }) => (qualified || resolved.length === 1) && regex.test(resolved.join('.')))) {
+        throw rejection(`Function "${written}" is not allowed (not in ALLOW_FUNCTIONS)`, {
+          rule: 'function-policy',
+          function: written,
+          mode: FunctionPolicyMode.ALLOWLIST,
+        });
+      }
+    }
+
+    return called.map((parts) => parts.map((part) => foldIdentifier(part, dialect)).join('.'));
+  }
+}
+
+// Export singleton instance
+export const functionPolicy = new FunctionPolicy({
+  mode: process.env.FUNCTION_POLICY_MODE,
+  denyFunctions: process.env.DENY_FUNCTIONS || '',
+  allowFunctions: process.env.ALLOW_FUNCTIONS || '',
+});
+
+export default functionPolicy;
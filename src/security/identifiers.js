@@ -0,0 +1,67 @@
+import { SqlDialect } from './sqlLexer.js';
+
+/**
+ * SQL identifier case-folding per engine
+ *
+ * - PostgreSQL: unquoted identifiers fold to lower case; quoted ("Sales") are exact
+ * - MySQL: schema/table names are used as written (case-sensitive on Linux, the
+ *   stricter reading); backticks only delimit
+ * - SQL Server: names are used as written and compared case-insensitively
+ *   (default collation); brackets only delimit
+ *
+ * Security Invariants:
+ * 1. A name is compared in the form the engine resolves it to, so quoting or
+ *    case tricks cannot reach a table other than the one that was authorized
+ * 2. Names that cannot be represented as "schema.table" are rejected (fail-closed)
+ */
+
+/**
+ * Fold a parsed identifier to the name the engine resolves
+ * @param {{ value: string, quoted: boolean }} identifier - Parsed identifier
+ * @param {string} dialect - SqlDialect
+ * @returns {string} Resolved name
+ */
+export function foldIdentifier(identifier, dialect) {
+  if (dialect === SqlDialect.POSTGRES && !identifier.quoted) {
+    return identifier.value.toLowerCase();
+  }
+  return identifier.value;
+}
+
+/**
+ * Check whether the engine compares names case-insensitively
+ * @param {string} [dialect] - SqlDialect
+ * @returns {boolean}
+ */
+export function isCaseInsensitive(dialect) {
+  return dialect === SqlDialect.MSSQL;
+}
+
+/**
+ * Comparison key of a parsed identifier (equal keys = same object to the engine)
+ * @param {{ value: string, quoted: boolean }} identifier - Parsed identifier
+ * @param {string} dialect - SqlDialect
+ * @returns {string} Key
+ */
+export function identifierKey(identifier, dialect) {
+  const folded = foldIdentifier(identifier, dialect);
+  return isCaseInsensitive(dialect) ? folded.toLowerCase() : folded;
+}
+
+/**
+ * Compare two resolved names
+ * @param {string} a - Resolved name
+ * @param {string} b - Resolved name
+ * @param {string} [dialect] - SqlDialect
+ * @returns {boolean}
+ */
+export function namesMatch(a, b, dialect) {
+  return isCaseInsensitive(dialect) ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+export default {
+  foldIdentifier,
+  isCaseInsensitive,
+  identifierKey,
+  namesMatch,
+};
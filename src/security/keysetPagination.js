@@ -0,0 +1,538 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { parseQuery, walk } from './sqlParser.js';
+import { tokenize, resolveDialect, SqlDialect, TokenType } from './sqlLexer.js';
+import { foldIdentifier, identifierKey } from './identifiers.js';
+
+/**
+ * Keyset Pagination and Continuation Tokens
+ *
+ * OFFSET is rejected and a page holds at most 1000 rows, so query_read walks
+ * large results by keyset: when a page comes back full, the adapter returns an
+ * opaque continuation token holding the ORDER BY values of the last row. The
+ * next call passes the token with the same query and parameters, and the
+ * outer SELECT gets a predicate that starts after that row:
+ *
+ *   ORDER BY o.created_at DESC, o.id ASC
+ *   ->  WHERE (<query's own WHERE>) AND ((o.created_at < $3) OR (o.created_at = $3 AND o.id > $4))
+ *
+ * Tokens are `<payload>.<signature>` (base64url), signed with HMAC-SHA256 keyed by
+ * CONTINUATION_SECRET and valid for CONTINUATION_TTL_MS (default 15 minutes).
+ * The payload binds the query fingerprint, a digest of the exact statement and
+ * parameters, and a digest of the session (identity, tenant, session id).
+ *
+ * A query can be paginated when its outer query is a single SELECT over base
+ * tables with an ORDER BY, no row limit of its own, no window functions and no
+ * `*`, and every sort key is returned as a plain, unmasked column. The sort keys
+ * must include a unique column (ORDER BY policy `unique`) of every table, so no
+ * two rows tie, and the last row's sort key values must round-trip exactly (numbers,
+ * strings, booleans, NULL; not Date objects). Otherwise no token is issued.
+ *
+ * Security Invariants:
+ * 1. A token is only accepted with a valid signature, before it expires
+ * 2. A token is only accepted by the session it was issued to (no replay)
+ * 3. A token is only accepted for the statement and parameters it was issued for
+ * 4. Sort key values are bound as parameters, never inlined into the SQL text
+ * 5. No CONTINUATION_SECRET = no tokens issued or accepted
+ * 6. Tokens are only issued when the sort keys identify a row (no rows skipped on ties)
+ */
+
+const TOKEN_VERSION = 1;
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const MAX_TOKEN_LENGTH = 4096;
+const TOKEN_FORMAT = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Create a continuation error (preserved as INVALID_CONTINUATION by every adapter)
+ * @private
+ */
+function continuationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONTINUATION';
+  return error;
+}
+
+/**
+ * SHA-256 digest of NUL-separated parts (hex, 128 bits)
+ * @private
+ */
+function digest(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\0')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Encode a sort key value for the token ({ ok: false } if the value cannot round-trip exactly)
+ * @private
+ */
+function encodeValue(value) {
+  if (value === null) {
+    return { ok: true, value: null };
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return { ok: true, value: ['n', value] };
+  }
+  if (typeof value === 'string') {
+    return { ok: true, value: ['s', value] };
+  }
+  if (typeof value === 'boolean') {
+    return { ok: true, value: ['b', value] };
+  }
+  // SECURITY: No Date values. A JS Date stops at milliseconds while timestamp and
+  // DATETIME(6) columns carry microseconds, so "after this row" would skip its ties
+  // and every row in the sub-millisecond gap.
+  return { ok: false };
+}
+
+/**
+ * Decode a sort key value from the token
+ * @private
+ */
+function decodeValue(encoded) {
+  if (encoded === null) {
+    return null;
+  }
+
+  const [type, value] = Array.isArray(encoded) ? encoded : [];
+  switch (type) {
+    case 'n':
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      break;
+    case 's':
+      if (typeof value === 'string') return value;
+      break;
+    case 'b':
+      if (typeof value === 'boolean') return value;
+      break;
+    default:
+      break;
+  }
+
+  throw continuationError('Continuation token is malformed');
+}
+
+/**
+ * Quote an identifier for the dialect
+ * @private
+ */
+function quoteIdentifier(value, dialect) {
+  switch (dialect) {
+    case SqlDialect.MYSQL:
+      return `\`${value.replace(/`/g, '``')}\``;
+    case SqlDialect.MSSQL:
+      return `[${value.replace(/\]/g, ']]')}]`;
+    default:
+      return `"${value.replace(/"/g, '""')}"`;
+  }
+}
+
+/**
+ * Render a column reference as it was written
+ * @private
+ */
+function renderColumn(parts, dialect) {
+  return parts.map((part) => (part.quoted ? quoteIdentifier(part.value, dialect) : part.value)).join('.');
+}
+
+/**
+ * Base tables of a select's FROM clause (through joins)
+ * @private
+ * @returns {Array<{ source: Object, table: string }>|null} Tables, or null if a source is not a base table
+ */
+function baseTables(select, dialect) {
+  const tables = [];
+  const collect = (item) => {
+    if (item.type === 'join') {
+      return collect(item.left) && collect(item.right);
+    }
+    // Derived tables and CTE references (unqualified names) have no known unique columns
+    if (item.type !== 'table' || item.name.length !== 2) {
+      return false;
+    }
+    tables.push({ source: item, table: item.name.map((part) => foldIdentifier(part, dialect)).join('.') });
+    return true;
+  };
+
+  return (select.from || []).every(collect) ? tables : null;
+}
+
+/**
+ * Find the base table a column reference reads from (null if it cannot be told)
+ * @private
+ */
+function tableOfColumn(parts, tables, dialect) {
+  if (parts.length === 1) {
+    return tables.length === 1 ? tables[0] : null;
+  }
+
+  const matches = parts.length === 2
+    ? tables.filter(({ source }) => identifierKey(source.alias || source.name[1], dialect) === identifierKey(parts[0], dialect))
+    : tables.filter(({ source, table }) => !source.alias && table === parts.slice(0, 2).map((part) => foldIdentifier(part, dialect)).join('.'));
+
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Keyset pagination with signed continuation tokens
+ */
+export class KeysetPagination {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.secret] - HMAC key (at least 32 characters); unset disables tokens
+   * @param {number|string} [config.ttlMs] - Token lifetime in milliseconds (default: 15 minutes)
+   * @throws {Error} On a weak secret or malformed lifetime (fail-closed)
+   */
+  constructor({ secret, ttlMs } = {}) {
+    if (secret && secret.length < 32) {
+      throw new Error('CONTINUATION_SECRET: must be at least 32 characters');
+    }
+
+    const ttl = ttlMs === undefined || ttlMs === '' ? DEFAULT_TTL_MS : Number(ttlMs);
+    if (!Number.isInteger(ttl) || ttl < 1000) {
+      throw new Error('CONTINUATION_TTL_MS: must be an integer of at least 1000');
+    }
+
+    this._secret = secret || null;
+    this.ttlMs = ttl;
+
+    logger.info({ enabled: this.enabled, ttlMs: this.ttlMs }, 'Keyset pagination initialized');
+  }
+
+  /**
+   * Check if continuation tokens are issued and accepted
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this._secret !== null;
+  }
+
+  /**
+   * Plan keyset pagination for a validated query
+   *
+   * @param {string} query - Validated SELECT query
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @param {Object|null} [options.maskingPlan] - Result of planResultMasking (masked keys cannot be paginated)
+   * @param {OrderByPolicy|null} [options.orderByPolicy] - Declares the unique columns of each table
+   * @returns {{ keys: Array<Object>|null, reason?: string }} Sort keys, or null keys and the reason
+   */
+  plan(query, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+    const unavailable = (reason) => ({ keys: null, reason });
+
+    if (!this.enabled) {
+      return unavailable('continuation tokens are not enabled');
+    }
+
+    const ast = parseQuery(query, { dialect });
+
+    if (!ast.orderBy) {
+      return unavailable('query has no ORDER BY');
+    }
+    if (ast.body.type !== 'select') {
+      return unavailable('set operations cannot be paginated');
+    }
+
+    const select = ast.body;
+
+    // The query's own limit would apply to every page, not to the whole result
+    if (ast.limit || ast.fetch || select.top) {
+      return unavailable('query has its own row limit');
+    }
+    if (select.columns.some((item) => item.expr.type === 'star')) {
+      return unavailable('SELECT * cannot be paginated');
+    }
+
+    // Window functions would be computed over the remaining rows only
+    let windowed = false;
+    for (const item of select.columns) {
+      walk(item, (node) => {
+        if (node.type === 'function' && node.over) {
+          windowed = true;
+        }
+      });
+    }
+    if (windowed) {
+      return unavailable('window functions cannot be paginated');
+    }
+
+    const tables = baseTables(select, dialect);
+    if (!tables) {
+      return unavailable('only base tables can be paginated');
+    }
+
+    const outputName = (item) => item.alias || (item.expr.type === 'column' ? item.expr.parts[item.expr.parts.length - 1] : null);
+    const keys = [];
+
+    for (const { expr, direction, nulls } of ast.orderBy) {
+      if (expr.type !== 'column') {
+        return unavailable('sort keys must be columns');
+      }
+
+      const key = expr.parts.map((part) => part.value.toLowerCase()).join('.');
+      const item = select.columns.find((candidate) => (expr.parts.length === 1
+        ? outputName(candidate)?.value.toLowerCase() === key
+        : candidate.expr.type === 'column' &&
+          candidate.expr.parts.map((part) => part.value.toLowerCase()).join('.') === key));
+
+      if (!item || item.expr.type !== 'column') {
+        return unavailable(`sort key ${key} is not returned as a plain column`);
+      }
+
+      // The row value is read by output name, so the name must be unique
+      const output = outputName(item);
+      const sameName = select.columns.filter((candidate) => outputName(candidate)?.value.toLowerCase() === output.value.toLowerCase());
+      if (sameName.length !== 1) {
+        return unavailable(`sort key ${key} is returned under an ambiguous name`);
+      }
+
+      // SECURITY: A masked value cannot position the next page (and must not leave in a token)
+      if (options.maskingPlan?.columns.has(output.value.toLowerCase())) {
+        return unavailable(`sort key ${key} is masked`);
+      }
+
+      // Where NULLs sort when not specified: last for ascending keys on PostgreSQL,
+      // first on MySQL and SQL Server (NULL is the smallest value)
+      const descending = direction === 'DESC';
+      const nullsLast = nulls ? nulls === 'LAST' : (dialect === SqlDialect.POSTGRES) !== descending;
+
+      keys.push({
+        column: renderColumn(item.expr.parts, dialect),
+        output: foldIdentifier(output, dialect),
+        descending,
+        nullsLast,
+      });
+
+      const source = tableOfColumn(item.expr.parts, tables, dialect);
+      const column = foldIdentifier(item.expr.parts[item.expr.parts.length - 1], dialect).toLowerCase();
+      if (source && options.orderByPolicy?.rulesFor(source.table)?.unique.has(column)) {
+        source.identified = true;
+      }
+    }
+
+    // INVARIANT: The page predicate is strictly "after the last row", so the sort keys must
+    // identify a row: rows tied with the last row of a page would otherwise be skipped
+    const unidentified = tables.find((entry) => !entry.identified);
+    if (unidentified) {
+      return unavailable(`sort keys do not include a unique column of ${unidentified.table}`);
+    }
+
+    return { keys };
+  }
+
+  /**
+   * Issue a continuation token for the page after a full page of results
+   *
+   * @param {{ keys: Array<Object>|null }} plan - Result of plan()
+   * @param {{ rows: Array<Object>, rowCount: number, truncated: boolean, appliedLimit: number }} result - Unmasked result
+   * @param {Object} binding
+   * @param {string} binding.query - Query as submitted
+   * @param {Array} binding.params - Parameters as submitted
+   * @param {string} binding.queryFingerprint - Audit fingerprint of the query
+   * @param {SessionContext} binding.sessionContext - Bound session context
+   * @returns {string|null} Token, or null if there is no next page or it cannot be reached by keyset
+   */
+  issue(plan, result, { query, params, queryFingerprint, sessionContext }) {
+    if (!this.enabled || !plan?.keys || result.rows.length === 0) {
+      return null;
+    }
+
+    // A full page may be followed by more rows (the last page can come back empty)
+    if (!result.truncated && result.rowCount < result.appliedLimit) {
+      return null;
+    }
+
+    const lastRow = result.rows[result.rows.length - 1];
+    const values = [];
+
+    for (const key of plan.keys) {
+      const encoded = Object.prototype.hasOwnProperty.call(lastRow, key.output) ? encodeValue(lastRow[key.output]) : { ok: false };
+      if (!encoded.ok) {
+        logger.debug({ sortKey: key.column }, 'Sort key value cannot be encoded, no continuation token issued');
+        return null;
+      }
+      values.push(encoded.value);
+    }
+
+    const payload = Buffer.from(JSON.stringify({
+      v: TOKEN_VERSION,
+      fp: queryFingerprint,
+      st: digest(query, JSON.stringify(params)),
+      sub: digest(sessionContext.identity, sessionContext.tenant, sessionContext.sessionId),
+      exp: Date.now() + this.ttlMs,
+      keys: values,
+    })).toString('base64url');
+
+    return `${payload}.${this._sign(payload).toString('base64url')}`;
+  }
+
+  /**
+   * Verify a continuation token and rewrite the query to start after its row
+   *
+   * @param {string} token - Continuation token from a previous page
+   * @param {{ keys: Array<Object>|null, reason?: string }} plan - Result of plan() for the query
+   * @param {Object} binding
+   * @param {string} binding.query - Query as submitted
+   * @param {Array} binding.params - Parameters as submitted
+   * @param {string} binding.queryFingerprint - Audit fingerprint of the query
+   * @param {SessionContext} binding.sessionContext - Bound session context
+   * @param {string} [binding.dialect] - SqlDialect (default: postgres)
+   * @returns {{ query: string, params: Array }} Query with the keyset predicate and its parameters
+   * @throws {Error} INVALID_CONTINUATION if the token is invalid, expired or issued elsewhere
+   */
+  resume(token, plan, { query, params, queryFingerprint, sessionContext, dialect }) {
+    if (!this.enabled) {
+      throw continuationError('Continuation tokens are not enabled');
+    }
+
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH || !TOKEN_FORMAT.test(token)) {
+      throw continuationError('Continuation token is malformed');
+    }
+
+    const [encodedPayload, encodedSignature] = token.split('.');
+    const expected = this._sign(encodedPayload);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      logger.warn({ sessionId: sessionContext.sessionId }, 'SECURITY: Continuation token signature mismatch');
+      throw continuationError('Continuation token signature is invalid');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      throw continuationError('Continuation token is malformed');
+    }
+
+    if (payload?.v !== TOKEN_VERSION || !Array.isArray(payload.keys)) {
+      throw continuationError('Continuation token is malformed');
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+      throw continuationError('Continuation token has expired');
+    }
+
+    // SECURITY: Tokens are bound to the session they were issued to (no replay)
+    if (payload.sub !== digest(sessionContext.identity, sessionContext.tenant, sessionContext.sessionId)) {
+      logger.warn({ sessionId: sessionContext.sessionId }, 'SECURITY: Continuation token replayed by a different session');
+      throw continuationError('Continuation token was issued to a different session');
+    }
+
+    // The audit fingerprint ignores literals, so the exact statement is bound as well
+    if (payload.fp !== queryFingerprint || payload.st !== digest(query, JSON.stringify(params))) {
+      throw continuationError('Continuation token was issued for a different query or parameters');
+    }
+
+    if (!plan?.keys || plan.keys.length !== payload.keys.length) {
+      throw continuationError(`Query cannot be paginated: ${plan?.reason || 'sort keys changed'}`);
+    }
+
+    return this.rewrite(query, params, plan, payload.keys.map(decodeValue), { dialect });
+  }
+
+  /**
+   * Add the keyset predicate (rows after the given sort key values) to the outer SELECT
+   *
+   * @param {string} query - Validated SELECT query
+   * @param {Array} params - Bind parameters of the query
+   * @param {{ keys: Array<Object> }} plan - Result of plan()
+   * @param {Array} values - Sort key values of the last row of the previous page
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @returns {{ query: string, params: Array }}
+   * @throws {Error} INVALID_CONTINUATION if the predicate cannot be bound safely
+   */
+  rewrite(query, params, plan, values, options = {}) {
+    const dialect = resolveDialect(options.dialect);
+    const select = parseQuery(query, { dialect }).body;
+    const paramTokens = tokenize(query, { dialect }).filter((token) => token.type === TokenType.PARAM);
+
+    // Placeholders continue after the query's own (MySQL `?` values are spliced in text order)
+    const bound = [];
+    const named = new Map();
+    const placeholder = (index) => {
+      if (dialect === SqlDialect.MYSQL) {
+        bound.push(values[index]);
+        return '?';
+      }
+      if (!named.has(index)) {
+        bound.push(values[index]);
+        named.set(index, dialect === SqlDialect.MSSQL ? `@param${params.length + named.size}` : `$${params.length + named.size + 1}`);
+      }
+      return named.get(index);
+    };
+
+    const equal = (index) => {
+      const { column } = plan.keys[index];
+      return values[index] === null ? `${column} IS NULL` : `${column} = ${placeholder(index)}`;
+    };
+
+    // Rows strictly after the value in sort order
+    const after = (index) => {
+      const { column, descending, nullsLast } = plan.keys[index];
+      if (values[index] === null) {
+        return `${column} IS NOT NULL`;
+      }
+      const comparison = `${column} ${descending ? '<' : '>'} ${placeholder(index)}`;
+      return nullsLast ? `(${comparison} OR ${column} IS NULL)` : comparison;
+    };
+
+    const terms = [];
+    for (let index = 0; index < plan.keys.length; index++) {
+      // Nothing sorts after a NULL that sorts last
+      if (values[index] === null && plan.keys[index].nullsLast) {
+        continue;
+      }
+      const ties = Array.from({ length: index }, (_, previous) => equal(previous));
+      terms.push(`(${[...ties, after(index)].join(' AND ')})`);
+    }
+
+    const predicate = terms.length > 0 ? terms.join(' OR ') : '1 = 0';
+
+    // SECURITY: The query's own placeholders must not collide with the new ones
+    const collides = dialect === SqlDialect.MSSQL
+      ? paramTokens.some((token) => Array.from(named.values()).includes(`@${token.name}`.toLowerCase()))
+      : dialect === SqlDialect.POSTGRES && paramTokens.some((token) => token.index > params.length);
+    if (collides) {
+      throw continuationError('Query placeholders do not match its parameters; keyset predicate cannot be bound (fail-closed)');
+    }
+
+    const edits = select.where
+      ? [{ at: select.whereEnd, text: `) AND (${predicate})` }, { at: select.whereStart, text: '(' }]
+      : [{ at: select.fromEnd, text: ` WHERE ${predicate}` }];
+    const rewritten = edits.reduce((text, { at, text: insert }) => text.slice(0, at) + insert + text.slice(at), query);
+
+    let boundParams;
+    if (dialect === SqlDialect.MYSQL) {
+      const position = paramTokens.filter((token) => token.pos < edits[0].at).length;
+      boundParams = [...params.slice(0, position), ...bound, ...params.slice(position)];
+    } else {
+      boundParams = [...params, ...bound];
+    }
+
+    // Defense in depth: the rewritten query must still parse
+    try {
+      parseQuery(rewritten, { dialect });
+    } catch {
+      throw continuationError('Keyset predicate could not be added (fail-closed)');
+    }
+
+    return { query: rewritten, params: boundParams };
+  }
+
+  /**
+   * HMAC-SHA256 of a payload segment
+   * @private
+   */
+  _sign(encodedPayload) {
+    return crypto.createHmac('sha256', this._secret).update(encodedPayload).digest();
+  }
+}
+
+// Export singleton instance
+export const keysetPagination = new KeysetPagination({
+  secret: process.env.CONTINUATION_SECRET,
+  ttlMs: process.env.CONTINUATION_TTL_MS,
+});
+
+export default keysetPagination;
@@ -0,0 +1,375 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { traceResultColumns } from './queryValidator.js';
+import { namesMatch } from './identifiers.js';
+
+/**
+ * Result Masking and Redaction
+ *
+ * Declarative rules keyed by "schema.table.column" rewrite sensitive values in
+ * query results before they leave the adapter. Masked columns stay usable in
+ * WHERE / JOIN / ORDER BY; only the returned values are rewritten.
+ *
+ * Strategies:
+ * - null:     value replaced with null
+ * - hash:     SHA-256 hex of the value
+ * - partial:  all but the first `keepFirst` / last `keepLast` characters replaced with `*`
+ * - tokenize: deterministic HMAC-SHA256 token keyed by MASKING_SECRET
+ *             (equal values give equal tokens, so results can still be joined)
+ *
+ * Security Invariants:
+ * 1. The policy is validated in full at load (unknown strategy, bad column = reject)
+ * 2. A masked column may only be returned as a plain column reference; any
+ *    expression, aggregate or untraceable result that reads it rejects the query
+ * 3. Result columns are matched by name; if two rules apply to one name the
+ *    stricter strategy wins
+ * 4. Audit events record rule ids only (no schema/table/column names)
+ */
+
+export const MaskingStrategy = Object.freeze({
+  NULL: 'null',
+  HASH: 'hash',
+  PARTIAL: 'partial',
+  TOKENIZE: 'tokenize',
+});
+
+// Higher = reveals less (used when several rules apply to one result column)
+const STRATEGY_STRENGTH = Object.freeze({
+  [MaskingStrategy.PARTIAL]: 1,
+  [MaskingStrategy.TOKENIZE]: 2,
+  [MaskingStrategy.HASH]: 2,
+  [MaskingStrategy.NULL]: 3,
+});
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const DEFAULT_KEEP_LAST = 4;
+const TOKEN_PREFIX = 'tok_';
+
+// Active policy (attach-once, see configureMaskingPolicy)
+let activePolicy = null;
+
+/**
+ * Check an optional non-negative integer rule option
+ * @private
+ */
+function assertKeep(value, name, id) {
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    throw new Error(`MaskingPolicy: rule "${id}" ${name} must be a non-negative integer`);
+  }
+}
+
+/**
+ * Render a result value as text for hashing/masking
+ * @private
+ */
+function valueToText(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('hex');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * MaskingPolicy: Immutable, validated masking rules
+ *
+ * Structure:
+ * {
+ *   "rules": [
+ *     { "id": "customer-email", "column": "public.customers.email", "strategy": "partial", "keepLast": 4 },
+ *     { "id": "customer-card", "column": "public.customers.card_number", "strategy": "tokenize" }
+ *   ]
+ * }
+ */
+export class MaskingPolicy {
+  /**
+   * @param {Object} document - Policy document
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Tokenization key (required by tokenize rules, >= 32 chars)
+   */
+  constructor({ rules }, options = {}) {
+    if (!Array.isArray(rules)) {
+      throw new Error('MaskingPolicy: rules must be an array');
+    }
+
+    const ids = new Set();
+
+    this._rules = Object.freeze(rules.map((rule, index) => {
+      if (!rule || typeof rule !== 'object') {
+        throw new Error(`MaskingPolicy: rule ${index} must be an object`);
+      }
+
+      const { id, column, strategy, keepFirst, keepLast } = rule;
+
+      if (typeof id !== 'string' || !RULE_ID_PATTERN.test(id)) {
+        throw new Error(`MaskingPolicy: rule ${index} requires a valid id`);
+      }
+
+      if (ids.has(id)) {
+        throw new Error(`MaskingPolicy: duplicate rule id "${id}"`);
+      }
+      ids.add(id);
+
+      const parts = typeof column === 'string' ? column.split('.') : [];
+      if (parts.length !== 3 || parts.some((part) => part.length === 0)) {
+        throw new Error(`MaskingPolicy: rule "${id}" column must be schema.table.column`);
+      }
+
+      if (!Object.values(MaskingStrategy).includes(strategy)) {
+        throw new Error(`MaskingPolicy: rule "${id}" has unknown strategy "${strategy}"`);
+      }
+
+      assertKeep(keepFirst, 'keepFirst', id);
+      assertKeep(keepLast, 'keepLast', id);
+
+      return Object.freeze({
+        id,
+        table: `${parts[0]}.${parts[1]}`,
+        column: parts[2],
+        strategy,
+        keepFirst: keepFirst ?? 0,
+        keepLast: keepLast ?? DEFAULT_KEEP_LAST,
+      });
+    }));
+
+    // INVARIANT: Tokens without a strong key could be reversed by guessing values
+    const tokenizes = this._rules.some((rule) => rule.strategy === MaskingStrategy.TOKENIZE);
+    if (tokenizes && (!options.secret || options.secret.length < 32)) {
+      throw new Error('MaskingPolicy: tokenize rules require MASKING_SECRET (at least 32 characters)');
+    }
+
+    this._secret = tokenizes ? options.secret : null;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Rules that apply to a base column (column '*' = every rule of the table)
+   * @param {string|null} table - "schema.table" (null = unresolved: match by column name only)
+   * @param {string} column - Column name or '*'
+   * @param {string} [dialect] - SqlDialect for name comparison
+   * @returns {Object[]} Matching rules
+   */
+  rulesFor(table, column, dialect) {
+    return this._rules.filter((rule) =>
+      (table === null || namesMatch(rule.table, table, dialect)) &&
+      (column === '*' || namesMatch(rule.column, column, dialect)));
+  }
+
+  /**
+   * Apply a rule to one value (null stays null)
+   * @param {Object} rule - Rule from this policy
+   * @param {*} value - Result value
+   * @returns {*} Masked value
+   */
+  mask(rule, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    switch (rule.strategy) {
+      case MaskingStrategy.NULL:
+        return null;
+
+      case MaskingStrategy.HASH:
+        return crypto.createHash('sha256').update(valueToText(value)).digest('hex');
+
+      case MaskingStrategy.TOKENIZE:
+        return TOKEN_PREFIX + crypto.createHmac('sha256', this._secret).update(valueToText(value)).digest('hex').slice(0, 32);
+
+      case MaskingStrategy.PARTIAL: {
+        const text = valueToText(value);
+        if (text.length <= rule.keepFirst + rule.keepLast) {
+          return '*'.repeat(text.length);
+        }
+        return text.slice(0, rule.keepFirst) +
+          '*'.repeat(text.length - rule.keepFirst - rule.keepLast) +
+          text.slice(text.length - rule.keepLast);
+      }
+
+      default:
+        // Unreachable (validated at load); fail-closed
+        return null;
+    }
+  }
+
+  get size() {
+    return this._rules.length;
+  }
+}
+
+/**
+ * Set the masking policy applied to every query result
+ *
+ * @param {MaskingPolicy} policy - Validated policy
+ * @throws {Error} If a different policy is already configured
+ */
+export function configureMaskingPolicy(policy) {
+  if (!(policy instanceof MaskingPolicy)) {
+    throw new Error('configureMaskingPolicy: MaskingPolicy instance is required');
+  }
+
+  // INVARIANT: Policy is attach-once (no runtime rule substitution)
+  if (activePolicy && activePolicy !== policy) {
+    throw new Error('SECURITY VIOLATION: Masking policy already configured');
+  }
+
+  activePolicy = policy;
+}
+
+/**
+ * Load a masking policy from MCP_MASKING_POLICY_FILE (if set)
+ *
+ * @returns {MaskingPolicy|null} Policy, or null if masking is not configured
+ * @throws {Error} If the file or a rule is malformed (fail-closed)
+ */
+export function loadMaskingPolicyFromEnv() {
+  const policyFile = process.env.MCP_MASKING_POLICY_FILE;
+
+  if (!policyFile) {
+    return null;
+  }
+
+  try {
+    const policy = new MaskingPolicy(JSON.parse(fs.readFileSync(policyFile, 'utf8')), {
+      secret: process.env.MASKING_SECRET,
+    });
+
+    logger.info({ policyFile, ruleCount: policy.size }, 'Masking policy loaded');
+
+    return policy;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed masking policy (fail-closed)');
+    throw new Error(`Failed to load masking policy: ${error.message}`);
+  }
+}
+
+/**
+ * Configure the masking policy from MCP_MASKING_POLICY_FILE (if set)
+ *
+ * @returns {MaskingPolicy|null} Active policy, or null if masking is not configured
+ * @throws {Error} If the policy is malformed (fail-closed)
+ */
+export function configureMaskingPolicyFromEnv() {
+  if (!activePolicy) {
+    const policy = loadMaskingPolicyFromEnv();
+    if (policy) {
+      configureMaskingPolicy(policy);
+    }
+  }
+
+  return activePolicy;
+}
+
+/**
+ * Create a query rejection (preserved as QUERY_REJECTED by every adapter)
+ * @private
+ */
+function rejection(message) {
+  const error = new Error(message);
+  error.code = 'QUERY_REJECTED';
+  return error;
+}
+
+/**
+ * Plan the masking of a validated query's results (run BEFORE execution)
+ *
+ * @param {string} query - Validated SELECT query
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant validation rules)
+ * @returns {{ policy: MaskingPolicy, columns: Map<string, Object> }|null} Rules by lower-cased
+ *   result column name, or null if no masking applies
+ * @throws {Error} QUERY_REJECTED if a masked column is returned other than as a plain column
+ */
+export function planResultMasking(query, options = {}) {
+  const policy = configureMaskingPolicyFromEnv();
+
+  if (!policy || policy.size === 0) {
+    return null;
+  }
+
+  const { dialect } = options;
+  const columns = new Map();
+
+  const assign = (name, rule) => {
+    const key = name.toLowerCase();
+    const current = columns.get(key);
+    if (!current || STRATEGY_STRENGTH[rule.strategy] > STRATEGY_STRENGTH[current.strategy]) {
+      columns.set(key, rule);
+    }
+  };
+
+  for (const output of traceResultColumns(query, { dialect, tenant: options.tenant })) {
+    // SELECT * returns each column under its own name
+    if (output.star) {
+      for (const rule of policy.rulesFor(output.star, '*', dialect)) {
+        assign(rule.column, rule);
+      }
+      continue;
+    }
+
+    for (const { table, column } of output.columns) {
+      const rules = policy.rulesFor(table, column, dialect);
+
+      if (rules.length === 0) {
+        continue;
+      }
+
+      // SECURITY: Masking rewrites values by result column; a masked value inside
+      // an expression (or an unnamed/whole-row result) cannot be rewritten
+      if (!output.direct || output.name === null || column === '*') {
+        throw rejection(
+          `Masked column "${rules[0].table}.${rules[0].column}" can only be returned as a plain column reference (fail-closed)`
+        );
+      }
+
+      for (const rule of rules) {
+        assign(output.name, rule);
+      }
+    }
+  }
+
+  return columns.size > 0 ? { policy, columns } : null;
+}
+
+/**
+ * Apply a masking plan to result rows
+ *
+ * @param {Array<Object>} rows - Result rows (objects keyed by column name)
+ * @param {Object|null} plan - Result of planResultMasking
+ * @returns {{ rows: Array<Object>, appliedRules: string[] }} Masked rows and the ids of the rules in effect
+ */
+export function applyResultMasking(rows, plan) {
+  if (!plan) {
+    return { rows, appliedRules: [] };
+  }
+
+  const appliedRules = Array.from(new Set(Array.from(plan.columns.values()).map((rule) => rule.id))).sort();
+
+  const masked = rows.map((row) => {
+    const result = { ...row };
+    for (const key of Object.keys(result)) {
+      const rule = plan.columns.get(key.toLowerCase());
+      if (rule) {
+        result[key] = plan.policy.mask(rule, result[key]);
+      }
+    }
+    return result;
+  });
+
+  return { rows: masked, appliedRules };
+}
+
+export default {
+  MaskingStrategy,
+  MaskingPolicy,
+  configureMaskingPolicy,
+  loadMaskingPolicyFromEnv,
+  configureMaskingPolicyFromEnv,
+  planResultMasking,
+  applyResultMasking,
+};
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+/**
+ * ORDER BY Policy
+ *
+ * Sorting is allowed per table. Each table lists the columns it may be sorted
+ * by, how many sort keys a query may use, and which modifiers are accepted:
+ *
+ * {
+ *   "tables": {
+ *     "sales.orders": {
+ *       "columns": ["created_at", "id", "total"],
+ *       "unique": ["id"],
+ *       "maxKeys": 3,
+ *       "modifiers": ["ASC", "DESC", "NULLS FIRST", "NULLS LAST"]
+ *     },
+ *     "sales.customers": { "columns": ["name"] }
+ *   }
+ * }
+ *
+ * `maxKeys` defaults to 2 and `modifiers` to ASC and DESC. `unique` lists the
+ * sortable columns that identify a row (primary key or unique NOT NULL); keyset
+ * pagination requires one of them per table (see keysetPagination.js). The
+ * policy is enforced by the `order-by-allowlist` validation rule (see queryValidator.js).
+ *
+ * Security Invariants:
+ * 1. A table without an entry cannot be sorted (default deny)
+ * 2. The policy is validated in full at load (fail-closed)
+ * 3. Policy is attach-once (no runtime substitution)
+ */
+
+export const OrderByModifier = Object.freeze({
+  ASC: 'ASC',
+  DESC: 'DESC',
+  NULLS_FIRST: 'NULLS FIRST',
+  NULLS_LAST: 'NULLS LAST',
+});
+
+const DEFAULT_MAX_KEYS = 2;
+const MAX_KEYS_LIMIT = 10;
+const DEFAULT_MODIFIERS = Object.freeze([OrderByModifier.ASC, OrderByModifier.DESC]);
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+// Active policy (attach-once, see configureOrderByPolicy)
+let activePolicy = null;
+
+/**
+ * Per-table ORDER BY rules
+ */
+export class OrderByPolicy {
+  /**
+   * @param {Object} document - Policy document
+   * @param {Object<string, { columns: string[], unique?: string[], maxKeys?: number, modifiers?: string[] }>} document.tables
+   * @throws {Error} On a malformed entry (fail-closed)
+   */
+  constructor({ tables } = {}) {
+    if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+      throw new Error('OrderByPolicy: tables must be an object keyed by schema.table');
+    }
+
+    this._tables = new Map();
+
+    for (const [table, entry] of Object.entries(tables)) {
+      const parts = table.split('.');
+      if (parts.length !== 2 || parts.some((part) => part.length === 0)) {
+        throw new Error(`OrderByPolicy: invalid table "${table}" (expected schema.table)`);
+      }
+
+      const key = table.toLowerCase();
+      if (this._tables.has(key)) {
+        throw new Error(`OrderByPolicy: table "${table}" is listed more than once`);
+      }
+
+      const { columns, unique = [], maxKeys = DEFAULT_MAX_KEYS, modifiers = DEFAULT_MODIFIERS } = entry || {};
+
+      if (!Array.isArray(columns) || columns.length === 0 ||
+        columns.some((column) => typeof column !== 'string' || !COLUMN_PATTERN.test(column))) {
+        throw new Error(`OrderByPolicy: table "${table}" requires a non-empty list of column names`);
+      }
+
+      // A unique column only helps pagination if queries may sort by it
+      const sortable = new Set(columns.map((column) => column.toLowerCase()));
+      if (!Array.isArray(unique) || unique.some((column) => typeof column !== 'string' || !sortable.has(column.toLowerCase()))) {
+        throw new Error(`OrderByPolicy: table "${table}" unique must list columns from its columns`);
+      }
+
+      if (!Number.isInteger(maxKeys) || maxKeys < 1 || maxKeys > MAX_KEYS_LIMIT) {
+        throw new Error(`OrderByPolicy: table "${table}" maxKeys must be an integer from 1 to ${MAX_KEYS_LIMIT}`);
+      }
+
+      if (!Array.isArray(modifiers) || modifiers.some((modifier) => !Object.values(OrderByModifier).includes(modifier))) {
+        throw new Error(`OrderByPolicy: table "${table}" modifiers must be from ${Object.values(OrderByModifier).join(', ')}`);
+      }
+
+      // INVARIANT: Every key carries an explicit direction, so at least one must be allowed
+      if (!modifiers.includes(OrderByModifier.ASC) && !modifiers.includes(OrderByModifier.DESC)) {
+        throw new Error(`OrderByPolicy: table "${table}" must allow ASC or DESC`);
+      }
+
+      this._tables.set(key, Object.freeze({
+        table,
+        columns: sortable,
+        unique: new Set(unique.map((column) => column.toLowerCase())),
+        maxKeys,
+        modifiers: new Set(modifiers),
+      }));
+    }
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Build a policy from "schema.table.column" entries (default key limit and modifiers)
+   * @param {string[]} columns - Sortable columns
+   * @returns {OrderByPolicy}
+   * @throws {Error} On a malformed entry (fail-closed)
+   */
+  static fromColumns(columns) {
+    const tables = {};
+
+    for (const entry of columns) {
+      const parts = entry.split('.');
+      if (parts.length !== 3 || parts.some((part) => part.length === 0)) {
+        throw new Error(`OrderByPolicy: invalid column "${entry}" (expected schema.table.column)`);
+      }
+
+      const table = `${parts[0]}.${parts[1]}`.toLowerCase();
+      tables[table] = tables[table] || { columns: [] };
+      tables[table].columns.push(parts[2]);
+    }
+
+    return new OrderByPolicy({ tables });
+  }
+
+  /**
+   * Rules of a table
+   * @param {string} table - "schema.table"
+   * @returns {{ table: string, columns: Set<string>, unique: Set<string>, maxKeys: number, modifiers: Set<string> }|null}
+   *   Rules, or null if the table cannot be sorted
+   */
+  rulesFor(table) {
+    return this._tables.get(table.toLowerCase()) || null;
+  }
+
+  get size() {
+    return this._tables.size;
+  }
+}
+
+/**
+ * Set the ORDER BY policy applied to every query
+ *
+ * @param {OrderByPolicy} policy - Validated policy
+ * @throws {Error} If a different policy is already configured
+ */
+export function configureOrderByPolicy(policy) {
+  if (!(policy instanceof OrderByPolicy)) {
+    throw new Error('configureOrderByPolicy: OrderByPolicy instance is required');
+  }
+
+  // INVARIANT: Policy is attach-once (no runtime rule substitution)
+  if (activePolicy && activePolicy !== policy) {
+    throw new Error('SECURITY VIOLATION: ORDER BY policy already configured');
+  }
+
+  activePolicy = policy;
+}
+
+/**
+ * Load an ORDER BY policy from MCP_ORDER_BY_POLICY_FILE (if set)
+ *
+ * @returns {OrderByPolicy|null} Policy, or null if sorting is not configured
+ * @throws {Error} If the file or an entry is malformed (fail-closed)
+ */
+export function loadOrderByPolicyFromEnv() {
+  const policyFile = process.env.MCP_ORDER_BY_POLICY_FILE;
+
+  if (!policyFile) {
+    return null;
+  }
+
+  try {
+    const policy = new OrderByPolicy(JSON.parse(fs.readFileSync(policyFile, 'utf8')));
+
+    logger.info({ policyFile, tableCount: policy.size }, 'ORDER BY policy loaded');
+
+    return policy;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed ORDER BY policy (fail-closed)');
+    throw new Error(`Failed to load ORDER BY policy: ${error.message}`);
+  }
+}
+
+/**
+ * Configure the ORDER BY policy from MCP_ORDER_BY_POLICY_FILE (if set)
+ *
+ * @returns {OrderByPolicy|null} Active policy, or null if sorting is not configured
+ * @throws {Error} If the policy is malformed (fail-closed)
+ */
+export function configureOrderByPolicyFromEnv() {
+  if (!activePolicy) {
+    const policy = loadOrderByPolicyFromEnv();
+    if (policy) {
+      configureOrderByPolicy(policy);
+    }
+  }
+
+  return activePolicy;
+}
+
+/**
+ * Active ORDER BY policy, as configured at server start
+ *
+ * Never reads MCP_ORDER_BY_POLICY_FILE: a policy that was not configured at
+ * startup does not exist, and ORDER BY is then rejected (default deny).
+ *
+ * @returns {OrderByPolicy|null} Active policy, or null if none is configured
+ */
+export function getOrderByPolicy() {
+  return activePolicy;
+}
+
+export default {
+  OrderByPolicy,
+  OrderByModifier,
+  configureOrderByPolicy,
+  loadOrderByPolicyFromEnv,
+  configureOrderByPolicyFromEnv,
+  getOrderByPolicy,
+};
@@ -1,13 +1,13 @@
 /**
  * Query Permissions Enforcement
  * 
- * Enforces table-level access control using allowlists.
+ * Enforces table- and column-level access control using allowlists.
  * Operates on pre-validated queries (queryValidator must run first).
  * Throws structured MCP errors on violations.
  */
 
 import { allowlist } from './allowlist.js';
-import { extractTables } from './queryValidator.js';
+import { analyzeQuery } from './queryValidator.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -26,13 +26,16 @@ export class PermissionError extends Error {
  * Enforce table access permissions for a validated query
  * 
  * @param {string} query - Pre-validated SQL query (SELECT only)
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect used to parse the query (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant validation rules)
  * @returns {{ tables: string[], schemas: string[] }} Validated table references
- * @throws {PermissionError} If any table is not in allowlist
+ * @throws {PermissionError} If any table or column is not in allowlist
  */
-export function enforceQueryPermissions(query) {
-  // Extract table references from the query
-  // Note: extractTables returns ["schema.table", ...] format
-  const tables = extractTables(query);
+export function enforceQueryPermissions(query, options = {}) {
+  // Extract table and column references from the query
+  // Note: tables are returned in ["schema.table", ...] format
+  const { tables, columns } = analyzeQuery(query, options);
 
   // Fail-closed: If no tables extracted, this should have been caught by validator
   // but we double-check here for defense in depth
@@ -45,6 +48,9 @@ export function enforceQueryPermissions(query) {
     );
   }
 
+  // Names are already folded by the engine's rules; compare them the same way
+  const matchOptions = { dialect: options.dialect };
+
   // Track which schemas and tables we've validated
   const validatedSchemas = new Set();
   const validatedTables = [];
@@ -66,7 +72,7 @@ export function enforceQueryPermissions(query) {
     }
 
     // Check schema allowlist first
-    if (!allowlist.isSchemaAllowed(schema)) {
+    if (!allowlist.isSchemaAllowed(schema, matchOptions)) {
       logger.warn({ schema, table, allowedSchemas: Array.from(allowlist.allowedSchemas) }, 'Schema not in allowlist');
       throw new PermissionError(
         'UNAUTHORIZED_TABLE',
@@ -80,7 +86,7 @@ export function enforceQueryPermissions(query) {
     }
 
     // Check table allowlist
-    if (!allowlist.isTableAllowed(schema, table)) {
+    if (!allowlist.isTableAllowed(schema, table, matchOptions)) {
       logger.warn({ schema, table, allowedTables: Array.from(allowlist.allowedTables) }, 'Table not in allowlist');
       throw new PermissionError(
         'UNAUTHORIZED_TABLE',
@@ -98,6 +104,9 @@ export function enforceQueryPermissions(query) {
     validatedTables.push(fullTableName);
   }
 
+  // Check column rules (only tables that passed the checks above are referenced)
+  enforceColumnPermissions(columns, validatedTables, matchOptions);
+
   // Log successful validation
   logger.debug(
     { 
@@ -114,6 +123,62 @@ export function enforceQueryPermissions(query) {
   };
 }
 
+/**
+ * Enforce column rules on the column references of a query
+ *
+ * A column that may belong to several tables must be readable in every one of
+ * them; an unresolvable reference is checked against every table of the query.
+ * `*` cannot be checked, so it is rejected on tables with column rules.
+ *
+ * @private
+ * @param {Array<{ table: string|null, column: string, candidates?: string[]|null }>} columns
+ * @param {string[]} tables - Every "schema.table" of the query
+ * @param {Object} matchOptions - Name comparison options (dialect)
+ * @throws {PermissionError} If a referenced column is not readable
+ */
+function enforceColumnPermissions(columns, tables, matchOptions) {
+  for (const { table, column, candidates } of columns) {
+    const owners = table ? [table] : candidates || tables;
+
+    for (const fullTableName of owners) {
+      const [schema, tableName] = fullTableName.split('.');
+
+      if (column === '*') {
+        if (allowlist.hasColumnRestrictions(schema, tableName, matchOptions)) {
+          logger.warn({ schema, table: tableName }, 'SELECT * on a table with column rules');
+          throw new PermissionError(
+            'UNAUTHORIZED_COLUMN',
+            `Access denied: SELECT * is not allowed on "${fullTableName}" (column restrictions apply)`,
+            {
+              schema,
+              table: fullTableName,
+              hint: 'List the allowed columns explicitly'
+            }
+          );
+        }
+        continue;
+      }
+
+      if (!allowlist.isColumnAllowed(schema, tableName, column, matchOptions)) {
+        // An ambiguous reference names no single table; report the column only
+        const reference = table ? `${fullTableName}.${column}` : column;
+        throw new PermissionError(
+          'UNAUTHORIZED_COLUMN',
+          `Access denied: Column "${reference}" is not allowed`,
+          {
+            schema,
+            table: fullTableName,
+            column,
+            hint: table
+              ? 'Contact administrator to request column access'
+              : 'Qualify the column with its table alias'
+          }
+        );
+      }
+    }
+  }
+}
+
 /**
  * Check if a specific table is accessible (convenience function)
  * 
@@ -0,0 +1,273 @@
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { parseQuery, walk } from './sqlParser.js';
+
+/**
+ * PostgreSQL Session Roles (native row-level security)
+ *
+ * Instead of rewriting SQL, PostgreSQL deployments can scope data with RLS
+ * policies defined in the database. Every safe read runs inside its READ ONLY
+ * transaction with:
+ *
+ *   SELECT set_config('app.tenant', <tenant>, true), set_config('app.identity', <identity>, true)
+ *   SET LOCAL ROLE <mapped role>
+ *
+ * so policies can use current_setting('app.tenant') and the privileges of the
+ * mapped role. Both settings are transaction-local and end with the transaction.
+ *
+ * Security Invariants:
+ * 1. The mapping is validated in full at load (bad role name, bad entry = reject)
+ * 2. When a mapping is configured, a session without a mapped role is denied
+ *    (no fallback to the pool's login role)
+ * 3. Identity-specific entries win over tenant-wide entries, which win over defaultRole
+ * 4. Tenant and identity are bound as parameters, never inlined into SQL
+ * 5. A query that calls set_config() never runs under these settings (it could
+ *    overwrite app.tenant / app.identity inside the same transaction)
+ */
+
+// Role names are emitted as quoted identifiers (SET ROLE takes no parameters)
+const ROLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_$.-]*$/;
+const MAX_ROLE_NAME_LENGTH = 63;
+
+// Active mapping (attach-once, see configurePgRoleMapping)
+let activeMapping = null;
+
+/**
+ * Check a role name
+ * @private
+ */
+function assertRoleName(role, where) {
+  if (typeof role !== 'string' || role.length > MAX_ROLE_NAME_LENGTH || !ROLE_NAME_PATTERN.test(role)) {
+    throw new Error(`PgRoleMapping: ${where} has an invalid role name`);
+  }
+}
+
+/**
+ * PgRoleMapping: Immutable, validated session-to-role mapping
+ *
+ * Structure:
+ * {
+ *   "defaultRole": "mcp_reader",
+ *   "mappings": [
+ *     { "tenant": "tenant-a", "identity": "agent-1", "role": "tenant_a_analyst" },
+ *     { "tenant": "tenant-a", "role": "tenant_a_reader" }
+ *   ]
+ * }
+ *
+ * Mappings without `identity` apply to every identity in the tenant.
+ */
+export class PgRoleMapping {
+  constructor({ defaultRole, mappings }) {
+    if (!Array.isArray(mappings)) {
+      throw new Error('PgRoleMapping: mappings must be an array');
+    }
+
+    if (defaultRole !== undefined) {
+      assertRoleName(defaultRole, 'defaultRole');
+    }
+
+    this._defaultRole = defaultRole ?? null;
+
+    this._mappings = Object.freeze(mappings.map((mapping, index) => {
+      if (!mapping || !mapping.tenant || typeof mapping.tenant !== 'string') {
+        throw new Error(`PgRoleMapping: mapping ${index} requires a tenant`);
+      }
+
+      if (mapping.identity !== undefined && (typeof mapping.identity !== 'string' || !mapping.identity)) {
+        throw new Error(`PgRoleMapping: mapping ${index} identity must be a non-empty string`);
+      }
+
+      assertRoleName(mapping.role, `mapping ${index}`);
+
+      return Object.freeze({
+        tenant: mapping.tenant,
+        identity: mapping.identity ?? null,
+        role: mapping.role,
+      });
+    }));
+
+    // INVARIANT: One session resolves to exactly one role
+    const keys = new Set();
+    for (const { tenant, identity } of this._mappings) {
+      const key = JSON.stringify([tenant, identity]);
+      if (keys.has(key)) {
+        throw new Error(`PgRoleMapping: duplicate mapping for tenant "${tenant}"${identity ? ` identity "${identity}"` : ''}`);
+      }
+      keys.add(key);
+    }
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Role for a session
+   * @param {string} identity - Bound identity
+   * @param {string} tenant - Bound tenant
+   * @returns {string|null} Role name, or null if no mapping applies
+   */
+  roleFor(identity, tenant) {
+    const exact = this._mappings.find((mapping) => mapping.tenant === tenant && mapping.identity === identity);
+    if (exact) {
+      return exact.role;
+    }
+
+    const tenantWide = this._mappings.find((mapping) => mapping.tenant === tenant && mapping.identity === null);
+    if (tenantWide) {
+      return tenantWide.role;
+    }
+
+    return this._defaultRole;
+  }
+
+  get size() {
+    return this._mappings.length;
+  }
+}
+
+/**
+ * Quote a role name for SET ROLE
+ * @param {string} role - Validated role name
+ * @returns {string} Quoted identifier
+ */
+export function quoteRoleName(role) {
+  return `"${role.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Set the role mapping used by PostgreSQL safe reads
+ *
+ * @param {PgRoleMapping} mapping - Validated mapping
+ * @throws {Error} If a different mapping is already configured
+ */
+export function configurePgRoleMapping(mapping) {
+  if (!(mapping instanceof PgRoleMapping)) {
+    throw new Error('configurePgRoleMapping: PgRoleMapping instance is required');
+  }
+
+  // INVARIANT: Mapping is attach-once (no runtime role substitution)
+  if (activeMapping && activeMapping !== mapping) {
+    throw new Error('SECURITY VIOLATION: PostgreSQL role mapping already configured');
+  }
+
+  activeMapping = mapping;
+}
+
+/**
+ * Load the role mapping from MCP_PG_ROLE_MAP_FILE (if set)
+ *
+ * @returns {PgRoleMapping|null} Mapping, or null if not configured
+ * @throws {Error} If the file or an entry is malformed (fail-closed)
+ */
+export function loadPgRoleMappingFromEnv() {
+  const mappingFile = process.env.MCP_PG_ROLE_MAP_FILE;
+
+  if (!mappingFile) {
+    return null;
+  }
+
+  try {
+    const mapping = new PgRoleMapping(JSON.parse(fs.readFileSync(mappingFile, 'utf8')));
+
+    logger.info({ mappingFile, mappingCount: mapping.size }, 'PostgreSQL role mapping loaded');
+
+    return mapping;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed PostgreSQL role mapping (fail-closed)');
+    throw new Error(`Failed to load PostgreSQL role mapping: ${error.message}`);
+  }
+}
+
+/**
+ * Configure the role mapping from MCP_PG_ROLE_MAP_FILE (if set)
+ *
+ * @returns {PgRoleMapping|null} Active mapping, or null if not configured
+ * @throws {Error} If the mapping is malformed (fail-closed)
+ */
+export function configurePgRoleMappingFromEnv() {
+  if (!activeMapping) {
+    const mapping = loadPgRoleMappingFromEnv();
+    if (mapping) {
+      configurePgRoleMapping(mapping);
+    }
+  }
+
+  return activeMapping;
+}
+
+/**
+ * Resolve the transaction-local settings for a session
+ *
+ * @param {Object} session - Bound session ({ identity, tenant })
+ * @returns {{ identity: string, tenant: string, role: string|null }} Settings to apply
+ * @throws {Error} PERMISSION_DENIED if a mapping is configured but none applies, or
+ *   MCP_PG_ROLE_MAP_FILE is set but the mapping was not configured at startup (fail-closed)
+ */
+export function resolvePgSessionSettings({ identity, tenant }) {
+  // Configured once at startup (server start or pool initialization), never loaded per read
+  const mapping = activeMapping;
+
+  // SECURITY: A mapping file that was never configured must not fall back to the login role
+  if (!mapping && process.env.MCP_PG_ROLE_MAP_FILE) {
+    const error = new Error('Access denied: PostgreSQL role mapping was not configured at startup (fail-closed)');
+    error.code = 'PERMISSION_DENIED';
+    throw error;
+  }
+
+  const role = mapping ? mapping.roleFor(identity, tenant) : null;
+
+  // INVARIANT: Configured mapping + unmapped session = denied (never the login role)
+  if (mapping && !role) {
+    const error = new Error('Access denied: No database role is mapped for this session (fail-closed)');
+    error.code = 'PERMISSION_DENIED';
+    throw error;
+  }
+
+  return { identity, tenant, role };
+}
+
+/**
+ * Create a rejection for assertNoSessionSettingWrites
+ * @private
+ */
+function settingsRejection(message) {
+  const error = new Error(message);
+  error.code = 'QUERY_REJECTED';
+  error.details = { rule: 'pg-session-settings' };
+  return error;
+}
+
+/**
+ * Reject queries that could overwrite the RLS settings
+ *
+ * Independent of the configurable function policy: the settings are only a
+ * boundary if the statement that runs under them cannot change them.
+ *
+ * @param {string} query - Validated SELECT query
+ * @throws {Error} QUERY_REJECTED if the query calls set_config() or cannot be parsed
+ */
+export function assertNoSessionSettingWrites(query) {
+  let ast;
+  try {
+    ast = parseQuery(query, { dialect: 'postgres' });
+  } catch {
+    // SECURITY: Fail-closed (an unparsed query cannot be shown to leave the settings alone)
+    throw settingsRejection('Query could not be checked for session setting writes');
+  }
+
+  walk(ast, (node) => {
+    // SECURITY: Any qualification, quoting or case (pg_catalog.set_config, "SET_CONFIG")
+    if (node.type === 'function' && node.name[node.name.length - 1].value.toLowerCase() === 'set_config') {
+      throw settingsRejection('Function "set_config" is not allowed (it would overwrite the row-level security settings)');
+    }
+  });
+}
+
+export default {
+  PgRoleMapping,
+  quoteRoleName,
+  configurePgRoleMapping,
+  loadPgRoleMappingFromEnv,
+  configurePgRoleMappingFromEnv,
+  resolvePgSessionSettings,
+  assertNoSessionSettingWrites,
+};
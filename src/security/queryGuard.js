@@ -1,8 +1,10 @@
 import { logger } from '../utils/logger.js';
+import { validateQuery } from './queryValidator.js';
+import { ruleEngine } from './ruleEngine.js';
 
 /**
  * Query guard to enforce security rules on SQL queries
- * Blocks dangerous patterns and enforces result limits
+ * Checks queries against the validation rule engine and enforces result limits
  */
 export class QueryGuard {
   constructor() {
@@ -12,24 +14,6 @@ export class QueryGuard {
     this.maxTables = Number(process.env.MAX_TABLES) || 100;
     this.maxColumns = Number(process.env.MAX_COLUMNS) || 200;
 
-    // Dangerous SQL patterns to block
-    this.dangerousPatterns = [
-      /\bDROP\b/i,
-      /\bALTER\b/i,
-      /\bTRUNCATE\b/i,
-      /\bDELETE\b/i,
-      /\bINSERT\b/i,
-      /\bUPDATE\b/i,
-      /\bCREATE\b/i,
-      /\bGRANT\b/i,
-      /\bREVOKE\b/i,
-      /\bEXEC\b/i,
-      /\bEXECUTE\b/i,
-      /;/g, // Multiple statements
-      /--/g, // SQL comments
-      /\/\*/g, // Block comments
-    ];
-
     logger.info(
       {
         readOnly: this.readOnly,
@@ -41,57 +25,46 @@ export class QueryGuard {
   }
 
   /**
-   * Check if a query contains dangerous patterns
+   * Check a query against the validation rules (see ruleEngine.js)
    * @param {string} query - SQL query to check
-   * @returns {Object} Result with isValid and reasons
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+   * @returns {Object} Result with isValid, reasons and the rule that fired
    */
-  validateQuery(query) {
-    if (!query || typeof query !== 'string') {
+  validateQuery(query, options = {}) {
+    const result = validateQuery(query, options);
+
+    if (!result.valid) {
+      logger.warn({ rule: result.rule, reason: result.reason }, 'Query blocked by guard');
+
       return {
         isValid: false,
-        reasons: ['Query is empty or not a string'],
+        reasons: [result.reason],
+        rule: result.rule,
       };
     }
 
-    const reasons = [];
-
-    // Check for dangerous patterns
-    for (const pattern of this.dangerousPatterns) {
-      if (pattern.test(query)) {
-        reasons.push(`Blocked pattern detected: ${pattern.source}`);
-      }
-    }
-
-    // In read-only mode, only allow SELECT statements
-    if (this.readOnly) {
-      const trimmedQuery = query.trim().toUpperCase();
-      if (!trimmedQuery.startsWith('SELECT') && !trimmedQuery.startsWith('WITH')) {
-        reasons.push('Read-only mode: only SELECT queries are allowed');
-      }
-    }
-
-    const isValid = reasons.length === 0;
-
-    if (!isValid) {
-      logger.warn({ query: query.substring(0, 100), reasons }, 'Query blocked by guard');
-    }
-
     return {
-      isValid,
-      reasons,
+      isValid: true,
+      reasons: [],
     };
   }
 
   /**
    * Enforce query validation - throws if invalid
    * @param {string} query - SQL query to validate
-   * @throws {Error} If query is invalid
+   * @param {Object} [options] - See validateQuery
+   * @throws {Error} QUERY_REJECTED (details.rule = rule that fired) if query is invalid
    */
-  enforceQuery(query) {
-    const result = this.validateQuery(query);
+  enforceQuery(query, options = {}) {
+    const result = this.validateQuery(query, options);
 
     if (!result.isValid) {
-      throw new Error(`Query blocked: ${result.reasons.join(', ')}`);
+      const error = new Error(`Query blocked: ${result.reasons.join(', ')}`);
+      error.code = 'QUERY_REJECTED';
+      error.details = { rule: result.rule };
+      throw error;
     }
   }
 
@@ -176,7 +149,7 @@ export class QueryGuard {
       readOnly: this.readOnly,
       maxTables: this.maxTables,
       maxColumns: this.maxColumns,
-      dangerousPatterns: this.dangerousPatterns.map((p) => p.source),
+      rules: ruleEngine.listRules().map((rule) => rule.id),
     };
   }
 }
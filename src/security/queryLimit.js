@@ -0,0 +1,111 @@
+import { parseQuery } from './sqlParser.js';
+import { SqlDialect, resolveDialect } from './sqlLexer.js';
+
+/**
+ * Server-side row limit enforcement
+ *
+ * Rewrites a validated query so that its OUTERMOST result is limited:
+ * - PostgreSQL/MySQL: clamp the top-level LIMIT (or FETCH FIRST) or append LIMIT
+ *   (a trailing LIMIT applies to the combined result of a set operation)
+ * - T-SQL: clamp the top-level TOP or insert TOP into the outer SELECT; a set
+ *   operation is wrapped as SELECT TOP n * FROM (<set operation>) AS mcp_limited
+ *
+ * The top level is located on the AST, so a LIMIT inside a CTE or subquery is
+ * never mistaken for the limit of the result.
+ *
+ * Security Invariants:
+ * 1. The limit applied is never greater than maxLimit (never trust client)
+ * 2. Non-literal limits (parameters, expressions) are rejected (fail-closed)
+ */
+
+// Alias of the derived table wrapping a T-SQL set operation
+const LIMIT_WRAPPER_ALIAS = 'mcp_limited';
+
+/**
+ * Clamp a literal limit node, returning a text edit if it exceeds maxLimit
+ * @private
+ */
+function clampLiteral(node, maxLimit, clause) {
+  if (node.type !== 'literal' || node.kind !== 'number' || !/^\d+$/.test(node.value)) {
+    throw new Error(`${clause} must be a positive integer literal (fail-closed)`);
+  }
+
+  const existingLimit = parseInt(node.value, 10);
+
+  if (!Number.isFinite(existingLimit) || existingLimit <= 0) {
+    throw new Error(`Invalid ${clause} clause value`);
+  }
+
+  if (existingLimit <= maxLimit) {
+    return null;
+  }
+
+  return { start: node.start, end: node.end, text: String(maxLimit) };
+}
+
+/**
+ * Apply text edits (non-overlapping) from last to first
+ * @private
+ */
+function applyEdits(query, edits) {
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), query);
+}
+
+/**
+ * Enforce a maximum row count on a validated query
+ *
+ * @param {string} query - Validated SELECT query
+ * @param {number} maxLimit - Server-enforced maximum rows
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @returns {string} Query with enforced limit
+ * @throws {Error} If the query cannot be parsed or its limit is not a literal (fail-closed)
+ */
+export function enforceQueryLimit(query, maxLimit, options = {}) {
+  const dialect = resolveDialect(options.dialect);
+  const trimmed = query.trim();
+  const ast = parseQuery(trimmed, { dialect });
+
+  if (dialect === SqlDialect.MSSQL) {
+    if (ast.body.type !== 'select') {
+      // TOP cannot follow a set operation: limit the combined result via a derived table
+      // (the WITH clause stays in front, trailing clauses stay after the wrapper)
+      const body = trimmed.slice(ast.bodyStart, ast.bodyEnd);
+      return `${trimmed.slice(0, ast.bodyStart)}SELECT TOP ${maxLimit} * FROM (${body}) AS ${LIMIT_WRAPPER_ALIAS}${trimmed.slice(ast.bodyEnd)}`;
+    }
+
+    const select = ast.body;
+
+    if (select.top) {
+      // Query has TOP - clamp to server max
+      const edit = clampLiteral(select.top, maxLimit, 'TOP');
+      return edit ? applyEdits(trimmed, [edit]) : trimmed;
+    }
+
+    // Query has no TOP - inject before the outer select list
+    return applyEdits(trimmed, [{ start: select.listStart, end: select.listStart, text: `TOP ${maxLimit} ` }]);
+  }
+
+  const limitNodes = [
+    ast.limit && { node: ast.limit, clause: 'LIMIT' },
+    ast.fetch && { node: ast.fetch, clause: 'FETCH' },
+  ].filter(Boolean);
+
+  if (limitNodes.length === 0) {
+    // Query has no LIMIT - append server max
+    return `${trimmed} LIMIT ${maxLimit}`;
+  }
+
+  // Query has LIMIT - clamp to server max
+  const edits = limitNodes
+    .map(({ node, clause }) => clampLiteral(node, maxLimit, clause))
+    .filter(Boolean);
+
+  return applyEdits(trimmed, edits);
+}
+
+export default {
+  enforceQueryLimit,
+};
@@ -0,0 +1,293 @@
+import { tokenize, resolveDialect, SqlDialect, TokenType } from './sqlLexer.js';
+
+/**
+ * Query Parameter Binding
+ *
+ * Every engine spells placeholders differently ($1, ?, @param0), so query_read
+ * also accepts `:name` placeholders with params given as an object. Named
+ * placeholders are translated to the adapter's dialect before validation, so
+ * every later step (validator, permissions, keyset, tenant isolation) only sees
+ * positional placeholders:
+ *
+ *   WHERE o.region = :region AND o.placed_at >= :since   { region, since }
+ *   postgres ->  WHERE o.region = $1 AND o.placed_at >= $2
+ *   mysql    ->  WHERE o.region = ? AND o.placed_at >= ?
+ *   mssql    ->  WHERE o.region = @param0 AND o.placed_at >= @param1
+ *
+ * Parameter types (int, text, date, uuid, decimal) may be declared per
+ * parameter; values are checked and coerced before they reach the driver.
+ *
+ * Security Invariants:
+ * 1. Every placeholder has exactly one value and every value has a placeholder
+ * 2. Values are always bound by the driver, never inlined into the SQL text
+ * 3. A value that does not match its declared type is rejected (no best-effort casts)
+ * 4. Named and positional placeholders cannot be mixed in one query
+ */
+
+/**
+ * Declarable parameter types
+ */
+export const ParamType = Object.freeze({
+  INT: 'int',
+  TEXT: 'text',
+  DATE: 'date',
+  UUID: 'uuid',
+  DECIMAL: 'decimal',
+});
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MSSQL_PLACEHOLDER = /^param(0|[1-9][0-9]*)$/i;
+const INTEGER = /^[+-]?[0-9]+$/;
+const DECIMAL = /^[+-]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/;
+const ISO_DATE = /^([0-9]{4})-([0-9]{2})-([0-9]{2})$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Longest decimal accepted as text (precision of NUMERIC/DECIMAL columns is far lower)
+const MAX_DECIMAL_LENGTH = 80;
+
+/**
+ * Create a parameter error (preserved as INVALID_INPUT by every adapter)
+ * @private
+ */
+function paramError(message, details = null) {
+  const error = new Error(message);
+  error.code = 'INVALID_INPUT';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Coerce a value to its declared type
+ * @private
+ * @param {*} value - Supplied value
+ * @param {string} type - ParamType
+ * @param {string} label - Parameter label for error messages (":name" or "1")
+ * @returns {*} Value to bind (null stays null)
+ * @throws {Error} INVALID_INPUT if the value does not match the type
+ */
+function coerceValue(value, type, label) {
+  const invalid = (expected) => paramError(`Parameter ${label} must be ${expected}`, { parameter: label, type });
+
+  // NULL binds as SQL NULL for every type
+  if (value === null) {
+    return null;
+  }
+
+  switch (type) {
+    case ParamType.INT: {
+      const text = typeof value === 'number' ? String(value) : value;
+      if (typeof text !== 'string' || !INTEGER.test(text) || !Number.isSafeInteger(Number(text))) {
+        throw invalid('an integer');
+      }
+      return Number(text);
+    }
+
+    case ParamType.DECIMAL: {
+      // Kept as text so the driver does not round through a float
+      const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+      if (typeof text !== 'string' || text.length > MAX_DECIMAL_LENGTH || !DECIMAL.test(text)) {
+        throw invalid('a decimal number');
+      }
+      return text;
+    }
+
+    case ParamType.TEXT:
+      if (typeof value !== 'string') {
+        throw invalid('a string');
+      }
+      return value;
+
+    case ParamType.DATE: {
+      const match = typeof value === 'string' ? ISO_DATE.exec(value) : null;
+      const [year, month, day] = match ? match.slice(1).map(Number) : [];
+      const date = match ? new Date(Date.UTC(year, month - 1, day)) : null;
+      // Round trip rejects dates such as 2026-02-30
+      if (!date || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw invalid('a date (YYYY-MM-DD)');
+      }
+      return value;
+    }
+
+    case ParamType.UUID:
+      if (typeof value !== 'string' || !UUID.test(value)) {
+        throw invalid('a UUID');
+      }
+      return value.toLowerCase();
+
+    default:
+      throw paramError(`Unknown type for parameter ${label}: ${type}`, { parameter: label, type });
+  }
+}
+
+/**
+ * Coerce values to the declared types (positional: array, named: object)
+ * @private
+ */
+function coerceValues(values, types, named) {
+  if (types === undefined || types === null) {
+    return values;
+  }
+
+  if (named) {
+    if (typeof types !== 'object' || Array.isArray(types)) {
+      throw paramError('paramTypes must be an object when params is an object');
+    }
+    const coerced = { ...values };
+    for (const [name, type] of Object.entries(types)) {
+      if (!Object.hasOwn(values, name)) {
+        throw paramError(`Type declared for unknown parameter :${name}`, { parameter: `:${name}` });
+      }
+      coerced[name] = coerceValue(values[name], type, `:${name}`);
+    }
+    return coerced;
+  }
+
+  if (!Array.isArray(types) || types.length !== values.length) {
+    throw paramError('paramTypes must have one entry (or null) per parameter');
+  }
+  return values.map((value, i) => (types[i] === null ? value : coerceValue(value, types[i], String(i + 1))));
+}
+
+/**
+ * Check that positional placeholders and values match one to one
+ * @private
+ */
+function checkPositional(placeholders, count, dialect) {
+  if (dialect === SqlDialect.MYSQL) {
+    if (placeholders.length !== count) {
+      throw paramError(`Query has ${placeholders.length} placeholder(s) but ${count} parameter(s) were supplied`);
+    }
+    return;
+  }
+
+  // PostgreSQL $n is 1-based, SQL Server @param<n> is 0-based; both may repeat
+  const base = dialect === SqlDialect.POSTGRES ? 1 : 0;
+  const used = new Set();
+  for (const token of placeholders) {
+    let index = token.index;
+    if (dialect === SqlDialect.MSSQL) {
+      const match = MSSQL_PLACEHOLDER.exec(token.name);
+      if (!match) {
+        throw paramError(`Unknown parameter ${token.value} (use @param0, @param1, ... or :name)`);
+      }
+      index = Number(match[1]);
+    }
+    if (index - base >= count) {
+      throw paramError(`Query uses ${token.value} but ${count} parameter(s) were supplied`);
+    }
+    used.add(index - base);
+  }
+
+  for (let i = 0; i < count; i++) {
+    if (!used.has(i)) {
+      const placeholder = dialect === SqlDialect.POSTGRES ? `$${i + 1}` : `@param${i}`;
+      throw paramError(`Parameter ${placeholder} is not used in the query`);
+    }
+  }
+}
+
+/**
+ * Translate `:name` placeholders to the dialect's positional placeholders
+ * @private
+ */
+function translateNamed(query, placeholders, values, dialect) {
+  for (const name of Object.keys(values)) {
+    if (!placeholders.some((token) => token.name === name)) {
+      throw paramError(`Parameter :${name} is not used in the query`, { parameter: `:${name}` });
+    }
+  }
+
+  const positions = new Map();
+  const params = [];
+  const replacements = placeholders.map((token) => {
+    if (!Object.hasOwn(values, token.name)) {
+      throw paramError(`Missing value for parameter ${token.value}`, { parameter: token.value });
+    }
+
+    // MySQL `?` is bound once per occurrence; $n and @param<n> can be reused
+    if (dialect === SqlDialect.MYSQL) {
+      params.push(values[token.name]);
+      return { token, text: '?' };
+    }
+    if (!positions.has(token.name)) {
+      positions.set(token.name, params.length);
+      params.push(values[token.name]);
+    }
+    const index = positions.get(token.name);
+    return { token, text: dialect === SqlDialect.POSTGRES ? `$${index + 1}` : `@param${index}` };
+  });
+
+  // Splice from the end so earlier token positions stay valid
+  let translated = query;
+  for (const { token, text } of replacements.reverse()) {
+    translated = translated.slice(0, token.pos) + text + translated.slice(token.end);
+  }
+
+  return { query: translated, params };
+}
+
+/**
+ * Bind query parameters for a dialect
+ *
+ * Positional params (array) are checked against the query's own placeholders.
+ * Named params (object) require `:name` placeholders, which are translated to
+ * the dialect's placeholders. Declared types are applied to the values first.
+ *
+ * @param {string} query - SQL query
+ * @param {Array|Object} [params] - Positional values, or values by name
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {Array<string|null>|Object<string, string>} [options.types] - Declared ParamType per parameter
+ * @returns {{ query: string, params: Array }} Query with positional placeholders and values in bind order
+ * @throws {Error} INVALID_INPUT if placeholders and values do not match or a value does not match its type
+ */
+export function bindQueryParams(query, params = [], options = {}) {
+  const dialect = resolveDialect(options.dialect);
+  const named = params !== null && typeof params === 'object' && !Array.isArray(params);
+
+  if (!Array.isArray(params) && !named) {
+    throw paramError('params must be an array or an object');
+  }
+
+  if (named) {
+    const invalid = Object.keys(params).find((name) => !PARAM_NAME.test(name));
+    if (invalid !== undefined) {
+      throw paramError(`Invalid parameter name: ${invalid}`);
+    }
+  }
+
+  // Unsupported syntax is left to query validation (which rejects it with its own reason)
+  let tokens;
+  try {
+    tokens = tokenize(query, { dialect, namedParams: true });
+  } catch {
+    return { query, params: named ? [] : params };
+  }
+
+  const placeholders = tokens.filter((token) => token.type === TokenType.PARAM);
+  const namedPlaceholders = placeholders.filter((token) => token.named);
+
+  if (namedPlaceholders.length > 0 && namedPlaceholders.length !== placeholders.length) {
+    throw paramError('Named (:name) and positional placeholders cannot be mixed');
+  }
+  if (namedPlaceholders.length > 0 && !named) {
+    throw paramError('Named placeholders (:name) require params to be an object');
+  }
+  if (named && placeholders.length > 0 && namedPlaceholders.length === 0) {
+    throw paramError('params is an object but the query uses positional placeholders');
+  }
+
+  const values = coerceValues(params, options.types, named);
+
+  if (named) {
+    return translateNamed(query, namedPlaceholders, values, dialect);
+  }
+
+  checkPositional(placeholders, values.length, dialect);
+  return { query, params: values };
+}
+
+export default {
+  ParamType,
+  bindQueryParams,
+};
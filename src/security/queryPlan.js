@@ -0,0 +1,416 @@
+import { parseQuery, walk } from './sqlParser.js';
+import { resolveDialect, SqlDialect } from './sqlLexer.js';
+
+/**
+ * Query Plan Normalization
+ *
+ * Turns the plan output of each database into one shape, so agents can read
+ * plans without knowing the dialect:
+ *
+ *   PostgreSQL: EXPLAIN [(ANALYZE)] (FORMAT JSON, VERBOSE)
+ *   MySQL:      EXPLAIN FORMAT=JSON, or EXPLAIN ANALYZE (tree text)
+ *   SQL Server: SHOWPLAN_XML, or STATISTICS XML (actual plan)
+ *
+ * Node shape:
+ * {
+ *   nodeType: string,             // the database's own operator name
+ *   relation: string|null,        // "schema.table" read by this node (as reported if unresolvable)
+ *   index: string|null,           // index used by this node
+ *   fullScan: boolean,            // reads the whole table
+ *   estimatedRows: number|null,
+ *   estimatedCost: number|null,   // in the database's own cost units
+ *   actualRows: number|null,      // ANALYZE only
+ *   actualTimeMs: number|null,    // ANALYZE only
+ *   loops: number|null,           // ANALYZE only
+ *   children: Node[]
+ * }
+ */
+
+/**
+ * Numeric plan attribute (missing or malformed = null)
+ * @private
+ */
+function toNumberOrNull(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Create a plan node
+ * @private
+ */
+function planNode(fields) {
+  return {
+    nodeType: fields.nodeType,
+    relation: fields.relation ?? null,
+    index: fields.index ?? null,
+    fullScan: fields.fullScan ?? false,
+    estimatedRows: toNumberOrNull(fields.estimatedRows),
+    estimatedCost: toNumberOrNull(fields.estimatedCost),
+    actualRows: toNumberOrNull(fields.actualRows),
+    actualTimeMs: toNumberOrNull(fields.actualTimeMs),
+    loops: toNumberOrNull(fields.loops),
+    children: fields.children ?? [],
+  };
+}
+
+/**
+ * Decode an XML attribute value
+ * @private
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Attributes of an XML start tag
+ * @param {string} source - Tag source after the tag name
+ * @returns {Object} Decoded attributes by name
+ */
+export function xmlAttributes(source) {
+  const attributes = {};
+  for (const [, name, value] of source.matchAll(/([A-Za-z_][\w.-]*)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Strip SQL Server brackets from a showplan name ([dbo] -> dbo)
+ * @param {string} name - Showplan name
+ * @returns {string} Plain name
+ */
+export function unbracket(name) {
+  return /^\[.*\]$/.test(name) ? name.slice(1, -1).replace(/\]\]/g, ']') : name;
+}
+
+/**
+ * Base tables of a MySQL query by alias (or table name), lower-cased
+ *
+ * MySQL plans name tables by alias only; an alias used for more than one
+ * table maps to every table it names.
+ *
+ * @param {string} query - Explained statement
+ * @returns {Map<string, Set<string>>} alias -> "schema.table" entries
+ */
+export function mysqlPlanSources(query) {
+  const sources = new Map();
+  walk(parseQuery(query, { dialect: SqlDialect.MYSQL }), (node) => {
+    if (node.type === 'table' && node.name.length === 2) {
+      const key = (node.alias || node.name[1]).value.toLowerCase();
+      const tables = sources.get(key) || new Set();
+      tables.add(`${node.name[0].value}.${node.name[1].value}`);
+      sources.set(key, tables);
+    }
+  });
+  return sources;
+}
+
+/**
+ * Resolve a MySQL plan table name (unique match only; otherwise as reported)
+ * @private
+ */
+function resolveMysqlRelation(name, sources) {
+  const tables = sources.get(name.toLowerCase());
+  return tables && tables.size === 1 ? Array.from(tables)[0] : name;
+}
+
+/**
+ * Normalize a PostgreSQL EXPLAIN (FORMAT JSON, VERBOSE) result
+ * @private
+ */
+function normalizePostgres(plan) {
+  const document = typeof plan === 'string' ? JSON.parse(plan) : plan;
+  const top = Array.isArray(document) ? document[0] : null;
+
+  if (!top || !top.Plan || typeof top.Plan !== 'object') {
+    throw new Error('missing Plan');
+  }
+
+  const convert = (node) => planNode({
+    nodeType: node['Node Type'],
+    relation: node['Relation Name'] ? (node.Schema ? `${node.Schema}.${node['Relation Name']}` : node['Relation Name']) : null,
+    index: node['Index Name'],
+    fullScan: node['Node Type'] === 'Seq Scan',
+    estimatedRows: node['Plan Rows'],
+    estimatedCost: node['Total Cost'],
+    actualRows: node['Actual Rows'],
+    actualTimeMs: node['Actual Total Time'],
+    loops: node['Actual Loops'],
+    children: (node.Plans || []).map(convert),
+  });
+
+  return { root: convert(top.Plan), executionTimeMs: toNumberOrNull(top['Execution Time']) };
+}
+
+// MySQL access types (EXPLAIN FORMAT=JSON) as operator names
+const MYSQL_ACCESS_TYPES = Object.freeze({
+  ALL: 'Table Scan',
+  index: 'Index Scan',
+  range: 'Index Range Scan',
+  ref: 'Index Lookup',
+  eq_ref: 'Unique Index Lookup',
+  ref_or_null: 'Index Lookup',
+  unique_subquery: 'Unique Index Lookup',
+  index_subquery: 'Index Lookup',
+  index_merge: 'Index Merge',
+  fulltext: 'Fulltext Lookup',
+  const: 'Constant Lookup',
+  system: 'Constant Lookup',
+});
+
+// MySQL plan operations (EXPLAIN FORMAT=JSON) as operator names
+const MYSQL_OPERATIONS = Object.freeze({
+  query_block: 'Query Block',
+  nested_loop: 'Nested Loop',
+  ordering_operation: 'Sort',
+  grouping_operation: 'Aggregate',
+  duplicates_removal: 'Distinct',
+  windowing: 'Window',
+  union_result: 'Union',
+  materialized_from_subquery: 'Materialize',
+  table: 'Table',
+});
+
+/**
+ * Normalize a MySQL EXPLAIN FORMAT=JSON result
+ * @private
+ */
+function normalizeMysqlJson(plan, sources) {
+  const document = typeof plan === 'string' ? JSON.parse(plan) : plan;
+
+  if (!document || typeof document.query_block !== 'object') {
+    throw new Error('missing query_block');
+  }
+
+  // Operations nested in a value (arrays such as attached_subqueries are searched too)
+  const children = (value) => {
+    const nodes = [];
+    for (const [key, child] of Object.entries(value)) {
+      if (!child || typeof child !== 'object') {
+        continue;
+      }
+      if (Object.hasOwn(MYSQL_OPERATIONS, key)) {
+        nodes.push(operation(key, child));
+      } else if (Array.isArray(child)) {
+        child.filter((item) => item && typeof item === 'object').forEach((item) => nodes.push(...children(item)));
+      }
+    }
+    return nodes;
+  };
+
+  const operation = (key, value) => {
+    if (key === 'nested_loop') {
+      return planNode({ nodeType: MYSQL_OPERATIONS.nested_loop, children: value.flatMap((item) => children(item)) });
+    }
+
+    if (key === 'table') {
+      return planNode({
+        nodeType: MYSQL_ACCESS_TYPES[value.access_type] || value.access_type || MYSQL_OPERATIONS.table,
+        relation: typeof value.table_name === 'string' ? resolveMysqlRelation(value.table_name, sources) : null,
+        index: value.key,
+        fullScan: value.access_type === 'ALL',
+        estimatedRows: value.rows_examined_per_scan,
+        estimatedCost: value.cost_info?.prefix_cost,
+        children: children(value),
+      });
+    }
+
+    return planNode({
+      nodeType: MYSQL_OPERATIONS[key],
+      estimatedCost: value.cost_info?.query_cost ?? value.cost_info?.sort_cost,
+      children: children(value),
+    });
+  };
+
+  return { root: operation('query_block', document.query_block), executionTimeMs: null };
+}
+
+/**
+ * Normalize a MySQL EXPLAIN ANALYZE result (tree text)
+ *
+ *   -> Nested loop inner join  (cost=2.1 rows=3) (actual time=0.05..0.08 rows=2 loops=1)
+ *       -> Table scan on c  (cost=0.55 rows=3) (actual time=0.02..0.03 rows=3 loops=1)
+ *
+ * @private
+ */
+function normalizeMysqlTree(plan, sources) {
+  if (typeof plan !== 'string' || !plan.trimStart().startsWith('->')) {
+    throw new Error('missing plan tree');
+  }
+
+  const roots = [];
+  const stack = [];
+
+  for (const line of plan.split('\n')) {
+    const match = line.match(/^(\s*)-> (.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const [, indent, text] = match;
+    const description = text.replace(/\s+\((cost|actual|never executed)[^)]*\)/g, '').trim();
+    const estimated = text.match(/\(cost=([\d.e+-]+) rows=([\d.e+-]+)\)/);
+    const actual = text.match(/\(actual time=[\d.e+-]+\.\.([\d.e+-]+) rows=([\d.e+-]+) loops=(\d+)\)/);
+    const access = description.match(/^(.*?) on (`[^`]+`|\S+)(?: using (`[^`]+`|\S+))?/);
+    const name = (value) => value?.replace(/^`|`$/g, '');
+
+    const node = planNode({
+      nodeType: access ? access[1] : description.split(':')[0],
+      relation: access ? resolveMysqlRelation(name(access[2]), sources) : null,
+      index: access ? name(access[3]) : null,
+      fullScan: access ? /^Table scan$/i.test(access[1]) : false,
+      estimatedRows: estimated?.[2],
+      estimatedCost: estimated?.[1],
+      actualRows: actual?.[2],
+      actualTimeMs: actual?.[1],
+      loops: actual?.[3],
+    });
+
+    const depth = indent.length;
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+
+    (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(node);
+    stack.push({ depth, node });
+  }
+
+  if (roots.length === 0) {
+    throw new Error('empty plan tree');
+  }
+
+  return { root: roots[0], executionTimeMs: roots[0].actualTimeMs };
+}
+
+/**
+ * Normalize a SQL Server showplan (estimated or actual) XML document
+ * @private
+ */
+function normalizeMssql(plan) {
+  if (typeof plan !== 'string' || !plan.includes('<ShowPlanXML')) {
+    throw new Error('missing ShowPlanXML');
+  }
+
+  const roots = [];
+  const stack = [];
+  let executionTimeMs = null;
+
+  for (const [, closing, tag, source] of plan.matchAll(/<(\/?)(RelOp|Object|RunTimeCountersPerThread|QueryTimeStats)\b([^>]*)>/g)) {
+    if (closing) {
+      if (tag === 'RelOp') {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const attributes = xmlAttributes(source);
+    const current = stack[stack.length - 1];
+
+    if (tag === 'RelOp') {
+      const node = planNode({
+        nodeType: attributes.PhysicalOp,
+        fullScan: attributes.PhysicalOp === 'Table Scan' || attributes.PhysicalOp === 'Clustered Index Scan',
+        estimatedRows: attributes.EstimateRows,
+        estimatedCost: attributes.EstimatedTotalSubtreeCost,
+      });
+
+      (current ? current.children : roots).push(node);
+      if (!source.trimEnd().endsWith('/')) {
+        stack.push(node);
+      }
+    } else if (tag === 'Object' && current && attributes.Table && !current.relation) {
+      // The innermost open operator reads the object
+      current.relation = attributes.Schema
+        ? `${unbracket(attributes.Schema)}.${unbracket(attributes.Table)}`
+        : unbracket(attributes.Table);
+      current.index = attributes.Index ? unbracket(attributes.Index) : null;
+    } else if (tag === 'RunTimeCountersPerThread' && current) {
+      // Counters are per thread: rows and executions add up, elapsed time overlaps
+      current.actualRows = (current.actualRows ?? 0) + (toNumberOrNull(attributes.ActualRows) ?? 0);
+      current.loops = (current.loops ?? 0) + (toNumberOrNull(attributes.ActualExecutions) ?? 0);
+      const elapsed = toNumberOrNull(attributes.ActualElapsedms);
+      if (elapsed !== null) {
+        current.actualTimeMs = Math.max(current.actualTimeMs ?? 0, elapsed);
+      }
+    } else if (tag === 'QueryTimeStats') {
+      executionTimeMs = toNumberOrNull(attributes.ElapsedTime);
+    }
+  }
+
+  if (roots.length === 0) {
+    throw new Error('no operators in ShowPlanXML');
+  }
+
+  return { root: roots[0], executionTimeMs };
+}
+
+/**
+ * Normalize a plan into the common shape
+ *
+ * @param {*} plan - Raw plan: PostgreSQL "QUERY PLAN" value, MySQL "EXPLAIN" value
+ *   (JSON) or EXPLAIN ANALYZE tree text, or SQL Server showplan XML
+ * @param {string} query - The statement that was explained
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @returns {{ plan: Object, estimatedRows: number|null, estimatedCost: number|null,
+ *   executionTimeMs: number|null, indexesUsed: string[], fullScans: string[] }}
+ * @throws {Error} If the plan cannot be read
+ */
+export function normalizePlan(plan, query, options = {}) {
+  const dialect = resolveDialect(options.dialect);
+  let normalized;
+
+  switch (dialect) {
+    case SqlDialect.MYSQL: {
+      const sources = mysqlPlanSources(query);
+      normalized = typeof plan === 'string' && plan.trimStart().startsWith('->')
+        ? normalizeMysqlTree(plan, sources)
+        : normalizeMysqlJson(plan, sources);
+      break;
+    }
+    case SqlDialect.MSSQL:
+      normalized = normalizeMssql(plan);
+      break;
+    default:
+      normalized = normalizePostgres(plan);
+  }
+
+  const indexesUsed = new Set();
+  const fullScans = new Set();
+
+  const visit = (node) => {
+    if (node.index) {
+      indexesUsed.add(node.index);
+    }
+    if (node.fullScan && node.relation) {
+      fullScans.add(node.relation);
+    }
+    node.children.forEach(visit);
+  };
+  visit(normalized.root);
+
+  return {
+    plan: normalized.root,
+    estimatedRows: normalized.root.estimatedRows,
+    estimatedCost: normalized.root.estimatedCost,
+    executionTimeMs: normalized.executionTimeMs,
+    indexesUsed: Array.from(indexesUsed),
+    fullScans: Array.from(fullScans),
+  };
+}
+
+export default {
+  normalizePlan,
+  mysqlPlanSources,
+  xmlAttributes,
+  unbracket,
+};
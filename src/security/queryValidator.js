@@ -1,97 +1,423 @@
+import { tokenize, resolveDialect, TokenType, SqlDialect } from './sqlLexer.js';
+import { parseTokens, walk } from './sqlParser.js';
+import { foldIdentifier, identifierKey } from './identifiers.js';
+import { ruleEngine, RuleStage } from './ruleEngine.js';
+import { OrderByPolicy } from './orderByPolicy.js';
+
 /**
  * SQL Query Validator
- * 
- * Validates SQL queries using strict regex patterns.
+ *
+ * Validates SQL queries on a dialect-aware AST (see sqlLexer.js / sqlParser.js).
  * Enforces SELECT-only, blocks dangerous constructs.
  * Does NOT execute queries or apply allowlists.
+ *
+ * Each check is a rule of the rule engine (see ruleEngine.js): built-in rules are
+ * registered below, custom rules run alongside them, and every rejection names
+ * the rule that fired.
+ *
+ * Security Invariants:
+ * 1. Keyword rules run on tokens, never inside string literals or quoted identifiers
+ * 2. Structural rules (CTEs, OFFSET, locking) run on the AST
+ * 3. Anything the lexer/parser cannot fully resolve is rejected (fail-closed)
+ * 4. CTE names are never mistaken for base tables; every base table at any depth
+ *    (including every UNION/INTERSECT/EXCEPT branch) is extracted for permission checks
+ * 5. Table names are reported as the engine resolves them (quoting and case-folding
+ *    per dialect, see identifiers.js)
  */
 
+// Write-related keywords (belt-and-suspenders on top of the SELECT-only grammar)
+const WRITE_KEYWORDS = [
+  'INSERT', 'UPDATE', 'DELETE', 'DROP', 'ALTER', 'CREATE',
+  'TRUNCATE', 'GRANT', 'REVOKE', 'EXEC', 'EXECUTE', 'COPY'
+];
+
+// Control characters other than tab, newline and carriage return
+const CONTROL_CHARACTERS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/;
+
+// Highest depth a recursive CTE may bound itself to (SQL Server's default MAXRECURSION)
+const MAX_RECURSIVE_CTE_DEPTH = 100;
+
 /**
- * Validate a SQL query for security compliance
+ * Built-in validation rules (registered with the rule engine, in stage order)
+ * All are required: no tenant can disable them.
+ */
+export const ValidationRule = Object.freeze({
+  NON_EMPTY: 'non-empty',
+  SELECT_ONLY: 'select-only',
+  NO_CONTROL_CHARACTERS: 'no-control-characters',
+  NO_MULTIPLE_STATEMENTS: 'no-multiple-statements',
+  NO_COMMENTS: 'no-comments',
+  NO_WRITE_KEYWORDS: 'no-write-keywords',
+  NO_INTO: 'no-into',
+  SQL_GRAMMAR: 'sql-grammar',
+  NO_OFFSET: 'no-offset',
+  NO_LOCKING_CLAUSES: 'no-locking-clauses',
+  REQUIRES_TABLE: 'requires-table',
+  ORDER_BY_ALLOWLIST: 'order-by-allowlist',
+});
+
+/**
+ * Upper-cased WORD tokens of a query
+ * @private
+ */
+function wordsOf(tokens) {
+  return new Set(tokens.filter((token) => token.type === TokenType.WORD).map((token) => token.upper));
+}
+
+const BUILTIN_RULES = [
+  {
+    id: ValidationRule.NON_EMPTY,
+    stage: RuleStage.TEXT,
+    description: 'Query must be a non-empty string',
+    check: ({ query }) => {
+      // Reject empty or non-string queries
+      if (!query || typeof query !== 'string') {
+        return 'Query must be a non-empty string';
+      }
+      return query.trim().length === 0 ? 'Query cannot be empty' : null;
+    },
+  },
+  {
+    // Rule 1: Must start with SELECT or WITH (case-insensitive)
+    // This ensures only read operations are allowed (CTE bodies are checked on the AST)
+    id: ValidationRule.SELECT_ONLY,
+    stage: RuleStage.TEXT,
+    description: 'Query must start with SELECT or WITH',
+    check: ({ query }) => !/^(SELECT|WITH)\b/i.test(query.trim()),
+  },
+  {
+    // Rule 4: Reject null bytes and control characters (anywhere, including literals)
+    // Prevents string truncation attacks in some SQL drivers
+    id: ValidationRule.NO_CONTROL_CHARACTERS,
+    stage: RuleStage.TEXT,
+    description: 'Query must not contain control characters',
+    check: ({ query }) => CONTROL_CHARACTERS.test(query.trim()),
+  },
+  {
+    // Rule 2: Reject semicolons (multi-statement prevention)
+    // Prevents attacks like: SELECT 1; DROP TABLE users;
+    id: ValidationRule.NO_MULTIPLE_STATEMENTS,
+    stage: RuleStage.TOKENS,
+    description: 'Query must not contain semicolons (multi-statement forbidden)',
+    check: ({ tokens }) => tokens.some((token) => token.type === TokenType.SEMICOLON),
+  },
+  {
+    // Rule 3: Reject SQL comments (obfuscation prevention)
+    // Prevents attacks like: SELECT * FROM users -- WHERE admin = false
+    // `--`, `#` and `/*` inside string literals are data, not comments
+    id: ValidationRule.NO_COMMENTS,
+    stage: RuleStage.TOKENS,
+    description: 'Query must not contain comments (-- or /* */ or # forbidden)',
+    check: ({ tokens }) => tokens.some((token) => token.type === TokenType.COMMENT),
+  },
+  {
+    // Rule 8: Reject write-related keywords
+    // Belt-and-suspenders: block obvious write operations even though we check for SELECT
+    id: ValidationRule.NO_WRITE_KEYWORDS,
+    stage: RuleStage.TOKENS,
+    description: 'Query must not contain write keywords',
+    check: ({ tokens }) => {
+      const words = wordsOf(tokens);
+      const keyword = WRITE_KEYWORDS.find((word) => words.has(word));
+      return keyword ? `Query must not contain ${keyword} keyword` : null;
+    },
+  },
+  {
+    // Rule 9: Reject INTO clause (write operations)
+    // Prevents: SELECT * INTO new_table FROM users
+    id: ValidationRule.NO_INTO,
+    stage: RuleStage.TOKENS,
+    description: 'Query must not contain INTO clause',
+    check: ({ tokens }) => wordsOf(tokens).has('INTO'),
+  },
+  {
+    // Rule 5: CTEs must be read-only, uniquely named and (if recursive) bounded
+    // Enforced while parsing (see parseForValidation); registered so it is listed and reported
+    id: ValidationRule.SQL_GRAMMAR,
+    stage: RuleStage.AST,
+    description: 'Query must parse in the supported SELECT grammar (read-only, bounded CTEs)',
+    check: () => null,
+  },
+  {
+    // Rule 7: Reject OFFSET (DOS prevention), including MySQL `LIMIT offset, count`
+    // OFFSET forces database to scan N rows before returning results
+    // Example attack: SELECT * FROM huge_table LIMIT 10 OFFSET 9999999
+    id: ValidationRule.NO_OFFSET,
+    stage: RuleStage.AST,
+    description: 'Query must not contain OFFSET (DOS prevention)',
+    check: ({ ast }) => someNode(ast, (node) => node.type === 'query' && node.offset),
+  },
+  {
+    // Rule 10: Reject FOR UPDATE/FOR SHARE (locking clauses)
+    // These can hold locks and affect write operations
+    id: ValidationRule.NO_LOCKING_CLAUSES,
+    stage: RuleStage.AST,
+    description: 'Query must not contain locking clauses (FOR UPDATE/FOR SHARE forbidden)',
+    check: ({ ast }) => someNode(ast, (node) => node.type === 'query' && node.locking),
+  },
+  {
+    // Fail-closed rule: Queries with no extractable tables are rejected
+    // This prevents table-less queries like: SELECT 1+1, SELECT NOW(), etc.
+    id: ValidationRule.REQUIRES_TABLE,
+    stage: RuleStage.TABLES,
+    description: 'Query must reference at least one table (fail-closed validation)',
+    check: ({ tables }) => tables.length === 0,
+  },
+  {
+    // Validate ORDER BY against the per-table ORDER BY policy
+    // If no policy is provided but query has ORDER BY, reject (fail-closed)
+    id: ValidationRule.ORDER_BY_ALLOWLIST,
+    stage: RuleStage.TABLES,
+    description: 'ORDER BY must use sortable columns with explicit direction',
+    check: ({ ast, dialect, orderByPolicy }) => validateOrderBy(ast, orderByPolicy, dialect).reason,
+  },
+];
+
+for (const rule of BUILTIN_RULES) {
+  ruleEngine.register({ ...rule, required: true });
+}
+
+/**
+ * Check whether any node of a query matches (every set operation branch, CTE and subquery)
+ * @private
+ */
+function someNode(ast, predicate) {
+  let found = false;
+  visitScoped(ast, (node) => {
+    if (found) {
+      return false;
+    }
+    found = Boolean(predicate(node));
+    return undefined;
+  });
+  return found;
+}
+
+/**
+ * Tokenize, check and parse a query, running the rule engine at each stage
+ * @private
  * @param {string} query - Raw SQL query string
- * @returns {{ valid: boolean, reason?: string }} Validation result
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @returns {{ ast?: Object, dialect?: string, reason?: string, rule?: string }}
  */
-export function validateQuery(query) {
-  // Reject empty or non-string queries
-  if (!query || typeof query !== 'string') {
-    return { valid: false, reason: 'Query must be a non-empty string' };
+function parseForValidation(query, options = {}) {
+  let dialect;
+  try {
+    dialect = resolveDialect(options.dialect);
+  } catch (error) {
+    return { reason: error.message, rule: ValidationRule.SQL_GRAMMAR };
   }
 
-  // Normalize: trim whitespace
-  const normalized = query.trim();
+  const context = { query, dialect, tenant: options.tenant ?? null };
 
-  if (normalized.length === 0) {
-    return { valid: false, reason: 'Query cannot be empty' };
+  const textFailure = ruleEngine.evaluate(RuleStage.TEXT, context);
+  if (textFailure) {
+    return textFailure;
   }
 
-  // Rule 1: Must start with SELECT (case-insensitive)
-  // This ensures only read operations are allowed
-  if (!/^SELECT\s+/i.test(normalized)) {
-    return { valid: false, reason: 'Query must start with SELECT' };
+  try {
+    context.tokens = tokenize(query, { dialect });
+  } catch (error) {
+    return { reason: error.message, rule: ValidationRule.SQL_GRAMMAR };
   }
 
-  // Rule 2: Reject semicolons (multi-statement prevention)
-  // Prevents attacks like: SELECT 1; DROP TABLE users;
-  if (normalized.includes(';')) {
-    return { valid: false, reason: 'Query must not contain semicolons (multi-statement forbidden)' };
+  const tokenFailure = ruleEngine.evaluate(RuleStage.TOKENS, context);
+  if (tokenFailure) {
+    return tokenFailure;
   }
 
-  // Rule 3: Reject SQL comments (obfuscation prevention)
-  // Prevents attacks like: SELECT * FROM users -- WHERE admin = false
-  // Also reject MySQL # comments for adapter-agnostic security
-  if (normalized.includes('--') || normalized.includes('/*') || normalized.includes('*/') || normalized.includes('#')) {
-    return { valid: false, reason: 'Query must not contain comments (-- or /* */ or # forbidden)' };
+  try {
+    context.ast = parseTokens(context.tokens, { dialect });
+
+    // Rule 5: CTEs must be read-only, uniquely named and (if recursive) bounded
+    // The parser only accepts SELECT bodies, so WITH x AS (INSERT ...) never parses
+    markCteReferences(context.ast, dialect);
+  } catch (error) {
+    return { reason: error.message, rule: ValidationRule.SQL_GRAMMAR };
   }
 
-  // Rule 4: Reject null bytes and control characters
-  // Prevents string truncation attacks in some SQL drivers
-  if (/[\x00-\x1F]/.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain control characters' };
+  // SECURITY: Table and column checks read this AST after custom rules have seen it,
+  // so rules get it (and the tokens) read-only
+  deepFreeze(context.tokens);
+  deepFreeze(context.ast);
+
+  const astFailure = ruleEngine.evaluate(RuleStage.AST, context);
+  if (astFailure) {
+    return astFailure;
   }
 
-  // Rule 5: Reject CTEs (WITH clauses)
-  // CTEs can hide write operations: WITH x AS (INSERT INTO...) SELECT...
-  if (/\bWITH\s+/i.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain WITH clauses (CTEs forbidden)' };
+  return { ast: context.ast, dialect, context };
+}
+
+/**
+ * Freeze an AST (or token list) and everything reachable from it
+ * @private
+ */
+function deepFreeze(node) {
+  if (node && typeof node === 'object' && !Object.isFrozen(node)) {
+    Object.freeze(node);
+    for (const value of Object.values(node)) {
+      deepFreeze(value);
+    }
   }
+  return node;
+}
 
-  // Rule 6: Reject set operations (UNION, EXCEPT, INTERSECT)
-  // These can be used to combine results from unauthorized tables
-  if (/\b(UNION|EXCEPT|INTERSECT)\b/i.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain set operations (UNION/EXCEPT/INTERSECT forbidden)' };
+/**
+ * Mark table references that name a CTE in scope (`node.cte`) and check each WITH clause
+ *
+ * A CTE is visible to the later CTEs of its WITH clause, to itself (recursion)
+ * and to the query body. Only single-part names can refer to a CTE.
+ *
+ * @private
+ * @param {Object|Array} node - AST node (or list of nodes)
+ * @param {string} dialect - SqlDialect (identifier comparison)
+ * @param {Set<string>} [visible] - CTE names in scope
+ * @throws {Error} On duplicate names or unbounded recursion (fail-closed)
+ */
+function markCteReferences(node, dialect, visible = new Set()) {
+  if (!node || typeof node !== 'object') {
+    return;
   }
 
-  // Rule 7: Reject OFFSET (DOS prevention)
-  // OFFSET forces database to scan N rows before returning results
-  // Example attack: SELECT * FROM huge_table LIMIT 10 OFFSET 9999999
-  if (/\bOFFSET\s+/i.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain OFFSET (DOS prevention)' };
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      markCteReferences(item, dialect, visible);
+    }
+    return;
   }
 
-  // Rule 8: Reject write-related keywords
-  // Belt-and-suspenders: block obvious write operations even though we check for SELECT
-  const writeKeywords = [
-    'INSERT', 'UPDATE', 'DELETE', 'DROP', 'ALTER', 'CREATE', 
-    'TRUNCATE', 'GRANT', 'REVOKE', 'EXEC', 'EXECUTE', 'COPY'
-  ];
-  
-  for (const keyword of writeKeywords) {
-    const pattern = new RegExp(`\\b${keyword}\\b`, 'i');
-    if (pattern.test(normalized)) {
-      return { valid: false, reason: `Query must not contain ${keyword} keyword` };
+  if (!node.type) {
+    return;
+  }
+
+  if (node.type === 'table' && node.name.length === 1 && visible.has(identifierKey(node.name[0], dialect))) {
+    node.cte = identifierKey(node.name[0], dialect);
+    return;
+  }
+
+  if (node.type === 'query' && node.with) {
+    const names = new Set(visible);
+    const declared = new Set();
+
+    for (const cte of node.with.ctes) {
+      const key = identifierKey(cte.name, dialect);
+
+      if (declared.has(key)) {
+        throw new Error(`Duplicate CTE name: ${cte.name.value}`);
+      }
+      declared.add(key);
+
+      markCteReferences(cte.query, dialect, new Set([...names, key]));
+      names.add(key);
+
+      const selfReferences = [];
+      walk(cte.query, (child) => {
+        if (child.type === 'table' && child.cte === key) {
+          selfReferences.push(child);
+        }
+      });
+
+      if (selfReferences.length > 0) {
+        checkRecursiveCte(cte, key, dialect);
+      }
     }
+
+    for (const [field, value] of Object.entries(node)) {
+      if (field !== 'with') {
+        markCteReferences(value, dialect, names);
+      }
+    }
+    return;
   }
 
-  // Rule 9: Reject INTO clause (write operations)
-  // Prevents: SELECT * INTO new_table FROM users
-  if (/\bINTO\s+/i.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain INTO clause' };
+  for (const value of Object.values(node)) {
+    markCteReferences(value, dialect, visible);
   }
+}
 
-  // Rule 10: Reject FOR UPDATE/FOR SHARE (locking clauses)
-  // These can hold locks and affect write operations
-  if (/\bFOR\s+(UPDATE|SHARE)\b/i.test(normalized)) {
-    return { valid: false, reason: 'Query must not contain locking clauses (FOR UPDATE/FOR SHARE forbidden)' };
+/**
+ * Check that a recursive CTE has the form `anchor UNION [ALL] recursive-term` and
+ * that the recursive term bounds its depth with `<cte column> < N` (or <=), N <= MAX_RECURSIVE_CTE_DEPTH
+ *
+ * @private
+ * @throws {Error} If recursion is not provably bounded (fail-closed)
+ */
+function checkRecursiveCte(cte, key, dialect) {
+  const { query } = cte;
+  const name = cte.name.value;
+  const unbounded = `Recursive CTE "${name}" must bound its recursion depth ` +
+    `(e.g. WHERE ${name}.depth < ${MAX_RECURSIVE_CTE_DEPTH}) (fail-closed)`;
+
+  const referencesSelf = (node) => {
+    let found = false;
+    walk(node, (child) => {
+      if (child.type === 'table' && child.cte === key) {
+        found = true;
+      }
+    });
+    return found;
+  };
+
+  const body = query.body;
+  if (body.type !== 'set_operation' || body.operator !== 'UNION' ||
+      body.right.type !== 'select' || referencesSelf(body.left) || query.limit || query.fetch) {
+    throw new Error(`Recursive CTE "${name}" must be <anchor> UNION [ALL] <recursive SELECT> (fail-closed)`);
+  }
+
+  const recursive = body.right;
+  const selfSource = fromSources(recursive).find((source) => source.type === 'table' && source.cte === key);
+
+  // Self-reference must be a FROM/JOIN source of the recursive term (not hidden in a subquery)
+  if (!selfSource) {
+    throw new Error(unbounded);
+  }
+
+  const selfQualifier = (selfSource.alias ? identifierKey(selfSource.alias, dialect) : key);
+  const isSelfColumn = (expr) => expr.type === 'column' && (
+    (expr.parts.length === 2 && identifierKey(expr.parts[0], dialect) === selfQualifier) ||
+    (expr.parts.length === 1 && fromSources(recursive).length === 1)
+  );
+  const isDepthLiteral = (expr) => expr.type === 'literal' && expr.kind === 'number' &&
+    /^\d+$/.test(expr.value) && Number(expr.value) <= MAX_RECURSIVE_CTE_DEPTH;
+
+  // Bound must be a top-level AND conjunct of the recursive term's WHERE clause
+  const conjuncts = [];
+  const collect = (expr) => {
+    if (expr?.type === 'binary' && expr.operator === 'AND') {
+      collect(expr.left);
+      collect(expr.right);
+    } else if (expr) {
+      conjuncts.push(expr);
+    }
+  };
+  collect(recursive.where);
+
+  const bounded = conjuncts.some((expr) => expr.type === 'binary' && (
+    (['<', '<='].includes(expr.operator) && isSelfColumn(expr.left) && isDepthLiteral(expr.right)) ||
+    (['>', '>='].includes(expr.operator) && isDepthLiteral(expr.left) && isSelfColumn(expr.right))
+  ));
+
+  if (!bounded) {
+    throw new Error(unbounded);
+  }
+}
+
+/**
+ * Validate a SQL query for security compliance
+ * @param {string} query - Raw SQL query string
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect: 'postgres' (default), 'mysql' or 'mssql'
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @returns {{ valid: boolean, reason?: string, rule?: string }} Validation result (rule = id of the rule that fired)
+ */
+export function validateQuery(query, options = {}) {
+  const { reason, rule } = parseForValidation(query, options);
+
+  if (reason) {
+    return { valid: false, reason, rule };
   }
 
   // All validation rules passed
@@ -99,80 +425,589 @@ export function validateQuery(query) {
 }
 
 /**
- * Extract table references from a validated SQL query
- * Uses best-effort regex to find table names in FROM and JOIN clauses
- * 
- * @param {string} query - SQL query string (should be pre-validated)
- * @returns {string[]} Array of table names (may include schema prefix)
+ * Walk an AST, tracking the SELECT that owns each node
+ * A query-level ORDER BY belongs to the query's SELECT body.
+ *
+ * @private
+ * @param {Object|Array} node - AST node (or list of nodes)
+ * @param {Function} visitor - (node, select) => void | false (false skips children)
+ * @param {Object|null} select - Enclosing select node
+ * @param {Map<Object, Object|null>} [parents] - select -> enclosing select (filled during the walk)
  */
-export function extractTables(query) {
-  const tables = new Set();
+function visitScoped(node, visitor, select = null, parents = new Map()) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      visitScoped(item, visitor, select, parents);
+    }
+    return;
+  }
+
+  if (!node.type) {
+    return;
+  }
+
+  let current = select;
+  if (node.type === 'select' && node !== select) {
+    parents.set(node, select);
+    current = node;
+  }
+
+  if (visitor(node, current, parents) === false) {
+    return;
+  }
 
-  // Pattern 1: FROM clause
-  // Matches: FROM schema.table, FROM table, FROM "schema"."table"
-  const fromPattern = /\bFROM\s+(?:(\w+)\.)?(\w+)/gi;
-  let match;
-  
-  while ((match = fromPattern.exec(query)) !== null) {
-    const schema = match[1];
-    if (!schema) {
-      throw new Error('Table references must be schema-qualified (schema.table)');
+  for (const [key, value] of Object.entries(node)) {
+    const owner = node.type === 'query' && key === 'orderBy' && node.body.type === 'select'
+      ? node.body
+      : current;
+    visitScoped(value, visitor, owner, parents);
+  }
+}
+
+/**
+ * Collect the FROM sources of a select (tables and derived tables, through joins)
+ * @private
+ */
+function fromSources(select) {
+  const sources = [];
+
+  const collect = (item) => {
+    if (item.type === 'join') {
+      collect(item.left);
+      collect(item.right);
+    } else {
+      sources.push(item);
     }
-    const table = match[2];
-    tables.add(`${schema}.${table}`);
+  };
+
+  for (const item of select?.from || []) {
+    collect(item);
+  }
+
+  return sources;
+}
+
+/**
+ * Check whether a FROM source is a base table (not a derived table or CTE reference)
+ * @private
+ */
+function isBaseTable(source) {
+  return source.type === 'table' && !source.cte;
+}
+
+/**
+ * Convert a table node to its "schema.table" name, folded as the engine resolves it
+ * (fail-closed on unsupported forms)
+ * @private
+ */
+function tableName(node, dialect) {
+  // A "." inside a quoted name would make "schema.table" ambiguous
+  if (node.name.some((part) => part.value.includes('.'))) {
+    throw new Error('Quoted identifiers containing "." are not supported in table references (fail-closed)');
+  }
+
+  if (node.name.length === 1) {
+    throw new Error('Table references must be schema-qualified (schema.table)');
+  }
+
+  if (node.name.length > 2) {
+    throw new Error('Cross-database table references are not supported (fail-closed)');
+  }
 
+  return node.name.map((part) => foldIdentifier(part, dialect)).join('.');
+}
+
+/**
+ * Extract table references from the AST (every depth: joins, derived tables, subqueries)
+ * @private
+ */
+function tablesFromAst(ast, dialect) {
+  const tables = new Set();
+
+  visitScoped(ast, (node) => {
     // SECURITY CHECK: Implicit Joins
-    // Check for comma immediately following the match (ignoring whitespace)
-    // This check is only valid if we are in the FROM clause context
-    const remainder = query.slice(fromPattern.lastIndex);
-    if (/^\s*,/.test(remainder)) {
-      throw new Error("Implicit joins (comma-separated tables) are not allowed. Use explicit JOIN syntax.");
+    // Comma-separated FROM items hide join conditions; require explicit JOIN syntax
+    if (node.type === 'select' && node.from.length > 1) {
+      throw new Error('Implicit joins (comma-separated tables) are not allowed. Use explicit JOIN syntax.');
+    }
+
+    // CTE references are not base tables; the CTE bodies are walked like any subquery
+    if (node.type === 'table' && !node.cte) {
+      tables.add(tableName(node, dialect));
+    }
+  });
+
+  return Array.from(tables);
+}
+
+/**
+ * Check whether a FROM source is referenced by a qualifier (its alias, else its table name)
+ * @private
+ */
+function matchesQualifier(source, qualifier, dialect) {
+  return source.alias
+    ? identifierKey(source.alias, dialect) === qualifier
+    : source.type === 'table' && identifierKey(source.name[source.name.length - 1], dialect) === qualifier;
+}
+
+/**
+ * Find the FROM sources a qualifier can refer to: innermost scope first, then
+ * enclosing selects (correlated references)
+ * @private
+ * @returns {Object[]|null} Matching sources, or null if none is visible
+ */
+function resolveQualifier(qualifierPart, select, parents, dialect) {
+  const qualifier = identifierKey(qualifierPart, dialect);
+
+  for (let scope = select; scope; scope = parents.get(scope)) {
+    const matches = fromSources(scope).filter((source) => matchesQualifier(source, qualifier, dialect));
+
+    if (matches.length > 0) {
+      return matches;
     }
   }
 
-  // Pattern 2: JOIN clause
-  // Matches: JOIN schema.table, JOIN table, INNER JOIN table, LEFT JOIN table
-  const joinPattern = /\b(?:INNER\s+|LEFT\s+|RIGHT\s+|FULL\s+)?JOIN\s+(?:(\w+)\.)?(\w+)/gi;
-  
-  while ((match = joinPattern.exec(query)) !== null) {
-    const schema = match[1];
-    if (!schema) {
-      throw new Error('Table references must be schema-qualified (schema.table)');
+  return null;
+}
+
+/**
+ * Find the FROM sources a column reference can belong to
+ *
+ * An unqualified column may belong to any source of its own select or, in a
+ * subquery, of an enclosing select (the engine picks by column existence, which
+ * is unknown here), so every one of them is a candidate.
+ * @private
+ * @returns {Object[]|null} Candidate sources, or null if the reference cannot be resolved
+ */
+function resolveColumnSources(parts, select, parents, dialect) {
+  if (parts.length === 1) {
+    const sources = [];
+    for (let scope = select; scope; scope = parents.get(scope)) {
+      sources.push(...fromSources(scope));
     }
-    const table = match[2];
-    tables.add(`${schema}.${table}`);
+    return sources.length > 0 ? sources : null;
   }
 
-  return Array.from(tables);
+  if (parts.length === 2) {
+    return resolveQualifier(parts[0], select, parents, dialect);
+  }
+
+  return null;
 }
 
 /**
- * Build qualifier-to-table mapping from FROM/JOIN clauses
- * Maps aliases and unambiguous table names to schema.table
- * 
+ * Build a column entry from its candidate sources
+ * Columns of derived tables and CTEs are not reported: their own select lists
+ * are visited (and reported) where the base tables are read.
+ * @private
+ */
+function columnEntry(column, sources, dialect) {
+  if (sources === null) {
+    return { table: null, column, candidates: null };
+  }
+
+  const tables = Array.from(new Set(sources.filter(isBaseTable).map((source) => tableName(source, dialect))));
+
+  if (tables.length === 1 && sources.length === 1) {
+    return { table: tables[0], column };
+  }
+
+  return tables.length > 0 ? { table: null, column, candidates: tables } : null;
+}
+
+/**
+ * Extract column references from the AST
+ * @private
+ */
+function columnsFromAst(ast, dialect) {
+  const columns = [];
+  const push = (entry) => {
+    if (entry) {
+      columns.push(entry);
+    }
+  };
+
+  visitScoped(ast, (node, select, parents) => {
+    if (node.type === 'column') {
+      const column = foldIdentifier(node.parts[node.parts.length - 1], dialect);
+
+      if (node.parts.length === 3) {
+        push({ table: tableName({ name: node.parts.slice(0, 2) }, dialect), column });
+        return false;
+      }
+
+      push(columnEntry(column, resolveColumnSources(node.parts, select, parents, dialect), dialect));
+
+      // A bare table alias is a whole-row reference in PostgreSQL (SELECT c FROM t c)
+      if (node.parts.length === 1) {
+        for (const source of resolveQualifier(node.parts[0], select, parents, dialect) || []) {
+          push(columnEntry('*', [source], dialect));
+        }
+      }
+      return false;
+    }
+
+    if (node.type === 'star') {
+      // An unqualified * expands every source of its own select (never enclosing ones)
+      const sources = node.qualifier
+        ? node.qualifier.length === 1 ? resolveQualifier(node.qualifier[0], select, parents, dialect) : null
+        : fromSources(select);
+
+      if (node.qualifier && node.qualifier.length === 2) {
+        push({ table: tableName({ name: node.qualifier }, dialect), column: '*' });
+      } else if (sources === null) {
+        push({ table: null, column: '*', candidates: null });
+      } else {
+        for (const source of sources) {
+          push(columnEntry('*', [source], dialect));
+        }
+      }
+    }
+
+    // JOIN ... USING (c) reads c from every table on both sides of the join
+    if (node.type === 'join' && node.using) {
+      const sources = fromSources({ from: [node.left, node.right] });
+      for (const identifier of node.using) {
+        push(columnEntry(foldIdentifier(identifier, dialect), sources, dialect));
+      }
+    }
+
+    return undefined;
+  });
+
+  return columns;
+}
+
+/**
+ * Trace the result columns of a query node (query, set operation or select)
+ * back to the base table columns they are read from
+ *
+ * Entry shape:
+ * - name: result column name (null when the engine picks one, e.g. for expressions)
+ * - star: "schema.table" when the entry stands for every column of that table
+ * - columns: base columns { table, column } the value is read from
+ *   (table null: unresolved; column '*': every column of the table)
+ * - direct: true when the value is one of those columns, unchanged
+ *
+ * @private
+ * @param {Object} node - AST node
+ * @param {Object} context - { parents, ctes, tracing, dialect }
+ * @param {Object|null} outer - Select the node is nested in
+ * @returns {Array<{ name: string|null, star: string|null, columns: Array<{ table: string|null, column: string }>, direct: boolean }>}
+ */
+function traceOutputs(node, context, outer) {
+  if (node.type === 'query') {
+    const ctes = new Map(context.ctes);
+    for (const cte of node.with?.ctes || []) {
+      ctes.set(identifierKey(cte.name, context.dialect), cte);
+    }
+    return traceOutputs(node.body, { ...context, ctes }, outer);
+  }
+
+  if (node.type === 'set_operation') {
+    return mergeBranchOutputs(traceOutputs(node.left, context, outer), traceOutputs(node.right, context, outer));
+  }
+
+  if (outer) {
+    context.parents.set(node, outer);
+  }
+
+  const outputs = [];
+
+  for (const item of node.columns) {
+    if (item.expr.type === 'star') {
+      const { qualifier } = item.expr;
+      let sources;
+      if (!qualifier) {
+        sources = fromSources(node);
+      } else if (qualifier.length === 2) {
+        sources = [{ type: 'table', name: qualifier }];
+      } else {
+        sources = resolveQualifier(qualifier[0], node, context.parents, context.dialect);
+      }
+
+      if (!sources) {
+        outputs.push({ name: null, star: null, columns: [{ table: null, column: '*' }], direct: false });
+        continue;
+      }
+
+      for (const source of sources) {
+        outputs.push(...sourceOutputs(source, context));
+      }
+      continue;
+    }
+
+    const { expr, alias } = item;
+    let name = null;
+    if (alias) {
+      name = foldIdentifier(alias, context.dialect);
+    } else if (expr.type === 'column') {
+      name = foldIdentifier(expr.parts[expr.parts.length - 1], context.dialect);
+    }
+
+    outputs.push({ name, star: null, ...expressionLineage(expr, node, context) });
+  }
+
+  return outputs;
+}
+
+/**
+ * Combine the outputs of two set operation branches (positional)
+ * When positions are unknown (a * in either branch), every column of both
+ * branches may reach any result column.
+ * @private
+ */
+function mergeBranchOutputs(left, right) {
+  if (left.length !== right.length || left.some((o) => o.star) || right.some((o) => o.star)) {
+    const columns = [...left, ...right].flatMap((o) => o.star ? [{ table: o.star, column: '*' }] : o.columns);
+    return [{ name: null, star: null, columns, direct: false }];
+  }
+
+  return left.map((output, index) => ({
+    name: output.name,
+    star: null,
+    columns: [...output.columns, ...right[index].columns],
+    direct: output.direct && right[index].direct,
+  }));
+}
+
+/**
+ * Outputs of a FROM source (a base table expands to all its columns)
+ * @private
+ */
+function sourceOutputs(source, context) {
+  if (isBaseTable(source)) {
+    return [{ name: null, star: tableName(source, context.dialect), columns: [], direct: true }];
+  }
+
+  // Derived tables cannot see the select they appear in (no LATERAL)
+  if (source.type === 'derived') {
+    return traceOutputs(source.query, context, null);
+  }
+
+  const cte = context.ctes.get(source.cte);
+
+  // A recursive reference adds nothing: its rows come from the branches being traced
+  if (!cte || context.tracing.has(cte)) {
+    return [];
+  }
+
+  context.tracing.add(cte);
+  const outputs = traceOutputs(cte.query, context, null);
+  context.tracing.delete(cte);
+
+  if (!cte.columns) {
+    return outputs;
+  }
+
+  // WITH x(a, b) renames the outputs by position
+  if (outputs.some((o) => o.star) || outputs.length !== cte.columns.length) {
+    return mergeBranchOutputs(outputs, []);
+  }
+
+  return outputs.map((output, index) => ({ ...output, name: foldIdentifier(cte.columns[index], context.dialect) }));
+}
+
+/**
+ * Base columns an expression's value is read from
+ * Subqueries contribute every column they return; filters do not contribute.
+ * @private
+ * @returns {{ columns: Array<{ table: string|null, column: string }>, direct: boolean }}
+ */
+function expressionLineage(expr, select, context) {
+  if (expr.type === 'column') {
+    return { columns: columnLineage(expr.parts, select, context), direct: true };
+  }
+
+  if (expr.type === 'nested') {
+    return expressionLineage(expr.expr, select, context);
+  }
+
+  const columns = [];
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+      return;
+    }
+
+    if (node.type === 'column') {
+      columns.push(...columnLineage(node.parts, select, context));
+      return;
+    }
+
+    if (node.type === 'query') {
+      for (const output of traceOutputs(node, context, select)) {
+        columns.push(...(output.star ? [{ table: output.star, column: '*' }] : output.columns));
+      }
+      return;
+    }
+
+    Object.values(node).forEach(collect);
+  };
+
+  collect(expr);
+  return { columns, direct: false };
+}
+
+/**
+ * Base columns a column reference is read from
+ * @private
+ */
+function columnLineage(parts, select, context) {
+  const { dialect } = context;
+  const column = foldIdentifier(parts[parts.length - 1], dialect);
+
+  if (parts.length === 3) {
+    return [{ table: tableName({ name: parts.slice(0, 2) }, dialect), column }];
+  }
+
+  const sources = resolveColumnSources(parts, select, context.parents, dialect);
+
+  if (!sources) {
+    return [{ table: null, column }];
+  }
+
+  const columns = [];
+
+  for (const source of sources) {
+    if (isBaseTable(source)) {
+      columns.push({ table: tableName(source, dialect), column });
+      continue;
+    }
+
+    for (const output of sourceOutputs(source, context)) {
+      if (output.star) {
+        columns.push({ table: output.star, column });
+      } else if (output.name === null || output.name.toLowerCase() === column.toLowerCase()) {
+        // Unnamed outputs (set operations over *) may be any column
+        columns.push(...output.columns);
+      }
+    }
+  }
+
+  // A bare table alias is a whole-row reference in PostgreSQL (SELECT c FROM t c)
+  if (parts.length === 1) {
+    for (const source of resolveQualifier(parts[0], select, context.parents, dialect) || []) {
+      if (isBaseTable(source)) {
+        columns.push({ table: tableName(source, dialect), column: '*' });
+      }
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Extract table references from a validated SQL query
+ * Walks the parsed AST, so tables in joins, derived tables and subqueries are all found
+ *
+ * @param {string} query - SQL query string (should be pre-validated)
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @returns {string[]} Array of "schema.table" names
+ * @throws {Error} If the query cannot be parsed or a table reference is unsupported (fail-closed)
+ */
+export function extractTables(query, options = {}) {
+  const { ast, dialect, reason } = parseForValidation(query, options);
+
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  return tablesFromAst(ast, dialect);
+}
+
+/**
+ * Parse a validated query and resolve its table and column references
+ *
+ * Columns are resolved through table aliases and enclosing scopes. When a column
+ * cannot be attributed to exactly one base table, `table` is null and
+ * `candidates` lists every base table it may belong to (null if unresolvable);
+ * callers enforcing column policy must check every candidate. `*` is reported
+ * once per base table it expands to; columns of derived tables and CTEs are
+ * checked where those read their base tables.
+ *
+ * @param {string} query - SQL query string
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @returns {{ ast: Object, tables: string[], columns: Array<{ table: string|null, column: string, candidates?: string[]|null }> }}
+ * @throws {Error} If the query fails validation (fail-closed)
+ */
+export function analyzeQuery(query, options = {}) {
+  const { ast, dialect, reason } = parseForValidation(query, options);
+
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  return {
+    ast,
+    tables: tablesFromAst(ast, dialect),
+    columns: columnsFromAst(ast, dialect),
+  };
+}
+
+/**
+ * Trace the result columns of a validated query back to base table columns
+ *
+ * Each entry is one result column, or every column of a base table for a `*`.
+ * `direct` is true when the value is a base column unchanged (through aliases,
+ * derived tables and CTEs); expressions, aggregates and set operations over `*`
+ * are not direct. Unresolvable references report `table: null`.
+ *
  * @param {string} query - SQL query string
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @returns {Array<{ name: string|null, star: string|null, columns: Array<{ table: string|null, column: string }>, direct: boolean }>}
+ * @throws {Error} If the query fails validation (fail-closed)
+ */
+export function traceResultColumns(query, options = {}) {
+  const { ast, dialect, reason } = parseForValidation(query, options);
+
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  return traceOutputs(ast, { parents: new Map(), ctes: new Map(), tracing: new Set(), dialect }, null);
+}
+
+/**
+ * Build qualifier-to-table mapping from the FROM/JOIN sources of a select
+ * Maps aliases and unambiguous table names to schema.table
+ *
+ * @param {Object|null} select - Select node owning the ORDER BY
+ * @param {string} dialect - SqlDialect
  * @returns {Map<string, string>} Map of qualifier -> schema.table
  */
-function buildQualifierMap(query) {
+function buildQualifierMap(select, dialect) {
   const qualifierMap = new Map();
   const tableOccurrences = new Map(); // Track table name occurrences for ambiguity detection
 
-  // Pattern: FROM/JOIN schema.table [AS] alias
-  const tablePattern = /\b(?:FROM|(?:INNER\s+|LEFT\s+|RIGHT\s+|FULL\s+)?JOIN)\s+(\w+)\.(\w+)(?:\s+(?:AS\s+)?(\w+))?/gi;
-  let match;
+  for (const source of fromSources(select)) {
+    if (!isBaseTable(source)) {
+      continue;
+    }
 
-  while ((match = tablePattern.exec(query)) !== null) {
-    const schema = match[1];
-    const table = match[2];
-    const alias = match[3];
-    const fullTableName = `${schema}.${table}`;
+    const fullTableName = tableName(source, dialect);
+    const table = source.name[source.name.length - 1].value;
 
     // Register alias if present
-    if (alias) {
-      const aliasLower = alias.toLowerCase();
+    if (source.alias) {
+      const aliasLower = source.alias.value.toLowerCase();
       // Fail-closed: reject duplicate alias definitions
       if (qualifierMap.has(aliasLower)) {
-        throw new Error(`Duplicate alias definition: ${alias}`);
+        throw new Error(`Duplicate alias definition: ${source.alias.value}`);
       }
       qualifierMap.set(aliasLower, fullTableName);
     }
@@ -187,7 +1022,7 @@ function buildQualifierMap(query) {
 
   // Register unambiguous table names
   for (const [tableName, fullNames] of tableOccurrences.entries()) {
-    if (fullNames.length === 1) {
+    if (fullNames.length === 1 && !qualifierMap.has(tableName)) {
       qualifierMap.set(tableName, fullNames[0]);
     }
   }
@@ -196,67 +1031,172 @@ function buildQualifierMap(query) {
 }
 
 /**
- * Validate ORDER BY clause with strict allowlist enforcement
- * 
- * Rules:
- * - Single ORDER BY clause only
- * - Maximum 2 sort keys
+ * Validate ORDER BY clauses against the ORDER BY policy
+ *
+ * Every ORDER BY list (outer query, CTEs, subqueries, window definitions) is
+ * validated on its own, resolving qualifiers against the SELECT that owns it.
+ *
+ * Rules (per list):
+ * - Keys: alias.column, schema.table.column, or (query ORDER BY only) the alias
+ *   of a select-list item that is a plain column
  * - Explicit ASC/DESC required for every key
- * - Only qualified identifiers: alias.column or schema.table.column
+ * - Direction and NULLS FIRST/LAST must be allowed modifiers of the key's table
+ * - Only sortable columns of the key's table permitted
+ * - At most the smallest maxKeys of the tables sorted by
  * - Bare columns, expressions, functions, numeric positions rejected
- * - Only allowlisted columns permitted
- * 
- * @param {string} query - SQL query string (pre-validated)
- * @param {Set<string>} allowedOrderByColumns - Set of schema.table.column strings
+ *
+ * @param {Object} ast - Parsed query
+ * @param {OrderByPolicy|null} orderByPolicy - Sortable columns per table
+ * @param {string} dialect - SqlDialect
  * @returns {{ valid: boolean, reason?: string }} Validation result
  */
-function validateOrderBy(query, allowedOrderByColumns) {
-  // Check if query contains ORDER BY
-  const orderByPattern = /\bORDER\s+BY\b/gi;
-  const matches = query.match(orderByPattern);
+function validateOrderBy(ast, orderByPolicy, dialect) {
+  const orderLists = [];
 
-  if (!matches) {
+  visitScoped(ast, (node, select) => {
+    if (node.type === 'query' && node.orderBy) {
+      orderLists.push({ items: node.orderBy, select: node.body.type === 'select' ? node.body : null, outputs: true });
+    }
+    if (node.type === 'window' && node.orderBy) {
+      orderLists.push({ items: node.orderBy, select, outputs: false });
+    }
+  });
+
+  if (orderLists.length === 0) {
     // No ORDER BY clause - valid
     return { valid: true };
   }
 
-  // Rule: Single ORDER BY only (fail-closed on nested queries)
-  if (matches.length > 1) {
+  // Check if ORDER BY is allowed
+  if (!orderByPolicy || orderByPolicy.size === 0) {
     return {
       valid: false,
-      reason: 'Multiple ORDER BY clauses not supported (fail-closed)',
+      reason: 'ORDER BY not permitted (no allowed columns configured)',
     };
   }
 
-  // Check if ORDER BY is allowed
-  if (!allowedOrderByColumns || allowedOrderByColumns.size === 0) {
+  for (const { items, select, outputs } of orderLists) {
+    const result = validateOrderList(items, select, outputs, orderByPolicy, dialect);
+    if (!result.valid) {
+      return result;
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Resolve a column reference to its lower-case schema.table.column
+ * @private
+ * @param {Array<{ value: string }>} columnParts - Reference parts (2 or 3)
+ * @param {Map<string, string>} qualifierMap - Qualifier -> schema.table
+ * @returns {{ column?: string, reason?: string }}
+ */
+function resolveOrderColumn(columnParts, qualifierMap) {
+  const parts = columnParts.map((part) => part.value.toLowerCase());
+
+  if (parts.length === 3) {
+    // Three-part: schema.table.column
+    return { column: parts.join('.') };
+  }
+
+  // Two-part: qualifier.column
+  const [qualifier, column] = parts;
+  const resolvedTable = qualifierMap.get(qualifier);
+
+  if (!resolvedTable) {
+    return { reason: `Unknown or ambiguous ORDER BY qualifier: ${qualifier}` };
+  }
+
+  return { column: `${resolvedTable}.${column}`.toLowerCase() };
+}
+
+/**
+ * Resolve a select-list alias used as an ORDER BY key
+ *
+ * The engine sorts by the output column when a bare name matches one, so the
+ * key is only accepted if it names exactly one output column and that column
+ * is a plain column reference (checked against the policy like any other key).
+ *
+ * @private
+ * @param {{ value: string }} key - Bare ORDER BY key
+ * @param {Object} select - Select node owning the list
+ * @param {Map<string, string>} qualifierMap - Qualifier -> schema.table
+ * @param {string} dialect - SqlDialect
+ * @returns {{ column?: string, reason?: string }}
+ */
+function resolveOrderAlias(key, select, qualifierMap, dialect) {
+  const name = key.value.toLowerCase();
+
+  // SECURITY: A star may expand to a column of the same name (ambiguous, fail-closed)
+  if (select.columns.some((item) => item.expr.type === 'star')) {
+    return { reason: `Ambiguous ORDER BY alias: ${key.value}` };
+  }
+
+  // Output names: explicit aliases, else the name of a plain column
+  const candidates = select.columns.filter((item) => {
+    const output = item.alias || (item.expr.type === 'column' ? item.expr.parts[item.expr.parts.length - 1] : null);
+    return output && output.value.toLowerCase() === name;
+  });
+
+  if (candidates.length === 0) {
     return {
-      valid: false,
-      reason: 'ORDER BY not permitted (no allowed columns configured)',
+      reason: 'ORDER BY must use qualified identifiers (alias.column or schema.table.column) or select-list aliases with explicit direction (ASC or DESC)',
     };
   }
 
-  // Extract ORDER BY clause tail
-  // Find ORDER BY and capture until LIMIT/FETCH/FOR or end
-  const orderByIndex = query.search(/\bORDER\s+BY\b/i);
-  const afterOrderBy = query.substring(orderByIndex + 8); // Skip "ORDER BY"
+  // SECURITY: Column names compare case-insensitively except on PostgreSQL, where a near-miss
+  // (a quoted alias differing in case) would sort by an input column instead
+  const [item] = candidates;
+  const output = item.alias || item.expr.parts[item.expr.parts.length - 1];
+  const exact = dialect !== SqlDialect.POSTGRES || foldIdentifier(output, dialect) === foldIdentifier(key, dialect);
+  if (candidates.length > 1 || !exact) {
+    return { reason: `Ambiguous ORDER BY alias: ${key.value}` };
+  }
 
-  // Find where ORDER BY clause ends
-  const endMatch = afterOrderBy.search(/\b(LIMIT|FETCH|FOR)\b/i);
-  const orderByTail = endMatch >= 0 ? afterOrderBy.substring(0, endMatch) : afterOrderBy;
+  const { expr } = item;
+  if (expr.type !== 'column' || expr.parts.some((part) => part.quoted) || expr.parts.length > 3) {
+    return { reason: `ORDER BY alias must refer to a plain column: ${key.value}` };
+  }
+
+  if (expr.parts.length > 1) {
+    return resolveOrderColumn(expr.parts, qualifierMap);
+  }
 
-  // Rule: Reject parentheses (expressions/subqueries)
-  if (orderByTail.includes('(') || orderByTail.includes(')')) {
+  // Unqualified column: only with a single base table in FROM
+  const sources = fromSources(select);
+  if (sources.length !== 1 || !isBaseTable(sources[0])) {
+    return { reason: `ORDER BY alias must refer to a qualified column: ${key.value}` };
+  }
+
+  return { column: `${tableName(sources[0], dialect)}.${expr.parts[0].value}`.toLowerCase() };
+}
+
+/**
+ * Validate one ORDER BY list
+ * @private
+ * @param {Array<Object>} items - order_item nodes
+ * @param {Object|null} select - Select node owning the list (qualifier scope)
+ * @param {boolean} outputs - Select-list aliases are in scope (query ORDER BY)
+ * @param {OrderByPolicy} orderByPolicy - Sortable columns per table
+ * @param {string} dialect - SqlDialect
+ * @returns {{ valid: boolean, reason?: string }} Validation result
+ */
+function validateOrderList(items, select, outputs, orderByPolicy, dialect) {
+  // Rule: Reject expressions, functions and subqueries
+  if (items.some(({ expr }) => ['function', 'nested', 'subquery', 'exists', 'cast'].includes(expr.type))) {
     return {
       valid: false,
       reason: 'ORDER BY expressions are not allowed (parentheses forbidden)',
     };
   }
 
-  // Rule: Reject invalid characters (fail-closed)
-  // Allow only: letters, digits, underscore, dot, comma, whitespace
-  // This prevents digit-leading identifiers and special characters
-  if (!/^[A-Za-z0-9_\s.,]+$/i.test(orderByTail)) {
+  // Rule: Reject quoted identifiers, operators and other literals (fail-closed)
+  const isPlainTerm = ({ expr }) =>
+    (expr.type === 'column' && expr.parts.every((part) => !part.quoted)) ||
+    (expr.type === 'literal' && expr.kind === 'number');
+
+  if (!items.every(isPlainTerm)) {
     return {
       valid: false,
       reason: 'Invalid characters in ORDER BY clause (fail-closed)',
@@ -264,79 +1204,67 @@ function validateOrderBy(query, allowedOrderByColumns) {
   }
 
   // Build qualifier map for resolution
-  const qualifierMap = buildQualifierMap(query);
-
-  // Split by comma to get individual sort keys
-  const terms = orderByTail.split(',').map((t) => t.trim()).filter((t) => t.length > 0);
-
-  // Rule: Maximum 2 sort keys
-  if (terms.length > 2) {
-    return {
-      valid: false,
-      reason: 'Too many ORDER BY keys (maximum: 2)',
-    };
-  }
+  const qualifierMap = buildQualifierMap(select, dialect);
+  let maxKeys = Infinity;
 
   // Validate each term
-  for (const term of terms) {
+  for (const { expr, direction, nulls } of items) {
     // Rule: Reject numeric positions
-    if (/^\d+(\s+(ASC|DESC))?$/i.test(term)) {
+    if (expr.type === 'literal') {
       return {
         valid: false,
         reason: 'ORDER BY positional references are not allowed',
       };
     }
 
-    // Parse term: <ref> (ASC|DESC)
-    // Ref can be: alias.column or schema.table.column
-    // Identifier must start with letter or underscore, followed by letters/digits/underscores
-    const IDENT = '[A-Za-z_][A-Za-z0-9_]*';
-    const termPattern = new RegExp(`^((${IDENT})\\.(${IDENT})(?:\\.(${IDENT})?)?)\\s+(ASC|DESC)$`, 'i');
-    const termMatch = term.match(termPattern);
-
-    if (!termMatch) {
+    // Term must be <ref> (ASC|DESC); ref can be alias.column, schema.table.column or a select-list alias
+    const aliasKey = expr.parts.length === 1 && outputs && select;
+    if (!direction || (expr.parts.length < 2 && !aliasKey) || expr.parts.length > 3) {
       return {
         valid: false,
         reason: 'ORDER BY must use qualified identifiers (alias.column or schema.table.column) with explicit direction (ASC or DESC)',
       };
     }
 
-    const fullRef = termMatch[1];
-    const part1 = termMatch[2]; // schema or alias
-    const part2 = termMatch[3]; // table or column
-    const part3 = termMatch[4]; // column (if 3-part)
-    const direction = termMatch[5]; // ASC or DESC
+    const resolved = aliasKey
+      ? resolveOrderAlias(expr.parts[0], select, qualifierMap, dialect)
+      : resolveOrderColumn(expr.parts, qualifierMap);
 
-    let resolvedColumn;
+    if (resolved.reason) {
+      return { valid: false, reason: resolved.reason };
+    }
 
-    if (part3) {
-      // Three-part: schema.table.column
-      resolvedColumn = fullRef.toLowerCase();
-    } else {
-      // Two-part: qualifier.column
-      const qualifier = part1.toLowerCase();
-      const column = part2.toLowerCase();
+    const resolvedColumn = resolved.column;
+    const separator = resolvedColumn.lastIndexOf('.');
+    const rules = orderByPolicy.rulesFor(resolvedColumn.slice(0, separator));
 
-      // Resolve qualifier
-      const resolvedTable = qualifierMap.get(qualifier);
+    // Check the table's sortable columns
+    if (!rules || !rules.columns.has(resolvedColumn.slice(separator + 1))) {
+      return {
+        valid: false,
+        reason: `ORDER BY column not allowed: ${resolvedColumn}`,
+      };
+    }
 
-      if (!resolvedTable) {
+    // Check the table's modifiers
+    for (const modifier of [direction, nulls && `NULLS ${nulls}`]) {
+      if (modifier && !rules.modifiers.has(modifier)) {
         return {
           valid: false,
-          reason: `Unknown or ambiguous ORDER BY qualifier: ${qualifier}`,
+          reason: `ORDER BY modifier not allowed for ${rules.table}: ${modifier}`,
         };
       }
-
-      resolvedColumn = `${resolvedTable}.${column}`.toLowerCase();
     }
 
-    // Check allowlist
-    if (!allowedOrderByColumns.has(resolvedColumn)) {
-      return {
-        valid: false,
-        reason: `ORDER BY column not allowed: ${resolvedColumn}`,
-      };
-    }
+    maxKeys = Math.min(maxKeys, rules.maxKeys);
+  }
+
+  // Rule: Sort key limit of the most restrictive table sorted by
+  if (items.length > maxKeys) {
+    return {
+      valid: false,
+      reason: `Too many ORDER BY keys (maximum: ${maxKeys})`,
+    };
   }
 
   return { valid: true };
@@ -345,52 +1273,49 @@ function validateOrderBy(query, allowedOrderByColumns) {
 /**
  * Validate query and extract tables in one operation
  * Implements fail-closed rule: queries with zero tables are rejected
- * 
+ *
  * @param {string} query - Raw SQL query string
  * @param {Object} [options] - Validation options
- * @param {string[]} [options.allowedOrderByColumns] - Array of schema.table.column strings for ORDER BY allowlist
- * @returns {{ valid: boolean, reason?: string, tables?: string[] }} Validation result with tables
+ * @param {string} [options.dialect] - SqlDialect: 'postgres' (default), 'mysql' or 'mssql'
+ * @param {string} [options.tenant] - Session tenant (per-tenant rule overrides)
+ * @param {OrderByPolicy} [options.orderByPolicy] - Sortable columns, key limit and modifiers per table
+ * @param {string[]} [options.allowedOrderByColumns] - schema.table.column strings (policy with default key limit and modifiers)
+ * @returns {{ valid: boolean, reason?: string, rule?: string, tables?: string[] }} Validation result with tables
  */
 export function validateQueryWithTables(query, options = {}) {
   // First validate the query structure
-  const validation = validateQuery(query);
-  
-  if (!validation.valid) {
-    return validation;
+  const { ast, dialect, context, reason, rule } = parseForValidation(query, options);
+
+  if (reason) {
+    return { valid: false, reason, rule };
   }
 
+  let tables;
   try {
     // Extract table references
-    const tables = extractTables(query);
+    tables = tablesFromAst(ast, dialect);
+  } catch (error) {
+    return { valid: false, reason: error.message, rule: ValidationRule.SQL_GRAMMAR };
+  }
 
-    // Fail-closed rule: Queries with no extractable tables are rejected
-    // This prevents table-less queries like: SELECT 1+1, SELECT NOW(), etc.
-    // Over-extraction is acceptable; under-extraction will be caught by allowlist
-    if (tables.length === 0) {
-      return { 
-        valid: false, 
-        reason: 'Query must reference at least one table (fail-closed validation)' 
-      };
+  let orderByPolicy = options.orderByPolicy || null;
+  if (!orderByPolicy && options.allowedOrderByColumns?.length > 0) {
+    try {
+      orderByPolicy = OrderByPolicy.fromColumns(options.allowedOrderByColumns);
+    } catch (error) {
+      return { valid: false, reason: error.message, rule: ValidationRule.ORDER_BY_ALLOWLIST };
     }
+  }
 
-    // Validate ORDER BY with strict allowlist enforcement
-    // If allowlist is provided, validate against it
-    // If allowlist is not provided but query has ORDER BY, reject (fail-closed)
-    const allowedSet = options.allowedOrderByColumns
-      ? new Set(options.allowedOrderByColumns.map((col) => col.toLowerCase()))
-      : new Set();
-    
-    const orderByValidation = validateOrderBy(query, allowedSet);
-
-    if (!orderByValidation.valid) {
-      return orderByValidation;
-    }
+  // Table rules: at least one table, ORDER BY policy, custom table-stage rules
+  const failure = ruleEngine.evaluate(RuleStage.TABLES, { ...context, tables: Object.freeze([...tables]), orderByPolicy });
 
-    return { 
-      valid: true, 
-      tables 
-    };
-  } catch (error) {
-    return { valid: false, reason: error.message };
+  if (failure) {
+    return { valid: false, reason: failure.reason, rule: failure.rule };
   }
+
+  return {
+    valid: true,
+    tables
+  };
 }
@@ -42,6 +42,7 @@ const TOOL_COSTS = Object.freeze({
   list_tables: 1,
   describe_table: 2,
   query_read: 5,
+  explain_query: 5,
 });
 
 /**
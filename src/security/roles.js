@@ -0,0 +1,388 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger, auditLog } from '../utils/logger.js';
+import { CapabilitySet, loadCapabilitiesFromEnv, configureCapabilityKeyringFromEnv } from './capabilities.js';
+
+/**
+ * Role-Based Capability Templates
+ *
+ * Named roles (e.g. `analyst`, `schema-browser`, `writer`) map to grant lists,
+ * optionally inheriting other roles. At session bind time, the roles assigned
+ * to the session's identity/tenant are expanded into a CapabilitySet.
+ *
+ * Security Invariants:
+ * 1. Policy is validated in full at load (unknown roles, cycles, bad grants = reject)
+ * 2. Unassigned identity = no capabilities (default deny)
+ * 3. Role policy and MCP_CAPABILITIES are mutually exclusive (ambiguity = fail-closed)
+ * 4. Every expansion is audit-logged with the assigned roles and resulting grants
+ * 5. Role policy and a capability keyring are mutually exclusive (role-derived sets
+ *    are unsigned, so every role-based session would be denied)
+ */
+
+const ROLE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Default TTL for role-derived capability sets (matches loadCapabilitiesFromEnv)
+const DEFAULT_TTL_MS = 3600000;
+
+// Active policy (attach-once, see configureRolePolicy)
+let activePolicy = null;
+
+/**
+ * RolePolicy: Immutable, validated role definitions and assignments
+ *
+ * Structure:
+ * {
+ *   "issuer": "role-policy",
+ *   "ttlMs": 3600000,
+ *   "roles": {
+ *     "schema-browser": { "grants": [{ "action": "tool.invoke", "target": "list_tables" }] },
+ *     "analyst": { "inherits": ["schema-browser"], "grants": [{ "action": "tool.invoke", "target": "query_read" }] }
+ *   },
+ *   "assignments": [
+ *     { "tenant": "tenant-a", "identity": "agent-1", "roles": ["analyst"] },
+ *     { "tenant": "tenant-a", "roles": ["schema-browser"] }
+ *   ]
+ * }
+ *
+ * Assignments without `identity` apply to every identity in the tenant.
+ */
+export class RolePolicy {
+  constructor({ issuer, ttlMs, roles, assignments }) {
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+      throw new Error('RolePolicy: roles must be an object keyed by role name');
+    }
+
+    if (!Array.isArray(assignments)) {
+      throw new Error('RolePolicy: assignments must be an array');
+    }
+
+    if (ttlMs !== undefined && (!Number.isInteger(ttlMs) || ttlMs < 1)) {
+      throw new Error('RolePolicy: ttlMs must be a positive integer');
+    }
+
+    const definitions = new Map();
+
+    for (const [name, role] of Object.entries(roles)) {
+      if (!ROLE_NAME_PATTERN.test(name)) {
+        throw new Error(`RolePolicy: invalid role name "${name}"`);
+      }
+
+      if (!role || typeof role !== 'object') {
+        throw new Error(`RolePolicy: role "${name}" must be an object`);
+      }
+
+      const grants = role.grants ?? [];
+      const inherits = role.inherits ?? [];
+
+      if (!Array.isArray(grants) || !Array.isArray(inherits)) {
+        throw new Error(`RolePolicy: role "${name}" grants and inherits must be arrays`);
+      }
+
+      definitions.set(name, { grants, inherits });
+    }
+
+    this._issuer = issuer || 'role-policy';
+    this._ttlMs = ttlMs ?? DEFAULT_TTL_MS;
+    this._definitions = definitions;
+    this._expanded = new Map();
+
+    // INVARIANT: Expand every role now so that unknown parents, cycles and
+    // malformed grants are rejected at load, never at bind time
+    for (const name of definitions.keys()) {
+      this._expanded.set(name, Object.freeze(this._expand(name, [])));
+      validateGrants(name, this._expanded.get(name));
+    }
+
+    this._assignments = Object.freeze(assignments.map((assignment, index) => {
+      if (!assignment || !assignment.tenant || typeof assignment.tenant !== 'string') {
+        throw new Error(`RolePolicy: assignment ${index} requires a tenant`);
+      }
+
+      if (assignment.identity !== undefined && (typeof assignment.identity !== 'string' || !assignment.identity)) {
+        throw new Error(`RolePolicy: assignment ${index} identity must be a non-empty string`);
+      }
+
+      if (!Array.isArray(assignment.roles) || assignment.roles.length === 0) {
+        throw new Error(`RolePolicy: assignment ${index} requires at least one role`);
+      }
+
+      for (const role of assignment.roles) {
+        if (!definitions.has(role)) {
+          throw new Error(`RolePolicy: assignment ${index} references unknown role "${role}"`);
+        }
+      }
+
+      return Object.freeze({
+        tenant: assignment.tenant,
+        identity: assignment.identity ?? null,
+        roles: Object.freeze([...assignment.roles]),
+      });
+    }));
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Expand a role into its grants (inherited roles first)
+   * @private
+   */
+  _expand(name, path) {
+    if (path.includes(name)) {
+      throw new Error(`RolePolicy: role inheritance cycle (${[...path, name].join(' -> ')})`);
+    }
+
+    const role = this._definitions.get(name);
+    if (!role) {
+      throw new Error(`RolePolicy: role "${path[path.length - 1]}" inherits unknown role "${name}"`);
+    }
+
+    const grants = [];
+    for (const parent of role.inherits) {
+      grants.push(...this._expand(parent, [...path, name]));
+    }
+    grants.push(...role.grants);
+
+    return dedupeGrants(grants);
+  }
+
+  /**
+   * Get the roles assigned to an identity within a tenant
+   *
+   * @param {string} identity - Bound identity
+   * @param {string} tenant - Bound tenant
+   * @returns {string[]} Assigned role names (sorted, unique)
+   */
+  rolesFor(identity, tenant) {
+    const roles = new Set();
+
+    for (const assignment of this._assignments) {
+      if (assignment.tenant !== tenant) {
+        continue;
+      }
+
+      if (assignment.identity !== null && assignment.identity !== identity) {
+        continue;
+      }
+
+      assignment.roles.forEach(r => roles.add(r));
+    }
+
+    return Array.from(roles).sort();
+  }
+
+  /**
+   * Expand a list of roles into a single grant list
+   *
+   * @param {string[]} roles - Role names
+   * @returns {Object[]} Grants (deduplicated)
+   */
+  expandRoles(roles) {
+    const grants = [];
+
+    for (const role of roles) {
+      const expanded = this._expanded.get(role);
+      if (!expanded) {
+        throw new Error(`RolePolicy: unknown role "${role}"`);
+      }
+      grants.push(...expanded);
+    }
+
+    return dedupeGrants(grants);
+  }
+
+  /**
+   * Build the CapabilitySet for a bound identity/tenant
+   *
+   * @param {string} identity - Bound identity
+   * @param {string} tenant - Bound tenant
+   * @returns {CapabilitySet|null} Capability set, or null if no roles are assigned (default deny)
+   */
+  buildCapabilitySet(identity, tenant) {
+    const roles = this.rolesFor(identity, tenant);
+    const grants = this.expandRoles(roles);
+
+    if (roles.length === 0) {
+      auditLog({
+        action: 'capabilities.expand',
+        adapter: 'n/a',
+        identity,
+        tenant,
+        duration: 0,
+        outcome: 'denied',
+        details: { roles, grants: [] },
+      });
+
+      logger.warn({ identity, tenant }, 'No roles assigned to identity (default deny)');
+      return null;
+    }
+
+    const now = Date.now();
+    const digest = crypto.createHash('sha256').update(JSON.stringify(grants)).digest('hex').slice(0, 16);
+
+    const capSet = new CapabilitySet({
+      capSetId: `roles:${tenant}:${identity}:${digest}`,
+      issuedAt: now,
+      expiresAt: now + this._ttlMs,
+      issuer: this._issuer,
+      grants,
+    });
+
+    // INVARIANT: Record exactly what the roles expanded to
+    auditLog({
+      action: 'capabilities.expand',
+      adapter: 'n/a',
+      identity,
+      tenant,
+      capSetId: capSet.capSetId,
+      duration: 0,
+      outcome: 'success',
+      details: { roles, grants: capSet.grants },
+    });
+
+    return capSet;
+  }
+}
+
+/**
+ * Remove duplicate grants, keeping first occurrence order
+ * @private
+ */
+function dedupeGrants(grants) {
+  const seen = new Set();
+  const result = [];
+
+  for (const grant of grants) {
+    const key = JSON.stringify(grant);
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(grant);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate a role's expanded grants by constructing a probe CapabilitySet
+ * @private
+ */
+function validateGrants(role, grants) {
+  const now = Date.now();
+  try {
+    new CapabilitySet({
+      capSetId: `role-validation:${role}`,
+      issuedAt: now,
+      expiresAt: now + 1000,
+      issuer: 'role-policy',
+      grants,
+    });
+  } catch (error) {
+    throw new Error(`RolePolicy: role "${role}" has invalid grants: ${error.message}`);
+  }
+}
+
+/**
+ * Load the role policy from control-plane environment
+ *
+ * MCP_ROLE_POLICY_FILE: path to a JSON role policy (see RolePolicy)
+ *
+ * @returns {RolePolicy|null} Role policy, or null if not configured
+ * @throws {Error} If the policy is configured but malformed (fail-closed)
+ */
+export function loadRolePolicyFromEnv() {
+  const policyFile = process.env.MCP_ROLE_POLICY_FILE;
+
+  if (!policyFile) {
+    return null;
+  }
+
+  try {
+    const policy = new RolePolicy(JSON.parse(fs.readFileSync(policyFile, 'utf8')));
+
+    logger.info({ policyFile }, 'Role policy loaded');
+
+    return policy;
+  } catch (error) {
+    logger.fatal({ error: error.message }, 'FATAL: Malformed role policy (fail-closed)');
+    throw new Error(`Failed to load role policy: ${error.message}`);
+  }
+}
+
+/**
+ * Activate a role policy for session binds
+ *
+ * @param {RolePolicy} policy - Validated policy
+ * @throws {Error} If a different policy is already configured, or a capability keyring is configured
+ */
+export function configureRolePolicy(policy) {
+  if (!(policy instanceof RolePolicy)) {
+    throw new Error('configureRolePolicy: RolePolicy instance is required');
+  }
+
+  // INVARIANT: Policy is attach-once (no runtime role substitution)
+  if (activePolicy && activePolicy !== policy) {
+    throw new Error('SECURITY VIOLATION: Role policy already configured');
+  }
+
+  // SECURITY: Role-derived sets are unsigned; with a keyring every session would be denied
+  if (configureCapabilityKeyringFromEnv()) {
+    throw new Error('Role policy cannot be combined with MCP_CAPABILITY_KEYRING (role-derived capability sets are unsigned)');
+  }
+
+  activePolicy = policy;
+}
+
+/**
+ * Configure the role policy from MCP_ROLE_POLICY_FILE (if set)
+ *
+ * Called at server start so a malformed policy stops startup; later calls
+ * return the active policy without reading the file again.
+ *
+ * @returns {RolePolicy|null} Active policy, or null if roles are not configured
+ * @throws {Error} If the policy is malformed or conflicts with a capability keyring (fail-closed)
+ */
+export function configureRolePolicyFromEnv() {
+  if (!activePolicy) {
+    const policy = loadRolePolicyFromEnv();
+    if (policy) {
+      configureRolePolicy(policy);
+    }
+  }
+
+  return activePolicy;
+}
+
+/**
+ * Resolve the capabilities for a session at bind time
+ *
+ * - MCP_ROLE_POLICY_FILE set: expand the roles assigned to identity/tenant
+ * - Otherwise: MCP_CAPABILITIES (see loadCapabilitiesFromEnv)
+ *
+ * @param {string} identity - Bound identity
+ * @param {string} tenant - Bound tenant
+ * @returns {CapabilitySet|null} Capability set or null (default deny)
+ * @throws {Error} If both sources are configured or either is malformed (fail-closed)
+ */
+export function loadSessionCapabilities(identity, tenant) {
+  const policy = configureRolePolicyFromEnv();
+
+  if (!policy) {
+    return loadCapabilitiesFromEnv();
+  }
+
+  // INVARIANT: Two capability sources = ambiguous (fail-closed)
+  if (process.env.MCP_CAPABILITIES) {
+    logger.fatal('FATAL: Both MCP_ROLE_POLICY_FILE and MCP_CAPABILITIES are set (ambiguous)');
+    throw new Error('Ambiguous capability source: set MCP_ROLE_POLICY_FILE or MCP_CAPABILITIES, not both');
+  }
+
+  return policy.buildCapabilitySet(identity, tenant);
+}
+
+export default {
+  RolePolicy,
+  loadRolePolicyFromEnv,
+  configureRolePolicy,
+  configureRolePolicyFromEnv,
+  loadSessionCapabilities,
+};
@@ -0,0 +1,268 @@
+import { logger } from '../utils/logger.js';
+import { SqlDialect } from './sqlLexer.js';
+
+/**
+ * Query Validation Rule Engine
+ *
+ * Every check a query must pass before it is authorized is a rule with an id,
+ * a severity and a dialect scope. The built-in rules are registered by
+ * queryValidator.js; library consumers add their own with registerValidationRule().
+ *
+ * Rules run in stages, in registration order within a stage:
+ *
+ *   text   - raw query text (before tokenizing)
+ *   tokens - lexer tokens (string literals and quoted identifiers already resolved)
+ *   ast    - parsed query (default for custom rules)
+ *   tables - parsed query and its base tables (validateQueryWithTables only)
+ *
+ * A rule fires by returning a reason (or true to use its description).
+ * An `error` rule rejects the query and the rejection names the rule;
+ * a `warning` rule is logged and the query continues.
+ *
+ * Security Invariants:
+ * 1. Required rules (all built-ins) cannot be disabled, for any tenant
+ * 2. A rule that throws rejects the query (fail-closed)
+ * 3. Unknown rule ids in tenant configuration are rejected
+ * 4. Rule ids are unique; a registered rule cannot be replaced
+ */
+
+export const RuleSeverity = Object.freeze({
+  ERROR: 'error',
+  WARNING: 'warning',
+});
+
+export const RuleStage = Object.freeze({
+  TEXT: 'text',
+  TOKENS: 'tokens',
+  AST: 'ast',
+  TABLES: 'tables',
+});
+
+// Rule ids: lower case words separated by "-", optionally namespaced ("acme/no-cross-join")
+const RULE_ID = /^([a-z][a-z0-9-]*\/)?[a-z][a-z0-9-]*$/;
+
+/**
+ * Validation rules and per-tenant overrides
+ */
+export class RuleEngine {
+  constructor() {
+    this._rules = new Map();
+    this._tenants = new Map();
+  }
+
+  /**
+   * Register a rule
+   *
+   * @param {Object} rule
+   * @param {string} rule.id - Unique id (reported in rejections)
+   * @param {string} rule.description - What the rule enforces (default rejection reason)
+   * @param {Function} rule.check - (context) => string | boolean | null; see evaluate()
+   * @param {string} [rule.severity] - RuleSeverity (default: error)
+   * @param {string} [rule.stage] - RuleStage (default: ast)
+   * @param {string[]} [rule.dialects] - SqlDialect values the rule applies to (default: all)
+   * @param {boolean} [rule.enabled] - Enabled for tenants without an override (default: true)
+   * @param {boolean} [rule.required] - Cannot be disabled (default: false)
+   * @returns {Object} The registered (frozen) rule
+   * @throws {Error} On a malformed or duplicate rule (fail-closed)
+   */
+  register(rule) {
+    const {
+      id,
+      description,
+      check,
+      severity = RuleSeverity.ERROR,
+      stage = RuleStage.AST,
+      dialects = null,
+      enabled = true,
+      required = false,
+    } = rule || {};
+
+    if (typeof id !== 'string' || !RULE_ID.test(id)) {
+      throw new Error(`Validation rule: invalid id "${id}" (lower case words separated by "-")`);
+    }
+
+    if (this._rules.has(id)) {
+      throw new Error(`Validation rule "${id}" is already registered`);
+    }
+
+    if (typeof description !== 'string' || description.length === 0) {
+      throw new Error(`Validation rule "${id}": description is required`);
+    }
+
+    if (typeof check !== 'function') {
+      throw new Error(`Validation rule "${id}": check must be a function`);
+    }
+
+    if (!Object.values(RuleSeverity).includes(severity)) {
+      throw new Error(`Validation rule "${id}": unknown severity "${severity}"`);
+    }
+
+    if (!Object.values(RuleStage).includes(stage)) {
+      throw new Error(`Validation rule "${id}": unknown stage "${stage}"`);
+    }
+
+    if (dialects !== null && (!Array.isArray(dialects) || dialects.length === 0 ||
+      dialects.some((dialect) => !Object.values(SqlDialect).includes(dialect)))) {
+      throw new Error(`Validation rule "${id}": dialects must be a non-empty list of ${Object.values(SqlDialect).join(', ')}`);
+    }
+
+    // SECURITY: A required rule must reject, and must be on by default
+    if (required && (severity !== RuleSeverity.ERROR || !enabled)) {
+      throw new Error(`Validation rule "${id}": a required rule must be an enabled error`);
+    }
+
+    const registered = Object.freeze({
+      id,
+      description,
+      check,
+      severity,
+      stage,
+      dialects: dialects ? Object.freeze([...dialects]) : null,
+      enabled: Boolean(enabled),
+      required: Boolean(required),
+    });
+
+    this._rules.set(id, registered);
+    logger.debug({ rule: id, severity, stage, dialects: registered.dialects }, 'Validation rule registered');
+
+    return registered;
+  }
+
+  /**
+   * Describe the registered rules
+   * @returns {Array<{ id: string, description: string, severity: string, stage: string, dialects: string[]|null, enabled: boolean, required: boolean }>}
+   */
+  listRules() {
+    return Array.from(this._rules.values(), ({ check, ...rule }) => rule);
+  }
+
+  /**
+   * Enable or disable rules for one tenant (replaces the tenant's previous overrides)
+   *
+   * @param {string} tenant - Tenant id
+   * @param {Object} overrides
+   * @param {string[]} [overrides.enable] - Rule ids to enable (e.g. opt-in rules)
+   * @param {string[]} [overrides.disable] - Rule ids to disable
+   * @throws {Error} On unknown ids, required rules or conflicting overrides (fail-closed)
+   */
+  configureTenant(tenant, { enable = [], disable = [] } = {}) {
+    if (typeof tenant !== 'string' || tenant.length === 0) {
+      throw new Error('Validation rules: tenant must be a non-empty string');
+    }
+
+    for (const id of [...enable, ...disable]) {
+      if (!this._rules.has(id)) {
+        throw new Error(`Validation rules for tenant "${tenant}": unknown rule "${id}"`);
+      }
+    }
+
+    for (const id of disable) {
+      if (this._rules.get(id).required) {
+        throw new Error(`Validation rules for tenant "${tenant}": rule "${id}" is required and cannot be disabled`);
+      }
+      if (enable.includes(id)) {
+        throw new Error(`Validation rules for tenant "${tenant}": rule "${id}" is both enabled and disabled`);
+      }
+    }
+
+    this._tenants.set(tenant, { enable: new Set(enable), disable: new Set(disable) });
+    logger.info({ tenant, enable, disable }, 'Validation rule overrides configured');
+  }
+
+  /**
+   * Check whether a rule applies to a query
+   * @param {Object} rule - Registered rule
+   * @param {Object} scope
+   * @param {string} scope.dialect - SqlDialect of the query
+   * @param {string|null} [scope.tenant] - Session tenant
+   * @returns {boolean}
+   */
+  applies(rule, { dialect, tenant = null }) {
+    if (rule.dialects && !rule.dialects.includes(dialect)) {
+      return false;
+    }
+
+    if (rule.required) {
+      return true;
+    }
+
+    const overrides = tenant !== null ? this._tenants.get(tenant) : undefined;
+    if (overrides?.enable.has(rule.id)) {
+      return true;
+    }
+    if (overrides?.disable.has(rule.id)) {
+      return false;
+    }
+    return rule.enabled;
+  }
+
+  /**
+   * Run the rules of one stage
+   *
+   * The context carries `query`, `dialect` and `tenant`, plus `tokens` (tokens
+   * stage on), `ast` (ast stage on) and `tables` (tables stage). Rules get a
+   * frozen view: the AST is shared with the table and column checks that run
+   * after them, so queryValidator.js deep-freezes it before any rule sees it.
+   *
+   * @param {string} stage - RuleStage
+   * @param {Object} context - Query context
+   * @returns {{ rule: string, reason: string }|null} First error rule that fired, or null
+   */
+  evaluate(stage, context) {
+    // SECURITY: A rule cannot swap the AST or tables seen by later checks
+    const view = Object.freeze({ ...context });
+
+    for (const rule of this._rules.values()) {
+      if (rule.stage !== stage || !this.applies(rule, view)) {
+        continue;
+      }
+
+      let result;
+      try {
+        result = rule.check(view);
+      } catch (error) {
+        // SECURITY: A broken rule rejects instead of passing (fail-closed)
+        logger.error({ rule: rule.id, error: error.message }, 'Validation rule failed');
+        return { rule: rule.id, reason: `Validation rule "${rule.id}" could not be evaluated (fail-closed)` };
+      }
+
+      if (!result) {
+        continue;
+      }
+
+      const reason = typeof result === 'string' ? result : rule.description;
+
+      if (rule.severity === RuleSeverity.WARNING) {
+        logger.warn({ rule: rule.id, tenant: context.tenant ?? null, dialect: context.dialect, reason }, 'Validation rule warning');
+        continue;
+      }
+
+      return { rule: rule.id, reason };
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+export const ruleEngine = new RuleEngine();
+
+/**
+ * Register a custom validation rule (see RuleEngine.register)
+ * @param {Object} rule - Rule definition
+ * @returns {Object} The registered rule
+ */
+export function registerValidationRule(rule) {
+  return ruleEngine.register(rule);
+}
+
+/**
+ * Enable or disable validation rules for a tenant (see RuleEngine.configureTenant)
+ * @param {string} tenant - Tenant id
+ * @param {{ enable?: string[], disable?: string[] }} overrides - Rule ids
+ */
+export function configureTenantRules(tenant, overrides) {
+  ruleEngine.configureTenant(tenant, overrides);
+}
+
+export default ruleEngine;
@@ -0,0 +1,335 @@
+/**
+ * SQL Lexer
+ *
+ * Dialect-aware tokenizer for read-only query validation.
+ * Splits SQL into words, quoted identifiers, strings, numbers, parameters and
+ * operators, so that validation rules never match inside string literals.
+ *
+ * Security Invariants:
+ * 1. Anything the lexer does not recognize is rejected (fail-closed)
+ * 2. Comments and semicolons are emitted as tokens so validation can reject them
+ * 3. String/identifier quoting follows the target engine (e.g. MySQL backslash escapes)
+ */
+
+/**
+ * Supported SQL dialects (values match adapter names)
+ */
+export const SqlDialect = Object.freeze({
+  POSTGRES: 'postgres',
+  MYSQL: 'mysql',
+  MSSQL: 'mssql',
+});
+
+/**
+ * Token types
+ */
+export const TokenType = Object.freeze({
+  WORD: 'word',           // Unquoted identifier or keyword
+  QUOTED: 'quoted',       // Quoted identifier ("x", `x`, [x])
+  STRING: 'string',       // String literal
+  NUMBER: 'number',       // Numeric literal
+  PARAM: 'param',         // Bind parameter ($1, ?, @name, :name)
+  OP: 'op',               // Operator or punctuation
+  SEMICOLON: 'semicolon', // Statement separator
+  COMMENT: 'comment',     // Comment (--, /* */, #)
+  EOF: 'eof',
+});
+
+/**
+ * SQL syntax error (unsupported or malformed input)
+ */
+export class SqlSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'SqlSyntaxError';
+    this.code = 'SQL_SYNTAX_UNSUPPORTED';
+    this.position = position;
+  }
+}
+
+// Multi-character operators (longest match first)
+const MULTI_CHAR_OPERATORS = ['<=', '>=', '<>', '!=', '||'];
+
+const SINGLE_CHAR_OPERATORS = new Set(['=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.']);
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * Resolve and validate a dialect name
+ * @param {string} [dialect] - Dialect (default: postgres)
+ * @returns {string} Dialect
+ * @throws {SqlSyntaxError} If the dialect is unknown (fail-closed)
+ */
+export function resolveDialect(dialect) {
+  const resolved = dialect ?? SqlDialect.POSTGRES;
+
+  if (!Object.values(SqlDialect).includes(resolved)) {
+    throw new SqlSyntaxError(`Unknown SQL dialect: ${resolved}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Tokenize a SQL string
+ *
+ * @param {string} sql - SQL text
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @param {boolean} [options.namedParams] - Also accept `:name` parameters (before translation, see queryParams.js)
+ * @returns {Array<{type: string, value: string, upper?: string, pos: number, end: number}>} Tokens, ending with EOF
+ * @throws {SqlSyntaxError} On unterminated literals or unsupported characters
+ */
+export function tokenize(sql, options = {}) {
+  const dialect = resolveDialect(options.dialect);
+  const tokens = [];
+  let i = 0;
+
+  // Called after `i` has advanced past the token, so `end` is exclusive
+  const push = (type, value, pos, extra = {}) => tokens.push({ type, value, pos, end: i, ...extra });
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    const start = i;
+
+    if (WHITESPACE.has(ch)) {
+      i++;
+      continue;
+    }
+
+    // Comments: emitted (not skipped) so validation can reject them
+    if ((ch === '-' && next === '-') || ch === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      push(TokenType.COMMENT, sql.slice(start, i), start);
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      push(TokenType.COMMENT, sql.slice(start, i), start);
+      continue;
+    }
+
+    if (ch === '*' && next === '/') {
+      i += 2;
+      push(TokenType.COMMENT, '*/', start);
+      continue;
+    }
+
+    if (ch === ';') {
+      i++;
+      push(TokenType.SEMICOLON, ';', start);
+      continue;
+    }
+
+    // National strings: N'...' (MSSQL, MySQL)
+    if ((ch === 'N' || ch === 'n') && next === '\'' && dialect !== SqlDialect.POSTGRES) {
+      const { value, end } = readString(sql, i + 1, dialect);
+      i = end;
+      push(TokenType.STRING, value, start);
+      continue;
+    }
+
+    // Prefixed string forms (escape, bit, hex, unicode) are not supported
+    if (/[A-Za-z]/.test(ch) && (next === '\'' || (next === '&' && sql[i + 2] === '\''))) {
+      throw new SqlSyntaxError(`Unsupported string literal prefix "${ch}" (fail-closed)`, start);
+    }
+
+    if (ch === '\'') {
+      const { value, end } = readString(sql, i, dialect);
+      i = end;
+      push(TokenType.STRING, value, start);
+      continue;
+    }
+
+    if (ch === '"') {
+      // MySQL (default sql_mode): double quotes delimit strings
+      if (dialect === SqlDialect.MYSQL) {
+        const { value, end } = readString(sql, i, dialect);
+        i = end;
+        push(TokenType.STRING, value, start);
+      } else {
+        const { value, end } = readQuoted(sql, i, '"');
+        i = end;
+        push(TokenType.QUOTED, value, start);
+      }
+      continue;
+    }
+
+    if (ch === '`' && dialect === SqlDialect.MYSQL) {
+      const { value, end } = readQuoted(sql, i, '`');
+      i = end;
+      push(TokenType.QUOTED, value, start);
+      continue;
+    }
+
+    if (ch === '[' && dialect === SqlDialect.MSSQL) {
+      const { value, end } = readQuoted(sql, i, ']');
+      i = end;
+      push(TokenType.QUOTED, value, start);
+      continue;
+    }
+
+    // Bind parameters (dialect-specific placeholder syntax)
+    if (ch === '$' && dialect === SqlDialect.POSTGRES) {
+      const match = /^\$(\d+)/.exec(sql.slice(i));
+      if (!match) {
+        throw new SqlSyntaxError('Dollar-quoted strings are not supported (fail-closed)', start);
+      }
+      i += match[0].length;
+      push(TokenType.PARAM, match[0], start, { index: Number(match[1]) });
+      continue;
+    }
+
+    if (ch === '?' && dialect === SqlDialect.MYSQL) {
+      i++;
+      push(TokenType.PARAM, '?', start);
+      continue;
+    }
+
+    if (ch === '@' && dialect === SqlDialect.MSSQL) {
+      const match = /^@([A-Za-z_][A-Za-z0-9_]*)/.exec(sql.slice(i));
+      if (!match) {
+        throw new SqlSyntaxError('System variables are not supported (fail-closed)', start);
+      }
+      i += match[0].length;
+      push(TokenType.PARAM, match[0], start, { name: match[1] });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+      const match = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(sql.slice(i));
+      i += match[0].length;
+      if (i < sql.length && /[A-Za-z0-9_$]/.test(sql[i])) {
+        throw new SqlSyntaxError(`Unsupported numeric literal near "${sql.slice(start, i + 1)}" (fail-closed)`, start);
+      }
+      push(TokenType.NUMBER, match[0], start);
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const pattern = dialect === SqlDialect.MSSQL ? /^[A-Za-z_][A-Za-z0-9_]*/ : /^[A-Za-z_][A-Za-z0-9_$]*/;
+      const match = pattern.exec(sql.slice(i));
+      i += match[0].length;
+      push(TokenType.WORD, match[0], start, { upper: match[0].toUpperCase() });
+      continue;
+    }
+
+    if (ch === ':' && next === ':' && dialect === SqlDialect.POSTGRES) {
+      i += 2;
+      push(TokenType.OP, '::', start);
+      continue;
+    }
+
+    if (ch === ':' && options.namedParams && /[A-Za-z_]/.test(next || '')) {
+      const match = /^:([A-Za-z_][A-Za-z0-9_]*)/.exec(sql.slice(i));
+      i += match[0].length;
+      push(TokenType.PARAM, match[0], start, { name: match[1], named: true });
+      continue;
+    }
+
+    const multi = MULTI_CHAR_OPERATORS.find((op) => sql.startsWith(op, i));
+    if (multi) {
+      i += multi.length;
+      push(TokenType.OP, multi, start);
+      continue;
+    }
+
+    if (SINGLE_CHAR_OPERATORS.has(ch)) {
+      i++;
+      push(TokenType.OP, ch, start);
+      continue;
+    }
+
+    if (/[\x00-\x1F]/.test(ch)) {
+      throw new SqlSyntaxError('Query must not contain control characters', start);
+    }
+
+    throw new SqlSyntaxError(`Unsupported character "${ch}" (fail-closed)`, start);
+  }
+
+  push(TokenType.EOF, '', sql.length);
+
+  return tokens;
+}
+
+/**
+ * Read a single-quoted (or MySQL double-quoted) string literal
+ * @private
+ */
+function readString(sql, start, dialect) {
+  const quote = sql[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    // MySQL: backslash escapes the next character
+    if (ch === '\\' && dialect === SqlDialect.MYSQL) {
+      if (i + 1 >= sql.length) {
+        break;
+      }
+      value += sql[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === quote) {
+      if (sql[i + 1] === quote) {
+        value += quote;
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+
+    value += ch;
+    i++;
+  }
+
+  throw new SqlSyntaxError('Unterminated string literal', start);
+}
+
+/**
+ * Read a quoted identifier ("x", `x`, [x]); the closing quote is escaped by doubling
+ * @private
+ */
+function readQuoted(sql, start, close) {
+  let value = '';
+  let i = start + 1;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (ch === close) {
+      if (sql[i + 1] === close) {
+        value += close;
+        i += 2;
+        continue;
+      }
+
+      if (value.length === 0) {
+        throw new SqlSyntaxError('Empty quoted identifier', start);
+      }
+
+      return { value, end: i + 1 };
+    }
+
+    value += ch;
+    i++;
+  }
+
+  throw new SqlSyntaxError('Unterminated quoted identifier', start);
+}
+
+export default {
+  SqlDialect,
+  TokenType,
+  SqlSyntaxError,
+  resolveDialect,
+  tokenize,
+};
@@ -0,0 +1,1168 @@
+import { tokenize, resolveDialect, SqlDialect, SqlSyntaxError, TokenType } from './sqlLexer.js';
+
+/**
+ * SQL Parser
+ *
+ * Recursive-descent parser for the read-only subset of SQL accepted by query_read.
+ * Produces a plain-object AST that validation, permission and rewrite passes walk.
+ *
+ * Grammar coverage (per dialect where noted):
+ * - SELECT [DISTINCT] [TOP n (mssql)] items FROM ... [WHERE] [GROUP BY] [HAVING]
+ * - Explicit joins (INNER/LEFT/RIGHT/FULL [OUTER], CROSS) with ON/USING
+ * - Derived tables, scalar/IN/EXISTS/ANY/ALL subqueries
+ * - WITH (CTEs) and UNION/INTERSECT/EXCEPT are parsed so validation can judge them
+ * - ORDER BY, LIMIT (postgres/mysql), OFFSET, FETCH FIRST/NEXT, FOR UPDATE/SHARE
+ * - Expressions: operators, CASE, CAST, ::, functions, window functions (OVER)
+ *
+ * Security Invariants:
+ * 1. Anything outside the grammar is a SqlSyntaxError (fail-closed, never skipped)
+ * 2. The parser only describes the query; it does not decide what is allowed
+ *
+ * AST nodes are plain objects with a `type`. Identifiers are `{ value, quoted }`.
+ */
+
+// Words that end an expression or clause and can never be bare aliases
+const RESERVED = new Set([
+  'ALL', 'AND', 'ANY', 'APPLY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC',
+  'DISTINCT', 'ELSE', 'END', 'EXCEPT', 'EXISTS', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP',
+  'HAVING', 'ILIKE', 'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'LATERAL', 'LEFT',
+  'LIKE', 'LIMIT', 'LOCK', 'MINUS', 'NATURAL', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'OR',
+  'ORDER', 'OUTER', 'OVER', 'RETURNING', 'RIGHT', 'SELECT', 'SET', 'SOME', 'THEN', 'TOP',
+  'UNION', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WINDOW', 'WITH',
+]);
+
+// Functions that take no parentheses
+const NILADIC_FUNCTIONS = new Set([
+  'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIME', 'LOCALTIMESTAMP',
+]);
+
+// Type names accepted before a string literal (e.g. DATE '2024-01-01')
+const TYPED_LITERALS = new Set(['DATE', 'TIME', 'TIMESTAMP', 'INTERVAL']);
+
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+/**
+ * Parse a SQL query into an AST
+ *
+ * @param {string} sql - SQL text
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @returns {Object} Query node
+ * @throws {SqlSyntaxError} If the query is outside the supported grammar (fail-closed)
+ */
+export function parseQuery(sql, options = {}) {
+  return parseTokens(tokenize(sql, options), options);
+}
+
+/**
+ * Parse pre-tokenized SQL into an AST
+ *
+ * @param {Array<Object>} tokens - Output of tokenize()
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - SqlDialect (default: postgres)
+ * @returns {Object} Query node
+ * @throws {SqlSyntaxError} If the query is outside the supported grammar (fail-closed)
+ */
+export function parseTokens(tokens, options = {}) {
+  const parser = new Parser(tokens, resolveDialect(options.dialect));
+  const query = parser.parseQuery();
+  parser.expectEnd();
+  return query;
+}
+
+/**
+ * Walk an AST depth-first, calling visitor(node, parent) for every node
+ *
+ * @param {Object} node - AST node
+ * @param {Function} visitor - (node, parent) => void | false (false skips children)
+ * @param {Object} [parent] - Parent node
+ */
+export function walk(node, visitor, parent = null) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  if (visitor(node, parent) === false) {
+    return;
+  }
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === 'object' && item.type) {
+          walk(item, visitor, node);
+        }
+      }
+    } else if (value && typeof value === 'object' && value.type) {
+      walk(value, visitor, node);
+    }
+  }
+}
+
+/**
+ * Parser state over a token stream
+ * @private
+ */
+class Parser {
+  constructor(tokens, dialect) {
+    this.tokens = tokens;
+    this.dialect = dialect;
+    this.index = 0;
+  }
+
+  // ---- Token helpers ----
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  advance() {
+    const token = this.peek();
+    if (token.type !== TokenType.EOF) {
+      this.index++;
+    }
+    return token;
+  }
+
+  isWord(upper, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === TokenType.WORD && token.upper === upper;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === TokenType.OP && token.value === value;
+  }
+
+  acceptWord(...uppers) {
+    const token = this.peek();
+    if (token.type === TokenType.WORD && uppers.includes(token.upper)) {
+      return this.advance();
+    }
+    return null;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      return this.advance();
+    }
+    return null;
+  }
+
+  expectWord(upper) {
+    const token = this.acceptWord(upper);
+    if (!token) {
+      this.fail();
+    }
+    return token;
+  }
+
+  expectOp(value) {
+    const token = this.acceptOp(value);
+    if (!token) {
+      this.fail();
+    }
+    return token;
+  }
+
+  expectEnd() {
+    if (this.peek().type !== TokenType.EOF) {
+      this.fail();
+    }
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const near = token.type === TokenType.EOF ? 'end of query' : `"${token.value}"`;
+    throw new SqlSyntaxError(message || `Unsupported SQL syntax near ${near} (fail-closed)`, token.pos);
+  }
+
+  startsQuery(offset = 0) {
+    return this.isWord('SELECT', offset) || this.isWord('WITH', offset);
+  }
+
+  // ---- Identifiers ----
+
+  isIdentifier(offset = 0, { allowReserved = false } = {}) {
+    const token = this.peek(offset);
+    if (token.type === TokenType.QUOTED) {
+      return true;
+    }
+    return token.type === TokenType.WORD && (allowReserved || !RESERVED.has(token.upper));
+  }
+
+  parseIdentifier() {
+    if (!this.isIdentifier()) {
+      this.fail();
+    }
+    const token = this.advance();
+    return { value: token.value, quoted: token.type === TokenType.QUOTED };
+  }
+
+  parseQualifiedName() {
+    const parts = [this.parseIdentifier()];
+    while (this.isOp('.') && this.isIdentifier(1)) {
+      this.advance();
+      parts.push(this.parseIdentifier());
+    }
+    return parts;
+  }
+
+  parseIdentifierList() {
+    this.expectOp('(');
+    const identifiers = [this.parseIdentifier()];
+    while (this.acceptOp(',')) {
+      identifiers.push(this.parseIdentifier());
+    }
+    this.expectOp(')');
+    return identifiers;
+  }
+
+  parseAlias() {
+    if (this.acceptWord('AS')) {
+      return this.parseIdentifier();
+    }
+    if (this.isIdentifier()) {
+      return this.parseIdentifier();
+    }
+    return null;
+  }
+
+  // ---- Query structure ----
+
+  parseQuery() {
+    const start = this.peek().pos;
+    let withClause = null;
+
+    if (this.isWord('WITH')) {
+      withClause = this.parseWith();
+    }
+
+    const bodyStart = this.peek().pos;
+    const body = this.parseSetExpression();
+    const query = {
+      type: 'query',
+      with: withClause,
+      body,
+      bodyStart,
+      bodyEnd: this.tokens[this.index - 1].end,
+      orderBy: null,
+      limit: null,
+      offset: null,
+      fetch: null,
+      locking: null,
+      start,
+      end: null,
+    };
+
+    if (this.isWord('ORDER')) {
+      this.advance();
+      this.expectWord('BY');
+      query.orderBy = this.parseOrderList();
+    }
+
+    this.parseLimitClauses(query);
+    this.parseLocking(query);
+
+    query.end = this.tokens[this.index - 1].end;
+    return query;
+  }
+
+  parseWith() {
+    this.expectWord('WITH');
+    const recursive = !!this.acceptWord('RECURSIVE');
+    const ctes = [];
+
+    do {
+      const name = this.parseIdentifier();
+      const columns = this.isOp('(') ? this.parseIdentifierList() : null;
+      this.expectWord('AS');
+      this.expectOp('(');
+      if (!this.startsQuery()) {
+        this.fail('CTE bodies must be SELECT queries (data-modifying CTEs forbidden)');
+      }
+      const query = this.parseQuery();
+      this.expectOp(')');
+      ctes.push({ type: 'cte', name, columns, query });
+    } while (this.acceptOp(','));
+
+    return { type: 'with', recursive, ctes };
+  }
+
+  // UNION / EXCEPT (lower precedence than INTERSECT)
+  parseSetExpression() {
+    let left = this.parseIntersect();
+
+    while (this.isWord('UNION') || this.isWord('EXCEPT') || this.isWord('MINUS')) {
+      if (this.isWord('MINUS')) {
+        this.fail();
+      }
+      const operator = this.advance().upper;
+      const all = this.parseSetQuantifier();
+      const right = this.parseIntersect();
+      left = { type: 'set_operation', operator, all, left, right };
+    }
+
+    return left;
+  }
+
+  parseIntersect() {
+    let left = this.parseSetOperand();
+
+    while (this.isWord('INTERSECT')) {
+      this.advance();
+      const all = this.parseSetQuantifier();
+      const right = this.parseSetOperand();
+      left = { type: 'set_operation', operator: 'INTERSECT', all, left, right };
+    }
+
+    return left;
+  }
+
+  parseSetQuantifier() {
+    if (this.acceptWord('ALL')) {
+      return true;
+    }
+    this.acceptWord('DISTINCT');
+    return false;
+  }
+
+  parseSetOperand() {
+    if (this.isOp('(') && (this.startsQuery(1) || this.isOp('(', 1))) {
+      this.advance();
+      const query = this.parseQuery();
+      this.expectOp(')');
+      return query;
+    }
+
+    return this.parseSelect();
+  }
+
+  parseSelect() {
+    const start = this.expectWord('SELECT').pos;
+
+    const select = {
+      type: 'select',
+      start,
+      listStart: null,
+      distinct: false,
+      top: null,
+      columns: [],
+      from: [],
+      fromEnd: null,
+      where: null,
+      whereStart: null,
+      whereEnd: null,
+      groupBy: [],
+      having: null,
+    };
+
+    if (this.acceptWord('DISTINCT')) {
+      if (this.isWord('ON')) {
+        this.fail();
+      }
+      select.distinct = true;
+    } else {
+      this.acceptWord('ALL');
+    }
+
+    if (this.dialect === SqlDialect.MSSQL && this.acceptWord('TOP')) {
+      if (this.acceptOp('(')) {
+        select.top = this.parseExpression();
+        this.expectOp(')');
+      } else {
+        select.top = this.parsePrimary();
+      }
+      if (this.isWord('PERCENT') || this.isWord('WITH')) {
+        this.fail();
+      }
+    }
+
+    // Position of the select list (where a T-SQL TOP can be inserted)
+    select.listStart = this.peek().pos;
+
+    do {
+      select.columns.push(this.parseSelectItem());
+    } while (this.acceptOp(','));
+
+    if (this.acceptWord('FROM')) {
+      do {
+        select.from.push(this.parseFromItem());
+      } while (this.acceptOp(','));
+      select.fromEnd = this.tokens[this.index - 1].end;
+    }
+
+    // Position of the WHERE condition (where a predicate can be added)
+    if (this.acceptWord('WHERE')) {
+      select.whereStart = this.peek().pos;
+      select.where = this.parseExpression();
+      select.whereEnd = this.tokens[this.index - 1].end;
+    }
+
+    if (this.isWord('GROUP')) {
+      this.advance();
+      this.expectWord('BY');
+      select.groupBy = this.parseExpressionList();
+    }
+
+    if (this.acceptWord('HAVING')) {
+      select.having = this.parseExpression();
+    }
+
+    return select;
+  }
+
+  parseSelectItem() {
+    const star = this.tryParseStar();
+    if (star) {
+      return { type: 'select_item', expr: star, alias: null };
+    }
+
+    const expr = this.parseExpression();
+    const alias = this.parseAlias();
+
+    return { type: 'select_item', expr, alias };
+  }
+
+  // `*` or `qualifier.*` (select list only)
+  tryParseStar() {
+    if (this.isOp('*')) {
+      this.advance();
+      return { type: 'star', qualifier: null };
+    }
+
+    let offset = 0;
+    while (this.isIdentifier(offset, { allowReserved: true }) && this.isOp('.', offset + 1)) {
+      offset += 2;
+      if (this.isOp('*', offset)) {
+        const qualifier = [];
+        while (!this.isOp('*')) {
+          qualifier.push(this.parseIdentifierAllowReserved());
+          this.expectOp('.');
+        }
+        this.advance();
+        return { type: 'star', qualifier };
+      }
+    }
+
+    return null;
+  }
+
+  parseIdentifierAllowReserved() {
+    const token = this.advance();
+    return { value: token.value, quoted: token.type === TokenType.QUOTED };
+  }
+
+  parseLimitClauses(query) {
+    for (;;) {
+      if (this.dialect !== SqlDialect.MSSQL && this.isWord('LIMIT') && !query.limit) {
+        this.advance();
+        const first = this.parseExpression();
+        // MySQL: LIMIT offset, count
+        if (this.dialect === SqlDialect.MYSQL && this.acceptOp(',')) {
+          query.offset = first;
+          query.limit = this.parseExpression();
+        } else {
+          query.limit = first;
+        }
+        continue;
+      }
+
+      if (this.isWord('OFFSET') && !query.offset) {
+        this.advance();
+        query.offset = this.parseExpression();
+        this.acceptWord('ROW', 'ROWS');
+        continue;
+      }
+
+      if (this.dialect !== SqlDialect.MYSQL && this.isWord('FETCH') && !query.fetch) {
+        this.advance();
+        if (!this.acceptWord('FIRST', 'NEXT')) {
+          this.fail();
+        }
+        query.fetch = this.isWord('ROW') || this.isWord('ROWS')
+          ? { type: 'literal', kind: 'number', value: '1' }
+          : this.parseExpression();
+        if (!this.acceptWord('ROW', 'ROWS')) {
+          this.fail();
+        }
+        this.expectWord('ONLY');
+        continue;
+      }
+
+      return;
+    }
+  }
+
+  parseLocking(query) {
+    if (this.isWord('FOR')) {
+      const words = [this.advance().upper];
+
+      if (this.acceptWord('UPDATE')) {
+        words.push('UPDATE');
+      } else if (this.acceptWord('SHARE')) {
+        words.push('SHARE');
+      } else if (this.dialect === SqlDialect.POSTGRES && this.isWord('NO')) {
+        this.advance();
+        this.expectWord('KEY');
+        this.expectWord('UPDATE');
+        words.push('NO', 'KEY', 'UPDATE');
+      } else if (this.dialect === SqlDialect.POSTGRES && this.isWord('KEY')) {
+        this.advance();
+        this.expectWord('SHARE');
+        words.push('KEY', 'SHARE');
+      } else {
+        this.fail();
+      }
+
+      if (this.acceptWord('OF')) {
+        this.parseQualifiedName();
+        while (this.acceptOp(',')) {
+          this.parseQualifiedName();
+        }
+      }
+
+      if (this.acceptWord('NOWAIT')) {
+        words.push('NOWAIT');
+      } else if (this.isWord('SKIP')) {
+        this.advance();
+        this.expectWord('LOCKED');
+        words.push('SKIP', 'LOCKED');
+      }
+
+      query.locking = words.join(' ');
+      return;
+    }
+
+    if (this.dialect === SqlDialect.MYSQL && this.isWord('LOCK')) {
+      this.advance();
+      this.expectWord('IN');
+      this.expectWord('SHARE');
+      this.expectWord('MODE');
+      query.locking = 'LOCK IN SHARE MODE';
+    }
+  }
+
+  // ---- FROM clause ----
+
+  parseFromItem() {
+    let left = this.parseTablePrimary();
+
+    for (;;) {
+      const kind = this.parseJoinKind();
+      if (!kind) {
+        return left;
+      }
+
+      const right = this.parseTablePrimary();
+      let on = null;
+      let using = null;
+
+      if (kind !== 'CROSS') {
+        if (this.acceptWord('ON')) {
+          on = this.parseExpression();
+        } else if (this.acceptWord('USING')) {
+          using = this.parseIdentifierList();
+        } else {
+          this.fail();
+        }
+      }
+
+      left = { type: 'join', kind, left, right, on, using };
+    }
+  }
+
+  parseJoinKind() {
+    if (this.acceptWord('JOIN')) {
+      return 'INNER';
+    }
+
+    if (this.isWord('INNER') && this.isWord('JOIN', 1)) {
+      this.advance();
+      this.advance();
+      return 'INNER';
+    }
+
+    if (this.isWord('CROSS') && this.isWord('JOIN', 1)) {
+      this.advance();
+      this.advance();
+      return 'CROSS';
+    }
+
+    for (const kind of ['LEFT', 'RIGHT', 'FULL']) {
+      if (this.isWord(kind) && (this.isWord('JOIN', 1) || (this.isWord('OUTER', 1) && this.isWord('JOIN', 2)))) {
+        this.advance();
+        this.acceptWord('OUTER');
+        this.advance();
+        return kind;
+      }
+    }
+
+    if (this.isWord('NATURAL') || this.isWord('CROSS') || this.isWord('OUTER') || this.isWord('LATERAL')) {
+      this.fail();
+    }
+
+    return null;
+  }
+
+  parseTablePrimary() {
+    if (this.isOp('(')) {
+      if (!this.startsQuery(1)) {
+        this.fail();
+      }
+      const start = this.advance().pos;
+      const query = this.parseQuery();
+      this.expectOp(')');
+      const alias = this.parseAlias();
+      if (this.isOp('(')) {
+        this.fail();
+      }
+      return { type: 'derived', query, alias, start, end: this.tokens[this.index - 1].end };
+    }
+
+    if (this.isWord('LATERAL')) {
+      this.fail();
+    }
+
+    const start = this.peek().pos;
+    const name = this.parseQualifiedName();
+
+    if (this.isOp('(')) {
+      this.fail('Table functions are not supported in FROM (fail-closed)');
+    }
+
+    const nameEnd = this.tokens[this.index - 1].end;
+    const alias = this.parseAlias();
+
+    if (this.isOp('(')) {
+      this.fail();
+    }
+
+    return { type: 'table', name, alias, start, nameEnd, end: this.tokens[this.index - 1].end };
+  }
+
+  // ---- ORDER BY ----
+
+  parseOrderList() {
+    const items = [];
+
+    do {
+      const expr = this.parseExpression();
+      const direction = this.acceptWord('ASC', 'DESC')?.upper || null;
+      let nulls = null;
+
+      if (this.acceptWord('NULLS')) {
+        nulls = this.acceptWord('FIRST', 'LAST')?.upper;
+        if (!nulls) {
+          this.fail();
+        }
+      }
+
+      items.push({ type: 'order_item', expr, direction, nulls });
+    } while (this.acceptOp(','));
+
+    return items;
+  }
+
+  // ---- Expressions ----
+
+  parseExpressionList() {
+    const list = [this.parseExpression()];
+    while (this.acceptOp(',')) {
+      list.push(this.parseExpression());
+    }
+    return list;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord('OR')) {
+      left = { type: 'binary', operator: 'OR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptWord('AND')) {
+      left = { type: 'binary', operator: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptWord('NOT')) {
+      return { type: 'unary', operator: 'NOT', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+
+    for (;;) {
+      const token = this.peek();
+
+      if (token.type === TokenType.OP && COMPARISON_OPERATORS.has(token.value)) {
+        this.advance();
+        const quantifier = this.acceptWord('ANY', 'ALL', 'SOME');
+        if (quantifier) {
+          this.expectOp('(');
+          if (!this.startsQuery()) {
+            this.fail();
+          }
+          const query = this.parseQuery();
+          this.expectOp(')');
+          left = {
+            type: 'binary',
+            operator: token.value,
+            left,
+            right: { type: 'quantified', quantifier: quantifier.upper, query },
+          };
+        } else {
+          left = { type: 'binary', operator: token.value, left, right: this.parseAdditive() };
+        }
+        continue;
+      }
+
+      if (this.isWord('IS')) {
+        this.advance();
+        const not = !!this.acceptWord('NOT');
+
+        if (this.acceptWord('DISTINCT')) {
+          this.expectWord('FROM');
+          const operator = not ? 'IS NOT DISTINCT FROM' : 'IS DISTINCT FROM';
+          left = { type: 'binary', operator, left, right: this.parseAdditive() };
+          continue;
+        }
+
+        const test = this.acceptWord('NULL', 'TRUE', 'FALSE', 'UNKNOWN');
+        if (!test) {
+          this.fail();
+        }
+        left = { type: 'is', not, expr: left, test: test.upper };
+        continue;
+      }
+
+      const negated = this.isWord('NOT') &&
+        ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].some((word) => this.isWord(word, 1));
+      if (negated) {
+        this.advance();
+      }
+
+      if (this.acceptWord('IN')) {
+        this.expectOp('(');
+        if (this.startsQuery()) {
+          const query = this.parseQuery();
+          this.expectOp(')');
+          left = { type: 'in', not: negated, expr: left, list: null, query };
+        } else {
+          const list = this.parseExpressionList();
+          this.expectOp(')');
+          left = { type: 'in', not: negated, expr: left, list, query: null };
+        }
+        continue;
+      }
+
+      if (this.acceptWord('BETWEEN')) {
+        const low = this.parseAdditive();
+        this.expectWord('AND');
+        const high = this.parseAdditive();
+        left = { type: 'between', not: negated, expr: left, low, high };
+        continue;
+      }
+
+      const like = this.acceptWord('LIKE', 'ILIKE');
+      if (like) {
+        if (like.upper === 'ILIKE' && this.dialect !== SqlDialect.POSTGRES) {
+          this.fail();
+        }
+        const operator = negated ? `NOT ${like.upper}` : like.upper;
+        left = { type: 'binary', operator, left, right: this.parseAdditive() };
+        if (this.acceptWord('ESCAPE')) {
+          left.escape = this.parsePrimary();
+        }
+        continue;
+      }
+
+      if (negated) {
+        this.fail();
+      }
+
+      return left;
+    }
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type === TokenType.OP && ['+', '-', '||'].includes(token.value)) {
+        this.advance();
+        left = { type: 'binary', operator: token.value, left, right: this.parseMultiplicative() };
+        continue;
+      }
+      return left;
+    }
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type === TokenType.OP && ['*', '/', '%'].includes(token.value)) {
+        this.advance();
+        left = { type: 'binary', operator: token.value, left, right: this.parseUnary() };
+        continue;
+      }
+      return left;
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === TokenType.OP && (token.value === '-' || token.value === '+')) {
+      this.advance();
+      return { type: 'unary', operator: token.value, operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expr = this.parsePrimary();
+
+    while (this.acceptOp('::')) {
+      expr = { type: 'cast', expr, dataType: this.parseDataType({ multiWord: false }) };
+    }
+
+    if (this.isWord('COLLATE')) {
+      this.fail();
+    }
+
+    return expr;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case TokenType.NUMBER:
+        this.advance();
+        return { type: 'literal', kind: 'number', value: token.value, start: token.pos, end: token.end };
+
+      case TokenType.STRING:
+        this.advance();
+        return { type: 'literal', kind: 'string', value: token.value };
+
+      case TokenType.PARAM:
+        this.advance();
+        return { type: 'param', value: token.value };
+
+      case TokenType.QUOTED:
+        return this.parseNameExpression();
+
+      case TokenType.OP:
+        if (token.value === '(') {
+          this.advance();
+          if (this.startsQuery()) {
+            const query = this.parseQuery();
+            this.expectOp(')');
+            return { type: 'subquery', query };
+          }
+          const expr = this.parseExpression();
+          if (this.isOp(',')) {
+            this.fail();
+          }
+          this.expectOp(')');
+          return { type: 'nested', expr };
+        }
+        return this.fail();
+
+      case TokenType.WORD:
+        return this.parseWordExpression(token);
+
+      default:
+        return this.fail();
+    }
+  }
+
+  parseWordExpression(token) {
+    switch (token.upper) {
+      case 'NULL':
+        this.advance();
+        return { type: 'literal', kind: 'null', value: null };
+
+      case 'TRUE':
+      case 'FALSE':
+        this.advance();
+        return { type: 'literal', kind: 'boolean', value: token.upper === 'TRUE' };
+
+      case 'CASE':
+        return this.parseCase();
+
+      case 'CAST':
+      case 'TRY_CAST': {
+        if (token.upper === 'TRY_CAST' && this.dialect !== SqlDialect.MSSQL) {
+          break;
+        }
+        this.advance();
+        this.expectOp('(');
+        const expr = this.parseExpression();
+        this.expectWord('AS');
+        const dataType = this.parseDataType({ multiWord: true });
+        this.expectOp(')');
+        return { type: 'cast', expr, dataType };
+      }
+
+      case 'EXISTS': {
+        this.advance();
+        this.expectOp('(');
+        if (!this.startsQuery()) {
+          this.fail();
+        }
+        const query = this.parseQuery();
+        this.expectOp(')');
+        return { type: 'exists', query };
+      }
+
+      case 'EXTRACT': {
+        if (!this.isOp('(', 1)) {
+          break;
+        }
+        this.advance();
+        this.advance();
+        const field = this.peek();
+        if (field.type !== TokenType.WORD) {
+          this.fail();
+        }
+        this.advance();
+        this.expectWord('FROM');
+        const expr = this.parseExpression();
+        this.expectOp(')');
+        return {
+          type: 'function',
+          name: [{ value: token.value, quoted: false }],
+          args: [expr],
+          field: field.upper,
+          distinct: false,
+          star: false,
+          filter: null,
+          over: null,
+        };
+      }
+
+      default:
+        break;
+    }
+
+    if (TYPED_LITERALS.has(token.upper) && this.peek(1).type === TokenType.STRING) {
+      this.advance();
+      const value = this.advance().value;
+      return { type: 'typed_literal', dataType: token.upper, value };
+    }
+
+    if (NILADIC_FUNCTIONS.has(token.upper) && !this.isOp('(', 1)) {
+      this.advance();
+      return {
+        type: 'function',
+        name: [{ value: token.value, quoted: false }],
+        args: [],
+        distinct: false,
+        star: false,
+        filter: null,
+        over: null,
+        niladic: true,
+      };
+    }
+
+    // LEFT(...) / RIGHT(...) are string functions in expression position
+    if (RESERVED.has(token.upper) && !((token.upper === 'LEFT' || token.upper === 'RIGHT') && this.isOp('(', 1))) {
+      return this.fail();
+    }
+
+    return this.parseNameExpression();
+  }
+
+  parseNameExpression() {
+    const parts = [this.parseIdentifierAllowReserved()];
+
+    while (this.isOp('.') && this.isIdentifier(1, { allowReserved: true })) {
+      this.advance();
+      parts.push(this.parseIdentifierAllowReserved());
+    }
+
+    if (this.isOp('(')) {
+      return this.parseFunctionCall(parts);
+    }
+
+    return { type: 'column', parts };
+  }
+
+  parseFunctionCall(name) {
+    this.expectOp('(');
+
+    const call = {
+      type: 'function',
+      name,
+      args: [],
+      distinct: false,
+      star: false,
+      filter: null,
+      over: null,
+    };
+
+    if (this.acceptOp('*')) {
+      call.star = true;
+    } else if (!this.isOp(')')) {
+      if (this.acceptWord('DISTINCT')) {
+        call.distinct = true;
+      } else {
+        this.acceptWord('ALL');
+      }
+      call.args = this.parseExpressionList();
+    }
+
+    this.expectOp(')');
+
+    if (this.isWord('WITHIN')) {
+      this.fail();
+    }
+
+    if (this.isWord('FILTER') && this.isOp('(', 1)) {
+      this.advance();
+      this.advance();
+      this.expectWord('WHERE');
+      call.filter = this.parseExpression();
+      this.expectOp(')');
+    }
+
+    if (this.acceptWord('OVER')) {
+      call.over = this.parseWindow();
+    }
+
+    return call;
+  }
+
+  parseWindow() {
+    this.expectOp('(');
+
+    const window = { type: 'window', partitionBy: [], orderBy: null, frame: null };
+
+    if (this.acceptWord('PARTITION')) {
+      this.expectWord('BY');
+      window.partitionBy = this.parseExpressionList();
+    }
+
+    if (this.isWord('ORDER')) {
+      this.advance();
+      this.expectWord('BY');
+      window.orderBy = this.parseOrderList();
+    }
+
+    const unit = this.acceptWord('ROWS', 'RANGE');
+    if (unit) {
+      if (this.acceptWord('BETWEEN')) {
+        const start = this.parseFrameBound();
+        this.expectWord('AND');
+        const end = this.parseFrameBound();
+        window.frame = { type: 'frame', unit: unit.upper, start, end };
+      } else {
+        window.frame = { type: 'frame', unit: unit.upper, start: this.parseFrameBound(), end: null };
+      }
+    }
+
+    this.expectOp(')');
+    return window;
+  }
+
+  parseFrameBound() {
+    if (this.acceptWord('UNBOUNDED')) {
+      const side = this.acceptWord('PRECEDING', 'FOLLOWING');
+      if (!side) {
+        this.fail();
+      }
+      return { type: 'frame_bound', kind: `UNBOUNDED ${side.upper}`, offset: null };
+    }
+
+    if (this.acceptWord('CURRENT')) {
+      this.expectWord('ROW');
+      return { type: 'frame_bound', kind: 'CURRENT ROW', offset: null };
+    }
+
+    const offset = this.parseAdditive();
+    const side = this.acceptWord('PRECEDING', 'FOLLOWING');
+    if (!side) {
+      this.fail();
+    }
+    return { type: 'frame_bound', kind: side.upper, offset };
+  }
+
+  parseCase() {
+    this.expectWord('CASE');
+
+    const node = { type: 'case', operand: null, whens: [], else: null };
+
+    if (!this.isWord('WHEN')) {
+      node.operand = this.parseExpression();
+    }
+
+    while (this.acceptWord('WHEN')) {
+      const when = this.parseExpression();
+      this.expectWord('THEN');
+      node.whens.push({ type: 'when', when, then: this.parseExpression() });
+    }
+
+    if (node.whens.length === 0) {
+      this.fail();
+    }
+
+    if (this.acceptWord('ELSE')) {
+      node.else = this.parseExpression();
+    }
+
+    this.expectWord('END');
+    return node;
+  }
+
+  // Type name, e.g. INTEGER, VARCHAR(10), DECIMAL(10, 2), DOUBLE PRECISION
+  parseDataType({ multiWord }) {
+    const words = [];
+
+    do {
+      const token = this.peek();
+      if (token.type !== TokenType.WORD) {
+        this.fail();
+      }
+      words.push(this.advance().upper);
+    } while (multiWord && this.peek().type === TokenType.WORD);
+
+    let dataType = words.join(' ');
+
+    if (this.acceptOp('(')) {
+      const args = [];
+      do {
+        const token = this.advance();
+        if (token.type !== TokenType.NUMBER && !(token.type === TokenType.WORD && token.upper === 'MAX')) {
+          this.fail();
+        }
+        args.push(token.value.toUpperCase());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+      dataType += `(${args.join(',')})`;
+    }
+
+    return dataType;
+  }
+}
+
+export default {
+  parseQuery,
+  parseTokens,
+  walk,
+};
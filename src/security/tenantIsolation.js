@@ -0,0 +1,244 @@
+import { logger } from '../utils/logger.js';
+import { parseQuery, walk } from './sqlParser.js';
+import { tokenize, resolveDialect, SqlDialect, TokenType } from './sqlLexer.js';
+import { foldIdentifier, namesMatch } from './identifiers.js';
+
+/**
+ * Tenant Row-Level Isolation
+ *
+ * Tables listed in TENANT_COLUMNS ("schema.table.column" entries) hold rows of
+ * several tenants. Every reference to such a table in a validated query is
+ * rewritten into a derived table filtered to the session's tenant:
+ *
+ *   sales.orders o  ->  (SELECT * FROM sales.orders WHERE tenant_id = $3) AS o
+ *
+ * The rewrite happens at the table reference itself, so it applies in joins,
+ * subqueries, CTE bodies and every set operation branch alike. The tenant is
+ * always bound as a query parameter, never inlined into the SQL text.
+ *
+ * Security Invariants:
+ * 1. Every reference to a tenant-scoped table is filtered (no reference is skipped)
+ * 2. Queries that cannot be rewritten safely are rejected (fail-closed)
+ * 3. No tenant bound = rejected
+ */
+
+// Identifiers that can be emitted without quoting
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Quote an identifier for the dialect
+ * @private
+ */
+function quoteIdentifier(value, dialect) {
+  switch (dialect) {
+    case SqlDialect.MYSQL:
+      return `\`${value.replace(/`/g, '``')}\``;
+    case SqlDialect.MSSQL:
+      return `[${value.replace(/\]/g, ']]')}]`;
+    default:
+      return `"${value.replace(/"/g, '""')}"`;
+  }
+}
+
+/**
+ * Render a parsed identifier as it was written
+ * @private
+ */
+function renderIdentifier(identifier, dialect) {
+  return identifier.quoted ? quoteIdentifier(identifier.value, dialect) : identifier.value;
+}
+
+/**
+ * Create a query rejection (preserved as QUERY_REJECTED by every adapter)
+ * @private
+ */
+function rejection(message) {
+  const error = new Error(message);
+  error.code = 'QUERY_REJECTED';
+  return error;
+}
+
+/**
+ * Tenant column mappings (schema.table -> tenant column)
+ */
+export class TenantIsolation {
+  /**
+   * @param {string} [tenantColumns] - Comma-separated "schema.table.column" entries
+   * @throws {Error} On malformed or conflicting entries (fail-closed)
+   */
+  constructor(tenantColumns = '') {
+    this._columns = new Map();
+
+    for (const entry of tenantColumns.split(',').map((s) => s.trim()).filter((s) => s.length > 0)) {
+      const parts = entry.split('.');
+
+      if (parts.length !== 3 || parts.some((part) => part.length === 0)) {
+        throw new Error(`TENANT_COLUMNS: invalid entry "${entry}" (expected schema.table.column)`);
+      }
+
+      const table = `${parts[0]}.${parts[1]}`;
+      if (this._columns.has(table) && this._columns.get(table) !== parts[2]) {
+        throw new Error(`TENANT_COLUMNS: table "${table}" has more than one tenant column`);
+      }
+      this._columns.set(table, parts[2]);
+    }
+
+    logger.info({ tenantScopedTables: Array.from(this._columns.keys()) }, 'Tenant isolation initialized');
+  }
+
+  /**
+   * Check if any table is tenant-scoped
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this._columns.size > 0;
+  }
+
+  /**
+   * Tenant column of a table
+   * @param {string} table - "schema.table"
+   * @param {string} [dialect] - SqlDialect for name comparison
+   * @returns {string|null} Column name, or null if the table is not tenant-scoped
+   */
+  tenantColumn(table, dialect) {
+    for (const [scopedTable, column] of this._columns) {
+      if (namesMatch(scopedTable, table, dialect)) {
+        return column;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rewrite a validated query so that every tenant-scoped table is filtered to the tenant
+   *
+   * @param {string} query - Validated SELECT query
+   * @param {Array} params - Bind parameters of the query
+   * @param {string} tenant - Bound session tenant
+   * @param {Object} [options]
+   * @param {string} [options.dialect] - SqlDialect (default: postgres)
+   * @returns {{ query: string, params: Array, tables: string[] }} Rewritten query, its
+   *   parameters and the tenant-scoped tables that were filtered
+   * @throws {Error} QUERY_REJECTED if the predicate cannot be injected safely
+   */
+  apply(query, params, tenant, options = {}) {
+    if (!this.enabled) {
+      return { query, params, tables: [] };
+    }
+
+    const dialect = resolveDialect(options.dialect);
+    const ast = parseQuery(query, { dialect });
+    const targets = [];
+
+    const scopedName = (parts) => {
+      const name = parts.map((part) => foldIdentifier(part, dialect)).join('.');
+      return this.tenantColumn(name, dialect) ? name : null;
+    };
+
+    walk(ast, (node) => {
+      // Single-part names are CTE references (base tables are always schema-qualified)
+      if (node.type === 'table' && node.name.length === 2 && scopedName(node.name)) {
+        targets.push(node);
+      }
+
+      // SECURITY: schema.table.column / schema.table.* would not resolve against the
+      // derived table that replaces the reference
+      const qualifier = node.type === 'column' && node.parts.length === 3 ? node.parts.slice(0, 2)
+        : node.type === 'star' && node.qualifier?.length === 2 ? node.qualifier
+          : null;
+      if (qualifier && scopedName(qualifier)) {
+        throw rejection('Tenant-scoped tables must be referenced through an alias, not schema.table.column (fail-closed)');
+      }
+    });
+
+    if (targets.length === 0) {
+      return { query, params, tables: [] };
+    }
+
+    // INVARIANT: No tenant, no rows from tenant-scoped tables
+    if (!tenant || typeof tenant !== 'string') {
+      throw rejection('Query references tenant-scoped tables but no tenant is bound (fail-closed)');
+    }
+
+    const { placeholders, params: boundParams } = bindTenant(query, params, tenant, targets, dialect);
+    const tables = new Set();
+    let rewritten = query;
+
+    // Replace from last to first so earlier offsets stay valid
+    targets
+      .map((node, index) => ({ node, placeholder: placeholders[index] }))
+      .sort((a, b) => b.node.start - a.node.start)
+      .forEach(({ node, placeholder }) => {
+        const name = node.name.map((part) => foldIdentifier(part, dialect)).join('.');
+        const column = this.tenantColumn(name, dialect);
+        // Quoted unless the engine would resolve the bare name to the same column
+        // (PostgreSQL folds unquoted names to lower case)
+        const columnSql = renderIdentifier({
+          value: column,
+          quoted: !PLAIN_IDENTIFIER.test(column) || foldIdentifier({ value: column, quoted: false }, dialect) !== column,
+        }, dialect);
+        const alias = renderIdentifier(node.alias || node.name[node.name.length - 1], dialect);
+        const source = query.slice(node.start, node.nameEnd);
+
+        tables.add(name);
+        rewritten = rewritten.slice(0, node.start) +
+          `(SELECT * FROM ${source} WHERE ${columnSql} = ${placeholder}) AS ${alias}` +
+          rewritten.slice(node.end);
+      });
+
+    // Defense in depth: the rewritten query must still parse
+    try {
+      parseQuery(rewritten, { dialect });
+    } catch {
+      throw rejection('Tenant predicate could not be injected (fail-closed)');
+    }
+
+    return { query: rewritten, params: boundParams, tables: Array.from(tables) };
+  }
+}
+
+/**
+ * Bind the tenant as a query parameter for each rewritten reference
+ *
+ * - PostgreSQL: one new positional parameter ($n+1), reused by every reference
+ * - SQL Server: one new named parameter (@param<n>, as adapters bind params)
+ * - MySQL: `?` is positional, so the tenant is spliced into params at each reference
+ *
+ * @private
+ * @returns {{ placeholders: string[], params: Array }}
+ * @throws {Error} QUERY_REJECTED if the query's own placeholders would collide
+ */
+function bindTenant(query, params, tenant, targets, dialect) {
+  const paramTokens = tokenize(query, { dialect }).filter((token) => token.type === TokenType.PARAM);
+
+  if (dialect === SqlDialect.MYSQL) {
+    const bound = [...params];
+    const placeholders = targets.map(() => '?');
+
+    // Insert from last to first so earlier indexes stay valid
+    [...targets]
+      .sort((a, b) => b.start - a.start)
+      .forEach((node) => {
+        bound.splice(paramTokens.filter((token) => token.pos < node.start).length, 0, tenant);
+      });
+
+    return { placeholders, params: bound };
+  }
+
+  const next = params.length;
+  const collides = dialect === SqlDialect.MSSQL
+    ? paramTokens.some((token) => token.name.toLowerCase() === `param${next}`)
+    : paramTokens.some((token) => token.index > next);
+
+  if (collides) {
+    throw rejection('Query placeholders do not match its parameters; tenant predicate cannot be bound (fail-closed)');
+  }
+
+  const placeholder = dialect === SqlDialect.MSSQL ? `@param${next}` : `$${next + 1}`;
+  return { placeholders: targets.map(() => placeholder), params: [...params, tenant] };
+}
+
+// Export singleton instance
+export const tenantIsolation = new TenantIsolation(process.env.TENANT_COLUMNS || '');
+
+export default tenantIsolation;
@@ -37,6 +37,14 @@ async function handler(input, adapter, sessionContext) {
   };
 }
 
+// Call scope (for capability grant constraints)
+function scope(input) {
+  return {
+    schemas: [input.schema],
+    tables: [`${input.schema}.${input.table}`],
+  };
+}
+
 // Tool definition
 export const describeTableTool = {
   name: 'describe_table',
@@ -44,6 +52,7 @@ export const describeTableTool = {
     'Get detailed schema information for a specific table, including column names, types, nullability, defaults, and primary keys. Table must be in an allowed schema according to the security allowlist.',
   inputSchema: describeTableInputSchema,
   handler,
+  scope,
 };
 
 export default describeTableTool;
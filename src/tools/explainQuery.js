@@ -0,0 +1,146 @@
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { isValidSessionContext } from '../core/sessionContext.js';
+import { authorizeAction } from '../core/authorizeAction.js';
+import { CapabilityAction } from '../security/capabilities.js';
+import { queryReadInputSchema, queryReadTool } from './queryRead.js';
+
+/**
+ * Explain Query Tool
+ * Returns the execution plan of a read-only SELECT query in a dialect-neutral shape
+ *
+ * Security layers (same as query_read):
+ * 1. Input schema validation (Zod)
+ * 2. Query structure validation, table/column permissions, masking, tenant isolation
+ * 3. Safe execution (READ ONLY transaction, LIMIT enforcement, timeout)
+ *
+ * ANALYZE executes the statement, so it additionally requires the
+ * `query.analyze` capability for this tool (default deny).
+ */
+
+// Input schema
+// Plans are not paginated, so query_read's continuation token is not accepted
+export const explainQueryInputSchema = queryReadInputSchema.omit({ continuation: true }).extend({
+  query: z.string().min(1).describe('SQL SELECT query to explain'),
+  limit: queryReadInputSchema.shape.limit.describe('Limit applied to the explained query, as query_read would (default: 100, max: 1000)'),
+  analyze: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe('Execute the query and report actual rows and timing (requires the query.analyze capability)'),
+});
+
+/**
+ * Tool handler
+ * @param {Object} input - Validated input from Zod schema
+ * @param {Object} adapter - Database adapter instance
+ * @param {SessionContext} sessionContext - Immutable session context (identity + tenant)
+ * @returns {Promise<Object>} Normalized plan
+ */
+async function handler(input, adapter, sessionContext) {
+  const startTime = Date.now();
+
+  // SECURITY: Defensive assertion - context MUST be bound
+  if (!sessionContext || !sessionContext.isBound) {
+    throw new Error('SECURITY: explain_query called without bound session context');
+  }
+
+  // SECURITY: Verify session context is genuine
+  if (!isValidSessionContext(sessionContext)) {
+    throw new Error('SECURITY VIOLATION: Invalid session context instance');
+  }
+
+  // SECURITY: ANALYZE runs the query; it needs its own grant (fail-closed)
+  if (input.analyze) {
+    const authzResult = authorizeAction({
+      sessionContext,
+      action: CapabilityAction.QUERY_ANALYZE,
+      target: explainQueryTool.name,
+    });
+
+    if (!authzResult.allowed) {
+      throw {
+        code: 'PERMISSION_DENIED',
+        message: 'ANALYZE requires the query.analyze capability',
+        details: { reason: authzResult.reason },
+      };
+    }
+  }
+
+  if (typeof adapter.explainQuery !== 'function') {
+    throw {
+      code: 'NOT_IMPLEMENTED',
+      message: `Adapter "${adapter.name}" does not support explain_query`,
+      details: null,
+    };
+  }
+
+  try {
+    // Execute via adapter (orchestrates all security layers)
+    const result = await adapter.explainQuery({
+      query: input.query,
+      params: input.params,
+      paramTypes: input.paramTypes,
+      limit: input.limit,
+      timeout: input.timeout,
+      analyze: input.analyze,
+    }, sessionContext);
+
+    logger.info(
+      {
+        operation: 'explain_query',
+        analyzed: result.analyzed,
+        totalTime: Date.now() - startTime,
+      },
+      'Explain query completed'
+    );
+
+    return {
+      plan: result.plan,
+      estimatedRows: result.estimatedRows,
+      estimatedCost: result.estimatedCost,
+      executionTimeMs: result.executionTimeMs,
+      indexesUsed: result.indexesUsed,
+      fullScans: result.fullScans,
+      metadata: {
+        dialect: adapter.name,
+        analyzed: result.analyzed,
+        appliedLimit: result.appliedLimit,
+      },
+    };
+  } catch (error) {
+    // Audit log: explain failed (no sensitive data)
+    logger.error(
+      {
+        operation: 'explain_query',
+        errorCode: error.code || 'UNKNOWN',
+        errorMessage: error.message,
+        totalTime: Date.now() - startTime,
+      },
+      'Explain query failed'
+    );
+
+    // Throw structured error for MCP error handling
+    throw {
+      code: error.code || 'EXECUTION_ERROR',
+      message: error.message || 'Query explain failed',
+      details: error.details || null,
+    };
+  }
+}
+
+// Tool definition (MCP)
+export const explainQueryTool = {
+  name: 'explain_query',
+  description:
+    'Show the execution plan of a read-only SELECT query: operators, estimated rows and cost, indexes used and full table scans. ' +
+    'The query passes the same validation and permission checks as query_read. ' +
+    'With analyze=true the query is executed (read-only, limited, rows discarded) and actual rows and timing are included; ' +
+    'this requires the query.analyze capability.',
+  inputSchema: explainQueryInputSchema,
+  handler,
+  // Same call scope as query_read (tables, limit, timeout) for grant constraints
+  scope: queryReadTool.scope,
+};
+
+export default explainQueryTool;
@@ -32,6 +32,12 @@ async function handler(input, adapter, sessionContext) {
   };
 }
 
+// Call scope (for capability grant constraints)
+// Without a schema filter the call spans every allowed schema, so schema constraints deny it
+function scope(input) {
+  return { schemas: input.schema ? [input.schema] : null };
+}
+
 // Tool definition
 export const listTablesTool = {
   name: 'list_tables',
@@ -39,6 +45,7 @@ export const listTablesTool = {
     'List all tables in the database. Optionally filter by schema. Only returns tables in allowed schemas according to the security allowlist.',
   inputSchema: listTablesInputSchema,
   handler,
+  scope,
 };
 
 export default listTablesTool;
@@ -1,6 +1,9 @@
 import { z } from 'zod';
 import { logger } from '../utils/logger.js';
 import { isValidSessionContext } from '../core/sessionContext.js';
+import { validateQuery, extractTables } from '../security/queryValidator.js';
+import { SqlDialect } from '../security/sqlLexer.js';
+import { ParamType, bindQueryParams } from '../security/queryParams.js';
 
 /**
  * Query Read Tool
@@ -8,15 +11,32 @@ import { isValidSessionContext } from '../core/sessionContext.js';
  *
  * Security layers:
  * 1. Input schema validation (Zod)
- * 2. Query structure validation (queryValidator - regex-based)
+ * 2. Query structure validation (queryValidator - AST-based, per adapter dialect)
  * 3. Table permissions check (allowlist enforcement)
  * 4. Safe execution (READ ONLY transaction, LIMIT enforcement, timeout)
+ *
+ * Large results are read page by page: a full page carries a continuation
+ * token in metadata.continuation (see keysetPagination.js).
+ *
+ * Parameters are positional (`$1`, `?`, `@param0`, per adapter) or named
+ * (`:name`, with params as an object); see queryParams.js.
  */
 
+const paramName = z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/);
+const paramType = z.enum(Object.values(ParamType));
+
 // Input schema
 export const queryReadInputSchema = z.object({
   query: z.string().min(1).describe('SQL SELECT query to execute'),
-  params: z.array(z.any()).optional().default([]).describe('Query parameters for prepared statements'),
+  params: z
+    .union([z.array(z.any()), z.record(paramName, z.any())])
+    .optional()
+    .default([])
+    .describe('Query parameters: an array for positional placeholders, or an object for :name placeholders'),
+  paramTypes: z
+    .union([z.array(paramType.nullable()), z.record(paramName, paramType)])
+    .optional()
+    .describe('Declared parameter types (int, text, date, uuid, decimal), shaped like params; values are checked and coerced'),
   limit: z
     .number()
     .int()
@@ -33,6 +53,12 @@ export const queryReadInputSchema = z.object({
     .optional()
     .default(30000)
     .describe('Query timeout in milliseconds (default: 30000, max: 60000)'),
+  continuation: z
+    .string()
+    .min(1)
+    .max(4096)
+    .optional()
+    .describe('Continuation token from a previous call with the same query and params (fetches the next page)'),
 });
 
 /**
@@ -62,7 +88,9 @@ async function handler(input, adapter, sessionContext) {
         operation: 'query_read',
         limit: input.limit,
         timeout: input.timeout,
-        hasParams: input.params && input.params.length > 0,
+        hasParams: Object.keys(input.params ?? {}).length > 0,
+        namedParams: !Array.isArray(input.params),
+        continued: Boolean(input.continuation),
       },
       'Query read initiated'
     );
@@ -72,8 +100,10 @@ async function handler(input, adapter, sessionContext) {
     const result = await adapter.executeQuery({
       query: input.query,
       params: input.params,
+      paramTypes: input.paramTypes,
       limit: input.limit,
       timeout: input.timeout,
+      continuation: input.continuation,
     }, sessionContext);
 
     // Audit log: successful execution
@@ -99,6 +129,7 @@ async function handler(input, adapter, sessionContext) {
         truncated: result.truncated,
         appliedLimit: result.appliedLimit,
         requestedLimit: input.limit,
+        continuation: result.continuation ?? null,
       },
     };
   } catch (error) {
@@ -122,17 +153,45 @@ async function handler(input, adapter, sessionContext) {
   }
 }
 
+/**
+ * Call scope (for capability grant constraints)
+ * Tables are only reported for structurally valid queries; otherwise
+ * table/schema constraints cannot be satisfied (fail-closed).
+ * @param {Object} input - Validated input from Zod schema
+ * @param {Object} [adapter] - Active database adapter (selects the SQL dialect)
+ * @returns {Object} { tables, limit, timeout }
+ */
+function scope(input, adapter) {
+  // Built-in adapters are named after their dialect; others parse with the default
+  const dialect = Object.values(SqlDialect).includes(adapter?.name) ? adapter.name : undefined;
+  const options = { dialect };
+  let tables = null;
+  try {
+    // Named placeholders are translated first, as the adapter does
+    const { query } = bindQueryParams(input.query, input.params, { ...options, types: input.paramTypes });
+    tables = validateQuery(query, options).valid ? extractTables(query, options) : null;
+  } catch {
+    tables = null;
+  }
+
+  return { tables, limit: input.limit, timeout: input.timeout };
+}
+
 // Tool definition (MCP)
 export const queryReadTool = {
   name: 'query_read',
   description:
     'Execute a read-only SELECT query against the database. ' +
-    'Supports parameterized queries for security. ' +
+    'Supports parameterized queries for security: positional ($1, ?, @param0 per database) or named ' +
+    '(:name, with params as an object), with optional declared types (int, text, date, uuid, decimal). ' +
     'All queries are executed in READ ONLY transactions with enforced limits and timeouts. ' +
     'Only allowed tables (per security allowlist) can be queried. ' +
-    'Dangerous SQL patterns (writes, UNION, CTEs, etc.) are blocked.',
+    'Writes and other data-modifying statements are blocked. ' +
+    'CTEs (WITH), subqueries and set operations (UNION, INTERSECT, EXCEPT) are allowed, ' +
+    'but every table they reference, in every branch, must be authorized.',
   inputSchema: queryReadInputSchema,
   handler,
+  scope,
 };
 
 export default queryReadTool;
@@ -28,10 +28,33 @@ export const logger = pino({
  * @param {string} params.adapter - Adapter used (e.g., 'postgres')
  * @param {Object} params.input - Sanitized input parameters
  * @param {number} params.duration - Duration in milliseconds
- * @param {string} params.outcome - Outcome ('success' or 'error')
+ * @param {string} params.outcome - Outcome ('success', 'denied' or 'error')
  * @param {string} [params.error] - Error message if outcome is 'error'
+ * @param {string} [params.tool] - Tool the decision applies to
+ * @param {string} [params.identity] - Bound session identity
+ * @param {string} [params.tenant] - Bound session tenant
+ * @param {string} [params.decision] - Control-plane decision ('ALLOW' or 'DENY')
+ * @param {string} [params.reason] - Decision reason (AuthzReason / QuotaDenialReason)
+ * @param {string} [params.constraint] - Violated grant constraint, if any
+ * @param {string} [params.capSetId] - Capability set the decision was made against
+ * @param {Object} [params.details] - Additional structured audit details (sanitized)
  */
-export function auditLog({ action, adapter, input, duration, outcome, error }) {
+export function auditLog({
+  action,
+  adapter,
+  input,
+  duration,
+  outcome,
+  error,
+  tool,
+  identity,
+  tenant,
+  decision,
+  reason,
+  constraint,
+  capSetId,
+  details,
+}) {
   const auditEntry = {
     type: 'audit',
     action,
@@ -40,11 +63,21 @@ export function auditLog({ action, adapter, input, duration, outcome, error }) {
     duration,
     outcome,
     ...(error && { error }),
+    ...(tool && { tool }),
+    ...(identity && { identity }),
+    ...(tenant && { tenant }),
+    ...(decision && { decision }),
+    ...(reason && { reason }),
+    ...(constraint && { constraint }),
+    ...(capSetId && { capSetId }),
+    ...(details && { details: sanitizeForLog(details) }),
     timestamp: new Date().toISOString(),
   };
 
   if (outcome === 'error') {
     logger.error(auditEntry, `Audit: ${action} failed`);
+  } else if (outcome === 'denied') {
+    logger.warn(auditEntry, `Audit: ${action} denied`);
   } else {
     logger.info(auditEntry, `Audit: ${action} succeeded`);
   }
@@ -1,5 +1,8 @@
 import pg from 'pg';
 import { logger } from './logger.js';
+import { enforceQueryLimit } from '../security/queryLimit.js';
+import { configurePgRoleMappingFromEnv, resolvePgSessionSettings, assertNoSessionSettingWrites, quoteRoleName } from '../security/pgRoleMapping.js';
+import { costGate } from '../security/costGate.js';
 
 const { Pool } = pg;
 
@@ -22,6 +25,9 @@ class PostgresPool {
       return this.pool;
     }
 
+    // SECURITY: Session role mapping is validated before any connection is made
+    configurePgRoleMappingFromEnv();
+
     const poolConfig = {
       host: process.env.PG_HOST,
       port: Number(process.env.PG_PORT) || 5432,
@@ -180,16 +186,31 @@ class PostgresPool {
    * - Query timeout
    * - Server-side LIMIT (never trust client)
    * - Max rows enforcement (post-execution truncation)
+   * - Session settings for row-level security: app.tenant / app.identity and,
+   *   if MCP_PG_ROLE_MAP_FILE is set, SET LOCAL ROLE to the mapped role
+   * - No set_config() in the query (it could overwrite those settings)
+   * - Cost gate (EXPLAIN before execution, if limits are configured)
    * 
    * @param {string} query - SQL SELECT query
    * @param {Array} params - Query parameters
    * @param {Object} options - Execution options
    * @param {number} options.timeout - Query timeout in milliseconds (default: 10000)
    * @param {number} options.maxRows - Maximum rows to return (default: 100, max: 1000)
+   * @param {Object} options.session - Bound session context (identity + tenant, required)
    * @returns {Promise<{rows, fields, rowCount, executionTime, truncated, appliedLimit}>}
    */
   async executeSafeRead(query, params = [], options = {}) {
-    const { timeout = 10000, maxRows = 100 } = options;
+    const { timeout = 10000, maxRows = 100, session } = options;
+
+    // SECURITY: RLS settings are derived from the bound session (fail-closed if missing)
+    if (!session || !session.identity || !session.tenant) {
+      throw new Error('executeSafeRead: bound session context is required (fail-closed)');
+    }
+
+    // SECURITY: The statement must not be able to rewrite the settings it runs under
+    assertNoSessionSettingWrites(query);
+
+    const settings = resolvePgSessionSettings(session);
     
     // Enforce server-side max limit (never trust client)
     const enforcedLimit = Math.min(Math.max(1, maxRows), 1000);
@@ -202,11 +223,11 @@ class PostgresPool {
     const startTime = Date.now();
 
     try {
-      // Begin READ ONLY transaction
-      await client.query('BEGIN READ ONLY');
-      
-      // Set statement timeout (server-side enforcement)
-      await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+      // READ ONLY transaction, statement timeout, RLS settings
+      await this._beginSafeRead(client, settings, timeout);
+
+      // Cost gate: plan the exact statement under the same settings before running it
+      await this._enforceCostGate(client, limitedQuery, params);
       
       // Execute the query
       const result = await client.query(limitedQuery, params);
@@ -280,6 +301,114 @@ class PostgresPool {
     }
   }
 
+  /**
+   * Explain a read-only query under the same safety enforcements as executeSafeRead
+   *
+   * Without ANALYZE the statement is only planned. With ANALYZE it is executed
+   * (after the cost gate) and the transaction is rolled back; rows are never returned.
+   *
+   * @param {string} query - SQL SELECT query
+   * @param {Array} params - Query parameters
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Query timeout in milliseconds (default: 10000)
+   * @param {number} options.maxRows - LIMIT applied to the explained statement (default: 100, max: 1000)
+   * @param {Object} options.session - Bound session context (identity + tenant, required)
+   * @param {boolean} options.analyze - Execute the statement and include actual rows/timing
+   * @returns {Promise<{plan, query, appliedLimit}>} Raw "QUERY PLAN" value and the explained statement
+   */
+  async explainSafeRead(query, params = [], options = {}) {
+    const { timeout = 10000, maxRows = 100, session, analyze = false } = options;
+
+    // SECURITY: RLS settings are derived from the bound session (fail-closed if missing)
+    if (!session || !session.identity || !session.tenant) {
+      throw new Error('explainSafeRead: bound session context is required (fail-closed)');
+    }
+
+    // SECURITY: The statement must not be able to rewrite the settings it runs under
+    assertNoSessionSettingWrites(query);
+
+    const settings = resolvePgSessionSettings(session);
+    const enforcedLimit = Math.min(Math.max(1, maxRows), 1000);
+    const limitedQuery = this._enforceLimitClause(query, enforcedLimit);
+
+    const pool = this.getPool();
+    const client = await pool.connect();
+
+    try {
+      await this._beginSafeRead(client, settings, timeout);
+
+      // ANALYZE executes the statement: it must pass the cost gate like any read
+      if (analyze) {
+        await this._enforceCostGate(client, limitedQuery, params);
+      }
+
+      const explained = await client.query(
+        `EXPLAIN (${analyze ? 'ANALYZE, ' : ''}FORMAT JSON, VERBOSE) ${limitedQuery}`,
+        params
+      );
+
+      // Nothing to keep (ANALYZE ran the statement inside a READ ONLY transaction)
+      await client.query('ROLLBACK');
+
+      return { plan: explained.rows[0]?.['QUERY PLAN'], query: limitedQuery, appliedLimit: enforcedLimit };
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        logger.error({ error: rollbackError.message }, 'Failed to ROLLBACK transaction after error');
+      }
+
+      logger.error({ error: error.message, timeout, analyze }, 'Safe explain failed');
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Begin a safe read: READ ONLY transaction, statement timeout and RLS settings
+   *
+   * @private
+   * @param {PoolClient} client - Client checked out for this read
+   * @param {Object} settings - Result of resolvePgSessionSettings
+   * @param {number} timeout - Statement timeout in milliseconds
+   */
+  async _beginSafeRead(client, settings, timeout) {
+    // Begin READ ONLY transaction
+    await client.query('BEGIN READ ONLY');
+
+    // Set statement timeout (server-side enforcement)
+    await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+
+    // Session settings for RLS policies (transaction-local, bound as parameters)
+    await client.query(
+      "SELECT set_config('app.tenant', $1, true), set_config('app.identity', $2, true)",
+      [settings.tenant, settings.identity]
+    );
+
+    // Switch to the mapped role (transaction-local; role name validated at load)
+    if (settings.role) {
+      await client.query(`SET LOCAL ROLE ${quoteRoleName(settings.role)}`);
+    }
+  }
+
+  /**
+   * Run the cost gate on a statement (no-op if no limits are configured)
+   *
+   * @private
+   * @param {PoolClient} client - Client inside the safe read transaction
+   * @param {string} query - Statement about to run
+   * @param {Array} params - Query parameters
+   * @throws {Error} QUERY_TOO_EXPENSIVE if a limit is exceeded
+   */
+  async _enforceCostGate(client, query, params) {
+    if (costGate.enabled) {
+      const explained = await client.query(`EXPLAIN (FORMAT JSON, VERBOSE) ${query}`, params);
+      costGate.enforce(explained.rows[0]?.['QUERY PLAN'], query, { dialect: 'postgres' });
+    }
+  }
+
   /**
    * Enforce LIMIT clause on a query
    * - If query has no LIMIT: append LIMIT
@@ -291,23 +420,8 @@ class PostgresPool {
    * @returns {string} Query with enforced LIMIT
    */
   _enforceLimitClause(query, maxLimit) {
-    // Check if query already has LIMIT clause (case-insensitive)
-    const limitRegex = /\bLIMIT\s+(\d+)\b/i;
-    const match = limitRegex.exec(query);
-    
-    if (match) {
-      // Query has LIMIT - clamp to server max
-      const clientLimit = parseInt(match[1], 10);
-      const clampedLimit = Math.min(clientLimit, maxLimit);
-      
-      // Replace existing LIMIT with clamped value
-      return query.replace(limitRegex, `LIMIT ${clampedLimit}`);
-    } else {
-      // Query has no LIMIT - append server max
-      // Preserve trailing whitespace/semicolons
-      const trimmed = query.trimEnd();
-      return `${trimmed} LIMIT ${maxLimit}`;
-    }
+    // Outermost LIMIT located on the AST (a LIMIT inside a CTE or subquery does not count)
+    return enforceQueryLimit(query, maxLimit, { dialect: 'postgres' });
   }
 }
 
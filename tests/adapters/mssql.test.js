@@ -224,9 +224,22 @@ describe('MSSQLAdapter', () => {
       expect(adapter._executeSafeRead).not.toHaveBeenCalled();
     });
 
-    test('rejects query with UNION (data exfiltration prevention)', async () => {
+    test('accepts UNION when every branch is authorized', async () => {
       const params = {
-        query: 'SELECT * FROM dbo.users UNION SELECT * FROM dbo.secrets',
+        query: 'SELECT id FROM dbo.users UNION SELECT id FROM dbo.customers',
+        params: [],
+        limit: 100,
+        timeout: 30000,
+      };
+
+      await adapter.executeQuery(params, sessionContext);
+
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects UNION with an unauthorized branch (data exfiltration prevention)', async () => {
+      const params = {
+        query: 'SELECT name FROM dbo.users UNION SELECT name FROM sys.sql_logins',
         params: [],
         limit: 100,
         timeout: 30000,
@@ -234,12 +247,12 @@ describe('MSSQLAdapter', () => {
 
       await expect(
         adapter.executeQuery(params, sessionContext)
-      ).rejects.toThrow(/UNION/i);
+      ).rejects.toThrow(/not allowed/i);
 
       expect(adapter._executeSafeRead).not.toHaveBeenCalled();
     });
 
-    test('rejects query with CTE (WITH clause)', async () => {
+    test('accepts read-only CTE (WITH clause)', async () => {
       const params = {
         query: 'WITH cte AS (SELECT * FROM dbo.users) SELECT * FROM cte',
         params: [],
@@ -247,10 +260,22 @@ describe('MSSQLAdapter', () => {
         timeout: 30000,
       };
 
-      // WITH queries are caught by the "must start with SELECT" validation
+      await adapter.executeQuery(params, sessionContext);
+
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects CTE reading a table outside the allowlist', async () => {
+      const params = {
+        query: 'WITH cte AS (SELECT * FROM sys.sql_logins) SELECT * FROM cte',
+        params: [],
+        limit: 100,
+        timeout: 30000,
+      };
+
       await expect(
         adapter.executeQuery(params, sessionContext)
-      ).rejects.toThrow(/must start with SELECT/i);
+      ).rejects.toThrow(/not allowed/i);
 
       expect(adapter._executeSafeRead).not.toHaveBeenCalled();
     });
@@ -0,0 +1,100 @@
+import { describe, expect, test } from "@jest/globals";
+import {
+  CapabilitySet,
+  CapabilityAction,
+  AuthzReason,
+  evaluateCapability,
+  createDefaultCapabilities,
+} from "../../src/security/capabilities.js";
+
+/**
+ * Security invariant: grant target patterns have a defined precedence and
+ * contradictory grants fail closed.
+ *
+ * - Exact target beats any pattern
+ * - Among patterns, the most literal characters win
+ * - Equally specific grants that disagree = DENIED_AMBIGUITY
+ */
+
+function capabilities(grants) {
+  const now = Date.now();
+  return new CapabilitySet({
+    capSetId: "cap-patterns",
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    issuer: "test",
+    grants,
+  });
+}
+
+const invoke = (caps, target) => evaluateCapability(caps, CapabilityAction.TOOL_INVOKE, target);
+
+describe("security invariant: capability grant target patterns", () => {
+  test("prefix and suffix patterns match only their targets", () => {
+    const caps = capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_*" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "*_daily" },
+    ]);
+
+    expect(invoke(caps, "report_sales").allowed).toBe(true);
+    expect(invoke(caps, "report_").allowed).toBe(true);
+    expect(invoke(caps, "metrics_daily").allowed).toBe(true);
+    expect(invoke(caps, "query_read").reason).toBe(AuthzReason.DENIED_NO_GRANT);
+    expect(invoke(caps, "xreport_sales").allowed).toBe(false);
+  });
+
+  test("pattern metacharacters other than * are literal", () => {
+    const caps = capabilities([{ action: CapabilityAction.TOOL_INVOKE, target: "a.b*" }]);
+
+    expect(invoke(caps, "a.bc").allowed).toBe(true);
+    expect(invoke(caps, "axbc").allowed).toBe(false);
+  });
+
+  test("wildcard never crosses actions", () => {
+    const caps = capabilities([{ action: CapabilityAction.TOOL_LIST, target: "*" }]);
+
+    expect(evaluateCapability(caps, CapabilityAction.TOOL_LIST, "query_read").allowed).toBe(true);
+    expect(invoke(caps, "query_read").allowed).toBe(false);
+  });
+
+  test("exact match wins over patterns, then the most specific pattern", () => {
+    const caps = capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "*", tier: "any" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_*", tier: "prefix" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_sales", tier: "exact" },
+    ]);
+
+    expect(invoke(caps, "report_sales").grant.tier).toBe("exact");
+    expect(invoke(caps, "report_costs").grant.tier).toBe("prefix");
+    expect(invoke(caps, "list_tables").grant.tier).toBe("any");
+  });
+
+  test("equally specific contradictory grants are denied as ambiguous", () => {
+    const caps = capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_*", tier: "a" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "*_sales_", tier: "b" },
+    ]);
+
+    const result = invoke(caps, "report_sales_");
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe(AuthzReason.DENIED_AMBIGUITY);
+    expect(caps.findGrant(CapabilityAction.TOOL_INVOKE, "report_sales_")).toBeNull();
+
+    // Agreeing duplicates are not a contradiction
+    const agreeing = capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_*" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "*_sales_" },
+    ]);
+    expect(invoke(agreeing, "report_sales_").allowed).toBe(true);
+  });
+
+  test("invalid targets are rejected at construction", () => {
+    expect(() => capabilities([{ action: CapabilityAction.TOOL_INVOKE, target: "" }])).toThrow(/target/);
+    expect(() => capabilities([{ action: CapabilityAction.TOOL_INVOKE }])).toThrow(/target/);
+  });
+
+  test("default capabilities honor the tool.list wildcard", () => {
+    const caps = createDefaultCapabilities();
+    expect(evaluateCapability(caps, CapabilityAction.TOOL_LIST, "query_read").allowed).toBe(true);
+  });
+});
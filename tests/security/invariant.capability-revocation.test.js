@@ -0,0 +1,217 @@
+import { describe, expect, test, jest, afterEach } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { executeToolBoundary } from "../../src/core/executeToolBoundary.js";
+import { SessionContext } from "../../src/core/sessionContext.js";
+import { installCapabilitySwap, swapSessionCapabilities } from "../../src/core/capabilitySwap.js";
+import { CapabilityAction } from "../../src/security/capabilities.js";
+import { CapabilityReloader, loadCapabilityReloaderFromEnv } from "../../src/security/capabilityReload.js";
+import { listTablesTool } from "../../src/tools/listTables.js";
+import { logger } from "../../src/utils/logger.js";
+
+/**
+ * Security invariant: capabilities can be swapped or revoked on live sessions.
+ *
+ * - A call already past authorization finishes under the old set
+ * - The next call is evaluated against the new set (or denied after revoke)
+ * - Malformed, missing or empty documents revoke (fail-closed)
+ * - Every swap is audit-logged per session
+ * - Closed sessions are not tracked without bound between reloads
+ */
+
+function document(capSetId, target = "list_tables") {
+  return JSON.stringify({
+    capSetId,
+    issuer: "control-plane",
+    grants: [{ action: CapabilityAction.TOOL_INVOKE, target }],
+  });
+}
+
+describe("security invariant: capability hot-reload and revocation", () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+  let reloader;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...savedEnv };
+    if (reloader) {
+      reloader.stop();
+      reloader = null;
+    }
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  function setup(initial) {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-caps-"));
+    const filePath = path.join(tmpDir, "capabilities.json");
+    fs.writeFileSync(filePath, initial);
+
+    reloader = new CapabilityReloader({ filePath });
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("agent-1", "tenant-a", "sess-reload");
+    reloader.attach(sessionContext);
+
+    const adapter = { name: "mock-db", listTables: jest.fn(async () => []) };
+    const run = () => executeToolBoundary({
+      toolName: "list_tables",
+      input: {},
+      sessionContext,
+      toolRegistry: { tools: new Map([[listTablesTool.name, listTablesTool]]) },
+      adapters: { getAdapter: () => adapter, activeAdapter: adapter },
+      mode: { readOnly: false },
+      meta: { nowMs: Date.now() },
+    });
+
+    return { filePath, sessionContext, adapter, run };
+  }
+
+  test("in-flight call completes under the old set; the next call is denied after revoke", async () => {
+    const { sessionContext, adapter, run } = setup(document("cap-v1"));
+
+    let release;
+    adapter.listTables.mockImplementationOnce(() => new Promise((resolve) => {
+      release = () => resolve([]);
+    }));
+
+    const inFlight = run();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(adapter.listTables).toHaveBeenCalledTimes(1);
+
+    reloader.revokeAll("incident response");
+    expect(sessionContext.capabilities).toBeNull();
+
+    const denied = await run();
+    expect(denied.ok).toBe(false);
+    expect(denied.error.code).toBe("UNAUTHORIZED");
+    expect(denied.error.details.reason).toBe("DENIED_NO_CAPABILITY");
+
+    release();
+    const completed = await inFlight;
+    expect(completed.ok).toBe(true);
+    expect(adapter.listTables).toHaveBeenCalledTimes(1);
+  });
+
+  test("reloading the file swaps the session to a new capability set", async () => {
+    const { filePath, sessionContext, run } = setup(document("cap-v1"));
+    const before = sessionContext.capabilities;
+
+    fs.writeFileSync(filePath, document("cap-v2", "describe_table"));
+    reloader.reload();
+
+    expect(sessionContext.capabilities.capSetId).toBe("cap-v2");
+    expect(sessionContext.capabilities).not.toBe(before);
+
+    const denied = await run();
+    expect(denied.error.details.reason).toBe("DENIED_NO_GRANT");
+  });
+
+  test("malformed, empty or missing documents revoke (fail-closed)", () => {
+    const { filePath, sessionContext } = setup(document("cap-v1"));
+
+    fs.writeFileSync(filePath, "{ not json");
+    reloader.reload();
+    expect(sessionContext.capabilities).toBeNull();
+
+    fs.writeFileSync(filePath, document("cap-v2"));
+    reloader.reload();
+    expect(sessionContext.capabilities.capSetId).toBe("cap-v2");
+
+    fs.writeFileSync(filePath, "");
+    reloader.reload();
+    expect(sessionContext.capabilities).toBeNull();
+
+    reloader.replaceAll(document("cap-v3"));
+    fs.rmSync(filePath);
+    reloader.reload();
+    expect(sessionContext.capabilities).toBeNull();
+
+    expect(() => reloader.replaceAll(JSON.stringify({ capSetId: "cap-bad", grants: [{ action: "tool.invoke" }] })))
+      .toThrow(/Capability reload failed/);
+    expect(sessionContext.capabilities).toBeNull();
+  });
+
+  test("each swap is audit-logged with the previous capSetId and source", () => {
+    const { sessionContext } = setup(document("cap-v1"));
+    const info = jest.spyOn(logger, "info");
+
+    reloader.replaceAll(document("cap-v2"), "admin");
+    reloader.revokeAll("key compromised", "admin");
+
+    const entries = info.mock.calls.map(([e]) => e).filter((e) => e?.type === "audit");
+    const replaced = entries.find((e) => e.action === "capabilities.replace");
+    const revoked = entries.find((e) => e.action === "capabilities.revoke");
+
+    expect(replaced).toMatchObject({ identity: "agent-1", tenant: "tenant-a", capSetId: "cap-v2" });
+    expect(replaced.details).toMatchObject({ previousCapSetId: "cap-v1", source: "admin", sessionId: sessionContext.sessionId });
+    expect(revoked.details).toMatchObject({ previousCapSetId: "cap-v2", reason: "key compromised" });
+  });
+
+  test("the capability swap rejects unbound sessions and non-CapabilitySet values", () => {
+    const { sessionContext } = setup(document("cap-v1"));
+
+    expect(() => swapSessionCapabilities(sessionContext, { grants: [] })).toThrow(/CapabilitySet or null/);
+    expect(() => swapSessionCapabilities({ isBound: true }, null)).toThrow(/SECURITY VIOLATION/);
+
+    const noCaps = new SessionContext();
+    noCaps.bind("agent-2", "tenant-a", "sess-no-caps");
+    expect(() => swapSessionCapabilities(noCaps, null)).toThrow(/must be attached/);
+  });
+
+  test("the capability swap is not part of the public API and cannot be replaced", async () => {
+    const publicApi = await import("../../src/index.js");
+    const sessionApi = await import("../../src/core/sessionContext.js");
+
+    for (const api of [publicApi, sessionApi]) {
+      expect(api).not.toHaveProperty("replaceSessionCapabilities");
+      expect(api).not.toHaveProperty("swapSessionCapabilities");
+    }
+    expect(Object.getOwnPropertyNames(SessionContext.prototype).filter((name) => /replace|swap/i.test(name))).toEqual([]);
+
+    expect(() => installCapabilitySwap(() => {})).toThrow(/already installed/);
+  });
+
+  test("startup fails closed on a malformed file or an ambiguous source", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-caps-"));
+    const filePath = path.join(tmpDir, "capabilities.json");
+    fs.writeFileSync(filePath, "{ not json");
+
+    process.env.MCP_CAPABILITIES_FILE = filePath;
+    expect(() => loadCapabilityReloaderFromEnv()).toThrow(/Failed to load capability file/);
+
+    fs.writeFileSync(filePath, document("cap-v1"));
+    process.env.MCP_CAPABILITIES = document("cap-env");
+    expect(() => loadCapabilityReloaderFromEnv()).toThrow(/Ambiguous capability source/);
+
+    delete process.env.MCP_CAPABILITIES;
+    expect(loadCapabilityReloaderFromEnv()).toBeInstanceOf(CapabilityReloader);
+  });
+
+  test("references to collected sessions are pruned as sessions attach", () => {
+    setup(document("cap-v1"));
+
+    // Every reference after the first reads as collected (the session was closed and GC'd)
+    const RealWeakRef = globalThis.WeakRef;
+    globalThis.WeakRef = class {
+      deref() {
+        return undefined;
+      }
+    };
+    try {
+      for (let i = 0; i < 1000; i++) {
+        const sessionContext = new SessionContext();
+        sessionContext.bind("agent-1", "tenant-a", `sess-${i}`);
+        reloader.attach(sessionContext);
+      }
+    } finally {
+      globalThis.WeakRef = RealWeakRef;
+    }
+
+    expect(reloader._sessions.size).toBeLessThanOrEqual(64);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, expect, test, afterEach } from "@jest/globals";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  CapabilitySet,
+  CapabilityAction,
+  AuthzReason,
+  evaluateCapability,
+  configureCapabilityKeyring,
+  loadCapabilitiesFromEnv,
+} from "../../src/security/capabilities.js";
+import {
+  CapabilityKeyring,
+  CapabilityTokenErrorCode,
+  signCapabilityToken,
+} from "../../src/security/capabilityTokens.js";
+
+/**
+ * Security invariant: capability grants are only usable from verified signed tokens.
+ *
+ * - Signature, algorithm, issuer, audience and validity window are all checked
+ * - Any failure rejects the token before a CapabilitySet exists
+ * - Once a keyring is configured, unsigned CapabilitySets are denied (DENIED_INVALID_SIGNATURE)
+ * - So are sets verified by any keyring other than the configured one
+ *
+ * NOTE: configureCapabilityKeyring() is attach-once per module instance, so the
+ * enforcement tests run last in this file.
+ */
+
+const hmacSecret = crypto.randomBytes(32);
+const ed = crypto.generateKeyPairSync("ed25519");
+const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const keyring = new CapabilityKeyring({
+  audience: "mcp-test",
+  keys: [
+    { kid: "hmac", alg: "HS256", issuer: "launcher", secret: hmacSecret.toString("base64") },
+    { kid: "ed", alg: "EdDSA", issuer: "control-plane", publicKey: ed.publicKey.export({ type: "spki", format: "pem" }) },
+    { kid: "rsa", alg: "RS256", issuer: "control-plane", publicKey: rsa.publicKey.export({ type: "spki", format: "pem" }) },
+  ],
+});
+
+function claims(overrides = {}) {
+  const now = Date.now();
+  return {
+    capSetId: "cap-signed-1",
+    iss: "launcher",
+    aud: "mcp-test",
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "list_tables" }],
+    ...overrides,
+  };
+}
+
+const hmacSigner = { kid: "hmac", alg: "HS256", key: hmacSecret };
+
+function expectRejected(token, code) {
+  let error;
+  try {
+    CapabilitySet.fromSignedToken(token, keyring);
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeDefined();
+  expect(error.code).toBe(code);
+}
+
+describe("security invariant: signed capability tokens", () => {
+  test("accepts valid HS256, EdDSA and RS256 tokens", () => {
+    const tokens = [
+      signCapabilityToken(claims(), hmacSigner),
+      signCapabilityToken(claims({ iss: "control-plane" }), { kid: "ed", alg: "EdDSA", key: ed.privateKey }),
+      signCapabilityToken(claims({ iss: "control-plane" }), { kid: "rsa", alg: "RS256", key: rsa.privateKey }),
+    ];
+
+    for (const token of tokens) {
+      const capSet = CapabilitySet.fromSignedToken(token, keyring);
+      expect(capSet.isVerified).toBe(true);
+      expect(evaluateCapability(capSet, CapabilityAction.TOOL_INVOKE, "list_tables").allowed).toBe(true);
+    }
+  });
+
+  test("rejects tampered payloads and forged signatures", () => {
+    const token = signCapabilityToken(claims(), hmacSigner);
+    const [header, , signature] = token.split(".");
+    const escalated = Buffer.from(JSON.stringify(claims({
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "query_read" }],
+    }))).toString("base64url");
+
+    expectRejected(`${header}.${escalated}.${signature}`, CapabilityTokenErrorCode.INVALID_SIGNATURE);
+    expectRejected(
+      signCapabilityToken(claims(), { kid: "hmac", alg: "HS256", key: crypto.randomBytes(32) }),
+      CapabilityTokenErrorCode.INVALID_SIGNATURE
+    );
+  });
+
+  test("rejects algorithm confusion, unknown keys and unsigned tokens", () => {
+    // HMAC "signed" with the Ed25519 public key bytes, claiming the Ed25519 kid
+    const publicPem = ed.publicKey.export({ type: "spki", format: "pem" });
+    expectRejected(
+      signCapabilityToken(claims({ iss: "control-plane" }), { kid: "ed", alg: "HS256", key: Buffer.from(publicPem) }),
+      CapabilityTokenErrorCode.ALGORITHM_MISMATCH
+    );
+
+    expectRejected(
+      signCapabilityToken(claims(), { kid: "other", alg: "HS256", key: hmacSecret }),
+      CapabilityTokenErrorCode.UNKNOWN_KEY
+    );
+
+    const none = [
+      Buffer.from(JSON.stringify({ alg: "none", kid: "hmac" })).toString("base64url"),
+      Buffer.from(JSON.stringify(claims())).toString("base64url"),
+      "",
+    ].join(".");
+    expectRejected(none, CapabilityTokenErrorCode.MALFORMED);
+  });
+
+  test("rejects wrong issuer, wrong audience and invalid validity windows", () => {
+    expectRejected(signCapabilityToken(claims({ iss: "control-plane" }), hmacSigner), CapabilityTokenErrorCode.INVALID_ISSUER);
+    expectRejected(signCapabilityToken(claims({ aud: "other-server" }), hmacSigner), CapabilityTokenErrorCode.INVALID_AUDIENCE);
+
+    const now = Date.now();
+    expectRejected(
+      signCapabilityToken(claims({ issuedAt: now - 120_000, expiresAt: now - 60_000 }), hmacSigner),
+      CapabilityTokenErrorCode.EXPIRED
+    );
+    expectRejected(
+      signCapabilityToken(claims({ issuedAt: now + 600_000, expiresAt: now + 900_000 }), hmacSigner),
+      CapabilityTokenErrorCode.INVALID_CLAIMS
+    );
+    expectRejected(
+      signCapabilityToken(claims({ issuedAt: undefined }), hmacSigner),
+      CapabilityTokenErrorCode.INVALID_CLAIMS
+    );
+  });
+});
+
+describe("security invariant: keyring enforcement denies unsigned capability sets", () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  test("unsigned CapabilitySet is denied with DENIED_INVALID_SIGNATURE once a keyring is configured", () => {
+    const now = Date.now();
+    const unsigned = new CapabilitySet({
+      capSetId: "cap-unsigned",
+      issuedAt: now,
+      expiresAt: now + 60_000,
+      issuer: "launcher",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "list_tables" }],
+    });
+
+    configureCapabilityKeyring(keyring);
+
+    const result = evaluateCapability(unsigned, CapabilityAction.TOOL_INVOKE, "list_tables");
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe(AuthzReason.DENIED_INVALID_SIGNATURE);
+
+    const signed = CapabilitySet.fromSignedToken(signCapabilityToken(claims(), hmacSigner));
+    expect(evaluateCapability(signed, CapabilityAction.TOOL_INVOKE, "list_tables").allowed).toBe(true);
+
+    // A set verified by any other keyring (e.g. one built and signed by a library caller) grants nothing
+    const foreignSecret = crypto.randomBytes(32);
+    const foreignKeyring = new CapabilityKeyring({
+      audience: "mcp-test",
+      keys: [{ kid: "hmac", alg: "HS256", issuer: "launcher", secret: foreignSecret.toString("base64") }],
+    });
+    const foreign = CapabilitySet.fromSignedToken(
+      signCapabilityToken(claims(), { kid: "hmac", alg: "HS256", key: foreignSecret }),
+      foreignKeyring
+    );
+    const foreignResult = evaluateCapability(foreign, CapabilityAction.TOOL_INVOKE, "list_tables");
+    expect(foreignResult.allowed).toBe(false);
+    expect(foreignResult.reason).toBe(AuthzReason.DENIED_INVALID_SIGNATURE);
+
+    // Keyring cannot be swapped at runtime
+    expect(() => configureCapabilityKeyring(new CapabilityKeyring({
+      audience: "mcp-test",
+      keys: [{ kid: "hmac", alg: "HS256", issuer: "launcher", secret: crypto.randomBytes(32).toString("base64") }],
+    }))).toThrow(/already configured/);
+  });
+
+  test("loadCapabilitiesFromEnv rejects unsigned JSON when signing is configured", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-keyring-"));
+    const keyringFile = path.join(tmpDir, "keyring.json");
+    fs.writeFileSync(keyringFile, JSON.stringify({
+      audience: "mcp-test",
+      keys: [{ kid: "hmac", alg: "HS256", issuer: "launcher", secret: hmacSecret.toString("base64") }],
+    }));
+
+    process.env.MCP_CAPABILITY_KEYRING = keyringFile;
+    process.env.MCP_CAPABILITIES = JSON.stringify({
+      capSetId: "cap-json",
+      issuer: "launcher",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "list_tables" }],
+    });
+
+    expect(() => loadCapabilitiesFromEnv()).toThrow(/Unsigned capabilities rejected/);
+
+    process.env.MCP_CAPABILITIES = signCapabilityToken(claims(), hmacSigner);
+    expect(loadCapabilitiesFromEnv().isVerified).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: column rules narrow an allowed table to its readable columns.
+ *
+ * - Denied (or not allowlisted) columns are rejected anywhere in the query:
+ *   projection, WHERE, JOIN, ORDER BY, subqueries
+ * - SELECT * (and whole-row references) on a table with column rules is rejected
+ * - Ambiguous references must be readable in every table they may belong to
+ * - describe_table output hides columns that are not readable
+ */
+
+describe("security invariant: column-level allowlist and projection enforcement", () => {
+  let enforceQueryPermissions;
+  let allowlist;
+
+  beforeAll(async () => {
+    // Allowlist singleton reads env at import
+    process.env.ALLOWLIST_SCHEMAS = "public,sales";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.ALLOWLIST_COLUMNS = "sales.orders.id,sales.orders.customer_id,sales.orders.total";
+    process.env.DENYLIST_COLUMNS = "public.customers.ssn,public.customers.password_hash";
+    jest.resetModules();
+
+    ({ enforceQueryPermissions } = await import("../../src/security/permissions.js"));
+    ({ allowlist } = await import("../../src/security/allowlist.js"));
+
+    delete process.env.ALLOWLIST_COLUMNS;
+    delete process.env.DENYLIST_COLUMNS;
+  });
+
+  const denied = (query, pattern) => {
+    expect(() => enforceQueryPermissions(query)).toThrow(pattern);
+  };
+
+  test("readable columns pass; tables without rules are unrestricted", () => {
+    expect(enforceQueryPermissions(
+      "SELECT c.id, c.name, o.total FROM public.customers c JOIN sales.orders o ON o.customer_id = c.id WHERE o.total > 10"
+    ).tables).toEqual(["public.customers", "sales.orders"]);
+    expect(enforceQueryPermissions("SELECT * FROM public.notes").tables).toEqual(["public.notes"]);
+  });
+
+  test("denied and non-allowlisted columns are rejected in every clause", () => {
+    denied("SELECT ssn FROM public.customers", /Column "public\.customers\.ssn" is not allowed/);
+    denied("SELECT c.id FROM public.customers c WHERE c.password_hash = 'x'", /password_hash/);
+    denied("SELECT o.id FROM sales.orders o ORDER BY o.created_at", /Column "sales\.orders\.created_at"/);
+    denied("SELECT c.id FROM public.customers c JOIN sales.orders o ON o.note = c.name", /sales\.orders\.note/);
+    denied("SELECT id FROM public.notes WHERE id IN (SELECT c.ssn FROM public.customers c)", /ssn/);
+    denied("WITH x AS (SELECT ssn AS s FROM public.customers) SELECT s FROM x", /ssn/);
+
+    expect(() => enforceQueryPermissions("SELECT ssn FROM public.customers"))
+      .toThrow(expect.objectContaining({ code: "UNAUTHORIZED_COLUMN" }));
+  });
+
+  test("SELECT * and whole-row references are rejected on restricted tables", () => {
+    denied("SELECT * FROM public.customers", /SELECT \* is not allowed on "public\.customers"/);
+    denied("SELECT c.* FROM public.customers c", /SELECT \*/);
+    denied("SELECT * FROM public.notes n JOIN sales.orders o ON o.id = n.id", /"sales\.orders"/);
+    denied("SELECT c FROM public.customers c", /SELECT \*/);
+    denied("SELECT x.id FROM (SELECT * FROM public.customers) x", /SELECT \*/);
+
+    // * over a derived table is checked where the base table is read
+    expect(enforceQueryPermissions("SELECT * FROM (SELECT c.id FROM public.customers c) x").tables)
+      .toEqual(["public.customers"]);
+  });
+
+  test("ambiguous references must be readable in every candidate table", () => {
+    // Unqualified in a join: could be either table
+    denied("SELECT ssn FROM public.notes n JOIN public.customers c ON c.id = n.id", /Column "ssn" is not allowed/);
+
+    // Unqualified in a subquery: may be a correlated reference to the outer table
+    denied("SELECT c.id FROM public.customers c WHERE EXISTS (SELECT 1 FROM public.notes n WHERE n.id = ssn)", /ssn/);
+
+    expect(enforceQueryPermissions("SELECT c.id FROM public.customers c WHERE c.id IN (SELECT n.id FROM public.notes n)").tables)
+      .toEqual(["public.customers", "public.notes"]);
+  });
+
+  test("JOIN ... USING columns are checked against both sides of the join", () => {
+    denied("SELECT c.id FROM public.customers c JOIN public.customers d USING (ssn)", /ssn/);
+    denied("SELECT n.id FROM public.notes n JOIN public.customers c USING (password_hash)", /password_hash/);
+    denied("SELECT o.id FROM sales.orders o JOIN public.notes n USING (note)", /note/);
+
+    expect(enforceQueryPermissions("SELECT n.id FROM public.notes n JOIN public.customers c USING (id)").tables)
+      .toEqual(["public.notes", "public.customers"]);
+  });
+
+  test("describe output hides columns that are not readable", () => {
+    const described = [{ name: "id" }, { name: "name" }, { name: "ssn" }, { name: "password_hash" }];
+
+    expect(allowlist.filterColumns("public", "customers", described).map((c) => c.name)).toEqual(["id", "name"]);
+    expect(allowlist.filterColumns("sales", "orders", [{ name: "id" }, { name: "total" }, { name: "note" }]).map((c) => c.name))
+      .toEqual(["id", "total"]);
+    expect(allowlist.filterColumns("public", "notes", described)).toEqual(described);
+  });
+
+  test("malformed column rules fail at startup", async () => {
+    process.env.DENYLIST_COLUMNS = "public.customers";
+    jest.resetModules();
+
+    await expect(import("../../src/security/allowlist.js")).rejects.toThrow(/expected schema\.table\.column/);
+
+    delete process.env.DENYLIST_COLUMNS;
+  });
+});
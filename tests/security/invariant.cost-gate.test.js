@@ -0,0 +1,174 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: queries over the configured cost limits never run.
+ *
+ * - The plan of the exact statement is checked before execution (all dialects)
+ * - Estimated rows, estimated cost and full scans of listed tables are enforced
+ * - Rejections carry QUERY_TOO_EXPENSIVE with the estimate in details
+ * - Unreadable plans reject the query (fail-closed)
+ */
+
+const postgresPlan = (rows, cost, scans) => [{
+  Plan: {
+    "Node Type": "Limit",
+    "Total Cost": cost,
+    "Plan Rows": 100,
+    Plans: [{
+      "Node Type": "Index Scan",
+      "Relation Name": "customers",
+      Schema: "sales",
+      "Total Cost": cost,
+      "Plan Rows": rows,
+    }, ...scans.map(([schema, relation]) => ({
+      "Node Type": "Seq Scan",
+      "Relation Name": relation,
+      Schema: schema,
+      "Total Cost": cost,
+      "Plan Rows": rows,
+    }))],
+  },
+}];
+
+const mssqlPlan = (op, schema, table, rows, cost) =>
+  `<ShowPlanXML xmlns="http://schemas.microsoft.com/sqlserver/2004/07/showplan"><BatchSequence><Batch><Statements>` +
+  `<StmtSimple StatementText="SELECT" StatementSubTreeCost="${cost}" StatementEstRows="100">` +
+  `<QueryPlan><RelOp NodeId="0" PhysicalOp="Top" EstimateRows="100">` +
+  `<RelOp NodeId="1" PhysicalOp="${op}" EstimateRows="${rows}" EstimatedRowsRead="${rows}">` +
+  `<OutputList><ColumnReference Schema="[other]" Table="[decoy]" Column="id" /></OutputList>` +
+  `<IndexScan><Object Database="[db]" Schema="[${schema}]" Table="[${table}]" Index="[PK]" /></IndexScan>` +
+  `</RelOp></RelOp></QueryPlan></StmtSimple></Statements></Batch></BatchSequence></ShowPlanXML>`;
+
+describe("security invariant: EXPLAIN-based cost gate", () => {
+  let CostGate;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let gate;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.MAX_ESTIMATED_ROWS = "50000";
+    process.env.DENY_FULL_SCAN_TABLES = "shop.events";
+    jest.resetModules();
+
+    ({ CostGate } = await import("../../src/security/costGate.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    delete process.env.MAX_ESTIMATED_ROWS;
+    delete process.env.DENY_FULL_SCAN_TABLES;
+    gate = new CostGate({ maxEstimatedRows: 10000, maxEstimatedCost: 5000, denyFullScanTables: "sales.orders" });
+  });
+
+  const expensive = (fn, pattern) => {
+    expect(fn).toThrow(expect.objectContaining({ code: "QUERY_TOO_EXPENSIVE", message: expect.stringMatching(pattern) }));
+  };
+
+  test("postgres plans are checked for rows, cost and full scans", () => {
+    expect(gate.enforce(postgresPlan(900, 40.5, [["sales", "customers"]]), "q")).toEqual({
+      rows: 900, cost: 40.5, fullScans: ["sales.customers"],
+    });
+
+    expensive(() => gate.enforce(postgresPlan(20000, 100, []), "q"), /estimated 20000 rows exceeds the limit of 10000/);
+    expensive(() => gate.enforce(postgresPlan(10, 9000, []), "q"), /estimated cost 9000 exceeds the limit of 5000/);
+    expensive(() => gate.enforce(postgresPlan(10, 10, [["sales", "orders"]]), "q"), /full scan of "sales\.orders"/);
+  });
+
+  test("mysql plans resolve table aliases against the query", () => {
+    const plan = JSON.stringify({
+      query_block: {
+        cost_info: { query_cost: "12.50" },
+        nested_loop: [
+          { table: { table_name: "c", access_type: "ALL", rows_examined_per_scan: 300 } },
+          { table: { table_name: "o", access_type: "ref", rows_examined_per_scan: 4 } },
+        ],
+      },
+    });
+
+    expect(gate.enforce(plan, "SELECT o.id FROM sales.customers c JOIN sales.orders o ON o.customer_id = c.id LIMIT 100", { dialect: "mysql" }))
+      .toEqual({ rows: 300, cost: 12.5, fullScans: ["sales.customers"] });
+
+    expensive(
+      () => gate.enforce(plan, "SELECT c.id FROM sales.orders c JOIN sales.customers o ON o.id = c.id LIMIT 100", { dialect: "mysql" }),
+      /full scan of "sales\.orders"/
+    );
+  });
+
+  test("mssql showplans are checked, with case-insensitive table names", () => {
+    expect(gate.enforce(mssqlPlan("Clustered Index Seek", "Sales", "Orders", 1, 0.01), "q", { dialect: "mssql" }))
+      .toEqual({ rows: 100, cost: 0.01, fullScans: [] });
+
+    expensive(
+      () => gate.enforce(mssqlPlan("Clustered Index Scan", "Sales", "Orders", 500, 2), "q", { dialect: "mssql" }),
+      /full scan of "Sales\.Orders"/
+    );
+    expensive(() => gate.enforce(mssqlPlan("Table Scan", "dbo", "log", 250000, 80), "q", { dialect: "mssql" }), /250000 rows/);
+  });
+
+  test("rejections carry the estimate; unreadable plans are rejected", () => {
+    expect(() => gate.enforce(postgresPlan(20000, 100, []), "q")).toThrow(expect.objectContaining({
+      details: {
+        estimatedRows: 20000,
+        estimatedCost: 100,
+        maxEstimatedRows: 10000,
+        maxEstimatedCost: 5000,
+        deniedFullScans: [],
+      },
+    }));
+
+    for (const [plan, dialect] of [[[{}], "postgres"], ["not json", "mysql"], ["<html/>", "mssql"], [undefined, "postgres"]]) {
+      expect(() => gate.enforce(plan, "SELECT 1", { dialect }))
+        .toThrow(expect.objectContaining({ code: "QUERY_REJECTED", message: expect.stringMatching(/plan could not be evaluated/) }));
+    }
+  });
+
+  test("malformed limits are rejected at load; no limits disables the gate", () => {
+    expect(() => new CostGate({ maxEstimatedRows: "lots" })).toThrow(/MAX_ESTIMATED_ROWS/);
+    expect(() => new CostGate({ maxEstimatedCost: -1 })).toThrow(/MAX_ESTIMATED_COST/);
+    expect(() => new CostGate({ denyFullScanTables: "orders" })).toThrow(/expected schema\.table/);
+    expect(new CostGate().enabled).toBe(false);
+  });
+
+  test("the adapter explains the statement and never runs a rejected query", async () => {
+    const statements = [];
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter.pool = {
+      getConnection: async () => ({
+        query: async (text) => {
+          statements.push(text);
+          if (text.startsWith("EXPLAIN")) {
+            return [[{ EXPLAIN: JSON.stringify({ query_block: { table: { table_name: "e", access_type: "ALL", rows_examined_per_scan: 10 } } }) }]];
+          }
+          return [[], []];
+        },
+        release: () => {},
+      }),
+    };
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-test", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "cost-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await expect(adapter.executeQuery({ query: "SELECT e.id FROM shop.events e", limit: 10 }, sessionContext))
+        .rejects.toMatchObject({ code: "QUERY_TOO_EXPENSIVE", details: { deniedFullScans: ["shop.events"] } });
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(statements).toContain("EXPLAIN FORMAT=JSON SELECT e.id FROM shop.events e LIMIT 10");
+    expect(statements).not.toContain("SELECT e.id FROM shop.events e LIMIT 10");
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: CTEs and subqueries are accepted only when provably read-only,
+ * and every base table they reach is authorized.
+ *
+ * - CTE names are not base tables; the tables inside CTE bodies are
+ * - enforceQueryPermissions rejects a non-allowlisted table at any depth
+ * - Data-modifying and unbounded recursive CTEs are rejected
+ * - Row limits apply to the outer query, not to a LIMIT/TOP inside a CTE
+ */
+
+describe("security invariant: CTEs and subqueries with full table authorization", () => {
+  let validateQueryWithTables;
+  let enforceQueryPermissions;
+  let enforceQueryLimit;
+
+  beforeAll(async () => {
+    // Allowlist singleton reads env at import
+    process.env.ALLOWLIST_SCHEMAS = "public,sales";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ validateQueryWithTables } = await import("../../src/security/queryValidator.js"));
+    ({ enforceQueryPermissions } = await import("../../src/security/permissions.js"));
+    ({ enforceQueryLimit } = await import("../../src/security/queryLimit.js"));
+  });
+
+  test("CTE names are resolved; base tables in CTE bodies and subqueries are extracted", () => {
+    const query =
+      "WITH recent AS (SELECT o.id, o.customer_id FROM sales.orders o WHERE o.total > 10), " +
+      "top_customers AS (SELECT r.customer_id FROM recent r JOIN public.customers c ON c.id = r.customer_id) " +
+      "SELECT t.customer_id FROM top_customers t WHERE EXISTS (SELECT 1 FROM sales.refunds f WHERE f.customer_id = t.customer_id)";
+
+    expect(validateQueryWithTables(query)).toEqual({
+      valid: true,
+      tables: ["sales.orders", "public.customers", "sales.refunds"],
+    });
+    expect(enforceQueryPermissions(query).tables).toEqual(["sales.orders", "public.customers", "sales.refunds"]);
+  });
+
+  test("a non-allowlisted table inside a CTE is denied", () => {
+    const query = "WITH leak AS (SELECT usename FROM pg_catalog.pg_user) SELECT usename FROM leak";
+
+    expect(validateQueryWithTables(query).valid).toBe(true);
+    expect(() => enforceQueryPermissions(query)).toThrow(/Schema "pg_catalog" is not allowed/);
+  });
+
+  test("data-modifying CTEs and duplicate CTE names are rejected", () => {
+    expect(validateQueryWithTables("WITH d AS (DELETE FROM sales.orders) SELECT id FROM d").reason)
+      .toBe("Query must not contain DELETE keyword");
+    expect(validateQueryWithTables("WITH m AS (MERGE sales.orders) SELECT id FROM m").reason)
+      .toMatch(/data-modifying CTEs forbidden/);
+    expect(validateQueryWithTables("WITH a AS (SELECT 1 FROM sales.orders), a AS (SELECT 2 FROM sales.orders) SELECT 1 FROM a").reason)
+      .toBe("Duplicate CTE name: a");
+  });
+
+  test("recursive CTEs must bound their depth", () => {
+    const bounded =
+      "WITH RECURSIVE tree(id, depth) AS (" +
+      "SELECT c.id, 1 FROM public.categories c WHERE c.parent_id IS NULL " +
+      "UNION ALL SELECT c.id, t.depth + 1 FROM public.categories c JOIN tree t ON c.parent_id = t.id WHERE t.depth < 10" +
+      ") SELECT id FROM tree";
+    expect(validateQueryWithTables(bounded)).toEqual({ valid: true, tables: ["public.categories"] });
+
+    for (const query of [
+      bounded.replace(" WHERE t.depth < 10", ""),
+      bounded.replace("t.depth < 10", "t.depth < 100000"),
+      bounded.replace("t.depth < 10", "t.depth < 10 OR c.id > 0"),
+    ]) {
+      expect(validateQueryWithTables(query).reason).toMatch(/must bound its recursion depth/);
+    }
+
+    // T-SQL has no RECURSIVE keyword: self-reference makes a CTE recursive
+    const tsql = bounded.replace("WITH RECURSIVE", "WITH").replace(" WHERE t.depth < 10", "");
+    expect(validateQueryWithTables(tsql, { dialect: "mssql" }).valid).toBe(false);
+  });
+
+  test("ORDER BY inside subqueries is validated per query level", () => {
+    const options = { allowedOrderByColumns: ["sales.orders.total", "public.customers.id"] };
+    const query = (key) =>
+      "SELECT c.id FROM public.customers c WHERE c.id IN " +
+      `(SELECT o.customer_id FROM sales.orders o ORDER BY ${key} DESC LIMIT 5) ORDER BY c.id ASC`;
+
+    expect(validateQueryWithTables(query("o.total"), options).valid).toBe(true);
+    expect(validateQueryWithTables(query("o.created_at"), options).reason)
+      .toBe("ORDER BY column not allowed: sales.orders.created_at");
+  });
+
+  test("row limits apply to the outer query", () => {
+    const cte = "WITH big AS (SELECT id FROM sales.orders LIMIT 5000) SELECT id FROM big";
+    expect(enforceQueryLimit(cte, 100)).toBe(`${cte} LIMIT 100`);
+    expect(enforceQueryLimit(`${cte} LIMIT 5000`, 100)).toBe(`${cte} LIMIT 100`);
+
+    expect(enforceQueryLimit("WITH big AS (SELECT TOP 5000 id FROM sales.orders) SELECT id FROM big", 100, { dialect: "mssql" }))
+      .toBe("WITH big AS (SELECT TOP 5000 id FROM sales.orders) SELECT TOP 100 id FROM big");
+    expect(() => enforceQueryLimit("SELECT id FROM sales.orders LIMIT $1", 100)).toThrow(/fail-closed/);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: explain_query reveals plans only for queries query_read would run.
+ *
+ * - The same validation, permission and tenant isolation pipeline runs first
+ * - ANALYZE executes the query, so it requires the query.analyze capability
+ * - Every dialect's plan is normalized to one shape
+ */
+
+const node = (fields) => ({
+  relation: null,
+  index: null,
+  fullScan: false,
+  estimatedRows: null,
+  estimatedCost: null,
+  actualRows: null,
+  actualTimeMs: null,
+  loops: null,
+  children: [],
+  ...fields,
+});
+
+describe("security invariant: explain_query", () => {
+  let normalizePlan;
+  let explainQueryTool;
+  let MSSQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "sales";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.TENANT_COLUMNS = "sales.orders.tenant_id";
+    jest.resetModules();
+
+    ({ normalizePlan } = await import("../../src/security/queryPlan.js"));
+    ({ explainQueryTool } = await import("../../src/tools/explainQuery.js"));
+    ({ MSSQLAdapter } = await import("../../src/adapters/mssql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    delete process.env.TENANT_COLUMNS;
+  });
+
+  const session = (grants) => {
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-a", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "explain-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }, ...grants],
+    }));
+    return sessionContext;
+  };
+
+  const mockedAdapter = (plan) => {
+    const adapter = new MSSQLAdapter({ host: "localhost", port: 1433, user: "sa", password: "test", database: "test" });
+    adapter._executeSafeExplain = jest.fn(async (query, params, options) => ({
+      plan, query, appliedLimit: options.maxLimit,
+    }));
+    return adapter;
+  };
+
+  const explain = async (adapter, input, sessionContext) => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      return await explainQueryTool.handler(explainQueryTool.inputSchema.parse(input), adapter, sessionContext);
+    } finally {
+      logSpy.mockRestore();
+    }
+  };
+
+  const showplan =
+    '<ShowPlanXML><BatchSequence><Batch><Statements><StmtSimple StatementSubTreeCost="0.5"><QueryPlan>' +
+    '<QueryTimeStats CpuTime="1" ElapsedTime="3" />' +
+    '<RelOp NodeId="0" PhysicalOp="Nested Loops" EstimateRows="10" EstimatedTotalSubtreeCost="0.5">' +
+    '<RunTimeInformation><RunTimeCountersPerThread Thread="0" ActualRows="4" ActualExecutions="1" ActualElapsedms="2" /></RunTimeInformation>' +
+    '<NestedLoops>' +
+    '<RelOp NodeId="1" PhysicalOp="Clustered Index Scan" EstimateRows="10" EstimatedTotalSubtreeCost="0.2">' +
+    '<IndexScan><Object Database="[db]" Schema="[sales]" Table="[customers]" Index="[PK_customers]" Alias="[c]" /></IndexScan></RelOp>' +
+    '<RelOp NodeId="2" PhysicalOp="Index Seek" EstimateRows="1" EstimatedTotalSubtreeCost="0.1">' +
+    '<IndexScan><Object Database="[db]" Schema="[sales]" Table="[orders]" Index="[IX_orders_customer]" /></IndexScan></RelOp>' +
+    '</NestedLoops></RelOp></QueryPlan></StmtSimple></Statements></Batch></BatchSequence></ShowPlanXML>';
+
+  test("every dialect's plan is normalized to the same shape", () => {
+    const postgres = normalizePlan([{
+      Plan: {
+        "Node Type": "Limit", "Plan Rows": 10, "Total Cost": 8.5, "Actual Rows": 4, "Actual Total Time": 0.2, "Actual Loops": 1,
+        Plans: [{
+          "Node Type": "Index Scan", "Relation Name": "orders", Schema: "sales", "Index Name": "orders_pkey",
+          "Plan Rows": 10, "Total Cost": 8.4, "Actual Rows": 4, "Actual Total Time": 0.1, "Actual Loops": 1,
+        }],
+      },
+      "Execution Time": 0.3,
+    }], "q");
+
+    expect(postgres).toEqual({
+      plan: node({
+        nodeType: "Limit", estimatedRows: 10, estimatedCost: 8.5, actualRows: 4, actualTimeMs: 0.2, loops: 1,
+        children: [node({
+          nodeType: "Index Scan", relation: "sales.orders", index: "orders_pkey",
+          estimatedRows: 10, estimatedCost: 8.4, actualRows: 4, actualTimeMs: 0.1, loops: 1,
+        })],
+      }),
+      estimatedRows: 10,
+      estimatedCost: 8.5,
+      executionTimeMs: 0.3,
+      indexesUsed: ["orders_pkey"],
+      fullScans: [],
+    });
+
+    const mysqlQuery = "SELECT c.id FROM sales.customers c JOIN sales.orders o ON o.customer_id = c.id LIMIT 10";
+    const mysql = normalizePlan(JSON.stringify({
+      query_block: {
+        cost_info: { query_cost: "3.10" },
+        nested_loop: [
+          { table: { table_name: "c", access_type: "ALL", rows_examined_per_scan: 3, cost_info: { prefix_cost: "0.55" } } },
+          { table: { table_name: "o", access_type: "ref", key: "idx_customer", rows_examined_per_scan: 2, cost_info: { prefix_cost: "3.10" } } },
+        ],
+      },
+    }), mysqlQuery, { dialect: "mysql" });
+
+    expect(mysql.plan).toEqual(node({
+      nodeType: "Query Block", estimatedCost: 3.1,
+      children: [node({
+        nodeType: "Nested Loop",
+        children: [
+          node({ nodeType: "Table Scan", relation: "sales.customers", fullScan: true, estimatedRows: 3, estimatedCost: 0.55 }),
+          node({ nodeType: "Index Lookup", relation: "sales.orders", index: "idx_customer", estimatedRows: 2, estimatedCost: 3.1 }),
+        ],
+      })],
+    }));
+    expect(mysql.fullScans).toEqual(["sales.customers"]);
+
+    const analyzed = normalizePlan(
+      "-> Limit: 10 row(s)  (cost=3.1 rows=6) (actual time=0.05..0.09 rows=4 loops=1)\n" +
+      "    -> Nested loop inner join  (cost=3.1 rows=6) (actual time=0.05..0.08 rows=4 loops=1)\n" +
+      "        -> Table scan on c  (cost=0.55 rows=3) (actual time=0.02..0.03 rows=3 loops=1)\n" +
+      "        -> Index lookup on o using idx_customer (customer_id=c.id)  (cost=0.8 rows=2) (actual time=0.01..0.01 rows=1 loops=3)\n",
+      mysqlQuery,
+      { dialect: "mysql" }
+    );
+
+    expect(analyzed.plan.children[0].children).toEqual([
+      node({ nodeType: "Table scan", relation: "sales.customers", fullScan: true, estimatedRows: 3, estimatedCost: 0.55, actualRows: 3, actualTimeMs: 0.03, loops: 1 }),
+      node({ nodeType: "Index lookup", relation: "sales.orders", index: "idx_customer", estimatedRows: 2, estimatedCost: 0.8, actualRows: 1, actualTimeMs: 0.01, loops: 3 }),
+    ]);
+    expect(analyzed.executionTimeMs).toBe(0.09);
+
+    const mssql = normalizePlan(showplan, "q", { dialect: "mssql" });
+    expect(mssql.plan.children.map((child) => [child.nodeType, child.relation, child.index, child.fullScan])).toEqual([
+      ["Clustered Index Scan", "sales.customers", "PK_customers", true],
+      ["Index Seek", "sales.orders", "IX_orders_customer", false],
+    ]);
+    expect(mssql.plan).toMatchObject({ nodeType: "Nested Loops", actualRows: 4, actualTimeMs: 2, loops: 1 });
+    expect(mssql).toMatchObject({ estimatedRows: 10, estimatedCost: 0.5, executionTimeMs: 3, indexesUsed: ["PK_customers", "IX_orders_customer"] });
+  });
+
+  test("the explained statement is the one query_read would run", async () => {
+    const adapter = mockedAdapter(showplan);
+    const result = await explain(adapter, { query: "SELECT o.id FROM sales.orders o", limit: 25 }, session([]));
+
+    expect(adapter._executeSafeExplain).toHaveBeenCalledWith(
+      "SELECT o.id FROM (SELECT * FROM sales.orders WHERE tenant_id = @param0) AS o",
+      ["tenant-a"],
+      expect.objectContaining({ maxLimit: 25, analyze: false })
+    );
+    expect(result.metadata).toEqual({ dialect: "mssql", analyzed: false, appliedLimit: 25 });
+    expect(result.indexesUsed).toEqual(["PK_customers", "IX_orders_customer"]);
+  });
+
+  test("queries query_read rejects are rejected before any plan is requested", async () => {
+    const adapter = mockedAdapter(showplan);
+
+    await expect(explain(adapter, { query: "DELETE FROM sales.orders" }, session([])))
+      .rejects.toMatchObject({ code: "QUERY_REJECTED" });
+    await expect(explain(adapter, { query: "SELECT id FROM hr.salaries" }, session([])))
+      .rejects.toMatchObject({ code: "UNAUTHORIZED_TABLE" });
+
+    expect(adapter._executeSafeExplain).not.toHaveBeenCalled();
+  });
+
+  test("ANALYZE requires the query.analyze capability", async () => {
+    const adapter = mockedAdapter(showplan);
+
+    await expect(explain(adapter, { query: "SELECT c.id FROM sales.customers c", analyze: true }, session([])))
+      .rejects.toMatchObject({ code: "PERMISSION_DENIED" });
+    expect(adapter._executeSafeExplain).not.toHaveBeenCalled();
+
+    const granted = session([{ action: CapabilityAction.QUERY_ANALYZE, target: "explain_query" }]);
+    const result = await explain(adapter, { query: "SELECT c.id FROM sales.customers c", analyze: true }, granted);
+
+    expect(adapter._executeSafeExplain).toHaveBeenCalledWith(expect.any(String), [], expect.objectContaining({ analyze: true }));
+    expect(result.metadata.analyzed).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, test, jest } from "@jest/globals";
+import { executeToolBoundary } from "../../src/core/executeToolBoundary.js";
+import { ToolRegistry } from "../../src/core/toolRegistry.js";
+import { SessionContext } from "../../src/core/sessionContext.js";
+import {
+  CapabilitySet,
+  CapabilityAction,
+  AuthzReason,
+  evaluateCapability,
+} from "../../src/security/capabilities.js";
+
+/**
+ * Security invariant: explicit deny grants override every matching allow.
+ *
+ * - Deny wins regardless of specificity (a wildcard deny beats an exact allow)
+ * - Denied tools are not executed and not listed
+ * - Unknown effects are rejected at construction (never treated as allow)
+ */
+
+function capabilities(grants) {
+  const now = Date.now();
+  return new CapabilitySet({
+    capSetId: "cap-deny",
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    issuer: "test",
+    grants,
+  });
+}
+
+const allExceptQueryRead = [
+  { action: CapabilityAction.TOOL_LIST, target: "*" },
+  { action: CapabilityAction.TOOL_INVOKE, target: "*" },
+  { action: CapabilityAction.TOOL_INVOKE, target: "query_read", effect: "deny" },
+];
+
+describe("security invariant: explicit deny grants", () => {
+  test("deny overrides a broader allow", () => {
+    const caps = capabilities(allExceptQueryRead);
+
+    const denied = evaluateCapability(caps, CapabilityAction.TOOL_INVOKE, "query_read");
+    expect(denied.allowed).toBe(false);
+    expect(denied.reason).toBe(AuthzReason.DENIED_EXPLICIT);
+
+    expect(evaluateCapability(caps, CapabilityAction.TOOL_INVOKE, "list_tables").allowed).toBe(true);
+  });
+
+  test("wildcard deny overrides an exact allow", () => {
+    const caps = capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_sales" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "report_*", effect: "deny" },
+    ]);
+
+    expect(evaluateCapability(caps, CapabilityAction.TOOL_INVOKE, "report_sales").reason).toBe(AuthzReason.DENIED_EXPLICIT);
+    expect(caps.findGrant(CapabilityAction.TOOL_INVOKE, "report_sales")).toBeNull();
+  });
+
+  test("boundary denies without executing, and listTools hides the tool", async () => {
+    const sessionContext = new SessionContext();
+    sessionContext.bind("agent-1", "tenant-a", "sess-deny");
+    sessionContext.attachCapabilities(capabilities(allExceptQueryRead));
+
+    const registry = new ToolRegistry();
+    const handler = jest.fn(async () => ({ ok: true }));
+    const inputSchema = { safeParse: (data) => ({ success: true, data }), _def: {} };
+    registry.registerTool({ name: "query_read", description: "q", inputSchema, handler });
+    registry.registerTool({ name: "list_tables", description: "l", inputSchema, handler });
+
+    const result = await executeToolBoundary({
+      toolName: "query_read",
+      input: {},
+      sessionContext,
+      toolRegistry: registry,
+      adapters: { getAdapter: () => ({ name: "mock-db" }), activeAdapter: { name: "mock-db" } },
+      mode: { readOnly: false },
+      meta: { nowMs: Date.now() },
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error.details.reason).toBe(AuthzReason.DENIED_EXPLICIT);
+    expect(handler).not.toHaveBeenCalled();
+
+    expect(registry.listTools(sessionContext).map((t) => t.name)).toEqual(["list_tables"]);
+  });
+
+  test("unknown effects and constrained denies are rejected", () => {
+    expect(() => capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "query_read", effect: "allow-all" },
+    ])).toThrow(/invalid grant effect/);
+
+    expect(() => capabilities([
+      { action: CapabilityAction.TOOL_INVOKE, target: "query_read", effect: "deny", constraints: { maxLimit: 10 } },
+    ])).toThrow(/cannot carry constraints/);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: side-effecting and exfiltrating functions never run.
+ *
+ * - Each dialect denies its dangerous functions by default, at any depth
+ * - Quoting, case and schema qualification do not get around the denylist
+ * - Allowlist mode admits only the listed functions; deny still wins
+ * - Adapters reject before execution with QUERY_REJECTED naming the function
+ */
+
+describe("security invariant: function policy", () => {
+  let FunctionPolicy;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.DENY_FUNCTIONS = "shop.export_all";
+    jest.resetModules();
+
+    ({ FunctionPolicy } = await import("../../src/security/functionPolicy.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    delete process.env.DENY_FUNCTIONS;
+  });
+
+  const rejected = (policy, query, dialect, fn) => {
+    expect(() => policy.enforce(query, { dialect })).toThrow(expect.objectContaining({
+      code: "QUERY_REJECTED",
+      message: expect.stringMatching(/is not allowed/),
+      details: expect.objectContaining({ function: fn }),
+    }));
+  };
+
+  test("each dialect denies its dangerous functions by default, at any depth", () => {
+    const policy = new FunctionPolicy();
+
+    rejected(policy, "SELECT pg_sleep(10) FROM sales.orders", "postgres", "pg_sleep");
+    rejected(policy, "SELECT id FROM sales.orders WHERE 1 = (SELECT count(*) FROM sales.items WHERE note = pg_read_file('/etc/passwd'))", "postgres", "pg_read_file");
+    rejected(policy, "WITH x AS (SELECT dblink('host=evil', 'SELECT 1') AS r FROM sales.orders) SELECT r FROM x", "postgres", "dblink");
+    rejected(policy, "SELECT lo_export(1, '/tmp/x') FROM sales.orders UNION SELECT 1 FROM sales.items", "postgres", "lo_export");
+    rejected(policy, "SELECT query_to_xml('SELECT * FROM hr.salaries', true, true, '') FROM sales.orders", "postgres", "query_to_xml");
+
+    rejected(policy, "SELECT SLEEP(5) FROM shop.orders", "mysql", "SLEEP");
+    rejected(policy, "SELECT id FROM shop.orders WHERE BENCHMARK(1000000, MD5('x')) = 0", "mysql", "BENCHMARK");
+    rejected(policy, "SELECT LOAD_FILE('/etc/passwd') FROM shop.orders", "mysql", "LOAD_FILE");
+
+    rejected(policy, "SELECT xp_cmdshell('dir') FROM dbo.orders", "mssql", "xp_cmdshell");
+    rejected(policy, "SELECT OPENROWSET('SQLNCLI', 'Server=evil', 'SELECT 1') FROM dbo.orders", "mssql", "OPENROWSET");
+
+    expect(policy.enforce("SELECT count(*), lower(name), coalesce(note, '') FROM sales.orders", { dialect: "postgres" }))
+      .toEqual(["count", "lower", "coalesce"]);
+    expect(policy.enforce("SELECT SLEEPING_BEAUTY(id) FROM shop.orders", { dialect: "mysql" })).toEqual(["SLEEPING_BEAUTY"]);
+  });
+
+  test("quoting, case and schema qualification do not get around the denylist", () => {
+    const policy = new FunctionPolicy();
+
+    rejected(policy, "SELECT pg_catalog.pg_sleep(1) FROM sales.orders", "postgres", "pg_catalog.pg_sleep");
+    rejected(policy, "SELECT \"pg_sleep\"(1) FROM sales.orders", "postgres", "pg_sleep");
+    rejected(policy, "SELECT PG_SLEEP_FOR('1 second') FROM sales.orders", "postgres", "PG_SLEEP_FOR");
+    rejected(policy, "SELECT `sleep`(1) FROM shop.orders", "mysql", "sleep");
+    rejected(policy, "SELECT [master].[dbo].[XP_CMDSHELL]('dir') FROM dbo.orders", "mssql", "master.dbo.XP_CMDSHELL");
+
+    // Qualified DENY_FUNCTIONS entries target the wrapper function only
+    const wrapped = new FunctionPolicy({ denyFunctions: "dbo.run_cmd" });
+    rejected(wrapped, "SELECT dbo.run_cmd('dir') FROM dbo.orders", "mssql", "dbo.run_cmd");
+    expect(wrapped.enforce("SELECT audit.run_cmd('x') FROM dbo.orders", { dialect: "mssql" })).toEqual(["audit.run_cmd"]);
+  });
+
+  test("allowlist mode admits only the listed functions; deny still wins", () => {
+    const policy = new FunctionPolicy({ mode: "allowlist", allowFunctions: "count,lower,date_*,util.safe_fn,pg_sleep" });
+
+    expect(policy.enforce("SELECT count(*), LOWER(name), date_trunc('day', at), util.safe_fn(id) FROM sales.orders", { dialect: "postgres" }))
+      .toEqual(["count", "lower", "date_trunc", "util.safe_fn"]);
+
+    rejected(policy, "SELECT upper(name) FROM sales.orders", "postgres", "upper");
+    rejected(policy, "SELECT evil.lower(name) FROM sales.orders", "postgres", "evil.lower");
+    rejected(policy, "SELECT \"LOWER\"(name) FROM sales.orders", "postgres", "LOWER");
+    rejected(policy, "SELECT pg_sleep(1) FROM sales.orders", "postgres", "pg_sleep");
+    rejected(policy, "SELECT id FROM sales.orders WHERE at > CURRENT_DATE", "postgres", "CURRENT_DATE");
+
+    expect(() => policy.enforce("SELECT upper(name) FROM sales.orders")).toThrow(expect.objectContaining({
+      details: { rule: "function-policy", function: "upper", mode: "allowlist" },
+    }));
+  });
+
+  test("malformed configuration is rejected at load", () => {
+    expect(() => new FunctionPolicy({ mode: "strict" })).toThrow(/FUNCTION_POLICY_MODE/);
+    expect(() => new FunctionPolicy({ denyFunctions: "pg_sleep()" })).toThrow(/DENY_FUNCTIONS: invalid entry/);
+    expect(() => new FunctionPolicy({ mode: "allowlist", allowFunctions: "a.b.c" })).toThrow(/ALLOW_FUNCTIONS: invalid entry/);
+    expect(() => new FunctionPolicy({ allowFunctions: "lower" })).toThrow(/requires FUNCTION_POLICY_MODE=allowlist/);
+  });
+
+  test("the adapter rejects before execution", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter._executeSafeRead = jest.fn(async () => ({ rows: [], fields: [] }));
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-test", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "function-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await expect(adapter.executeQuery({ query: "SELECT id FROM shop.orders WHERE SLEEP(10) = 0" }, sessionContext))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED", details: { rule: "function-policy", function: "SLEEP", mode: "denylist" } });
+      await expect(adapter.executeQuery({ query: "SELECT shop.export_all(id) FROM shop.orders" }, sessionContext))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED", message: expect.stringMatching(/"shop\.export_all" is not allowed/) });
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(adapter._executeSafeRead).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, expect, test, jest } from "@jest/globals";
+import { executeToolBoundary } from "../../src/core/executeToolBoundary.js";
+import { SessionContext } from "../../src/core/sessionContext.js";
+import { CapabilitySet, CapabilityAction } from "../../src/security/capabilities.js";
+import { queryReadTool } from "../../src/tools/queryRead.js";
+import { describeTableTool } from "../../src/tools/describeTable.js";
+import { listTablesTool } from "../../src/tools/listTables.js";
+
+/**
+ * Security invariant: grant constraints are enforced at the boundary.
+ *
+ * - Constraints are checked against the validated tool input, before execution
+ * - Violations deny with DENIED_CONSTRAINT_VIOLATION and zero adapter side effects
+ * - A constraint the tool cannot report on denies (fail-closed)
+ * - Schema and table names match the way the engine resolves them (no case folding on PostgreSQL/MySQL)
+ */
+
+function setup(constraints, { tenant = "tenant-a", adapterName = "mock-db" } = {}) {
+  const sessionContext = new SessionContext();
+  sessionContext.bind("agent-1", tenant, "sess-constraints");
+
+  const now = Date.now();
+  sessionContext.attachCapabilities(new CapabilitySet({
+    capSetId: "cap-constraints",
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    issuer: "test",
+    grants: [
+      { action: CapabilityAction.TOOL_INVOKE, target: "*", constraints },
+    ],
+  }));
+
+  const adapter = {
+    name: adapterName,
+    executeQuery: jest.fn(async () => ({ rows: [], rowCount: 0, fields: [], executionTime: 0, truncated: false, appliedLimit: 10 })),
+    describeTable: jest.fn(async () => []),
+    listTables: jest.fn(async () => []),
+  };
+
+  const tools = [queryReadTool, describeTableTool, listTablesTool];
+  const run = (toolName, input, nowMs = Date.now()) => executeToolBoundary({
+    toolName,
+    input,
+    sessionContext,
+    toolRegistry: { tools: new Map(tools.map((t) => [t.name, t])) },
+    adapters: { getAdapter: () => adapter, activeAdapter: adapter },
+    mode: { readOnly: false },
+    meta: { nowMs },
+  });
+
+  return { run, adapter };
+}
+
+function expectConstraintDenial(result, constraint) {
+  expect(result.ok).toBe(false);
+  expect(result.error.code).toBe("UNAUTHORIZED");
+  expect(result.error.details.reason).toBe("DENIED_CONSTRAINT_VIOLATION");
+  expect(result.error.details.constraint).toBe(constraint);
+}
+
+describe("security invariant: grant constraints", () => {
+  test("query_read is limited to granted tables and schemas", async () => {
+    const { run, adapter } = setup({ tables: ["sales.orders"], schemas: ["sales"] });
+
+    const allowed = await run("query_read", { query: "SELECT id FROM sales.orders" });
+    expect(allowed.ok).toBe(true);
+
+    const otherTable = await run("query_read", { query: "SELECT id FROM sales.customers" });
+    expectConstraintDenial(otherTable, "tables");
+
+    const joined = await run("query_read", {
+      query: "SELECT o.id FROM sales.orders o JOIN hr.salaries s ON s.id = o.id",
+    });
+    expectConstraintDenial(joined, "tables");
+
+    expect(adapter.executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test("table and schema names are matched as the engine resolves them", async () => {
+    // PostgreSQL: "Orders" is a different table from orders
+    const pg = setup({ tables: ["sales.orders"] }, { adapterName: "postgres" });
+    expect((await pg.run("query_read", { query: "SELECT id FROM Sales.ORDERS" })).ok).toBe(true);
+    expectConstraintDenial(await pg.run("query_read", { query: 'SELECT id FROM sales."Orders"' }), "tables");
+    expectConstraintDenial(await pg.run("describe_table", { schema: "sales", table: "Orders" }), "tables");
+
+    // MySQL: names are used as written
+    const mysql = setup({ schemas: ["sales"] }, { adapterName: "mysql" });
+    expectConstraintDenial(await mysql.run("list_tables", { schema: "Sales" }), "schemas");
+
+    // SQL Server compares names case-insensitively
+    const mssql = setup({ tables: ["sales.orders"] }, { adapterName: "mssql" });
+    expect((await mssql.run("query_read", { query: "SELECT id FROM [Sales].[Orders]" })).ok).toBe(true);
+  });
+
+  test("unparseable queries cannot satisfy table constraints", async () => {
+    const { run, adapter } = setup({ schemas: ["sales"] });
+
+    const result = await run("query_read", { query: "SELECT id FROM orders" });
+    expectConstraintDenial(result, "schemas");
+    expect(adapter.executeQuery).not.toHaveBeenCalled();
+  });
+
+  test("limit and timeout are capped", async () => {
+    const { run, adapter } = setup({ maxLimit: 50, maxTimeout: 5000 });
+
+    // Default limit (100) exceeds the grant
+    expectConstraintDenial(await run("query_read", { query: "SELECT id FROM sales.orders" }), "maxLimit");
+    expectConstraintDenial(
+      await run("query_read", { query: "SELECT id FROM sales.orders", limit: 50, timeout: 10000 }),
+      "maxTimeout"
+    );
+
+    const allowed = await run("query_read", { query: "SELECT id FROM sales.orders", limit: 50, timeout: 5000 });
+    expect(allowed.ok).toBe(true);
+    expect(adapter.executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test("tools that cannot report a constrained facet are denied", async () => {
+    const { run, adapter } = setup({ schemas: ["sales"] });
+
+    // list_tables without a schema filter spans all schemas
+    expectConstraintDenial(await run("list_tables", {}), "schemas");
+    expect((await run("list_tables", { schema: "sales" })).ok).toBe(true);
+
+    expectConstraintDenial(await run("describe_table", { schema: "hr", table: "salaries" }), "schemas");
+    expect((await run("describe_table", { schema: "sales", table: "orders" })).ok).toBe(true);
+
+    expect(adapter.listTables).toHaveBeenCalledTimes(1);
+    expect(adapter.describeTable).toHaveBeenCalledTimes(1);
+  });
+
+  test("tenant and allowed hours are enforced before execution", async () => {
+    const wrongTenant = setup({ tenant: "tenant-b" });
+    expectConstraintDenial(await wrongTenant.run("list_tables", {}), "tenant");
+    expect(wrongTenant.adapter.listTables).not.toHaveBeenCalled();
+
+    const hours = setup({ allowedHours: { start: 22, end: 6 } });
+    const at = (hour) => Date.UTC(2025, 0, 1, hour, 30);
+
+    expect((await hours.run("list_tables", {}, at(23))).ok).toBe(true);
+    expect((await hours.run("list_tables", {}, at(3))).ok).toBe(true);
+    expectConstraintDenial(await hours.run("list_tables", {}, at(12)), "allowedHours");
+    expect(hours.adapter.listTables).toHaveBeenCalledTimes(2);
+  });
+
+  test("malformed or unknown constraints are rejected when capabilities are issued", () => {
+    const now = Date.now();
+    const issue = (constraints) => new CapabilitySet({
+      capSetId: "cap-bad",
+      issuedAt: now,
+      expiresAt: now + 60_000,
+      issuer: "test",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "query_read", constraints }],
+    });
+
+    expect(() => issue({ rowFilter: "tenant_id = 1" })).toThrow(/unknown grant constraint/);
+    expect(() => issue({ tables: ["orders"] })).toThrow(/schema.table/);
+    expect(() => issue({ maxLimit: 0 })).toThrow(/positive integer/);
+    expect(() => issue({ allowedHours: { start: 9, end: 9 } })).toThrow(/allowedHours/);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, expect, test, jest, afterEach } from "@jest/globals";
+import { HttpTransportHost } from "../../src/core/httpTransport.js";
+
+/**
+ * Security invariant: the HTTP transport never creates or resumes an MCP session
+ * from an untrusted request that is not a well-formed initialize call.
+ *
+ * Context:
+ * - Each MCP session gets its own protocol server from createServer().
+ * - Tests must not import server.js; the host is exercised directly on an ephemeral port.
+ */
+
+function createHostConfig(overrides = {}) {
+  return {
+    host: "127.0.0.1",
+    port: 0,
+    path: "/mcp",
+    ssePath: "/sse",
+    messagesPath: "/messages",
+    enableSse: true,
+    allowedHosts: [],
+    drainTimeoutMs: 1000,
+    maxBodyBytes: 1024,
+    ...overrides,
+  };
+}
+
+describe("security invariant: HTTP transport fails closed on unknown sessions", () => {
+  let host;
+
+  afterEach(async () => {
+    if (host) {
+      await host.drain();
+      host = null;
+    }
+  });
+
+  async function startHost(overrides) {
+    const createServer = jest.fn(() => {
+      throw new Error("createServer must not be called");
+    });
+    const resolveSession = jest.fn(async () => {
+      throw new Error("resolveSession must not be called");
+    });
+    host = new HttpTransportHost({ config: createHostConfig(overrides), resolveSession, createServer });
+    const { port } = await host.start();
+    return { createServer, baseUrl: `http://127.0.0.1:${port}` };
+  }
+
+  test("rejects non-initialize requests without a session ID (no session created)", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "query_read" } }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(createServer).not.toHaveBeenCalled();
+    expect(host.sessions.size).toBe(0);
+  });
+
+  test("rejects unknown Streamable HTTP and SSE session IDs", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    const streamable = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "mcp-session-id": "forged-session" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+    });
+    expect(streamable.status).toBe(404);
+
+    const sse = await fetch(`${baseUrl}/messages?sessionId=forged-session`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+    });
+    expect(sse.status).toBe(404);
+
+    expect(createServer).not.toHaveBeenCalled();
+  });
+
+  test("rejects oversized and malformed bodies before parsing into a session", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    const oversized = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ padding: "x".repeat(4096) }),
+    });
+    expect(oversized.status).toBe(413);
+
+    const malformed = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{not json",
+    });
+    expect(malformed.status).toBe(400);
+
+    expect(createServer).not.toHaveBeenCalled();
+  });
+
+  test("rejects partial TLS configuration instead of serving plaintext", async () => {
+    host = null;
+    const partial = new HttpTransportHost({
+      config: createHostConfig({ tlsCertFile: "/nonexistent/cert.pem" }),
+      resolveSession: jest.fn(),
+      createServer: jest.fn(),
+    });
+
+    await expect(partial.start()).rejects.toThrow(/TLS misconfigured/);
+    expect(partial.httpServer).toBeNull();
+  });
+
+  test("drain waits for in-flight calls before closing", async () => {
+    let releaseCall;
+    const inFlight = new Promise((resolve) => {
+      releaseCall = resolve;
+    });
+    const waitForIdle = jest.fn(() => inFlight);
+
+    host = new HttpTransportHost({
+      config: createHostConfig(),
+      resolveSession: jest.fn(),
+      createServer: jest.fn(),
+      waitForIdle,
+    });
+    await host.start();
+
+    let drained = false;
+    const draining = host.drain().then(() => {
+      drained = true;
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(waitForIdle).toHaveBeenCalledTimes(1);
+    expect(host.draining).toBe(true);
+    expect(drained).toBe(false);
+
+    releaseCall();
+    await draining;
+    expect(drained).toBe(true);
+    host = null;
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: continuation tokens only continue the query and session they were issued to.
+ *
+ * - A full page of an ORDER BY query returns a signed token holding the last row's sort key
+ * - The next page is read with a keyset predicate; sort key values are bound, never inlined
+ * - Tokens replayed by another session, for another query, tampered with or expired are rejected
+ * - Queries that keyset cannot continue correctly get no token (sort keys that can tie, Date sort key values)
+ */
+
+describe("security invariant: keyset pagination", () => {
+  let KeysetPagination;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let pagination;
+  let policy;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.CONTINUATION_SECRET = "c".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop,sales,dbo";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ KeysetPagination } = await import("../../src/security/keysetPagination.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    const { OrderByPolicy, configureOrderByPolicy } = await import("../../src/security/orderByPolicy.js");
+    policy = new OrderByPolicy({
+      tables: {
+        "shop.orders": { columns: ["id", "created_at"], unique: ["id"] },
+        "shop.items": { columns: ["id"], unique: ["id"] },
+        "sales.orders": { columns: ["id", "total"], unique: ["id"] },
+        "sales.customers": { columns: ["id"], unique: ["id"] },
+        "dbo.orders": { columns: ["id", "name"], unique: ["id"] },
+      },
+    });
+    configureOrderByPolicy(policy);
+
+    delete process.env.CONTINUATION_SECRET;
+    pagination = new KeysetPagination({ secret: "k".repeat(32) });
+  });
+
+  const session = (sessionId, tenant = "tenant-a") => {
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", tenant, sessionId);
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "pagination-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+    return sessionContext;
+  };
+
+  const rewrite = (query, params, values, dialect) =>
+    pagination.rewrite(query, params, pagination.plan(query, { dialect, orderByPolicy: policy }), values, { dialect });
+
+  test("the keyset predicate follows each dialect's sort order and placeholders", () => {
+    // PostgreSQL: NULLs sort last ascending; new placeholders follow the query's own
+    expect(rewrite("SELECT o.id, o.total AS amount FROM sales.orders o WHERE o.region = $1 ORDER BY amount DESC, o.id ASC", ["eu"], [10.5, 42], "postgres"))
+      .toEqual({
+        query: "SELECT o.id, o.total AS amount FROM sales.orders o WHERE (o.region = $1) AND " +
+          "((o.total < $2) OR (o.total = $2 AND (o.id > $3 OR o.id IS NULL))) ORDER BY amount DESC, o.id ASC",
+        params: ["eu", 10.5, 42],
+      });
+
+    // MySQL: `?` values are spliced in text order, before placeholders that follow the WHERE clause
+    expect(rewrite("SELECT o.id, i.id AS item FROM shop.orders o JOIN shop.items i ON i.order_id = o.id AND i.kind = ? GROUP BY o.id, i.id HAVING count(*) > ? ORDER BY o.id ASC, item ASC", ["book", 2], [7, 8], "mysql"))
+      .toEqual({
+        query: "SELECT o.id, i.id AS item FROM shop.orders o JOIN shop.items i ON i.order_id = o.id AND i.kind = ? WHERE (o.id > ?) OR (o.id = ? AND i.id > ?) GROUP BY o.id, i.id HAVING count(*) > ? ORDER BY o.id ASC, item ASC",
+        params: ["book", 7, 7, 8, 2],
+      });
+
+    // SQL Server: a NULL sort key continues with the rows that tie on it
+    expect(rewrite("SELECT o.id, o.name FROM dbo.orders o WHERE o.region = @param0 ORDER BY o.name DESC, o.id DESC", ["eu"], [null, 7], "mssql"))
+      .toEqual({
+        query: "SELECT o.id, o.name FROM dbo.orders o WHERE (o.region = @param0) AND ((o.name IS NULL AND (o.id < @param1 OR o.id IS NULL))) ORDER BY o.name DESC, o.id DESC",
+        params: ["eu", 7],
+      });
+
+    // Placeholders beyond the supplied parameters cannot be bound safely
+    expect(() => rewrite("SELECT o.id FROM sales.orders o WHERE o.region = $2 ORDER BY o.id ASC", ["eu"], [1], "postgres"))
+      .toThrow(expect.objectContaining({ code: "INVALID_CONTINUATION" }));
+  });
+
+  test("queries keyset cannot continue correctly get no token", () => {
+    const unavailable = (query, dialect = "postgres") => pagination.plan(query, { dialect, orderByPolicy: policy }).reason;
+
+    expect(unavailable("SELECT o.id FROM sales.orders o")).toBe("query has no ORDER BY");
+    expect(unavailable("SELECT o.id FROM sales.orders o ORDER BY o.id ASC LIMIT 10")).toBe("query has its own row limit");
+    expect(unavailable("SELECT TOP 10 o.id FROM dbo.orders o ORDER BY o.id ASC", "mssql")).toBe("query has its own row limit");
+    expect(unavailable("SELECT * FROM sales.orders o ORDER BY o.id ASC")).toBe("SELECT * cannot be paginated");
+    expect(unavailable("SELECT o.id FROM sales.orders o UNION SELECT i.id FROM sales.items i ORDER BY id ASC")).toBe("set operations cannot be paginated");
+    expect(unavailable("SELECT o.id, row_number() OVER (ORDER BY o.id ASC) AS n FROM sales.orders o ORDER BY o.id ASC")).toBe("window functions cannot be paginated");
+    expect(unavailable("SELECT o.total FROM sales.orders o ORDER BY o.id ASC")).toBe("sort key o.id is not returned as a plain column");
+    expect(unavailable("SELECT o.id, c.id FROM sales.orders o JOIN sales.customers c ON c.id = o.customer_id ORDER BY o.id ASC"))
+      .toBe("sort key o.id is returned under an ambiguous name");
+    expect(new KeysetPagination().plan("SELECT o.id FROM sales.orders o ORDER BY o.id ASC", { orderByPolicy: policy }).keys).toBeNull();
+
+    // Rows tied on a non-unique key would be skipped: every table needs a unique sort key
+    expect(unavailable("SELECT o.id, o.total FROM sales.orders o ORDER BY o.total DESC")).toBe("sort keys do not include a unique column of sales.orders");
+    expect(unavailable("SELECT o.id, c.id AS cid FROM sales.orders o JOIN sales.customers c ON c.id = o.customer_id ORDER BY o.id ASC"))
+      .toBe("sort keys do not include a unique column of sales.customers");
+    expect(unavailable("SELECT x.id FROM (SELECT o.id FROM sales.orders o) x ORDER BY x.id ASC")).toBe("only base tables can be paginated");
+    expect(pagination.plan("SELECT o.id FROM sales.orders o ORDER BY o.id ASC").reason).toBe("sort keys do not include a unique column of sales.orders");
+    expect(unavailable("SELECT o.total, o.id FROM sales.orders o ORDER BY o.total DESC, o.id ASC")).toBeUndefined();
+
+    expect(() => new KeysetPagination({ secret: "short" })).toThrow(/at least 32 characters/);
+    expect(() => new KeysetPagination({ secret: "k".repeat(32), ttlMs: "soon" })).toThrow(/CONTINUATION_TTL_MS/);
+  });
+
+  test("a full page returns a token that reads the next page by keyset", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    // Timestamps returned as text keep their microseconds
+    const placed = "2026-01-02 03:04:05.123456";
+    adapter._executeSafeRead = jest.fn(async () => ({
+      rows: [{ id: 43, created_at: "2026-01-03 00:00:00.000000" }, { id: 42, created_at: placed }],
+      rowCount: 2, fields: [], executionTime: 1, truncated: false, appliedLimit: 2,
+    }));
+
+    const query = "SELECT o.id, o.created_at FROM shop.orders o WHERE o.status = ? ORDER BY o.created_at DESC, o.id DESC";
+    const owner = session("session-1");
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const first = await adapter.executeQuery({ query, params: ["open"], limit: 2 }, owner);
+      expect(first.continuation).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+      expect(adapter._executeSafeRead).toHaveBeenLastCalledWith(query, ["open"], expect.any(Object));
+
+      await adapter.executeQuery({ query, params: ["open"], limit: 2, continuation: first.continuation }, owner);
+      expect(adapter._executeSafeRead).toHaveBeenLastCalledWith(
+        "SELECT o.id, o.created_at FROM shop.orders o WHERE (o.status = ?) AND " +
+          "(((o.created_at < ? OR o.created_at IS NULL)) OR (o.created_at = ? AND (o.id < ? OR o.id IS NULL))) " +
+          "ORDER BY o.created_at DESC, o.id DESC",
+        ["open", placed, placed, 42],
+        expect.any(Object),
+      );
+
+      // Rows tied with the last row on a non-unique key would be skipped: no token
+      expect((await adapter.executeQuery({ query: "SELECT o.id, o.created_at FROM shop.orders o ORDER BY o.created_at DESC", limit: 2 }, owner)).continuation)
+        .toBeNull();
+
+      // A Date stops at milliseconds: 03:04:05.123456 would come back as .123 and skip
+      // the rows between, so a Date sort key gets no token
+      adapter._executeSafeRead.mockResolvedValueOnce({
+        rows: [{ id: 43, created_at: new Date("2026-01-03T00:00:00.000Z") }, { id: 42, created_at: new Date("2026-01-02T03:04:05.123Z") }],
+        rowCount: 2, fields: [], executionTime: 1, truncated: false, appliedLimit: 2,
+      });
+      expect((await adapter.executeQuery({ query, params: ["open"], limit: 2 }, owner)).continuation).toBeNull();
+
+      // A page that is not full is the last one
+      adapter._executeSafeRead.mockResolvedValueOnce({ rows: [{ id: 1, created_at: placed }], rowCount: 1, fields: [], executionTime: 1, truncated: false, appliedLimit: 2 });
+      expect((await adapter.executeQuery({ query, params: ["open"], limit: 2 }, owner)).continuation).toBeNull();
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+
+  test("tokens replayed by another session, for another query, tampered with or expired are rejected", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter._executeSafeRead = jest.fn(async () => ({
+      rows: [{ id: 9 }], rowCount: 1, fields: [], executionTime: 1, truncated: false, appliedLimit: 1,
+    }));
+
+    const query = "SELECT o.id FROM shop.orders o WHERE o.id > ? ORDER BY o.id ASC";
+    const owner = session("session-1");
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const { continuation } = await adapter.executeQuery({ query, params: [0], limit: 1 }, owner);
+      adapter._executeSafeRead.mockClear();
+
+      const rejected = (input, sessionContext, message) => expect(adapter.executeQuery({ limit: 1, params: [0], ...input }, sessionContext))
+        .rejects.toMatchObject({ code: "INVALID_CONTINUATION", message: expect.stringMatching(message) });
+
+      await rejected({ query, continuation }, session("session-2"), /different session/);
+      await rejected({ query, continuation }, session("session-1", "tenant-b"), /different session/);
+      await rejected({ query: `${query.replace("ASC", "DESC")}`, continuation }, owner, /different query/);
+      await rejected({ query, params: [1], continuation }, owner, /different query/);
+
+      const [payload, signature] = continuation.split(".");
+      const forged = JSON.parse(Buffer.from(payload, "base64url").toString());
+      forged.keys = [["n", 0]];
+      await rejected({ query, continuation: `${Buffer.from(JSON.stringify(forged)).toString("base64url")}.${signature}` }, owner, /signature is invalid/);
+      await rejected({ query, continuation: "not-a-token" }, owner, /malformed/);
+
+      expect(adapter._executeSafeRead).not.toHaveBeenCalled();
+
+      // Expired tokens
+      const now = Date.now();
+      const clock = jest.spyOn(Date, "now").mockReturnValue(now + 16 * 60 * 1000);
+      try {
+        await rejected({ query, continuation }, owner, /expired/);
+      } finally {
+        clock.mockRestore();
+      }
+
+      await adapter.executeQuery({ query, params: [0], limit: 1, continuation }, owner);
+      expect(adapter._executeSafeRead).toHaveBeenLastCalledWith("SELECT o.id FROM shop.orders o WHERE (o.id > ?) AND ((o.id > ?)) ORDER BY o.id ASC", [0, 9], expect.any(Object));
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});
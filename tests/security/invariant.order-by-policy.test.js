@@ -0,0 +1,194 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Security invariant: queries sort only by what the ORDER BY policy allows.
+ *
+ * - Sortable columns, key limit and modifiers are configured per table
+ * - A table without an entry cannot be sorted (default deny)
+ * - Select-list aliases sort only if they name exactly one plain, sortable column
+ * - Malformed policies are rejected at load; adapters apply the policy configured at startup
+ *   and never load the file themselves
+ */
+
+describe("security invariant: ORDER BY policy", () => {
+  let validateQueryWithTables;
+  let OrderByPolicy;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let policy;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop";
+    process.env.ALLOWLIST_TABLES = "";
+
+    const policyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "order-by-")), "order-by.json");
+    fs.writeFileSync(policyFile, JSON.stringify({ tables: { "shop.orders": { columns: ["id", "created_at"] } } }));
+    process.env.MCP_ORDER_BY_POLICY_FILE = policyFile;
+    jest.resetModules();
+
+    ({ validateQueryWithTables } = await import("../../src/security/queryValidator.js"));
+    let configureOrderByPolicyFromEnv;
+    ({ OrderByPolicy, configureOrderByPolicyFromEnv } = await import("../../src/security/orderByPolicy.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    // Loaded once at startup, like the server does
+    expect(configureOrderByPolicyFromEnv().rulesFor("shop.orders").maxKeys).toBe(2);
+    delete process.env.MCP_ORDER_BY_POLICY_FILE;
+
+    policy = new OrderByPolicy({
+      tables: {
+        "sales.orders": { columns: ["id", "created_at", "total"], maxKeys: 3, modifiers: ["ASC", "DESC", "NULLS LAST"] },
+        "sales.customers": { columns: ["name"], maxKeys: 1, modifiers: ["ASC"] },
+      },
+    });
+  });
+
+  const check = (query, options = {}) => validateQueryWithTables(query, { orderByPolicy: policy, ...options });
+  const rejected = (query, reason, options) => {
+    expect(check(query, options)).toEqual({ valid: false, reason, rule: "order-by-allowlist" });
+  };
+
+  test("sortable columns, key limit and modifiers are configured per table", () => {
+    expect(check("SELECT o.id FROM sales.orders o ORDER BY o.created_at DESC NULLS LAST, o.total ASC, o.id ASC").valid).toBe(true);
+    expect(check("SELECT o.id FROM sales.orders o ORDER BY sales.orders.total DESC").valid).toBe(true);
+    expect(check("SELECT c.name FROM sales.customers c ORDER BY c.name ASC").valid).toBe(true);
+
+    rejected("SELECT o.id FROM sales.orders o ORDER BY o.status ASC", "ORDER BY column not allowed: sales.orders.status");
+    rejected("SELECT o.id FROM sales.orders o ORDER BY o.id ASC NULLS FIRST", "ORDER BY modifier not allowed for sales.orders: NULLS FIRST");
+    rejected("SELECT c.name FROM sales.customers c ORDER BY c.name DESC", "ORDER BY modifier not allowed for sales.customers: DESC");
+    rejected("SELECT o.id FROM sales.orders o ORDER BY o.id ASC, o.total ASC, o.created_at ASC, o.id DESC", "Too many ORDER BY keys (maximum: 3)");
+
+    // The most restrictive table sorted by sets the key limit
+    rejected(
+      "SELECT o.id FROM sales.orders o JOIN sales.customers c ON c.id = o.customer_id ORDER BY o.id ASC, c.name ASC",
+      "Too many ORDER BY keys (maximum: 1)",
+    );
+
+    // Window ORDER BY lists follow the same policy
+    rejected("SELECT o.id, row_number() OVER (ORDER BY o.status ASC) AS n FROM sales.orders o", "ORDER BY column not allowed: sales.orders.status");
+  });
+
+  test("a table without an entry cannot be sorted", () => {
+    rejected("SELECT i.id FROM sales.items i ORDER BY i.id ASC", "ORDER BY column not allowed: sales.items.id");
+    rejected("SELECT o.id FROM sales.orders o ORDER BY o.id ASC", "ORDER BY not permitted (no allowed columns configured)", { orderByPolicy: null });
+    rejected("SELECT o.id FROM sales.orders o ORDER BY lower(o.id) ASC", "ORDER BY expressions are not allowed (parentheses forbidden)");
+    rejected("SELECT o.id FROM sales.orders o ORDER BY o.id", expect.stringMatching(/explicit direction/));
+    rejected("SELECT o.id FROM sales.orders o ORDER BY 1 ASC", "ORDER BY positional references are not allowed");
+
+    // allowedOrderByColumns remains a shorthand for a policy with default limits
+    expect(validateQueryWithTables("SELECT o.id FROM sales.orders o ORDER BY o.id DESC", { allowedOrderByColumns: ["sales.orders.id"] }).valid).toBe(true);
+    expect(validateQueryWithTables("SELECT o.id FROM sales.orders o ORDER BY o.id DESC NULLS LAST", { allowedOrderByColumns: ["sales.orders.id"] }))
+      .toMatchObject({ valid: false, reason: "ORDER BY modifier not allowed for sales.orders: NULLS LAST" });
+  });
+
+  test("select-list aliases sort only if they name exactly one plain, sortable column", () => {
+    expect(check("SELECT o.total AS amount FROM sales.orders o ORDER BY amount DESC").valid).toBe(true);
+    expect(check("SELECT o.created_at FROM sales.orders o ORDER BY created_at ASC").valid).toBe(true);
+    expect(check("SELECT total AS amount FROM sales.orders ORDER BY amount DESC").valid).toBe(true);
+    expect(check("SELECT o.total AS Amount FROM sales.orders o ORDER BY amount DESC", { dialect: "mysql" }).valid).toBe(true);
+
+    rejected("SELECT o.status AS total FROM sales.orders o ORDER BY total ASC", "ORDER BY column not allowed: sales.orders.status");
+    rejected("SELECT o.total * 2 AS amount FROM sales.orders o ORDER BY amount ASC", "ORDER BY alias must refer to a plain column: amount");
+    rejected("SELECT o.id AS total, o.total FROM sales.orders o ORDER BY total ASC", "Ambiguous ORDER BY alias: total");
+    rejected("SELECT o.total AS \"Amount\" FROM sales.orders o ORDER BY amount ASC", "Ambiguous ORDER BY alias: amount");
+    rejected("SELECT *, o.total AS amount FROM sales.orders o ORDER BY amount ASC", "Ambiguous ORDER BY alias: amount");
+    rejected(
+      "SELECT total AS amount FROM sales.orders o JOIN sales.customers c ON c.id = o.customer_id ORDER BY amount ASC",
+      "ORDER BY alias must refer to a qualified column: amount",
+    );
+
+    // A bare name that is not an output column would sort by an input column
+    rejected("SELECT o.id AS n FROM sales.orders o ORDER BY total ASC", expect.stringMatching(/select-list aliases/));
+    rejected("SELECT o.id, row_number() OVER (ORDER BY total ASC) AS total FROM sales.orders o", expect.stringMatching(/qualified identifiers/));
+  });
+
+  test("malformed policies are rejected at load", () => {
+    expect(() => new OrderByPolicy({ tables: { orders: { columns: ["id"] } } })).toThrow(/expected schema\.table/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: [] } } })).toThrow(/non-empty list of column names/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["lower(id)"] } } })).toThrow(/non-empty list of column names/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["id"], maxKeys: 0 } } })).toThrow(/maxKeys/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["total"], unique: ["id"] } } })).toThrow(/unique must list columns/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["id"], modifiers: ["RANDOM"] } } })).toThrow(/modifiers must be from/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["id"], modifiers: ["NULLS LAST"] } } })).toThrow(/must allow ASC or DESC/);
+    expect(() => new OrderByPolicy({ tables: { "sales.orders": { columns: ["id"] }, "Sales.Orders": { columns: ["id"] } } })).toThrow(/more than once/);
+  });
+
+  test("adapters apply the configured policy", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter._executeSafeRead = jest.fn(async () => ({ rows: [], rowCount: 0, fields: [], executionTime: 1, truncated: false, appliedLimit: 100 }));
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-test", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "order-by-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await adapter.executeQuery({ query: "SELECT o.created_at AS placed FROM shop.orders o ORDER BY placed DESC" }, sessionContext);
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+
+      await expect(adapter.executeQuery({ query: "SELECT o.id FROM shop.orders o ORDER BY o.total DESC" }, sessionContext))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED", message: "ORDER BY column not allowed: shop.orders.total", details: { rule: "order-by-allowlist" } });
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+
+  test("adapters never load the policy file per query", async () => {
+    const malformed = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "order-by-")), "order-by.json");
+    fs.writeFileSync(malformed, "{ not json");
+    process.env.MCP_ORDER_BY_POLICY_FILE = malformed;
+    jest.resetModules();
+
+    try {
+      const { configureOrderByPolicyFromEnv } = await import("../../src/security/orderByPolicy.js");
+      const { MySQLAdapter: FreshAdapter } = await import("../../src/adapters/mysql.js");
+      const { SessionContext: FreshContext } = await import("../../src/core/sessionContext.js");
+      const { CapabilitySet: FreshSet, CapabilityAction: FreshAction } = await import("../../src/security/capabilities.js");
+
+      // Startup fails on the malformed file
+      expect(() => configureOrderByPolicyFromEnv()).toThrow(/Failed to load ORDER BY policy/);
+
+      const adapter = new FreshAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+      adapter._executeSafeRead = jest.fn();
+      const sessionContext = new FreshContext();
+      sessionContext.bind("user-test", "tenant-test", "session-test");
+      sessionContext.attachCapabilities(new FreshSet({
+        capSetId: "order-by-test",
+        issuedAt: Date.now(),
+        expiresAt: Date.now() + 60000,
+        issuer: "test-issuer",
+        grants: [{ action: FreshAction.TOOL_INVOKE, target: "*" }],
+      }));
+
+      // A query never reads the file: no policy configured = ORDER BY denied, as a mapped rejection
+      const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+      const readSpy = jest.spyOn(fs, "readFileSync");
+      try {
+        await expect(adapter.executeQuery({ query: "SELECT o.id FROM shop.orders o ORDER BY o.id DESC" }, sessionContext))
+          .rejects.toMatchObject({ code: "QUERY_REJECTED", details: { rule: "order-by-allowlist" } });
+        expect(readSpy).not.toHaveBeenCalledWith(malformed, expect.anything());
+      } finally {
+        readSpy.mockRestore();
+        logSpy.mockRestore();
+      }
+      expect(adapter._executeSafeRead).not.toHaveBeenCalled();
+    } finally {
+      delete process.env.MCP_ORDER_BY_POLICY_FILE;
+    }
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, expect, test, jest, beforeAll, afterAll } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Security invariant: PostgreSQL reads run under the session's RLS settings.
+ *
+ * - app.tenant / app.identity are set inside the READ ONLY transaction, as parameters
+ * - The mapped role is assumed with SET LOCAL ROLE (identity > tenant > defaultRole)
+ * - With a mapping configured, an unmapped session never runs as the login role
+ * - The mapping is loaded at startup; reads never load it, and a mapping file that was
+ *   not configured at startup denies every read
+ * - A query calling set_config() never runs under the settings it could overwrite
+ */
+
+describe("security invariant: postgres session GUCs and SET ROLE", () => {
+  let tempDir;
+  let pgPool;
+  let PgRoleMapping;
+  let PostgresAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let statements;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-pg-roles-"));
+    const mappingFile = path.join(tempDir, "roles.json");
+    fs.writeFileSync(mappingFile, JSON.stringify({
+      mappings: [
+        { tenant: "tenant-a", identity: "agent-1", role: "tenant_a_analyst" },
+        { tenant: "tenant-a", role: "tenant_a_reader" },
+      ],
+    }));
+
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "public";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.MCP_PG_ROLE_MAP_FILE = mappingFile;
+    jest.resetModules();
+
+    ({ pgPool } = await import("../../src/utils/pgPool.js"));
+    let configurePgRoleMappingFromEnv;
+    ({ PgRoleMapping, configurePgRoleMappingFromEnv } = await import("../../src/security/pgRoleMapping.js"));
+    ({ PostgresAdapter } = await import("../../src/adapters/postgres.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    // Loaded once at startup, like the server does
+    configurePgRoleMappingFromEnv();
+
+    // Fake pool: records every statement sent on the client
+    pgPool.pool = {
+      connect: async () => ({
+        query: async (text, params) => {
+          statements.push({ text, params });
+          return { rows: [{ id: 1 }], fields: [{ name: "id", dataTypeID: 23 }] };
+        },
+        release: () => {},
+      }),
+    };
+  });
+
+  afterAll(() => {
+    pgPool.pool = null;
+    delete process.env.MCP_PG_ROLE_MAP_FILE;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const read = async (identity, tenant) => {
+    statements = [];
+    await pgPool.executeSafeRead("SELECT id FROM public.notes", [], { session: { identity, tenant } });
+    return statements.map(({ text }) => text);
+  };
+
+  test("settings are applied inside the READ ONLY transaction before the query", async () => {
+    expect(await read("agent-1", "tenant-a")).toEqual([
+      "BEGIN READ ONLY",
+      "SET LOCAL statement_timeout = 10000",
+      "SELECT set_config('app.tenant', $1, true), set_config('app.identity', $2, true)",
+      'SET LOCAL ROLE "tenant_a_analyst"',
+      "SELECT id FROM public.notes LIMIT 100",
+      "COMMIT",
+    ]);
+
+    // Tenant and identity are parameters, never SQL text
+    expect(statements[2].params).toEqual(["tenant-a", "agent-1"]);
+  });
+
+  test("identity mappings win over tenant-wide mappings", async () => {
+    expect(await read("agent-2", "tenant-a")).toContain('SET LOCAL ROLE "tenant_a_reader"');
+
+    const mapping = new PgRoleMapping({
+      defaultRole: "mcp_reader",
+      mappings: [{ tenant: "t", role: "t_reader" }, { tenant: "t", identity: "a", role: "t_a" }],
+    });
+    expect(mapping.roleFor("a", "t")).toBe("t_a");
+    expect(mapping.roleFor("b", "t")).toBe("t_reader");
+    expect(mapping.roleFor("a", "other")).toBe("mcp_reader");
+    expect(new PgRoleMapping({ mappings: [] }).roleFor("a", "t")).toBeNull();
+  });
+
+  test("unmapped or unbound sessions are denied before connecting", async () => {
+    await expect(read("agent-1", "tenant-b")).rejects.toMatchObject({ code: "PERMISSION_DENIED" });
+    expect(statements).toEqual([]);
+
+    await expect(pgPool.executeSafeRead("SELECT 1", [], {})).rejects.toThrow(/bound session context is required/);
+  });
+
+  test("queries that call set_config are rejected before connecting", async () => {
+    const session = { identity: "agent-1", tenant: "tenant-a" };
+    const queries = [
+      "SELECT set_config('app.tenant', 'tenant-b', true), id FROM public.notes",
+      "SELECT id FROM public.notes WHERE PG_CATALOG.\"set_config\"('app.identity', 'agent-2', true) IS NOT NULL",
+      "SELECT id FROM (SELECT id, Set_Config('app.tenant', 'tenant-b', true) AS s FROM public.notes) n",
+    ];
+
+    statements = [];
+    for (const query of queries) {
+      await expect(pgPool.executeSafeRead(query, [], { session }))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED", details: { rule: "pg-session-settings" } });
+      await expect(pgPool.explainSafeRead(query, [], { session }))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED" });
+    }
+    expect(statements).toEqual([]);
+  });
+
+  test("reads never load the mapping file; an unconfigured mapping file denies", async () => {
+    const malformed = path.join(tempDir, "malformed.json");
+    fs.writeFileSync(malformed, "{ not json");
+    process.env.MCP_PG_ROLE_MAP_FILE = malformed;
+    jest.resetModules();
+
+    try {
+      const fresh = await import("../../src/utils/pgPool.js");
+      const { configurePgRoleMappingFromEnv } = await import("../../src/security/pgRoleMapping.js");
+      expect(() => configurePgRoleMappingFromEnv()).toThrow(/Failed to load PostgreSQL role mapping/);
+
+      const sent = [];
+      fresh.pgPool.pool = { connect: async () => ({ query: async (text) => sent.push(text), release: () => {} }) };
+      await expect(fresh.pgPool.executeSafeRead("SELECT id FROM public.notes", [], { session: { identity: "agent-1", tenant: "tenant-a" } }))
+        .rejects.toMatchObject({ code: "PERMISSION_DENIED", message: expect.stringMatching(/not configured at startup/) });
+      expect(sent).toEqual([]);
+    } finally {
+      process.env.MCP_PG_ROLE_MAP_FILE = path.join(tempDir, "roles.json");
+    }
+  });
+
+  test("malformed mappings are rejected at load", () => {
+    expect(() => new PgRoleMapping({ mappings: [{ tenant: "t", role: 'x"; RESET ROLE; --' }] })).toThrow(/invalid role name/);
+    expect(() => new PgRoleMapping({ mappings: [{ role: "r" }] })).toThrow(/requires a tenant/);
+    expect(() => new PgRoleMapping({ mappings: [{ tenant: "t", role: "a" }, { tenant: "t", role: "b" }] }))
+      .toThrow(/duplicate mapping/);
+  });
+
+  test("the adapter passes the bound session to the safe read", async () => {
+    const adapter = new PostgresAdapter({ host: "localhost", port: 5432, user: "u", password: "p", database: "d" });
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("agent-1", "tenant-a", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "pg-roles-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    statements = [];
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const result = await adapter.executeQuery({ query: "SELECT id FROM public.notes", limit: 10 }, sessionContext);
+      expect(result.rows).toEqual([{ id: 1 }]);
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(statements.find(({ text }) => text.startsWith("SELECT set_config")).params).toEqual(["tenant-a", "agent-1"]);
+    expect(statements.map(({ text }) => text)).toContain('SET LOCAL ROLE "tenant_a_analyst"');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, expect, test, jest } from "@jest/globals";
+import { ToolRegistry } from "../../src/core/toolRegistry.js";
+import { authorizeAction } from "../../src/core/authorizeAction.js";
+import { SessionContext } from "../../src/core/sessionContext.js";
+import { CapabilitySet, CapabilityAction, AuthzReason } from "../../src/security/capabilities.js";
+import { logger } from "../../src/utils/logger.js";
+
+/**
+ * Security invariant: every capability action is enforced, not just tool.invoke.
+ *
+ * - tools/list requires tool.list (and tool.invoke) per tool, and each tool.list decision is audited
+ * - resource.list / resource.read are enforced through authorizeAction()
+ * - Invalid session contexts are denied before any capability evaluation
+ */
+
+function sessionWith(grants) {
+  const sessionContext = new SessionContext();
+  sessionContext.bind("agent-1", "tenant-a", "sess-actions");
+
+  const now = Date.now();
+  sessionContext.attachCapabilities(new CapabilitySet({
+    capSetId: "cap-actions",
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    issuer: "test",
+    grants,
+  }));
+
+  return sessionContext;
+}
+
+function registryWith(names) {
+  const registry = new ToolRegistry();
+  const inputSchema = { safeParse: (data) => ({ success: true, data }), _def: {} };
+  for (const name of names) {
+    registry.registerTool({ name, description: name, inputSchema, handler: jest.fn() });
+  }
+  return registry;
+}
+
+const grant = (action, target, extra = {}) => ({ action, target, ...extra });
+
+describe("security invariant: tools/list requires tool.list", () => {
+  const registry = registryWith(["list_tables", "describe_table", "query_read"]);
+  const listed = (sessionContext) => registry.listTools(sessionContext).map((t) => t.name).sort();
+
+  test("invoke rights alone do not list tools", () => {
+    const sessionContext = sessionWith([grant(CapabilityAction.TOOL_INVOKE, "*")]);
+    expect(listed(sessionContext)).toEqual([]);
+  });
+
+  test("list rights alone do not list uninvocable tools", () => {
+    const sessionContext = sessionWith([
+      grant(CapabilityAction.TOOL_LIST, "*"),
+      grant(CapabilityAction.TOOL_INVOKE, "list_tables"),
+    ]);
+    expect(listed(sessionContext)).toEqual(["list_tables"]);
+  });
+
+  test("tool.list grants are matched per tool, including explicit denies", () => {
+    const sessionContext = sessionWith([
+      grant(CapabilityAction.TOOL_LIST, "*"),
+      grant(CapabilityAction.TOOL_LIST, "query_read", { effect: "deny" }),
+      grant(CapabilityAction.TOOL_INVOKE, "*"),
+    ]);
+    expect(listed(sessionContext)).toEqual(["describe_table", "list_tables"]);
+  });
+
+  test("each tool.list decision is audit-logged, including denials", () => {
+    const sessionContext = sessionWith([
+      grant(CapabilityAction.TOOL_LIST, "*"),
+      grant(CapabilityAction.TOOL_LIST, "query_read", { effect: "deny" }),
+      grant(CapabilityAction.TOOL_INVOKE, "*"),
+    ]);
+
+    const info = jest.spyOn(logger, "info").mockImplementation(() => {});
+    const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+    try {
+      listed(sessionContext);
+
+      // Denials are logged at warn level as "Audit: authz denied"
+      const decisions = (spy) => spy.mock.calls
+        .filter(([entry]) => entry?.type === "audit" && entry.action === "authz")
+        .map(([entry, message]) => [entry.details.target, entry.details.capability, entry.decision, message]);
+      expect(decisions(info).sort()).toEqual([
+        ["describe_table", CapabilityAction.TOOL_LIST, "ALLOW", "Audit: authz succeeded"],
+        ["list_tables", CapabilityAction.TOOL_LIST, "ALLOW", "Audit: authz succeeded"],
+      ]);
+      expect(decisions(warn)).toEqual([
+        ["query_read", CapabilityAction.TOOL_LIST, "DENY", "Audit: authz denied"],
+      ]);
+    } finally {
+      info.mockRestore();
+      warn.mockRestore();
+    }
+  });
+
+  test("forged session contexts list nothing", () => {
+    const forged = { isBound: true, hasCapabilities: true, capabilities: null, identity: "x", tenant: "y" };
+    expect(registry.listTools(forged)).toEqual([]);
+  });
+});
+
+describe("security invariant: resource actions are gated by authorizeAction", () => {
+  const uri = "db://postgres/sales/orders";
+
+  test("resource.read and resource.list are independent actions", () => {
+    const sessionContext = sessionWith([grant(CapabilityAction.RESOURCE_LIST, "*")]);
+
+    expect(authorizeAction({ sessionContext, action: CapabilityAction.RESOURCE_LIST, target: uri }).allowed).toBe(true);
+
+    const read = authorizeAction({ sessionContext, action: CapabilityAction.RESOURCE_READ, target: uri });
+    expect(read.allowed).toBe(false);
+    expect(read.reason).toBe(AuthzReason.DENIED_NO_GRANT);
+  });
+
+  test("tool grants never authorize resource actions", () => {
+    const sessionContext = sessionWith([
+      grant(CapabilityAction.TOOL_INVOKE, "*"),
+      grant(CapabilityAction.TOOL_LIST, "*"),
+    ]);
+
+    expect(authorizeAction({ sessionContext, action: CapabilityAction.RESOURCE_READ, target: uri }).allowed).toBe(false);
+    expect(authorizeAction({ sessionContext, action: CapabilityAction.RESOURCE_LIST, target: uri }).allowed).toBe(false);
+  });
+
+  test("invalid sessions and unknown actions are denied", () => {
+    const forged = { isBound: true, capabilities: null };
+    expect(authorizeAction({ sessionContext: forged, action: CapabilityAction.RESOURCE_READ, target: uri }).reason)
+      .toBe(AuthzReason.DENIED_INVALID_CONTEXT);
+    expect(authorizeAction({ sessionContext: undefined, action: CapabilityAction.RESOURCE_READ, target: uri }).allowed)
+      .toBe(false);
+
+    const sessionContext = sessionWith([grant(CapabilityAction.RESOURCE_READ, "*")]);
+    expect(authorizeAction({ sessionContext, action: "resource.write", target: uri }).reason)
+      .toBe(AuthzReason.DENIED_UNKNOWN_ACTION);
+  });
+});
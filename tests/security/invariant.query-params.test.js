@@ -0,0 +1,138 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: every placeholder is bound to exactly one value of its declared type.
+ *
+ * - `:name` placeholders are translated to each dialect's placeholders before validation
+ * - Placeholder and value counts must match (no unbound placeholders, no stray values)
+ * - Values that do not match their declared type never reach the driver
+ */
+
+describe("security invariant: query parameters", () => {
+  let bindQueryParams;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let queryReadTool;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ bindQueryParams } = await import("../../src/security/queryParams.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+    ({ queryReadTool } = await import("../../src/tools/queryRead.js"));
+  });
+
+  const invalid = (fn, message) => expect(fn).toThrow(expect.objectContaining({ code: "INVALID_INPUT", message: expect.stringMatching(message) }));
+
+  test("named placeholders are translated per dialect", () => {
+    const query = "SELECT o.id FROM shop.orders o WHERE o.region = :region AND (o.origin = :region OR o.note = ':region') AND o.total > :min";
+    const values = { min: 10, region: "eu" };
+
+    expect(bindQueryParams(query, values, { dialect: "postgres" })).toEqual({
+      query: "SELECT o.id FROM shop.orders o WHERE o.region = $1 AND (o.origin = $1 OR o.note = ':region') AND o.total > $2",
+      params: ["eu", 10],
+    });
+    expect(bindQueryParams(query, values, { dialect: "mysql" })).toEqual({
+      query: "SELECT o.id FROM shop.orders o WHERE o.region = ? AND (o.origin = ? OR o.note = ':region') AND o.total > ?",
+      params: ["eu", "eu", 10],
+    });
+    expect(bindQueryParams(query, values, { dialect: "mssql" })).toEqual({
+      query: "SELECT o.id FROM shop.orders o WHERE o.region = @param0 AND (o.origin = @param0 OR o.note = ':region') AND o.total > @param1",
+      params: ["eu", 10],
+    });
+
+    // PostgreSQL casts are not placeholders
+    expect(bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.placed::date = :day", { day: "2026-01-02" }).query)
+      .toBe("SELECT o.id FROM shop.orders o WHERE o.placed::date = $1");
+  });
+
+  test("placeholder and value counts must match", () => {
+    // Positional params keep each dialect's own placeholders
+    expect(bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = $2 OR o.parent = $1 OR o.root = $2", [1, 2]).params).toEqual([1, 2]);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = $2", [1, 2]), /\$1 is not used/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = $3", [1, 2]), /uses \$3 but 2 parameter/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = ?", [1, 2], { dialect: "mysql" }), /1 placeholder\(s\) but 2 parameter/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = @p1", [1], { dialect: "mssql" }), /Unknown parameter @p1/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o", ["stray"], { dialect: "mssql" }), /@param0 is not used/);
+
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = :id", { ids: 1, id: 2 }), /:ids is not used/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = :id", {}), /Missing value for parameter :id/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = :id", [1]), /require params to be an object/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = :id OR o.id = $1", { id: 1 }), /cannot be mixed/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = $1", { id: 1 }), /uses positional placeholders/);
+  });
+
+  test("values that do not match their declared type are rejected", () => {
+    const bind = (value, type) => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.v = :v", { v: value }, { types: { v: type } }).params[0];
+
+    expect(bind("42", "int")).toBe(42);
+    expect(bind("-1.50", "decimal")).toBe("-1.50");
+    expect(bind(2.5, "decimal")).toBe("2.5");
+    expect(bind("2024-02-29", "date")).toBe("2024-02-29");
+    expect(bind("0B6D2F8A-1C3E-4F5A-9B7C-8D9E0F1A2B3C", "uuid")).toBe("0b6d2f8a-1c3e-4f5a-9b7c-8d9e0f1a2b3c");
+    expect(bind(null, "int")).toBeNull();
+
+    invalid(() => bind("4.2", "int"), /:v must be an integer/);
+    invalid(() => bind("9007199254740993", "int"), /:v must be an integer/);
+    invalid(() => bind("1e3", "decimal"), /:v must be a decimal number/);
+    invalid(() => bind(7, "text"), /:v must be a string/);
+    invalid(() => bind("2026-02-29", "date"), /:v must be a date/);
+    invalid(() => bind("not-a-uuid", "uuid"), /:v must be a UUID/);
+
+    // Positional types line up with the params array; null leaves a value untyped
+    expect(bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = ? AND o.note = ?", ["7", 5], { dialect: "mysql", types: ["int", null] }).params)
+      .toEqual([7, 5]);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = $1", ["7"], { types: ["int", "text"] }), /one entry \(or null\) per parameter/);
+    invalid(() => bindQueryParams("SELECT o.id FROM shop.orders o WHERE o.id = :id", { id: 1 }, { types: { other: "int" } }), /unknown parameter :other/);
+  });
+
+  test("adapters bind named, typed parameters before validation and reject mismatches", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter._executeSafeRead = jest.fn(async () => ({ rows: [], rowCount: 0, fields: [], executionTime: 1, truncated: false, appliedLimit: 100 }));
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-test", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "query-params-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const input = queryReadTool.inputSchema.parse({
+      query: "SELECT o.id FROM shop.orders o WHERE o.customer_id = :customer AND o.placed_on >= :since",
+      params: { customer: "12", since: "2026-01-01" },
+      paramTypes: { customer: "int", since: "date" },
+    });
+    expect(queryReadTool.scope(input, adapter).tables).toEqual(["shop.orders"]);
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await adapter.executeQuery(input, sessionContext);
+      expect(adapter._executeSafeRead).toHaveBeenLastCalledWith(
+        "SELECT o.id FROM shop.orders o WHERE o.customer_id = ? AND o.placed_on >= ?",
+        [12, "2026-01-01"],
+        expect.any(Object),
+      );
+
+      await expect(adapter.executeQuery({ ...input, params: { customer: "12; DROP TABLE x", since: "2026-01-01" } }, sessionContext))
+        .rejects.toMatchObject({ code: "INVALID_INPUT", message: "Parameter :customer must be an integer" });
+      await expect(adapter.executeQuery({ query: "SELECT o.id FROM shop.orders o WHERE o.id = ?", params: [] }, sessionContext))
+        .rejects.toMatchObject({ code: "INVALID_INPUT" });
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(queryReadTool.inputSchema.safeParse({ query: "SELECT 1", params: { "bad name": 1 } }).success).toBe(false);
+    expect(queryReadTool.inputSchema.safeParse({ query: "SELECT 1", paramTypes: ["float"] }).success).toBe(false);
+  });
+});
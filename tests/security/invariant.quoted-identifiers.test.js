@@ -0,0 +1,73 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: quoted and bracketed identifiers resolve to the name the
+ * engine would use, and the allowlist is matched against that name.
+ *
+ * - PostgreSQL: unquoted names fold to lower case, quoted names are exact
+ * - MySQL: backtick-quoted names are used as written
+ * - SQL Server: bracketed names compare case-insensitively
+ * - Names that cannot be split into schema.table fail closed
+ */
+
+describe("security invariant: quoted identifiers follow engine case-folding", () => {
+  let validateQueryWithTables;
+  let analyzeQuery;
+  let enforceQueryPermissions;
+
+  beforeAll(async () => {
+    // Allowlist singleton reads env at import
+    process.env.ALLOWLIST_SCHEMAS = "Sales,public,dbo";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ validateQueryWithTables, analyzeQuery } = await import("../../src/security/queryValidator.js"));
+    ({ enforceQueryPermissions } = await import("../../src/security/permissions.js"));
+  });
+
+  test("PostgreSQL quoted names are exact and unquoted names fold to lower case", () => {
+    expect(validateQueryWithTables('SELECT o.id FROM "Sales"."Orders" o')).toEqual({
+      valid: true,
+      tables: ["Sales.Orders"],
+    });
+    expect(enforceQueryPermissions('SELECT o.id FROM "Sales"."Orders" o').tables).toEqual(["Sales.Orders"]);
+    expect(enforceQueryPermissions('SELECT id FROM "Sales".orders').tables).toEqual(["Sales.orders"]);
+
+    // Unquoted Sales is the schema "sales", which is not allowlisted
+    expect(validateQueryWithTables("SELECT id FROM Sales.Orders").tables).toEqual(["sales.orders"]);
+    expect(() => enforceQueryPermissions("SELECT id FROM Sales.Orders")).toThrow(/Schema "sales" is not allowed/);
+    expect(() => enforceQueryPermissions('SELECT id FROM "SALES".orders')).toThrow(/Schema "SALES" is not allowed/);
+  });
+
+  test("MySQL backticks delimit without changing case", () => {
+    const options = { dialect: "mysql" };
+
+    expect(enforceQueryPermissions("SELECT o.id FROM `Sales`.`orders` o", options).tables).toEqual(["Sales.orders"]);
+    expect(() => enforceQueryPermissions("SELECT id FROM sales.orders", options)).toThrow(/not allowed/);
+  });
+
+  test("SQL Server brackets delimit and names compare case-insensitively", () => {
+    const options = { dialect: "mssql" };
+
+    expect(enforceQueryPermissions("SELECT [o].[Id] FROM [DBO].[Orders] [o]", options).tables).toEqual(["DBO.Orders"]);
+    expect(enforceQueryPermissions("SELECT id FROM sales.orders", options).tables).toEqual(["sales.orders"]);
+    expect(analyzeQuery("SELECT [o].[Id] FROM [DBO].[Orders] [o]", options).columns)
+      .toEqual([{ table: "DBO.Orders", column: "Id" }]);
+    expect(() => enforceQueryPermissions("SELECT id FROM [sys].[sql_logins]", options)).toThrow(/not allowed/);
+  });
+
+  test("column qualifiers resolve through quoted aliases per dialect", () => {
+    // "O" and o are different aliases in PostgreSQL
+    expect(analyzeQuery('SELECT "O".id FROM public.orders "O"').columns)
+      .toEqual([{ table: "public.orders", column: "id" }]);
+    expect(analyzeQuery('SELECT o.id FROM public.orders "O"').columns)
+      .toEqual([{ table: null, column: "id", candidates: null }]);
+  });
+
+  test("quoted names that cannot be split into schema.table fail closed", () => {
+    expect(validateQueryWithTables('SELECT id FROM "public.secrets".orders').reason)
+      .toMatch(/containing "\." are not supported/);
+    expect(validateQueryWithTables('SELECT id FROM "public.orders"').valid).toBe(false);
+    expect(validateQueryWithTables("SELECT id FROM [dbo.orders]", { dialect: "mssql" }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: MCP resources expose only allowlisted, authorized data.
+ *
+ * - resources/list is authorized (audited, quota-limited) before any adapter call
+ * - resources/list shows a resource only with both resource.list and resource.read
+ * - resources/read is denied without resource.read, before any adapter call
+ * - URIs outside the allowlist or for another adapter are "not found"
+ * - Grant constraints apply to resource reads
+ * - Adapter failures (resources/read and resources/list) reach the client without driver details
+ */
+
+describe("security invariant: resources are gated by allowlist and capabilities", () => {
+  let listResources;
+  let readResource;
+  let parseResourceUri;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let QuotaEngine;
+  let logger;
+  let mcpServer;
+  let adapterRegistry;
+
+  beforeAll(async () => {
+    // Allowlist singleton reads env at import
+    process.env.ALLOWLIST_SCHEMAS = "public,sales";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ listResources, readResource, parseResourceUri } = await import("../../src/core/resources.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+    ({ QuotaEngine } = await import("../../src/security/quotas.js"));
+    ({ logger } = await import("../../src/utils/logger.js"));
+    ({ mcpServer } = await import("../../src/core/server.js"));
+    ({ adapterRegistry } = await import("../../src/adapters/adapterRegistry.js"));
+  });
+
+  function sessionWith(grants) {
+    const sessionContext = new SessionContext();
+    sessionContext.bind("agent-1", "tenant-a", "sess-resources");
+
+    const now = Date.now();
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "cap-resources",
+      issuedAt: now,
+      expiresAt: now + 60_000,
+      issuer: "test",
+      grants,
+    }));
+
+    return sessionContext;
+  }
+
+  function mockAdapter() {
+    return {
+      name: "postgres",
+      listTables: jest.fn(async ({ schema } = {}) => [
+        { schema: "public", name: "customers" },
+        { schema: "sales", name: "orders" },
+      ].filter((t) => !schema || t.schema === schema)),
+      describeTable: jest.fn(async () => [{ name: "id", type: "integer", nullable: false, default: null, isPrimaryKey: true }]),
+    };
+  }
+
+  test("resources/list requires both resource.list and resource.read per URI", async () => {
+    const adapter = mockAdapter();
+
+    const listOnly = sessionWith([{ action: CapabilityAction.RESOURCE_LIST, target: "*" }]);
+    expect(await listResources({ sessionContext: listOnly, adapter })).toEqual([]);
+
+    const sessionContext = sessionWith([
+      { action: CapabilityAction.RESOURCE_LIST, target: "*" },
+      { action: CapabilityAction.RESOURCE_READ, target: "db://postgres/public/*" },
+    ]);
+    const uris = (await listResources({ sessionContext, adapter })).map((r) => r.uri);
+    expect(uris).toEqual(["db://postgres/public/customers"]);
+
+    expect(await listResources({ sessionContext: { isBound: true, capabilities: null }, adapter })).toEqual([]);
+  });
+
+  test("resources/list is authorized and audited before the adapter is queried", async () => {
+    const adapter = mockAdapter();
+    const sessionContext = sessionWith([{ action: CapabilityAction.RESOURCE_READ, target: "*" }]);
+
+    const info = jest.spyOn(logger, "info").mockImplementation(() => {});
+    const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+    try {
+      expect(await listResources({ sessionContext, adapter })).toEqual([]);
+
+      const audited = [...info.mock.calls, ...warn.mock.calls]
+        .map(([entry]) => entry)
+        .filter((entry) => entry?.type === "audit" && entry.action === "authz");
+      expect(audited).toEqual([expect.objectContaining({
+        decision: "DENY",
+        details: { capability: CapabilityAction.RESOURCE_LIST, target: "db://postgres" },
+      })]);
+    } finally {
+      info.mockRestore();
+      warn.mockRestore();
+    }
+    expect(adapter.listTables).not.toHaveBeenCalled();
+
+    // Quota applies as for resources/read (no policy = denied, fail-closed)
+    const limited = sessionWith([
+      { action: CapabilityAction.RESOURCE_LIST, target: "*" },
+      { action: CapabilityAction.RESOURCE_READ, target: "*" },
+    ]);
+    limited.attachQuotaEngine(new QuotaEngine([]));
+    expect(await listResources({ sessionContext: limited, adapter })).toEqual([]);
+    expect(adapter.listTables).not.toHaveBeenCalled();
+  });
+
+  test("resources/read returns the table definition when authorized", async () => {
+    const adapter = mockAdapter();
+    const sessionContext = sessionWith([{ action: CapabilityAction.RESOURCE_READ, target: "db://postgres/*" }]);
+
+    const table = await readResource({ sessionContext, adapter, uri: "db://postgres/public/customers" });
+    expect(table.ok).toBe(true);
+    expect(JSON.parse(table.value.text).columns[0].name).toBe("id");
+
+    const schema = await readResource({ sessionContext, adapter, uri: "db://postgres/sales" });
+    expect(JSON.parse(schema.value.text).tables).toEqual(["orders"]);
+  });
+
+  test("adapter failures reach the client without driver details", async () => {
+    const adapter = mockAdapter();
+    adapter.describeTable.mockRejectedValueOnce(new Error('connect ECONNREFUSED db-internal.example:5432 (database "payroll")'));
+    const sessionContext = sessionWith([{ action: CapabilityAction.RESOURCE_READ, target: "db://postgres/*" }]);
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    let result;
+    try {
+      result = await readResource({ sessionContext, adapter, uri: "db://postgres/public/customers" });
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(result).toEqual({ ok: false, error: { code: "ADAPTER_FAILURE", message: "Resource could not be read" } });
+  });
+
+  test("resources/list failures reach the client without driver details", async () => {
+    const adapter = mockAdapter();
+    adapter.listTables.mockRejectedValueOnce(new Error('connect ECONNREFUSED db-internal.example:5432 (database "payroll")'));
+    const sessionContext = sessionWith([
+      { action: CapabilityAction.RESOURCE_LIST, target: "*" },
+      { action: CapabilityAction.RESOURCE_READ, target: "*" },
+    ]);
+
+    adapterRegistry.activeAdapter = adapter;
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    let error;
+    try {
+      await mcpServer.handleResourceList(sessionContext);
+    } catch (e) {
+      error = e;
+    } finally {
+      logSpy.mockRestore();
+      adapterRegistry.activeAdapter = null;
+    }
+
+    expect(error.message).toMatch(/Resources could not be listed/);
+    expect(error.data).toEqual({ code: "ADAPTER_FAILURE" });
+    expect(JSON.stringify(error)).not.toMatch(/db-internal|payroll/);
+  });
+
+  test("resources/read is denied without resource.read, with zero adapter calls", async () => {
+    const adapter = mockAdapter();
+    const sessionContext = sessionWith([
+      { action: CapabilityAction.RESOURCE_LIST, target: "*" },
+      { action: CapabilityAction.TOOL_INVOKE, target: "*" },
+    ]);
+
+    const result = await readResource({ sessionContext, adapter, uri: "db://postgres/public/customers" });
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe("UNAUTHORIZED");
+    expect(result.error.details.reason).toBe("DENIED_NO_GRANT");
+    expect(adapter.describeTable).not.toHaveBeenCalled();
+  });
+
+  test("URIs outside the allowlist or for another adapter are not found", async () => {
+    const adapter = mockAdapter();
+    const sessionContext = sessionWith([{ action: CapabilityAction.RESOURCE_READ, target: "*" }]);
+
+    for (const uri of [
+      "db://postgres/hr/salaries",
+      "db://mysql/public/customers",
+      "db://postgres/public/customers/extra",
+      "file:///etc/passwd",
+    ]) {
+      const result = await readResource({ sessionContext, adapter, uri });
+      expect(result.ok).toBe(false);
+      expect(result.error.code).toBe("RESOURCE_NOT_FOUND");
+    }
+
+    expect(adapter.describeTable).not.toHaveBeenCalled();
+    expect(adapter.listTables).not.toHaveBeenCalled();
+    expect(parseResourceUri("db://postgres/public/customers")).toEqual({ adapter: "postgres", schema: "public", table: "customers" });
+  });
+
+  test("grant constraints apply to resource reads", async () => {
+    const adapter = mockAdapter();
+    const sessionContext = sessionWith([
+      { action: CapabilityAction.RESOURCE_READ, target: "*", constraints: { tables: ["public.customers"] } },
+    ]);
+
+    expect((await readResource({ sessionContext, adapter, uri: "db://postgres/public/customers" })).ok).toBe(true);
+
+    const denied = await readResource({ sessionContext, adapter, uri: "db://postgres/sales/orders" });
+    expect(denied.error.details.reason).toBe("DENIED_CONSTRAINT_VIOLATION");
+    expect(denied.error.details.constraint).toBe("tables");
+
+    // A schema resource cannot show it stays within a table constraint (fail-closed)
+    const schema = await readResource({ sessionContext, adapter, uri: "db://postgres/public" });
+    expect(schema.ok).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, expect, test, jest, beforeAll, afterAll } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Security invariant: masked columns never leave the adapter in clear text.
+ *
+ * - Masking rules (null, hash, partial, tokenize) rewrite result values by column
+ * - Masked columns remain usable in WHERE / JOIN / ORDER BY
+ * - A masked column returned through an expression, aggregate or whole-row
+ *   reference is rejected before execution (values there cannot be rewritten)
+ * - Audit events list the ids of the applied rules, never column names
+ */
+
+describe("security invariant: result masking for sensitive columns", () => {
+  let tempDir;
+  let MaskingPolicy;
+  let planResultMasking;
+  let applyResultMasking;
+  let MSSQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-masking-"));
+    const policyFile = path.join(tempDir, "masking.json");
+    fs.writeFileSync(policyFile, JSON.stringify({
+      rules: [
+        { id: "customer-email", column: "dbo.customers.email", strategy: "partial", keepFirst: 1, keepLast: 4 },
+        { id: "customer-phone", column: "dbo.customers.phone", strategy: "null" },
+        { id: "customer-card", column: "dbo.customers.card_number", strategy: "tokenize" },
+        { id: "order-email", column: "dbo.orders.contact_email", strategy: "hash" },
+      ],
+    }));
+
+    // Allowlist and masking policy are read from env
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "dbo";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.MCP_MASKING_POLICY_FILE = policyFile;
+    process.env.MASKING_SECRET = "m".repeat(32);
+    jest.resetModules();
+
+    ({ MaskingPolicy, planResultMasking, applyResultMasking } = await import("../../src/security/masking.js"));
+    ({ MSSQLAdapter } = await import("../../src/adapters/mssql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+  });
+
+  afterAll(() => {
+    delete process.env.MCP_MASKING_POLICY_FILE;
+    delete process.env.MASKING_SECRET;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const mask = (query, rows) => applyResultMasking(rows, planResultMasking(query, { dialect: "mssql" }));
+
+  test("each strategy rewrites the returned value", () => {
+    const { rows, appliedRules } = mask(
+      "SELECT c.id, c.email, c.phone, c.card_number AS card FROM dbo.customers c",
+      [{ id: 7, email: "jane@example.com", phone: "555-0100", card: "4111111111111111" }]
+    );
+
+    expect(rows[0].id).toBe(7);
+    expect(rows[0].email).toBe("j***********.com");
+    expect(rows[0].phone).toBeNull();
+    expect(rows[0].card).toMatch(/^tok_[0-9a-f]{32}$/);
+    expect(appliedRules).toEqual(["customer-card", "customer-email", "customer-phone"]);
+
+    // Tokens are deterministic, so masked values can still be correlated
+    expect(mask("SELECT c.card_number FROM dbo.customers c", [{ card_number: "4111111111111111" }]).rows[0].card_number)
+      .toBe(rows[0].card);
+  });
+
+  test("masking follows aliases, SELECT *, derived tables, CTEs and set operations", () => {
+    expect(mask("SELECT * FROM dbo.customers", [{ id: 1, phone: "555" }]).rows).toEqual([{ id: 1, phone: null }]);
+    expect(mask("SELECT x.p FROM (SELECT phone AS p FROM dbo.customers) x", [{ p: "555" }]).rows).toEqual([{ p: null }]);
+    expect(mask("WITH k(p) AS (SELECT phone FROM dbo.customers) SELECT p FROM k", [{ p: "555" }]).rows).toEqual([{ p: null }]);
+    expect(mask("SELECT name FROM dbo.staff UNION SELECT phone FROM dbo.customers", [{ name: "555" }]).rows)
+      .toEqual([{ name: null }]);
+
+    // Masked columns may still filter, join and sort
+    expect(mask(
+      "SELECT c.id FROM dbo.customers c JOIN dbo.orders o ON o.contact_email = c.email WHERE c.phone LIKE '555%' ORDER BY c.id",
+      [{ id: 1 }]
+    )).toEqual({ rows: [{ id: 1 }], appliedRules: [] });
+  });
+
+  test("masked values inside expressions are rejected before execution", () => {
+    for (const query of [
+      "SELECT LOWER(c.email) AS e FROM dbo.customers c",
+      "SELECT MAX(phone) FROM dbo.customers",
+      "SELECT c.id, (SELECT TOP 1 o.contact_email FROM dbo.orders o) AS e FROM dbo.customers c",
+      "SELECT * FROM dbo.staff UNION SELECT * FROM dbo.customers",
+    ]) {
+      expect(() => planResultMasking(query, { dialect: "mssql" }))
+        .toThrow(expect.objectContaining({ code: "QUERY_REJECTED", message: expect.stringMatching(/plain column reference/) }));
+    }
+  });
+
+  test("adapter results are masked and the audit event records rule ids only", async () => {
+    const adapter = new MSSQLAdapter({ host: "localhost", port: 1433, user: "sa", password: "test", database: "test" });
+    adapter._executeSafeRead = jest.fn(async () => ({
+      rows: [{ id: 1, email: "jane@example.com" }],
+      fields: [{ name: "id" }, { name: "email" }],
+      rowCount: 1,
+      executionTime: 5,
+      truncated: false,
+      appliedLimit: 10,
+    }));
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-test", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "masking-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const result = await adapter.executeQuery({ query: "SELECT c.id, c.email FROM dbo.customers c", limit: 10 }, sessionContext);
+      expect(result.rows).toEqual([{ id: 1, email: "j***********.com" }]);
+
+      const events = logSpy.mock.calls.map(([line]) => JSON.parse(line));
+      const success = events.find((event) => event.resultType === "success");
+      expect(success.maskingRules).toEqual(["customer-email"]);
+      expect(JSON.stringify(events)).not.toMatch(/dbo\.customers/);
+
+      await expect(adapter.executeQuery({ query: "SELECT UPPER(c.email) AS e FROM dbo.customers c", limit: 10 }, sessionContext))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED" });
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+
+  test("malformed policies are rejected at load", () => {
+    expect(() => new MaskingPolicy({ rules: [{ id: "a", column: "dbo.customers", strategy: "null" }] }))
+      .toThrow(/schema\.table\.column/);
+    expect(() => new MaskingPolicy({ rules: [{ id: "a", column: "dbo.customers.email", strategy: "rot13" }] }))
+      .toThrow(/unknown strategy/);
+    expect(() => new MaskingPolicy({ rules: [{ id: "a", column: "dbo.customers.email", strategy: "tokenize" }] }))
+      .toThrow(/MASKING_SECRET/);
+  });
+});
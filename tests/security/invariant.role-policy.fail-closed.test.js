@@ -0,0 +1,151 @@
+import { describe, expect, test, jest, afterEach } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { RolePolicy, loadSessionCapabilities } from "../../src/security/roles.js";
+import { CapabilityAction, AuthzReason, evaluateCapability } from "../../src/security/capabilities.js";
+import { logger } from "../../src/utils/logger.js";
+
+/**
+ * Security invariant: role templates expand deterministically and fail closed.
+ *
+ * - Inheritance is expanded at load; cycles and unknown roles reject the policy
+ * - Unassigned identities get no capabilities (default deny)
+ * - Every expansion is audit-logged with roles and resulting grants
+ * - Role policy and MCP_CAPABILITIES together are ambiguous (rejected)
+ * - The policy is loaded once; with a capability keyring it is rejected (its sets are unsigned)
+ */
+
+const invoke = (target) => ({ action: CapabilityAction.TOOL_INVOKE, target });
+
+const policyDocument = {
+  roles: {
+    "schema-browser": { grants: [invoke("list_tables"), invoke("describe_table")] },
+    analyst: { inherits: ["schema-browser"], grants: [invoke("query_read")] },
+    "restricted-analyst": { inherits: ["analyst"], grants: [{ ...invoke("describe_table"), effect: "deny" }] },
+  },
+  assignments: [
+    { tenant: "tenant-a", identity: "agent-1", roles: ["analyst"] },
+    { tenant: "tenant-a", roles: ["schema-browser"] },
+    { tenant: "tenant-b", identity: "agent-2", roles: ["restricted-analyst"] },
+  ],
+};
+
+const allowed = (caps, tool) => evaluateCapability(caps, CapabilityAction.TOOL_INVOKE, tool).allowed;
+
+describe("security invariant: role-based capability templates", () => {
+  const savedEnv = { ...process.env };
+  let tmpDir;
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  test("expands inherited roles and tenant-wide assignments", () => {
+    const policy = new RolePolicy(policyDocument);
+
+    const analyst = policy.buildCapabilitySet("agent-1", "tenant-a");
+    expect(allowed(analyst, "query_read")).toBe(true);
+    expect(allowed(analyst, "list_tables")).toBe(true);
+
+    const browser = policy.buildCapabilitySet("agent-9", "tenant-a");
+    expect(allowed(browser, "describe_table")).toBe(true);
+    expect(allowed(browser, "query_read")).toBe(false);
+
+    const restricted = policy.buildCapabilitySet("agent-2", "tenant-b");
+    expect(allowed(restricted, "query_read")).toBe(true);
+    expect(evaluateCapability(restricted, CapabilityAction.TOOL_INVOKE, "describe_table").reason)
+      .toBe(AuthzReason.DENIED_EXPLICIT);
+  });
+
+  test("assignments never cross tenants, and unassigned identities get nothing", () => {
+    const policy = new RolePolicy(policyDocument);
+
+    expect(policy.rolesFor("agent-1", "tenant-b")).toEqual([]);
+    expect(policy.buildCapabilitySet("agent-1", "tenant-b")).toBeNull();
+  });
+
+  test("records the expanded grant list in the audit log", () => {
+    const info = jest.spyOn(logger, "info");
+    const policy = new RolePolicy(policyDocument);
+
+    const caps = policy.buildCapabilitySet("agent-1", "tenant-a");
+
+    const entry = info.mock.calls.map(([e]) => e).find((e) => e?.action === "capabilities.expand");
+    expect(entry).toBeDefined();
+    expect(entry.type).toBe("audit");
+    expect(entry.capSetId).toBe(caps.capSetId);
+    expect(entry.details.roles).toEqual(["analyst", "schema-browser"]);
+    expect(entry.details.grants.map((g) => g.target).sort())
+      .toEqual(["describe_table", "list_tables", "query_read"]);
+  });
+
+  test("rejects cycles, unknown roles and invalid grants at load", () => {
+    expect(() => new RolePolicy({
+      roles: { a: { inherits: ["b"] }, b: { inherits: ["a"] } },
+      assignments: [],
+    })).toThrow(/cycle/);
+
+    expect(() => new RolePolicy({
+      roles: { a: { inherits: ["missing"] } },
+      assignments: [],
+    })).toThrow(/unknown role "missing"/);
+
+    expect(() => new RolePolicy({
+      roles: { a: { grants: [] } },
+      assignments: [{ tenant: "t", roles: ["writer"] }],
+    })).toThrow(/unknown role "writer"/);
+
+    expect(() => new RolePolicy({
+      roles: { a: { grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "x", effect: "maybe" }] } },
+      assignments: [],
+    })).toThrow(/invalid grants/);
+  });
+
+  test("role policy and MCP_CAPABILITIES together are ambiguous", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-roles-"));
+    const policyFile = path.join(tmpDir, "roles.json");
+    fs.writeFileSync(policyFile, JSON.stringify(policyDocument));
+
+    process.env.MCP_ROLE_POLICY_FILE = policyFile;
+    delete process.env.MCP_CAPABILITIES;
+    expect(allowed(loadSessionCapabilities("agent-1", "tenant-a"), "query_read")).toBe(true);
+
+    process.env.MCP_CAPABILITIES = JSON.stringify({ capSetId: "x", grants: [] });
+    expect(() => loadSessionCapabilities("agent-1", "tenant-a")).toThrow(/Ambiguous capability source/);
+  });
+
+  test("the policy is loaded once, and rejected when a capability keyring is configured", async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-roles-"));
+    const policyFile = path.join(tmpDir, "roles.json");
+    const keyringFile = path.join(tmpDir, "keyring.json");
+    fs.writeFileSync(policyFile, JSON.stringify(policyDocument));
+    fs.writeFileSync(keyringFile, JSON.stringify({
+      audience: "mcp-test",
+      keys: [{ kid: "hmac", alg: "HS256", issuer: "launcher", secret: "s".repeat(44) }],
+    }));
+
+    process.env.MCP_ROLE_POLICY_FILE = policyFile;
+    delete process.env.MCP_CAPABILITIES;
+    delete process.env.MCP_CAPABILITY_KEYRING;
+    jest.resetModules();
+    let roles = await import("../../src/security/roles.js");
+
+    const policy = roles.configureRolePolicyFromEnv();
+    fs.writeFileSync(policyFile, "{ not json");
+    expect(roles.configureRolePolicyFromEnv()).toBe(policy);
+    expect(allowed(roles.loadSessionCapabilities("agent-1", "tenant-a"), "query_read")).toBe(true);
+
+    fs.writeFileSync(policyFile, JSON.stringify(policyDocument));
+    process.env.MCP_CAPABILITY_KEYRING = keyringFile;
+    jest.resetModules();
+    roles = await import("../../src/security/roles.js");
+
+    expect(() => roles.configureRolePolicyFromEnv()).toThrow(/cannot be combined with MCP_CAPABILITY_KEYRING/);
+  });
+});
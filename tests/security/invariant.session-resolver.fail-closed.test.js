@@ -0,0 +1,202 @@
+import { describe, expect, test, jest, afterEach } from "@jest/globals";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { HttpTransportHost } from "../../src/core/httpTransport.js";
+import {
+  resolveSessionContext,
+  createStaticTokenResolver,
+  SessionResolutionError,
+} from "../../src/core/sessionResolver.js";
+import { isValidSessionContext } from "../../src/core/sessionContext.js";
+import { CapabilitySet, CapabilityAction } from "../../src/security/capabilities.js";
+import { QuotaEngine } from "../../src/security/quotas.js";
+import crypto from "crypto";
+
+/**
+ * Security invariant: per-connection session binding fails closed.
+ *
+ * - No credentials = resolver never called, no session
+ * - Unrecognized credentials = no session
+ * - Each connection gets its own bound, branded, immutable SessionContext
+ * - A session cannot be reused with different credentials
+ */
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+function capabilitiesFor(tenant) {
+  const now = Date.now();
+  return new CapabilitySet({
+    capSetId: `caps-${tenant}`,
+    issuedAt: now,
+    expiresAt: now + 60_000,
+    issuer: "test",
+    grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "list_tables" }],
+  });
+}
+
+const quotaEngine = new QuotaEngine([]);
+
+describe("security invariant: session resolver fails closed", () => {
+  test("missing credentials never reach the resolver", async () => {
+    const resolver = jest.fn(async () => ({ identity: "agent", tenant: "t1" }));
+
+    await expect(
+      resolveSessionContext(resolver, { bearerToken: null, clientCertificate: null }, { defaultQuotaEngine: quotaEngine })
+    ).rejects.toBeInstanceOf(SessionResolutionError);
+
+    expect(resolver).not.toHaveBeenCalled();
+  });
+
+  test("unrecognized or failing credentials produce no session", async () => {
+    const resolver = createStaticTokenResolver([
+      { sha256: sha256("token-a"), identity: "agent-a", tenant: "tenant-a" },
+    ]);
+
+    await expect(
+      resolveSessionContext(resolver, { bearerToken: "token-b" }, { defaultQuotaEngine: quotaEngine })
+    ).rejects.toThrow(/Authentication failed/);
+
+    const throwing = jest.fn(async () => {
+      throw new Error("directory unavailable");
+    });
+    await expect(
+      resolveSessionContext(throwing, { bearerToken: "token-a" }, { defaultQuotaEngine: quotaEngine })
+    ).rejects.toBeInstanceOf(SessionResolutionError);
+  });
+
+  test("each connection gets its own branded, immutable context", async () => {
+    const resolver = async (credentials) => {
+      const tenant = credentials.bearerToken === "token-a" ? "tenant-a" : "tenant-b";
+      return { identity: `agent-${tenant}`, tenant, capabilities: capabilitiesFor(tenant) };
+    };
+
+    const a = await resolveSessionContext(resolver, { bearerToken: "token-a" }, { defaultQuotaEngine: quotaEngine });
+    const b = await resolveSessionContext(resolver, { bearerToken: "token-b" }, { defaultQuotaEngine: quotaEngine });
+
+    expect(isValidSessionContext(a)).toBe(true);
+    expect(isValidSessionContext(b)).toBe(true);
+    expect(a).not.toBe(b);
+    expect(a.sessionId).not.toBe(b.sessionId);
+    expect(a.tenant).toBe("tenant-a");
+    expect(b.tenant).toBe("tenant-b");
+    expect(a.capabilities.capSetId).toBe("caps-tenant-a");
+    expect(b.capabilities.capSetId).toBe("caps-tenant-b");
+    expect(Object.isFrozen(a)).toBe(true);
+    expect(() => a.bind("other", "tenant-b", "x")).toThrow();
+  });
+
+  test("a connection without a quota engine is refused", async () => {
+    const resolver = async () => ({ identity: "agent", tenant: "t1", capabilities: null });
+
+    await expect(resolveSessionContext(resolver, { bearerToken: "token-a" })).rejects.toThrow(/quota engine/);
+  });
+});
+
+describe("security invariant: HTTP sessions are pinned to their credentials", () => {
+  let host;
+
+  afterEach(async () => {
+    if (host) {
+      await host.drain();
+      host = null;
+    }
+  });
+
+  const initializeBody = JSON.stringify({
+    jsonrpc: "2.0",
+    id: 1,
+    method: "initialize",
+    params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+  });
+
+  async function startHost() {
+    const resolver = createStaticTokenResolver([
+      { sha256: sha256("token-a"), identity: "agent-a", tenant: "tenant-a" },
+      { sha256: sha256("token-b"), identity: "agent-b", tenant: "tenant-b" },
+    ]);
+    const resolveSession = jest.fn((credentials) =>
+      resolveSessionContext(resolver, credentials, { defaultQuotaEngine: quotaEngine })
+    );
+    const createServer = jest.fn(() => new Server({ name: "test", version: "1.0.0" }, { capabilities: {} }));
+
+    host = new HttpTransportHost({
+      config: {
+        host: "127.0.0.1",
+        port: 0,
+        path: "/mcp",
+        ssePath: "/sse",
+        messagesPath: "/messages",
+        enableSse: true,
+        allowedHosts: [],
+        drainTimeoutMs: 1000,
+        maxBodyBytes: 4096,
+      },
+      resolveSession,
+      createServer,
+    });
+    const { port } = await host.start();
+    return { createServer, baseUrl: `http://127.0.0.1:${port}` };
+  }
+
+  const headers = (token) => ({
+    "Content-Type": "application/json",
+    Accept: "application/json, text/event-stream",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  });
+
+  test("initialize without credentials is rejected before a protocol server exists", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    const response = await fetch(`${baseUrl}/mcp`, { method: "POST", headers: headers(null), body: initializeBody });
+    expect(response.status).toBe(401);
+
+    const sse = await fetch(`${baseUrl}/sse`, { headers: { Accept: "text/event-stream" } });
+    expect(sse.status).toBe(401);
+
+    expect(createServer).not.toHaveBeenCalled();
+    expect(host.sessions.size).toBe(0);
+  });
+
+  test("a session opened with one token cannot be used with another", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    const init = await fetch(`${baseUrl}/mcp`, { method: "POST", headers: headers("token-a"), body: initializeBody });
+    expect(init.status).toBe(200);
+    await init.text();
+
+    const sessionId = init.headers.get("mcp-session-id");
+    expect(sessionId).toBeTruthy();
+    expect(createServer).toHaveBeenCalledTimes(1);
+    expect(createServer.mock.calls[0][0].tenant).toBe("tenant-a");
+
+    const hijack = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { ...headers("token-b"), "mcp-session-id": sessionId },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 2, method: "ping" }),
+    });
+    expect(hijack.status).toBe(403);
+
+    const anonymous = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { ...headers(null), "mcp-session-id": sessionId },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 3, method: "ping" }),
+    });
+    expect(anonymous.status).toBe(403);
+  });
+
+  test("a failed initialize closes the protocol server it created", async () => {
+    const { createServer, baseUrl } = await startHost();
+
+    // The SDK transport rejects an initialize whose Accept header omits text/event-stream
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: "POST",
+      headers: { ...headers("token-a"), Accept: "application/json" },
+      body: initializeBody,
+    });
+    expect(response.status).toBe(406);
+
+    expect(createServer).toHaveBeenCalledTimes(1);
+    const server = createServer.mock.results[0].value;
+    expect(server.transport).toBeUndefined();
+    expect(host.sessions.size).toBe(0);
+  });
+});
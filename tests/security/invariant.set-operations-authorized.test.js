@@ -0,0 +1,65 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: set operations are allowed only when every branch is authorized.
+ *
+ * - Tables are extracted from every UNION/INTERSECT/EXCEPT branch
+ * - A single non-allowlisted branch denies the whole query
+ * - Every branch passes the same structural validation
+ * - The server row limit applies to the combined result in every dialect
+ */
+
+describe("security invariant: set operations with per-branch authorization", () => {
+  let validateQueryWithTables;
+  let enforceQueryPermissions;
+  let enforceQueryLimit;
+
+  beforeAll(async () => {
+    // Allowlist singleton reads env at import
+    process.env.ALLOWLIST_SCHEMAS = "public,sales";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ validateQueryWithTables } = await import("../../src/security/queryValidator.js"));
+    ({ enforceQueryPermissions } = await import("../../src/security/permissions.js"));
+    ({ enforceQueryLimit } = await import("../../src/security/queryLimit.js"));
+  });
+
+  test("tables from every branch are extracted and authorized", () => {
+    const query =
+      "SELECT id FROM public.customers UNION ALL SELECT customer_id FROM sales.orders " +
+      "EXCEPT SELECT customer_id FROM sales.refunds";
+
+    expect(validateQueryWithTables(query).tables).toEqual(["public.customers", "sales.orders", "sales.refunds"]);
+    expect(enforceQueryPermissions(query).tables).toEqual(["public.customers", "sales.orders", "sales.refunds"]);
+  });
+
+  test("one unauthorized branch denies the query", () => {
+    const query = "SELECT email FROM public.customers UNION SELECT passwd FROM pg_catalog.pg_shadow";
+
+    expect(validateQueryWithTables(query).valid).toBe(true);
+    expect(() => enforceQueryPermissions(query)).toThrow(/Schema "pg_catalog" is not allowed/);
+  });
+
+  test("every branch passes the same validation", () => {
+    expect(validateQueryWithTables("SELECT id FROM public.a UNION SELECT id FROM b").reason)
+      .toBe("Table references must be schema-qualified (schema.table)");
+    expect(validateQueryWithTables("SELECT id FROM public.a INTERSECT SELECT id FROM public.b, public.c").reason)
+      .toMatch(/Implicit joins/);
+    expect(validateQueryWithTables("SELECT id FROM public.a UNION (SELECT id FROM public.b LIMIT 5 OFFSET 5)").reason)
+      .toMatch(/OFFSET/);
+    expect(validateQueryWithTables("SELECT id FROM public.a MINUS SELECT id FROM public.b").valid).toBe(false);
+  });
+
+  test("the server row limit applies to the combined result", () => {
+    const union = "SELECT id FROM public.a UNION SELECT id FROM public.b";
+
+    expect(enforceQueryLimit(union, 100)).toBe(`${union} LIMIT 100`);
+    expect(enforceQueryLimit(`${union} LIMIT 5000`, 100, { dialect: "mysql" })).toBe(`${union} LIMIT 100`);
+    expect(enforceQueryLimit("SELECT id FROM public.a UNION (SELECT id FROM public.b LIMIT 5000)", 100))
+      .toBe("SELECT id FROM public.a UNION (SELECT id FROM public.b LIMIT 5000) LIMIT 100");
+
+    expect(enforceQueryLimit("WITH x AS (SELECT id FROM dbo.a) SELECT id FROM x UNION SELECT id FROM dbo.b", 100, { dialect: "mssql" }))
+      .toBe("WITH x AS (SELECT id FROM dbo.a) SELECT TOP 100 * FROM (SELECT id FROM x UNION SELECT id FROM dbo.b) AS mcp_limited");
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, test } from "@jest/globals";
+import {
+  validateQuery,
+  validateQueryWithTables,
+  extractTables,
+  analyzeQuery,
+} from "../../src/security/queryValidator.js";
+
+/**
+ * Security invariant: query validation runs on a dialect-aware AST.
+ *
+ * - Rules never match inside string literals or identifiers (no regex false positives)
+ * - Comments, multiple statements and write keywords outside literals are still rejected
+ * - Tables are extracted at every depth; unqualified or implicit joins fail closed
+ * - Syntax the parser does not support is rejected, never skipped
+ */
+
+describe("security invariant: SQL validation is AST-based and fail-closed", () => {
+  test("string literals and identifiers do not trigger keyword rules", () => {
+    for (const query of [
+      "SELECT id FROM public.notes WHERE body = 'a # b -- c /* d */'",
+      "SELECT n.offset_days, n.updated_at FROM public.notes n",
+      "SELECT id FROM public.notes WHERE body = 'DROP TABLE x; DELETE'",
+      "SELECT id\nFROM public.notes\nWHERE id = 1",
+    ]) {
+      expect(validateQuery(query)).toEqual({ valid: true });
+    }
+  });
+
+  test("comments, statements and write keywords outside literals are rejected", () => {
+    expect(validateQuery("SELECT id FROM public.notes -- WHERE x = 1").reason).toMatch(/comments/);
+    expect(validateQuery("SELECT id FROM public.notes # x", { dialect: "mysql" }).reason).toMatch(/comments/);
+    expect(validateQuery("SELECT id FROM public.notes; DROP TABLE public.notes").reason).toMatch(/semicolons/);
+    expect(validateQuery("SELECT id INTO public.notes_copy FROM public.notes").reason).toMatch(/INTO/);
+    expect(validateQuery("SELECT id FROM public.notes LIMIT 5 OFFSET 10").reason).toMatch(/OFFSET/);
+    expect(validateQuery("SELECT id FROM public.notes LIMIT 10, 5", { dialect: "mysql" }).reason).toMatch(/OFFSET/);
+    expect(validateQuery("SELECT id FROM public.notes FOR UPDATE").reason).toMatch(/UPDATE/);
+    expect(validateQuery("SELECT id FROM public.notes\u0000").reason).toMatch(/control characters/);
+  });
+
+  test("string quoting follows the dialect", () => {
+    const query = "SELECT id FROM public.notes WHERE body = 'it\\'s -- fine'";
+
+    // MySQL: backslash escapes the quote, so `--` stays inside the literal
+    expect(validateQuery(query, { dialect: "mysql" }).valid).toBe(true);
+
+    // PostgreSQL: the literal ends at \' and `--` starts a comment
+    expect(validateQuery(query, { dialect: "postgres" }).valid).toBe(false);
+
+    expect(validateQuery("SELECT TOP 10 [id] FROM dbo.notes", { dialect: "mssql" }).valid).toBe(true);
+    expect(validateQuery("SELECT id FROM public.notes", { dialect: "oracle" }).valid).toBe(false);
+  });
+
+  test("unsupported syntax fails closed", () => {
+    for (const query of [
+      "SELECT $$x$$ FROM public.notes",
+      "SELECT id FROM public.notes NATURAL JOIN public.tags",
+      "SELECT id FROM generate_series(1, 10)",
+      "SELECT id FROM public.notes WHERE body = E'x'",
+    ]) {
+      expect(validateQuery(query).valid).toBe(false);
+    }
+  });
+
+  test("tables are extracted at every depth and must be schema-qualified", () => {
+    expect(extractTables(
+      "SELECT n.id FROM public.notes n JOIN public.tags t ON t.note_id = n.id " +
+      "WHERE n.owner IN (SELECT u.id FROM auth.users u) AND EXISTS (SELECT 1 FROM (SELECT id FROM audit.log) l)"
+    )).toEqual(["public.notes", "public.tags", "auth.users", "audit.log"]);
+
+    expect(validateQueryWithTables("SELECT id FROM notes").reason)
+      .toBe("Table references must be schema-qualified (schema.table)");
+    expect(validateQueryWithTables("SELECT id FROM public.a, public.b").reason)
+      .toMatch(/Implicit joins/);
+    expect(validateQueryWithTables("SELECT id FROM public.a WHERE x IN (SELECT y FROM b)").valid).toBe(false);
+    expect(validateQueryWithTables("SELECT 1").reason).toMatch(/at least one table/);
+  });
+
+  test("columns resolve through aliases and enclosing scopes", () => {
+    const { columns } = analyzeQuery(
+      "SELECT u.name, o.total, id FROM public.users u JOIN sales.orders o ON o.user_id = u.id"
+    );
+
+    expect(columns).toEqual([
+      { table: "public.users", column: "name" },
+      { table: "sales.orders", column: "total" },
+      { table: null, column: "id", candidates: ["public.users", "sales.orders"] },
+      { table: "sales.orders", column: "user_id" },
+      { table: "public.users", column: "id" },
+    ]);
+  });
+});
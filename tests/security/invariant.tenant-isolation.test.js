@@ -0,0 +1,132 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: rows of tenant-scoped tables are filtered to the session tenant.
+ *
+ * - Every reference (joins, subqueries, CTEs, set operation branches) is rewritten
+ * - The tenant is bound as a parameter, never inlined into SQL
+ * - Queries that cannot be rewritten safely are rejected before execution
+ */
+
+describe("security invariant: tenant row-level isolation", () => {
+  let TenantIsolation;
+  let MSSQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+  let isolation;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "sales,dbo";
+    process.env.ALLOWLIST_TABLES = "";
+    process.env.TENANT_COLUMNS = "dbo.orders.tenant_id";
+    jest.resetModules();
+
+    ({ TenantIsolation } = await import("../../src/security/tenantIsolation.js"));
+    ({ MSSQLAdapter } = await import("../../src/adapters/mssql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    delete process.env.TENANT_COLUMNS;
+    isolation = new TenantIsolation("sales.orders.tenant_id,sales.invoices.org_id");
+  });
+
+  test("every reference to a tenant-scoped table is filtered", () => {
+    const query =
+      "WITH recent AS (SELECT o.id FROM sales.orders o WHERE o.total > 10) " +
+      "SELECT r.id, i.total FROM recent r JOIN sales.invoices i ON i.order_id = r.id " +
+      "WHERE EXISTS (SELECT 1 FROM sales.orders WHERE orders.id = r.id) " +
+      "UNION SELECT c.id, 0 FROM sales.customers c WHERE c.id = $1";
+
+    const result = isolation.apply(query, [42], "tenant-a");
+
+    expect(result.query).toBe(
+      "WITH recent AS (SELECT o.id FROM (SELECT * FROM sales.orders WHERE tenant_id = $2) AS o WHERE o.total > 10) " +
+      "SELECT r.id, i.total FROM recent r JOIN (SELECT * FROM sales.invoices WHERE org_id = $2) AS i ON i.order_id = r.id " +
+      "WHERE EXISTS (SELECT 1 FROM (SELECT * FROM sales.orders WHERE tenant_id = $2) AS orders WHERE orders.id = r.id) " +
+      "UNION SELECT c.id, 0 FROM sales.customers c WHERE c.id = $1"
+    );
+    expect(result.params).toEqual([42, "tenant-a"]);
+    expect(result.tables).toEqual(["sales.orders", "sales.invoices"]);
+  });
+
+  test("the tenant is bound per dialect", () => {
+    const mysql = isolation.apply(
+      "SELECT o.id FROM `sales`.`orders` o WHERE o.total > ? AND o.id IN (SELECT i.order_id FROM sales.invoices i WHERE i.total > ?)",
+      [10, 20],
+      "tenant-a",
+      { dialect: "mysql" }
+    );
+    expect(mysql.query).toBe(
+      "SELECT o.id FROM (SELECT * FROM `sales`.`orders` WHERE tenant_id = ?) AS o WHERE o.total > ? " +
+      "AND o.id IN (SELECT i.order_id FROM (SELECT * FROM sales.invoices WHERE org_id = ?) AS i WHERE i.total > ?)"
+    );
+    expect(mysql.params).toEqual(["tenant-a", 10, "tenant-a", 20]);
+
+    const mssql = isolation.apply("SELECT [o].[id] FROM [sales].[Orders] [o] WHERE o.id = @param0", [5], "tenant-a", { dialect: "mssql" });
+    expect(mssql.query).toBe("SELECT [o].[id] FROM (SELECT * FROM [sales].[Orders] WHERE tenant_id = @param1) AS [o] WHERE o.id = @param0");
+    expect(mssql.params).toEqual([5, "tenant-a"]);
+
+    // A configured column name the engine would fold is quoted
+    const mixedCase = new TenantIsolation("sales.Items.TenantId");
+    expect(mixedCase.apply('SELECT i.id FROM sales."Items" i', [], "tenant-a").query)
+      .toBe('SELECT i.id FROM (SELECT * FROM sales."Items" WHERE "TenantId" = $1) AS i');
+    expect(mixedCase.apply("SELECT i.id FROM sales.Items i", [], "tenant-a", { dialect: "mysql" }).query)
+      .toBe("SELECT i.id FROM (SELECT * FROM sales.Items WHERE TenantId = ?) AS i");
+
+    // Tenant values are never part of the SQL text
+    expect(isolation.apply("SELECT o.id FROM sales.orders o", [], "x' OR '1'='1").query)
+      .toBe("SELECT o.id FROM (SELECT * FROM sales.orders WHERE tenant_id = $1) AS o");
+  });
+
+  test("queries that cannot be rewritten safely are rejected", () => {
+    const rejected = (query, params, pattern) => {
+      expect(() => isolation.apply(query, params, "tenant-a"))
+        .toThrow(expect.objectContaining({ code: "QUERY_REJECTED", message: expect.stringMatching(pattern) }));
+    };
+
+    rejected("SELECT sales.orders.id FROM sales.orders", [], /through an alias/);
+    rejected("SELECT sales.orders.* FROM sales.orders", [], /through an alias/);
+    rejected("SELECT o.id FROM sales.orders o WHERE o.id = $2", [1], /placeholders/);
+    expect(() => isolation.apply("SELECT o.id FROM sales.orders o", [], null)).toThrow(/no tenant is bound/);
+
+    // Tables without a tenant column are left untouched
+    expect(isolation.apply("SELECT c.id FROM sales.customers c", [], null).query).toBe("SELECT c.id FROM sales.customers c");
+  });
+
+  test("malformed mappings are rejected at load", () => {
+    expect(() => new TenantIsolation("sales.orders")).toThrow(/expected schema\.table\.column/);
+    expect(() => new TenantIsolation("sales.orders.tenant_id,sales.orders.org_id")).toThrow(/more than one tenant column/);
+  });
+
+  test("the adapter executes the filtered query with the session tenant", async () => {
+    const adapter = new MSSQLAdapter({ host: "localhost", port: 1433, user: "sa", password: "test", database: "test" });
+    adapter._executeSafeRead = jest.fn(async () => ({
+      rows: [], fields: [], rowCount: 0, executionTime: 1, truncated: false, appliedLimit: 10,
+    }));
+
+    const sessionContext = new SessionContext();
+    sessionContext.bind("user-test", "tenant-b", "session-test");
+    sessionContext.attachCapabilities(new CapabilitySet({
+      capSetId: "tenant-test",
+      issuedAt: Date.now(),
+      expiresAt: Date.now() + 60000,
+      issuer: "test-issuer",
+      grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+    }));
+
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await adapter.executeQuery({ query: "SELECT o.id FROM dbo.orders o", limit: 10 }, sessionContext);
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(adapter._executeSafeRead).toHaveBeenCalledWith(
+      "SELECT o.id FROM (SELECT * FROM dbo.orders WHERE tenant_id = @param0) AS o",
+      ["tenant-b"],
+      expect.any(Object)
+    );
+  });
+});
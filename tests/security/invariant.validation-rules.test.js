@@ -0,0 +1,209 @@
+import { describe, expect, test, jest, beforeAll } from "@jest/globals";
+
+/**
+ * Security invariant: every query check is a rule of one engine.
+ *
+ * - Rejections name the rule that fired (validator, guard and adapters)
+ * - Custom rules run with the built-ins, scoped by dialect and severity
+ * - Rules can be enabled or disabled per tenant; built-in rules cannot be disabled
+ * - A rule that throws rejects the query (fail-closed)
+ * - Rules cannot modify the AST or tables that later checks authorize
+ */
+
+describe("security invariant: validation rule engine", () => {
+  let validateQuery;
+  let validateQueryWithTables;
+  let queryGuard;
+  let ruleEngine;
+  let registerValidationRule;
+  let configureTenantRules;
+  let MySQLAdapter;
+  let SessionContext;
+  let CapabilitySet;
+  let CapabilityAction;
+
+  beforeAll(async () => {
+    process.env.AUDIT_SECRET = "a".repeat(32);
+    process.env.ALLOWLIST_SCHEMAS = "shop";
+    process.env.ALLOWLIST_TABLES = "";
+    jest.resetModules();
+
+    ({ validateQuery, validateQueryWithTables } = await import("../../src/security/queryValidator.js"));
+    ({ queryGuard } = await import("../../src/security/queryGuard.js"));
+    ({ ruleEngine, registerValidationRule, configureTenantRules } = await import("../../src/security/ruleEngine.js"));
+    ({ MySQLAdapter } = await import("../../src/adapters/mysql.js"));
+    ({ SessionContext } = await import("../../src/core/sessionContext.js"));
+    ({ CapabilitySet, CapabilityAction } = await import("../../src/security/capabilities.js"));
+
+    const crossJoins = ({ ast }) => JSON.stringify(ast).includes('"kind":"CROSS"');
+
+    registerValidationRule({
+      id: "acme/no-cross-join",
+      description: "CROSS JOIN is not allowed",
+      dialects: ["mysql", "mssql"],
+      check: crossJoins,
+    });
+    registerValidationRule({
+      id: "acme/warn-star",
+      description: "SELECT * is discouraged",
+      severity: "warning",
+      check: ({ tokens }) => tokens.some((token) => token.value === "*"),
+      stage: "tokens",
+    });
+    registerValidationRule({
+      id: "acme/max-two-tables",
+      description: "Query must not read more than two tables",
+      stage: "tables",
+      enabled: false,
+      check: ({ tables }) => tables.length > 2 && `Query reads ${tables.length} tables (maximum: 2)`,
+    });
+    registerValidationRule({
+      id: "acme/broken",
+      description: "Always throws",
+      enabled: false,
+      check: () => { throw new Error("boom"); },
+    });
+  });
+
+  test("rejections name the rule that fired", () => {
+    expect(validateQuery("")).toMatchObject({ valid: false, rule: "non-empty" });
+    expect(validateQuery("DELETE FROM shop.orders")).toMatchObject({ valid: false, rule: "select-only" });
+    expect(validateQuery("SELECT id FROM shop.orders; SELECT 1")).toMatchObject({ valid: false, rule: "no-multiple-statements" });
+    expect(validateQuery("SELECT id FROM shop.orders /* x */")).toMatchObject({ valid: false, rule: "no-comments" });
+    expect(validateQuery("SELECT id FROM shop.orders WHERE x = (SELECT 1 FROM shop.t LIMIT 1 OFFSET 5)")).toMatchObject({ valid: false, rule: "no-offset" });
+    expect(validateQuery("SELECT id FROM shop.orders WHERE")).toMatchObject({ valid: false, rule: "sql-grammar" });
+    expect(validateQueryWithTables("SELECT 1")).toMatchObject({ valid: false, rule: "requires-table" });
+    expect(validateQueryWithTables("SELECT o.id FROM shop.orders o ORDER BY o.id ASC")).toMatchObject({ valid: false, rule: "order-by-allowlist" });
+
+    expect(queryGuard.validateQuery("SELECT id INTO shop.backup FROM shop.orders")).toEqual({
+      isValid: false,
+      reasons: ["Query must not contain INTO clause"],
+      rule: "no-into",
+    });
+    expect(() => queryGuard.enforceQuery("SELECT id FROM shop.orders FOR UPDATE"))
+      .toThrow(expect.objectContaining({ code: "QUERY_REJECTED", details: { rule: "no-write-keywords" } }));
+  });
+
+  test("custom rules run with the built-ins, scoped by dialect and severity", () => {
+    const query = "SELECT a.id FROM shop.orders a CROSS JOIN shop.items b";
+
+    expect(validateQuery(query, { dialect: "mysql" })).toEqual({ valid: false, reason: "CROSS JOIN is not allowed", rule: "acme/no-cross-join" });
+    expect(validateQuery(query, { dialect: "postgres" })).toEqual({ valid: true });
+
+    const warnSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      expect(validateQuery("SELECT * FROM shop.orders")).toEqual({ valid: true });
+    } finally {
+      warnSpy.mockRestore();
+    }
+
+    expect(ruleEngine.listRules().map((rule) => rule.id)).toEqual(expect.arrayContaining([
+      "select-only", "no-write-keywords", "sql-grammar", "order-by-allowlist", "acme/no-cross-join",
+    ]));
+  });
+
+  test("rules are enabled and disabled per tenant; built-ins cannot be disabled", () => {
+    configureTenantRules("tenant-strict", { enable: ["acme/max-two-tables", "acme/broken"] });
+    configureTenantRules("tenant-lax", { disable: ["acme/no-cross-join"] });
+
+    const threeTables = "SELECT a.id FROM shop.a a JOIN shop.b b ON b.id = a.id JOIN shop.c c ON c.id = a.id";
+    expect(validateQueryWithTables(threeTables, { tenant: "tenant-other" }).valid).toBe(true);
+    expect(validateQuery(threeTables, { tenant: "tenant-strict" })).toMatchObject({
+      valid: false,
+      rule: "acme/broken",
+      reason: expect.stringMatching(/could not be evaluated \(fail-closed\)/),
+    });
+
+    const crossJoin = "SELECT a.id FROM shop.orders a CROSS JOIN shop.items b";
+    expect(validateQuery(crossJoin, { dialect: "mysql", tenant: "tenant-lax" })).toEqual({ valid: true });
+    expect(validateQuery(crossJoin, { dialect: "mysql", tenant: "tenant-other" }).valid).toBe(false);
+
+    expect(() => configureTenantRules("tenant-lax", { disable: ["no-comments"] })).toThrow(/required and cannot be disabled/);
+    expect(() => configureTenantRules("tenant-lax", { enable: ["acme/unknown"] })).toThrow(/unknown rule/);
+    expect(() => configureTenantRules("tenant-lax", { enable: ["acme/broken"], disable: ["acme/broken"] })).toThrow(/both enabled and disabled/);
+
+    configureTenantRules("tenant-strict", { enable: ["acme/max-two-tables"] });
+    expect(validateQueryWithTables(threeTables, { tenant: "tenant-strict" })).toEqual({
+      valid: false,
+      reason: "Query reads 3 tables (maximum: 2)",
+      rule: "acme/max-two-tables",
+    });
+  });
+
+  test("rules cannot modify the AST or tables that later checks authorize", () => {
+    registerValidationRule({
+      id: "acme/drop-tables",
+      description: "Removes the FROM clause",
+      enabled: false,
+      check: ({ ast }) => { ast.body.from.length = 0; },
+    });
+    registerValidationRule({
+      id: "acme/swap-context",
+      description: "Replaces the AST and tables it was given",
+      stage: "tables",
+      enabled: false,
+      check: (context) => {
+        for (const change of [() => { context.ast = null; }, () => { context.tables.length = 0; }, () => { delete context.ast.body.where; }]) {
+          try {
+            change();
+          } catch {
+            // Ignored: the rule tries every change
+          }
+        }
+        return false;
+      },
+    });
+    configureTenantRules("tenant-tamper", { enable: ["acme/drop-tables"] });
+    configureTenantRules("tenant-swap", { enable: ["acme/swap-context"] });
+
+    const query = "SELECT o.id FROM shop.orders o WHERE o.id IN (SELECT i.order_id FROM shop.items i)";
+    expect(validateQueryWithTables(query, { tenant: "tenant-tamper" })).toMatchObject({
+      valid: false,
+      rule: "acme/drop-tables",
+      reason: expect.stringMatching(/could not be evaluated \(fail-closed\)/),
+    });
+    expect(validateQueryWithTables(query, { tenant: "tenant-swap" })).toEqual({ valid: true, tables: ["shop.orders", "shop.items"] });
+  });
+
+  test("malformed or duplicate rules are rejected at registration", () => {
+    const rule = { id: "acme/ok", description: "ok", check: () => null };
+
+    expect(() => registerValidationRule({ ...rule, id: "No Spaces" })).toThrow(/invalid id/);
+    expect(() => registerValidationRule({ ...rule, id: "select-only" })).toThrow(/already registered/);
+    expect(() => registerValidationRule({ ...rule, check: "nope" })).toThrow(/check must be a function/);
+    expect(() => registerValidationRule({ ...rule, severity: "info" })).toThrow(/unknown severity/);
+    expect(() => registerValidationRule({ ...rule, dialects: ["oracle"] })).toThrow(/dialects/);
+    expect(() => registerValidationRule({ ...rule, required: true, severity: "warning" })).toThrow(/required rule/);
+  });
+
+  test("adapters report the rule and honour the session tenant's overrides", async () => {
+    const adapter = new MySQLAdapter({ host: "localhost", port: 3306, user: "u", password: "p", database: "d" });
+    adapter._executeSafeRead = jest.fn(async () => ({ rows: [], rowCount: 0, fields: [], executionTime: 1, truncated: false, appliedLimit: 100 }));
+
+    const session = (tenant) => {
+      const sessionContext = new SessionContext();
+      sessionContext.bind("user-test", tenant, "session-test");
+      sessionContext.attachCapabilities(new CapabilitySet({
+        capSetId: "rules-test",
+        issuedAt: Date.now(),
+        expiresAt: Date.now() + 60000,
+        issuer: "test-issuer",
+        grants: [{ action: CapabilityAction.TOOL_INVOKE, target: "*" }],
+      }));
+      return sessionContext;
+    };
+
+    const query = "SELECT a.id FROM shop.orders a CROSS JOIN shop.items b";
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await expect(adapter.executeQuery({ query }, session("tenant-other")))
+        .rejects.toMatchObject({ code: "QUERY_REJECTED", details: { rule: "acme/no-cross-join" } });
+      expect(adapter._executeSafeRead).not.toHaveBeenCalled();
+
+      await adapter.executeQuery({ query }, session("tenant-lax"));
+      expect(adapter._executeSafeRead).toHaveBeenCalledTimes(1);
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});